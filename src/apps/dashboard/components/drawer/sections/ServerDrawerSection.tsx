@@ -23,7 +23,8 @@ const LIBRARY_PATHS = [
     '/dashboard/libraries',
     '/dashboard/libraries/display',
     '/dashboard/libraries/metadata',
-    '/dashboard/libraries/nfo'
+    '/dashboard/libraries/nfo',
+    '/dashboard/libraries/attention'
 ];
 
 const PLAYBACK_PATHS = [
@@ -113,6 +114,9 @@ const ServerDrawerSection = () => {
                     <ListItemLink to='/dashboard/libraries/nfo' sx={{ pl: 4 }}>
                         <ListItemText inset primary={globalize.translate('TabNfoSettings')} />
                     </ListItemLink>
+                    <ListItemLink to='/dashboard/libraries/attention' sx={{ pl: 4 }}>
+                        <ListItemText inset primary={globalize.translate('HeaderNeedsAttention')} />
+                    </ListItemLink>
                 </List>
             </Collapse>
             <ListItem disablePadding>
@@ -0,0 +1,66 @@
+import type { Api } from '@jellyfin/sdk';
+import { ItemFields } from '@jellyfin/sdk/lib/generated-client/models/item-fields';
+import { ItemSortBy } from '@jellyfin/sdk/lib/generated-client/models/item-sort-by';
+import { getItemsApi } from '@jellyfin/sdk/lib/utils/api/items-api';
+import { useQuery } from '@tanstack/react-query';
+import type { AxiosRequestConfig } from 'axios';
+
+import { useApi } from 'hooks/useApi';
+
+import { ATTENTION_ITEM_TYPES, getAttentionReasons, type ItemNeedingAttention } from '../utils/needsAttention';
+
+export const QUERY_KEY = 'ItemsNeedingAttention';
+
+/** The number of items fetched per request, as their media sources make the responses large */
+const PAGE_SIZE = 200;
+
+const fetchItemsNeedingAttention = async (
+    api: Api,
+    userId: string,
+    options?: AxiosRequestConfig
+) => {
+    const items: ItemNeedingAttention[] = [];
+    let startIndex = 0;
+    let pageLength;
+
+    do {
+        // Pages are fetched one after another to spread the load on the server
+        const response = await getItemsApi(api).getItems({
+            userId,
+            recursive: true,
+            includeItemTypes: ATTENTION_ITEM_TYPES,
+            fields: [ ItemFields.ProviderIds, ItemFields.Path, ItemFields.MediaSources, ItemFields.OriginalTitle ],
+            sortBy: [ ItemSortBy.SortName ],
+            startIndex,
+            limit: PAGE_SIZE,
+            enableImages: false,
+            enableUserData: false,
+            enableTotalRecordCount: false
+        }, {
+            signal: options?.signal
+        });
+
+        const page = response.data.Items || [];
+        for (const item of page) {
+            const reasons = getAttentionReasons(item);
+            if (reasons.length) {
+                items.push({ ...item, AttentionReasons: reasons });
+            }
+        }
+
+        pageLength = page.length;
+        startIndex += PAGE_SIZE;
+    } while (pageLength === PAGE_SIZE);
+
+    return items;
+};
+
+export const useItemsNeedingAttention = () => {
+    const { api, user } = useApi();
+    return useQuery({
+        queryKey: [ QUERY_KEY ],
+        queryFn: ({ signal }) =>
+            fetchItemsNeedingAttention(api!, user!.Id!, { signal }),
+        enabled: !!api && !!user?.Id
+    });
+};
@@ -0,0 +1,43 @@
+import { describe, expect, it } from 'vitest';
+
+import { AttentionReason, getAttentionReasons, getPathTitle } from './needsAttention';
+
+const TICKS_PER_MINUTE = 60 * 10_000_000;
+
+const movie = {
+    Name: 'Alien',
+    ProductionYear: 1979,
+    ProviderIds: { Tmdb: '348' },
+    Path: '/movies/Alien (1979)/Alien (1979).mkv',
+    RunTimeTicks: 117 * TICKS_PER_MINUTE,
+    MediaSources: [ { RunTimeTicks: 116 * TICKS_PER_MINUTE } ]
+};
+
+describe('getPathTitle', () => {
+    it('should remove the year, tags and extension', () => {
+        expect(getPathTitle('/movies/Alien (1979) [imdbid-tt0078748]/Alien.mkv')).toBe('Alien');
+        expect(getPathTitle('C:\\Movies\\The.Thing.1982.1080p.BluRay.mkv')).toBe('The Thing');
+        expect(getPathTitle('/tv/Severance/')).toBe('Severance');
+    });
+});
+
+describe('getAttentionReasons', () => {
+    it('should accept items that look matched', () => {
+        expect(getAttentionReasons(movie)).toEqual([]);
+    });
+
+    it('should report unmatched items', () => {
+        expect(getAttentionReasons({ ...movie, ProviderIds: { Tmdb: '' }, ProductionYear: undefined })).toEqual([
+            AttentionReason.MissingProviderIds,
+            AttentionReason.MissingYear
+        ]);
+    });
+
+    it('should report suspicious matches', () => {
+        expect(getAttentionReasons({ ...movie, Name: 'Aliens', RunTimeTicks: 154 * TICKS_PER_MINUTE })).toEqual([
+            AttentionReason.RuntimeMismatch
+        ]);
+        expect(getAttentionReasons({ ...movie, Name: 'Prometheus' })).toEqual([ AttentionReason.NameMismatch ]);
+        expect(getAttentionReasons({ ...movie, Name: 'Prometheus', OriginalTitle: 'Alien' })).toEqual([]);
+    });
+});
@@ -0,0 +1,76 @@
+import type { BaseItemDto } from '@jellyfin/sdk/lib/generated-client/models/base-item-dto';
+import { BaseItemKind } from '@jellyfin/sdk/lib/generated-client/models/base-item-kind';
+
+import { getNameSimilarity } from 'components/itemidentifier/identifyMatch';
+
+/** Why an item may be unmatched or matched to the wrong title */
+export enum AttentionReason {
+    MissingProviderIds = 'MissingProviderIds',
+    MissingYear = 'MissingYear',
+    RuntimeMismatch = 'RuntimeMismatch',
+    NameMismatch = 'NameMismatch'
+}
+
+export type ItemNeedingAttention = BaseItemDto & {
+    AttentionReasons: AttentionReason[]
+};
+
+/** The item types checked, the ones identified as a whole from their name */
+export const ATTENTION_ITEM_TYPES = [ BaseItemKind.Movie, BaseItemKind.Series ];
+
+/** The runtime difference allowed between the metadata and the file, in ticks */
+const MIN_RUNTIME_DIFFERENCE = 10 * 60 * 10_000_000;
+/** The share of the file duration the runtime difference must also exceed, so longer files allow larger differences */
+const MIN_RUNTIME_DIFFERENCE_RATIO = 0.15;
+/** The similarity under which the name does not look like the one of the file */
+const MIN_NAME_SIMILARITY = 0.5;
+
+/**
+ * Gets the title of an item from its file or folder name, without the year, ids and tags it often includes.
+ * @example getPathTitle('/movies/Alien (1979) [imdbid-tt0078748]/Alien.mkv') === 'Alien'
+ */
+export function getPathTitle(path: string) {
+    const name = (path.split(/[\\/]/).filter(Boolean).pop() || '')
+        .replace(/\.[a-z0-9]{2,4}$/i, '')
+        .replace(/[._]/g, ' ');
+
+    // Everything after the year or the first bracket is not part of the title
+    const end = Math.min(...[ name.search(/[([{]/), name.search(/\b(19|20)\d{2}\b/), name.length ].filter(index => index !== -1));
+
+    return name.slice(0, end).trim();
+}
+
+function hasProviderIds(item: BaseItemDto) {
+    return Object.values(item.ProviderIds || {}).some(Boolean);
+}
+
+function hasRuntimeMismatch(item: BaseItemDto) {
+    const fileRunTimeTicks = item.MediaSources?.[0]?.RunTimeTicks;
+    if (!item.RunTimeTicks || !fileRunTimeTicks) return false;
+
+    const difference = Math.abs(item.RunTimeTicks - fileRunTimeTicks);
+    return difference > MIN_RUNTIME_DIFFERENCE && difference > fileRunTimeTicks * MIN_RUNTIME_DIFFERENCE_RATIO;
+}
+
+function hasNameMismatch(item: BaseItemDto) {
+    const title = item.Path ? getPathTitle(item.Path) : '';
+    if (!title || !item.Name) return false;
+
+    return getNameSimilarity(title, item.Name) < MIN_NAME_SIMILARITY
+        && (!item.OriginalTitle || getNameSimilarity(title, item.OriginalTitle) < MIN_NAME_SIMILARITY);
+}
+
+/**
+ * Gets the reasons an item may need to be identified again.
+ * @returns The reasons, empty if the item looks correctly matched.
+ */
+export function getAttentionReasons(item: BaseItemDto): AttentionReason[] {
+    const reasons: AttentionReason[] = [];
+
+    if (!hasProviderIds(item)) reasons.push(AttentionReason.MissingProviderIds);
+    if (!item.ProductionYear) reasons.push(AttentionReason.MissingYear);
+    if (hasRuntimeMismatch(item)) reasons.push(AttentionReason.RuntimeMismatch);
+    if (hasNameMismatch(item)) reasons.push(AttentionReason.NameMismatch);
+
+    return reasons;
+}
@@ -0,0 +1,168 @@
+import ManageSearch from '@mui/icons-material/ManageSearch';
+import Box from '@mui/material/Box';
+import Button from '@mui/material/Button';
+import IconButton from '@mui/material/IconButton';
+import Tooltip from '@mui/material/Tooltip';
+import { type MRT_ColumnDef, useMaterialReactTable } from 'material-react-table';
+import React, { useCallback, useMemo } from 'react';
+
+import TablePage, { DEFAULT_TABLE_OPTIONS } from 'apps/dashboard/components/table/TablePage';
+import { QUERY_KEY, useItemsNeedingAttention } from 'apps/dashboard/features/libraries/api/useItemsNeedingAttention';
+import { AttentionReason, type ItemNeedingAttention } from 'apps/dashboard/features/libraries/utils/needsAttention';
+import toast from 'components/toast/toast';
+import { useApi } from 'hooks/useApi';
+import globalize from 'lib/globalize';
+import { queryClient } from 'utils/query/queryClient';
+
+const getReasonsText = (reasons: AttentionReason[]) => (
+    reasons.map(reason => globalize.translate(`AttentionReason${reason}`)).join(', ')
+);
+
+export const Component = () => {
+    const { __legacyApiClient__ } = useApi();
+    const { data, isLoading, isRefetching } = useItemsNeedingAttention();
+    const items = useMemo(() => (
+        data || []
+    ), [ data ]);
+
+    const showIdentifyQueue = useCallback((itemIds: string[]) => {
+        const serverId = __legacyApiClient__?.serverId();
+        if (!serverId) return;
+
+        import('components/itemidentifier/itemidentifier').then(({ default: itemIdentifier }) => {
+            return itemIdentifier.showQueue(itemIds, serverId);
+        }).then(result => {
+            toast(globalize.translate('MessageIdentifyQueueResult', result.identified, result.skipped));
+
+            if (result.identified) {
+                void queryClient.invalidateQueries({
+                    queryKey: [ QUERY_KEY ]
+                });
+            }
+        }).catch(err => {
+            console.error('[NeedsAttentionPage] failed to identify the items', err);
+        });
+    }, [ __legacyApiClient__ ]);
+
+    const columns = useMemo<MRT_ColumnDef<ItemNeedingAttention>[]>(() => [
+        {
+            id: 'Name',
+            accessorFn: item => item.Name || '',
+            header: globalize.translate('LabelName'),
+            size: 240
+        },
+        {
+            id: 'Type',
+            accessorFn: item => item.Type ? globalize.translate(item.Type) : '',
+            header: globalize.translate('LabelType'),
+            size: 100,
+            filterVariant: 'multi-select'
+        },
+        {
+            id: 'ProductionYear',
+            accessorFn: item => item.ProductionYear || '',
+            header: globalize.translate('LabelYear'),
+            size: 80
+        },
+        {
+            id: 'AttentionReasons',
+            accessorFn: item => getReasonsText(item.AttentionReasons),
+            header: globalize.translate('LabelAttentionReasons'),
+            size: 240,
+            filterVariant: 'multi-select',
+            filterSelectOptions: Object.values(AttentionReason).map(reason => ({
+                label: globalize.translate(`AttentionReason${reason}`),
+                value: reason
+            })),
+            // Keep the items with any of the selected reasons
+            filterFn: (row, _columnId, filterValue: AttentionReason[]) => (
+                !filterValue?.length || row.original.AttentionReasons.some(reason => filterValue.includes(reason))
+            )
+        },
+        {
+            id: 'Path',
+            accessorFn: item => item.Path || '',
+            header: globalize.translate('LabelPath'),
+            size: 400
+        }
+    ], []);
+
+    const table = useMaterialReactTable({
+        ...DEFAULT_TABLE_OPTIONS,
+
+        columns,
+        data: items,
+        getRowId: item => item.Id || '',
+
+        // State
+        initialState: {
+            density: 'compact',
+            pagination: {
+                pageIndex: 0,
+                pageSize: 25
+            }
+        },
+        state: {
+            isLoading
+        },
+
+        // Do not reset the page index when refetching data
+        autoResetPageIndex: !isRefetching,
+
+        enableRowSelection: true,
+
+        // Custom actions
+        enableRowActions: true,
+        positionActionsColumn: 'last',
+        displayColumnDefOptions: {
+            'mrt-row-actions': {
+                header: '',
+                size: 25
+            }
+        },
+        renderRowActions: ({ row }) => (
+            <Box sx={{ display: 'flex' }}>
+                <Tooltip title={globalize.translate('Identify')}>
+                    <IconButton
+                        // eslint-disable-next-line react/jsx-no-bind
+                        onClick={() => row.original.Id && showIdentifyQueue([ row.original.Id ])}
+                    >
+                        <ManageSearch />
+                    </IconButton>
+                </Tooltip>
+            </Box>
+        ),
+
+        // Custom toolbar contents
+        renderTopToolbarCustomActions: ({ table: mrTable }) => {
+            const selectedIds = mrTable.getSelectedRowModel().rows.map(row => row.id);
+            // The queue follows the current filters and sorting of the table
+            const itemIds = selectedIds.length ?
+                selectedIds :
+                mrTable.getPrePaginationRowModel().rows.map(row => row.id);
+
+            return (
+                <Button
+                    startIcon={<ManageSearch />}
+                    disabled={!itemIds.length}
+                    // eslint-disable-next-line react/jsx-no-bind
+                    onClick={() => showIdentifyQueue(itemIds)}
+                >
+                    {globalize.translate(selectedIds.length ? 'IdentifySelected' : 'IdentifyAll')}
+                </Button>
+            );
+        }
+    });
+
+    return (
+        <TablePage
+            id='needsAttentionPage'
+            title={globalize.translate('HeaderNeedsAttention')}
+            subtitle={globalize.translate('NeedsAttentionHelp')}
+            className='mainAnimatedPage type-interior'
+            table={table}
+        />
+    );
+};
+
+Component.displayName = 'NeedsAttentionPage';
@@ -2,6 +2,7 @@ import type { GroupInfoDto } from '@jellyfin/sdk/lib/generated-client/models/gro
 import { SyncPlayUserAccessType } from '@jellyfin/sdk/lib/generated-client/models/sync-play-user-access-type';
 import { getSyncPlayApi } from '@jellyfin/sdk/lib/utils/api/sync-play-api';
 import GroupAdd from '@mui/icons-material/GroupAdd';
+import Insights from '@mui/icons-material/Insights';
 import PersonAdd from '@mui/icons-material/PersonAdd';
 import PersonOff from '@mui/icons-material/PersonOff';
 import PersonRemove from '@mui/icons-material/PersonRemove';
@@ -122,6 +123,21 @@ const SyncPlayMenu: FC<SyncPlayMenuProps> = ({
         onMenuClose();
     }, [ __legacyApiClient__, currentGroup, onMenuClose, syncPlay ]);
 
+    const onGroupDiagnosticsClick = useCallback(async () => {
+        if (!syncPlay) return;
+
+        const SyncPlayDiagnosticsDialog = (await import('../../../../../plugins/syncPlay/ui/diagnostics/DiagnosticsDialog')).default;
+        new SyncPlayDiagnosticsDialog(syncPlay.Manager)
+            .show()
+            .catch(err => {
+                if (err) {
+                    console.error('[SyncPlayMenu] Error showing SyncPlay diagnostics', err);
+                }
+            });
+
+        onMenuClose();
+    }, [ onMenuClose, syncPlay ]);
+
     const onStartGroupPlaybackClick = useCallback(() => {
         if (__legacyApiClient__) {
             syncPlay?.Manager.resumeGroupPlayback(__legacyApiClient__);
@@ -196,6 +212,20 @@ const SyncPlayMenu: FC<SyncPlayMenuProps> = ({
             </MenuItem>
         );
 
+        menuItems.push(
+            <MenuItem
+                key='sync-play-diagnostics'
+                onClick={onGroupDiagnosticsClick}
+            >
+                <ListItemIcon>
+                    <Insights />
+                </ListItemIcon>
+                <ListItemText
+                    primary={globalize.translate('HeaderSyncPlayDiagnostics')}
+                />
+            </MenuItem>
+        );
+
         menuItems.push(
             <Divider key='sync-play-controls-divider' />
         );
@@ -7,6 +7,7 @@ import layoutManager from 'components/layoutManager';
 import { AppFeature } from 'constants/appFeature';
 import { useApi } from 'hooks/useApi';
 import themeManager from 'scripts/themeManager';
+import themeScheduler from 'scripts/themeScheduler';
 import { currentSettings, UserSettings } from 'scripts/settings/userSettings';
 
 import type { DisplaySettingsValues } from '../types/displaySettingsValues';
@@ -145,7 +146,7 @@ async function saveDisplaySettings({
     layoutManager.setLayout(normalizeValue(newDisplaySettings.layout));
 
     const promises = [
-        themeManager.setTheme(userSettings.theme())
+        themeManager.setTheme(themeScheduler.getTheme())
     ];
 
     if (user.Id && user.Configuration) {
@@ -4,5 +4,7 @@
 export enum MediaSegmentAction {
     None = 'None',
     AskToSkip = 'AskToSkip',
-    Skip = 'Skip'
+    AskToSkipCountdown = 'AskToSkipCountdown',
+    Skip = 'Skip',
+    Mute = 'Mute'
 }
@@ -7,6 +7,7 @@ export enum PlayerEvent {
     FullscreenChange = 'fullscreenchange',
     ItemStarted = 'itemstarted',
     ItemStopped = 'itemstopped',
+    LoopRangeChange = 'looprangechange',
     MediaStreamsChange = 'mediastreamschange',
     Pause = 'pause',
     PlaybackStart = 'playbackstart',
@@ -0,0 +1,7 @@
+/**
+ * A range of the current item that is played repeatedly (A/B repeat).
+ */
+export interface LoopRange {
+    StartTicks: number
+    EndTicks: number
+}
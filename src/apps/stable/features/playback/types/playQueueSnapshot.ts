@@ -0,0 +1,20 @@
+import type { GroupShuffleMode } from '@jellyfin/sdk/lib/generated-client/models/group-shuffle-mode';
+import type { RepeatMode } from '@jellyfin/sdk/lib/generated-client/models/repeat-mode';
+
+export interface PlayQueueSnapshotItem {
+    Id: string
+    ServerId: string
+}
+
+export interface PlayQueueSnapshot {
+    Version: number
+    DateSaved: string
+    /** The items of the queue in play order */
+    Items: PlayQueueSnapshotItem[]
+    /** The index of each item of the unshuffled queue in Items, empty when the queue is not shuffled */
+    SortedIndexes: number[]
+    CurrentIndex: number
+    PositionTicks: number
+    RepeatMode: RepeatMode
+    ShuffleMode: GroupShuffleMode
+}
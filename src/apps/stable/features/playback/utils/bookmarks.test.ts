@@ -0,0 +1,69 @@
+import { describe, expect, it } from 'vitest';
+
+import { TICKS_PER_SECOND } from 'constants/time';
+import type { UserSettings } from 'scripts/settings/userSettings';
+
+import { addBookmark, clearBookmarks, findBookmark, getBookmarks, removeBookmark } from './bookmarks';
+
+const ITEM_BOOKMARKS_ID = 'bookmarks__item';
+
+const createUserSettings = (values: Record<string, string> = {}) => ({
+    get: (name: string) => values[name],
+    set: (name: string, value: string) => {
+        values[name] = value;
+    }
+}) as unknown as UserSettings;
+
+describe('getBookmarks', () => {
+    it('Should return an empty list for missing or invalid values', () => {
+        expect(getBookmarks(createUserSettings(), 'item')).toEqual([]);
+        expect(getBookmarks(createUserSettings({ [ITEM_BOOKMARKS_ID]: 'invalid' }), 'item')).toEqual([]);
+        expect(getBookmarks(createUserSettings({ [ITEM_BOOKMARKS_ID]: '{}' }), 'item')).toEqual([]);
+    });
+
+    it('Should return the sorted bookmarks', () => {
+        const userSettings = createUserSettings({ [ITEM_BOOKMARKS_ID]: '[30, "x", 10, -5, 20]' });
+        expect(getBookmarks(userSettings, 'item')).toEqual([ 10, 20, 30 ]);
+    });
+});
+
+describe('findBookmark', () => {
+    it('Should find bookmarks within the tolerance', () => {
+        const bookmarks = [ 10 * TICKS_PER_SECOND, 60 * TICKS_PER_SECOND ];
+        expect(findBookmark(bookmarks, 10.5 * TICKS_PER_SECOND)).toBe(10 * TICKS_PER_SECOND);
+        expect(findBookmark(bookmarks, 30 * TICKS_PER_SECOND)).toBeUndefined();
+    });
+});
+
+describe('addBookmark', () => {
+    it('Should add bookmarks in order', () => {
+        const userSettings = createUserSettings();
+        addBookmark(userSettings, 'item', 60 * TICKS_PER_SECOND);
+        const bookmarks = addBookmark(userSettings, 'item', 10 * TICKS_PER_SECOND);
+
+        expect(bookmarks).toEqual([ 10 * TICKS_PER_SECOND, 60 * TICKS_PER_SECOND ]);
+        expect(getBookmarks(userSettings, 'item')).toEqual(bookmarks);
+        expect(getBookmarks(userSettings, 'other')).toEqual([]);
+    });
+
+    it('Should not add duplicate bookmarks', () => {
+        const userSettings = createUserSettings();
+        addBookmark(userSettings, 'item', 10 * TICKS_PER_SECOND);
+        const bookmarks = addBookmark(userSettings, 'item', 10.2 * TICKS_PER_SECOND);
+
+        expect(bookmarks).toEqual([ 10 * TICKS_PER_SECOND ]);
+    });
+});
+
+describe('removeBookmark', () => {
+    it('Should remove the bookmark at a position', () => {
+        const userSettings = createUserSettings();
+        addBookmark(userSettings, 'item', 10 * TICKS_PER_SECOND);
+        addBookmark(userSettings, 'item', 60 * TICKS_PER_SECOND);
+
+        expect(removeBookmark(userSettings, 'item', 59.5 * TICKS_PER_SECOND)).toEqual([ 10 * TICKS_PER_SECOND ]);
+        expect(removeBookmark(userSettings, 'item', 30 * TICKS_PER_SECOND)).toEqual([ 10 * TICKS_PER_SECOND ]);
+        expect(clearBookmarks(userSettings, 'item')).toEqual([]);
+        expect(getBookmarks(userSettings, 'item')).toEqual([]);
+    });
+});
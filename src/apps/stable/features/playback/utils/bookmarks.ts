@@ -0,0 +1,73 @@
+import { TICKS_PER_SECOND } from 'constants/time';
+import type { UserSettings } from 'scripts/settings/userSettings';
+
+const PREFIX = 'bookmarks';
+
+/** Bookmarks closer than this to an existing bookmark are treated as the same bookmark */
+export const BOOKMARK_TOLERANCE_TICKS = TICKS_PER_SECOND;
+
+const getId = (itemId: string) => `${PREFIX}__${itemId}`;
+
+function saveBookmarks(userSettings: UserSettings, itemId: string, bookmarks: number[]) {
+    // Bookmarks are only stored locally to avoid growing the display preferences on the server
+    userSettings.set(getId(itemId), bookmarks.length ? JSON.stringify(bookmarks) : '', false);
+    return bookmarks;
+}
+
+/**
+ * Gets the bookmarks of an item as a sorted list of positions in ticks.
+ */
+export function getBookmarks(userSettings: UserSettings, itemId: string): number[] {
+    const value = userSettings.get(getId(itemId), false);
+    if (!value) return [];
+
+    try {
+        const bookmarks: unknown = JSON.parse(value);
+        if (!Array.isArray(bookmarks)) return [];
+
+        return bookmarks
+            .filter((ticks): ticks is number => typeof ticks === 'number' && ticks >= 0)
+            .sort((a, b) => a - b);
+    } catch (err) {
+        console.warn('[bookmarks] failed to parse bookmarks for item %s', itemId, err);
+        return [];
+    }
+}
+
+/**
+ * Finds the bookmark at a position, if there is one within the bookmark tolerance.
+ */
+export function findBookmark(bookmarks: number[], positionTicks: number) {
+    return bookmarks.find(ticks => Math.abs(ticks - positionTicks) < BOOKMARK_TOLERANCE_TICKS);
+}
+
+/**
+ * Adds a bookmark to an item and returns the updated bookmarks.
+ */
+export function addBookmark(userSettings: UserSettings, itemId: string, positionTicks: number) {
+    const bookmarks = getBookmarks(userSettings, itemId);
+    if (findBookmark(bookmarks, positionTicks) !== undefined) return bookmarks;
+
+    return saveBookmarks(
+        userSettings,
+        itemId,
+        [ ...bookmarks, Math.round(positionTicks) ].sort((a, b) => a - b));
+}
+
+/**
+ * Removes the bookmark at a position from an item and returns the updated bookmarks.
+ */
+export function removeBookmark(userSettings: UserSettings, itemId: string, positionTicks: number) {
+    const bookmarks = getBookmarks(userSettings, itemId);
+    const bookmark = findBookmark(bookmarks, positionTicks);
+    if (bookmark === undefined) return bookmarks;
+
+    return saveBookmarks(userSettings, itemId, bookmarks.filter(ticks => ticks !== bookmark));
+}
+
+/**
+ * Removes all bookmarks of an item.
+ */
+export function clearBookmarks(userSettings: UserSettings, itemId: string) {
+    return saveBookmarks(userSettings, itemId, []);
+}
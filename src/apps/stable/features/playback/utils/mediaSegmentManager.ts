@@ -1,10 +1,14 @@
 import type { Api } from '@jellyfin/sdk/lib/api';
+import { BaseItemKind } from '@jellyfin/sdk/lib/generated-client/models/base-item-kind';
 import type { MediaSegmentDto } from '@jellyfin/sdk/lib/generated-client/models/media-segment-dto';
 import { MediaSegmentType } from '@jellyfin/sdk/lib/generated-client/models/media-segment-type';
+import { getLibraryApi } from '@jellyfin/sdk/lib/utils/api/library-api';
 import { getMediaSegmentsApi } from '@jellyfin/sdk/lib/utils/api/media-segments-api';
 
 import type { PlaybackManager } from 'components/playback/playbackmanager';
+import toast from 'components/toast/toast';
 import { TICKS_PER_MILLISECOND, TICKS_PER_SECOND } from 'constants/time';
+import globalize from 'lib/globalize';
 import { ServerConnections } from 'lib/jellyfin-apiclient';
 import { currentSettings as userSettings } from 'scripts/settings/userSettings';
 import type { PlayerState } from 'types/playbackStopInfo';
@@ -12,17 +16,30 @@ import type { Event } from 'utils/events';
 import { toApi } from 'utils/jellyfin-apiclient/compat';
 
 import { getMediaSegmentAction } from './mediaSegmentSettings';
-import { findCurrentSegment } from './mediaSegments';
+import { findCurrentSegment, isInSegment } from './mediaSegments';
 import { PlaybackSubscriber } from './playbackSubscriber';
 import { MediaSegmentAction } from '../constants/mediaSegmentAction';
 
 class MediaSegmentManager extends PlaybackSubscriber {
     private hasSegments = false;
+    /** The ids of the segments the user went back to after a skip, which are left alone until the next item */
+    private ignoredSegmentIds = new Set<string>();
     private isLastSegmentIgnored = false;
     private lastSegmentIndex = 0;
     private lastTime = -1;
     private mediaSegmentTypeActions: Record<Partial<MediaSegmentType>, MediaSegmentAction> | undefined;
     private mediaSegments: MediaSegmentDto[] = [];
+    private mutedSegment: MediaSegmentDto | undefined;
+
+    private async fetchLibraryId(api: Api, itemId: string, userId: string | undefined) {
+        try {
+            const { data: ancestors } = await getLibraryApi(api)
+                .getAncestors({ itemId, userId });
+            return ancestors.find(ancestor => ancestor.Type === BaseItemKind.CollectionFolder)?.Id;
+        } catch (err) {
+            console.error('[MediaSegmentManager] failed to fetch the library of the item', err);
+        }
+    }
 
     private async fetchMediaSegments(api: Api, itemId: string, includeSegmentTypes: MediaSegmentType[]) {
         try {
@@ -50,6 +67,7 @@ class MediaSegmentManager extends PlaybackSubscriber {
             }
             console.debug('[MediaSegmentManager] skipping to %s ms', mediaSegment.EndTicks / TICKS_PER_MILLISECOND);
             this.playbackManager.seek(mediaSegment.EndTicks, this.player);
+            this.showSkippedToast(mediaSegment);
         } else {
             // If there is no end time, skip to the next track
             console.debug('[MediaSegmentManager] skipping to next item in queue');
@@ -57,14 +75,69 @@ class MediaSegmentManager extends PlaybackSubscriber {
         }
     }
 
-    promptToSkip(mediaSegment: MediaSegmentDto) {
+    /**
+     * Skips a segment once the countdown of its skip prompt has ended.
+     */
+    skipPromptedSegment(mediaSegment: MediaSegmentDto) {
+        if (!mediaSegment.EndTicks || !this.mediaSegments.some(segment => segment.Id === mediaSegment.Id)) return;
+
+        console.debug('[MediaSegmentManager] skipping prompted segment to %s ms', mediaSegment.EndTicks / TICKS_PER_MILLISECOND);
+        this.playbackManager.seek(mediaSegment.EndTicks, this.player);
+        this.showSkippedToast(mediaSegment);
+    }
+
+    private showSkippedToast(mediaSegment: MediaSegmentDto) {
+        const player = this.player;
+
+        toast({
+            text: globalize.translate('MediaSegmentSkipped', globalize.translate(`MediaSegmentType.${mediaSegment.Type}`)),
+            actionText: globalize.translate('Undo'),
+            onAction: () => {
+                // Only undo if the segment still belongs to the current playback
+                if (player !== this.player || !this.mediaSegments.includes(mediaSegment)) return;
+
+                this.undoSkip(mediaSegment);
+            }
+        });
+    }
+
+    private undoSkip(mediaSegment: MediaSegmentDto) {
+        console.debug('[MediaSegmentManager] undoing skipped segment', mediaSegment);
+        // The segment is not skipped, muted or prompted again for the current item
+        if (mediaSegment.Id) {
+            this.ignoredSegmentIds.add(mediaSegment.Id);
+        }
+        this.playbackManager.seek(mediaSegment.StartTicks || 0, this.player);
+    }
+
+    muteSegment(mediaSegment: MediaSegmentDto) {
+        // Leave the player alone if it is already muted, so the user's choice is kept after the segment
+        if (this.mutedSegment || this.playbackManager.isMuted(this.player)) {
+            this.isLastSegmentIgnored = true;
+            return;
+        }
+
+        console.debug('[MediaSegmentManager] muting segment', mediaSegment);
+        this.mutedSegment = mediaSegment;
+        this.playbackManager.setMute(true, this.player);
+    }
+
+    private unmuteSegment() {
+        if (this.mutedSegment) {
+            console.debug('[MediaSegmentManager] unmuting segment', this.mutedSegment);
+            this.mutedSegment = undefined;
+            this.playbackManager.setMute(false, this.player);
+        }
+    }
+
+    promptToSkip(mediaSegment: MediaSegmentDto, action: MediaSegmentAction) {
         if (mediaSegment.StartTicks && mediaSegment.EndTicks
             && mediaSegment.EndTicks - mediaSegment.StartTicks < TICKS_PER_SECOND * 3) {
             console.info('[MediaSegmentManager] ignoring segment prompt with duration <3s', mediaSegment);
             this.isLastSegmentIgnored = true;
             return;
         }
-        this.playbackManager.promptToSkip(mediaSegment);
+        this.playbackManager.promptToSkip(mediaSegment, this.player, action === MediaSegmentAction.AskToSkipCountdown);
     }
 
     private performAction(mediaSegment: MediaSegmentDto) {
@@ -76,27 +149,25 @@ class MediaSegmentManager extends PlaybackSubscriber {
         const action = this.mediaSegmentTypeActions[mediaSegment.Type];
         if (action === MediaSegmentAction.Skip) {
             this.skipSegment(mediaSegment);
-        } else if (action === MediaSegmentAction.AskToSkip) {
-            this.promptToSkip(mediaSegment);
+        } else if (action === MediaSegmentAction.AskToSkip || action === MediaSegmentAction.AskToSkipCountdown) {
+            this.promptToSkip(mediaSegment, action);
+        } else if (action === MediaSegmentAction.Mute) {
+            this.muteSegment(mediaSegment);
         }
     }
 
-    onPlayerPlaybackStart(_e: Event, state: PlayerState) {
-        this.isLastSegmentIgnored = false;
-        this.lastSegmentIndex = 0;
-        this.lastTime = -1;
-        this.hasSegments = !!state.MediaSource?.HasSegments;
-
-        const itemId = state.MediaSource?.Id;
-        const serverId = state.NowPlayingItem?.ServerId || ServerConnections.currentApiClient()?.serverId();
+    private async loadMediaSegments(serverId: string, itemId: string, mediaSourceId: string) {
+        const apiClient = ServerConnections.getApiClient(serverId);
+        const api = toApi(apiClient);
 
-        if (!this.hasSegments || !serverId || !itemId) return;
+        // Actions can be overridden per library, so look up the library of the item first
+        const libraryId = await this.fetchLibraryId(api, itemId, apiClient.getCurrentUserId());
 
         // Get the user settings for media segment actions
         this.mediaSegmentTypeActions = Object.values(MediaSegmentType)
             .map(type => ({
                 type,
-                action: getMediaSegmentAction(userSettings, type)
+                action: getMediaSegmentAction(userSettings, type, libraryId)
             }))
             .filter(({ action }) => !!action && action !== MediaSegmentAction.None)
             .reduce((acc, { type, action }) => {
@@ -109,16 +180,41 @@ class MediaSegmentManager extends PlaybackSubscriber {
             return;
         }
 
-        const api = toApi(ServerConnections.getApiClient(serverId));
-        void this.fetchMediaSegments(
+        await this.fetchMediaSegments(
             api,
-            itemId,
+            mediaSourceId,
             Object.keys(this.mediaSegmentTypeActions).map(t => t as keyof typeof MediaSegmentType));
     }
 
+    onPlayerPlaybackStart(_e: Event, state: PlayerState) {
+        this.isLastSegmentIgnored = false;
+        this.ignoredSegmentIds.clear();
+        this.lastSegmentIndex = 0;
+        this.lastTime = -1;
+        this.hasSegments = !!state.MediaSource?.HasSegments;
+        this.mediaSegments = [];
+        this.mutedSegment = undefined;
+
+        const itemId = state.NowPlayingItem?.Id;
+        const mediaSourceId = state.MediaSource?.Id;
+        const serverId = state.NowPlayingItem?.ServerId || ServerConnections.currentApiClient()?.serverId();
+
+        if (!this.hasSegments || !serverId || !itemId || !mediaSourceId) return;
+
+        void this.loadMediaSegments(serverId, itemId, mediaSourceId);
+    }
+
+    onPlayerPlaybackStop() {
+        this.unmuteSegment();
+    }
+
     onPlayerTimeUpdate() {
         if (this.hasSegments && this.mediaSegments.length) {
             const time = this.playbackManager.currentTime(this.player) * TICKS_PER_MILLISECOND;
+            if (this.mutedSegment && !isInSegment(this.mutedSegment, time)) {
+                this.unmuteSegment();
+            }
+
             const currentSegmentDetails = findCurrentSegment(this.mediaSegments, time, this.lastSegmentIndex);
             if (
                 // The current time falls within a segment
@@ -131,8 +227,11 @@ class MediaSegmentManager extends PlaybackSubscriber {
                     currentSegmentDetails.segment.Type,
                     time / TICKS_PER_MILLISECOND,
                     currentSegmentDetails);
-                this.isLastSegmentIgnored = false;
-                this.performAction(currentSegmentDetails.segment);
+                const { segment } = currentSegmentDetails;
+                this.isLastSegmentIgnored = !!segment.Id && this.ignoredSegmentIds.has(segment.Id);
+                if (!this.isLastSegmentIgnored) {
+                    this.performAction(segment);
+                }
                 this.lastSegmentIndex = currentSegmentDetails.index;
             }
             this.lastTime = time;
@@ -0,0 +1,54 @@
+import { MediaSegmentType } from '@jellyfin/sdk/lib/generated-client/models/media-segment-type';
+import { describe, expect, it } from 'vitest';
+
+import type { UserSettings } from 'scripts/settings/userSettings';
+
+import { getId, getLibraryMediaSegmentAction, getMediaSegmentAction } from './mediaSegmentSettings';
+import { MediaSegmentAction } from '../constants/mediaSegmentAction';
+
+const createUserSettings = (values: Record<string, string>) => ({
+    get: (name: string) => values[name]
+}) as unknown as UserSettings;
+
+describe('getId', () => {
+    it('Should include the library id if set', () => {
+        expect(getId(MediaSegmentType.Intro)).toBe('segmentTypeAction__Intro');
+        expect(getId(MediaSegmentType.Intro, 'library')).toBe('segmentTypeAction__library__Intro');
+    });
+});
+
+describe('getMediaSegmentAction', () => {
+    it('Should return the default action if not set', () => {
+        const userSettings = createUserSettings({});
+        expect(getMediaSegmentAction(userSettings, MediaSegmentType.Intro)).toBe(MediaSegmentAction.AskToSkip);
+        expect(getMediaSegmentAction(userSettings, MediaSegmentType.Recap)).toBe(MediaSegmentAction.None);
+    });
+
+    it('Should return the user action', () => {
+        const userSettings = createUserSettings({
+            [getId(MediaSegmentType.Intro)]: MediaSegmentAction.Skip,
+            [getId(MediaSegmentType.Commercial)]: MediaSegmentAction.Mute
+        });
+        expect(getMediaSegmentAction(userSettings, MediaSegmentType.Intro)).toBe(MediaSegmentAction.Skip);
+        expect(getMediaSegmentAction(userSettings, MediaSegmentType.Commercial)).toBe(MediaSegmentAction.Mute);
+    });
+
+    it('Should ignore invalid actions', () => {
+        const userSettings = createUserSettings({
+            [getId(MediaSegmentType.Intro)]: 'Invalid',
+            [getId(MediaSegmentType.Outro, 'library')]: ''
+        });
+        expect(getMediaSegmentAction(userSettings, MediaSegmentType.Intro)).toBe(MediaSegmentAction.AskToSkip);
+        expect(getLibraryMediaSegmentAction(userSettings, MediaSegmentType.Outro, 'library')).toBeUndefined();
+    });
+
+    it('Should prefer the library action', () => {
+        const userSettings = createUserSettings({
+            [getId(MediaSegmentType.Intro)]: MediaSegmentAction.Skip,
+            [getId(MediaSegmentType.Intro, 'anime')]: MediaSegmentAction.None
+        });
+        expect(getMediaSegmentAction(userSettings, MediaSegmentType.Intro, 'anime')).toBe(MediaSegmentAction.None);
+        expect(getMediaSegmentAction(userSettings, MediaSegmentType.Intro, 'movies')).toBe(MediaSegmentAction.Skip);
+        expect(getMediaSegmentAction(userSettings, MediaSegmentType.Intro, null)).toBe(MediaSegmentAction.Skip);
+    });
+});
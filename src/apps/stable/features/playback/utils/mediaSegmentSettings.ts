@@ -10,11 +10,40 @@ const DEFAULT_ACTIONS: Partial<Record<MediaSegmentType, MediaSegmentAction>> = {
     [MediaSegmentType.Outro]: MediaSegmentAction.AskToSkip
 };
 
-export const getId = (type: MediaSegmentType) => `${PREFIX}__${type}`;
+const isMediaSegmentAction = (action: unknown): action is MediaSegmentAction =>
+    Object.values(MediaSegmentAction).includes(action as MediaSegmentAction);
+
+export const getId = (type: MediaSegmentType, libraryId?: string | null) => (
+    libraryId ? `${PREFIX}__${libraryId}__${type}` : `${PREFIX}__${type}`
+);
+
+/**
+ * Gets the action the user has set for a segment type in a specific library, if any.
+ */
+export function getLibraryMediaSegmentAction(
+    userSettings: UserSettings,
+    type: MediaSegmentType,
+    libraryId: string
+): MediaSegmentAction | undefined {
+    const action = userSettings.get(getId(type, libraryId), false);
+
+    return isMediaSegmentAction(action) ? action : undefined;
+}
+
+/**
+ * Gets the action for a segment type. When a library is given, an action set for that library takes
+ * precedence over the user's default action.
+ */
+export function getMediaSegmentAction(
+    userSettings: UserSettings,
+    type: MediaSegmentType,
+    libraryId?: string | null
+): MediaSegmentAction {
+    const libraryAction = libraryId ? getLibraryMediaSegmentAction(userSettings, type, libraryId) : undefined;
+    if (libraryAction) return libraryAction;
 
-export function getMediaSegmentAction(userSettings: UserSettings, type: MediaSegmentType): MediaSegmentAction {
     const action = userSettings.get(getId(type), false);
     const defaultAction = DEFAULT_ACTIONS[type] || MediaSegmentAction.None;
 
-    return action ? action as MediaSegmentAction : defaultAction;
+    return isMediaSegmentAction(action) ? action : defaultAction;
 }
@@ -0,0 +1,143 @@
+import confirm from 'components/confirm/confirm';
+import type { PlaybackManager } from 'components/playback/playbackmanager';
+import toast from 'components/toast/toast';
+import { MILLISECONDS_PER_SECOND } from 'constants/time';
+import globalize from 'lib/globalize';
+import { ServerConnections } from 'lib/jellyfin-apiclient';
+import { currentSettings as userSettings } from 'scripts/settings/userSettings';
+import type { PlayerState } from 'types/playbackStopInfo';
+import Events, { type Event } from 'utils/events';
+import { readFileAsText, saveFile, selectFile } from 'utils/file';
+
+import { parsePlayQueueSnapshot } from './playQueueSnapshot';
+import { PlaybackSubscriber } from './playbackSubscriber';
+import type { PlayQueueSnapshot } from '../types/playQueueSnapshot';
+
+/** The minimum time between two snapshots saved because of playback progress */
+const PROGRESS_SAVE_INTERVAL = 10 * MILLISECONDS_PER_SECOND;
+
+const getSavedSnapshot = () => {
+    const json = userSettings.playQueueSnapshot();
+    if (!json) return null;
+
+    try {
+        return parsePlayQueueSnapshot(json);
+    } catch (err) {
+        console.warn('[PlayQueuePersistence] ignoring invalid play queue snapshot', err);
+        return null;
+    }
+};
+
+const saveSnapshot = (snapshot: PlayQueueSnapshot | null) => {
+    userSettings.playQueueSnapshot(snapshot ? JSON.stringify(snapshot) : '');
+};
+
+/** A PlaybackSubscriber that saves the local play queue on every change, so it can be restored after a reload. */
+class PlayQueuePersistence extends PlaybackSubscriber {
+    private isRestoreOffered = false;
+    private lastSaveTime = 0;
+
+    constructor(playbackManager: PlaybackManager) {
+        super(playbackManager);
+
+        Events.on(ServerConnections, 'localusersignedin', this.offerRestore.bind(this));
+    }
+
+    private saveQueue() {
+        const snapshot = this.playbackManager.getPlayQueueSnapshot(this.player);
+        if (!snapshot) return;
+
+        this.lastSaveTime = Date.now();
+        saveSnapshot(snapshot);
+    }
+
+    private offerRestore() {
+        if (this.isRestoreOffered || this.playbackManager.isPlaying()) return;
+        this.isRestoreOffered = true;
+
+        const snapshot = getSavedSnapshot();
+        if (!snapshot) return;
+
+        confirm({
+            title: globalize.translate('HeaderRestorePlayQueue'),
+            text: globalize.translate('MessageRestorePlayQueue', snapshot.Items.length),
+            confirmText: globalize.translate('ButtonResume')
+        }).then(() => {
+            this.playbackManager.restorePlayQueue(snapshot).catch((err: unknown) => {
+                console.error('[PlayQueuePersistence] failed to restore the play queue', err);
+            });
+        }, () => {
+            // The user does not want the queue back, so do not offer it again
+            saveSnapshot(null);
+        });
+    }
+
+    onPlayerPlaybackStart() {
+        this.saveQueue();
+    }
+
+    onPlayerPlaybackStop(_e: Event, state: PlayerState) {
+        // The queue is already reset when playback stops for good, so only the position is updated
+        const snapshot = getSavedSnapshot();
+        if (snapshot && snapshot.Items[snapshot.CurrentIndex]?.Id === state.NowPlayingItem?.Id) {
+            snapshot.PositionTicks = state.PlayState?.PositionTicks || 0;
+            saveSnapshot(snapshot);
+        }
+    }
+
+    onPlayerPlaylistItemAdd() {
+        this.saveQueue();
+    }
+
+    onPlayerPlaylistItemMove() {
+        this.saveQueue();
+    }
+
+    onPlayerPlaylistItemRemove() {
+        this.saveQueue();
+    }
+
+    onPlayerRepeatModeChange() {
+        this.saveQueue();
+    }
+
+    onPlayerShuffleModeChange() {
+        this.saveQueue();
+    }
+
+    onPlayerTimeUpdate() {
+        if (Date.now() - this.lastSaveTime >= PROGRESS_SAVE_INTERVAL) {
+            this.saveQueue();
+        }
+    }
+}
+
+/** Saves the current play queue, or the last saved one if nothing is playing, to a file. */
+export function exportPlayQueue(playbackManager: PlaybackManager) {
+    const snapshot = playbackManager.getPlayQueueSnapshot() || getSavedSnapshot();
+    if (!snapshot) {
+        toast(globalize.translate('MessageNoPlayQueueToExport'));
+        return;
+    }
+
+    saveFile(JSON.stringify(snapshot, null, 2), 'play-queue.json');
+}
+
+/** Lets the user pick an exported play queue file and starts playing it. */
+export async function importPlayQueue(playbackManager: PlaybackManager) {
+    const file = await selectFile('.json,application/json');
+    if (!file) return;
+
+    let snapshot;
+    try {
+        snapshot = parsePlayQueueSnapshot(await readFileAsText(file));
+    } catch (err) {
+        console.error('[PlayQueuePersistence] failed to read the play queue file', err);
+        toast(globalize.translate('MessagePlayQueueImportFailed'));
+        return;
+    }
+
+    return playbackManager.restorePlayQueue(snapshot);
+}
+
+export const bindPlayQueuePersistence = (playbackManager: PlaybackManager) => new PlayQueuePersistence(playbackManager);
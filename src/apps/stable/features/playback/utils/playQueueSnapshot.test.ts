@@ -0,0 +1,146 @@
+import type { BaseItemDto } from '@jellyfin/sdk/lib/generated-client/models/base-item-dto';
+import { GroupShuffleMode } from '@jellyfin/sdk/lib/generated-client/models/group-shuffle-mode';
+import { RepeatMode } from '@jellyfin/sdk/lib/generated-client/models/repeat-mode';
+import { describe, expect, it } from 'vitest';
+
+import type { PlayQueueSnapshot } from '../types/playQueueSnapshot';
+
+import {
+    createPlayQueueSnapshot,
+    parsePlayQueueSnapshot,
+    PLAY_QUEUE_SNAPSHOT_VERSION,
+    restorePlayQueueItems
+} from './playQueueSnapshot';
+
+const TEST_ITEMS: BaseItemDto[] = [
+    { Id: 'a', ServerId: 'server', Name: 'A' },
+    { Id: 'b', ServerId: 'server', Name: 'B' },
+    { Id: 'c', ServerId: 'server', Name: 'C' }
+];
+
+const createSnapshot = (snapshot: Partial<PlayQueueSnapshot> = {}): PlayQueueSnapshot => ({
+    Version: PLAY_QUEUE_SNAPSHOT_VERSION,
+    DateSaved: '2024-01-01T00:00:00.000Z',
+    Items: TEST_ITEMS.map(({ Id, ServerId }) => ({ Id: Id!, ServerId: ServerId! })),
+    SortedIndexes: [],
+    CurrentIndex: 1,
+    PositionTicks: 500,
+    RepeatMode: RepeatMode.RepeatNone,
+    ShuffleMode: GroupShuffleMode.Sorted,
+    ...snapshot
+});
+
+describe('createPlayQueueSnapshot', () => {
+    it('Should only keep the item ids', () => {
+        const snapshot = createPlayQueueSnapshot({
+            items: TEST_ITEMS,
+            sortedItems: [],
+            currentIndex: 2,
+            positionTicks: 1000,
+            repeatMode: RepeatMode.RepeatAll,
+            shuffleMode: GroupShuffleMode.Sorted
+        });
+
+        expect(snapshot.Version).toBe(PLAY_QUEUE_SNAPSHOT_VERSION);
+        expect(snapshot.Items).toEqual([
+            { Id: 'a', ServerId: 'server' },
+            { Id: 'b', ServerId: 'server' },
+            { Id: 'c', ServerId: 'server' }
+        ]);
+        expect(snapshot.CurrentIndex).toBe(2);
+        expect(snapshot.PositionTicks).toBe(1000);
+        expect(snapshot.RepeatMode).toBe(RepeatMode.RepeatAll);
+        expect(snapshot.ShuffleMode).toBe(GroupShuffleMode.Sorted);
+        expect(snapshot.SortedIndexes).toEqual([]);
+    });
+
+    it('Should keep the sorted order of a shuffled queue', () => {
+        const snapshot = createPlayQueueSnapshot({
+            items: [ TEST_ITEMS[2], TEST_ITEMS[0], TEST_ITEMS[1] ],
+            sortedItems: TEST_ITEMS,
+            currentIndex: -1,
+            repeatMode: RepeatMode.RepeatNone,
+            shuffleMode: GroupShuffleMode.Shuffle
+        });
+
+        expect(snapshot.SortedIndexes).toEqual([ 1, 2, 0 ]);
+        expect(snapshot.ShuffleMode).toBe(GroupShuffleMode.Shuffle);
+        expect(snapshot.CurrentIndex).toBe(0);
+        expect(snapshot.PositionTicks).toBe(0);
+    });
+});
+
+describe('parsePlayQueueSnapshot', () => {
+    it('Should parse a valid snapshot', () => {
+        const snapshot = createSnapshot();
+        expect(parsePlayQueueSnapshot(JSON.stringify(snapshot))).toEqual(snapshot);
+    });
+
+    it('Should throw for invalid snapshots', () => {
+        expect(() => parsePlayQueueSnapshot('not json')).toThrow();
+        expect(() => parsePlayQueueSnapshot('null')).toThrow();
+        expect(() => parsePlayQueueSnapshot(JSON.stringify(createSnapshot({ Version: 99 })))).toThrow();
+        expect(() => parsePlayQueueSnapshot(JSON.stringify(createSnapshot({ Items: [] })))).toThrow();
+        expect(() => parsePlayQueueSnapshot(JSON.stringify(createSnapshot({
+            Items: [{ Id: 'a', ServerId: '' }]
+        })))).toThrow();
+    });
+
+    it('Should normalize invalid values', () => {
+        const snapshot = parsePlayQueueSnapshot(JSON.stringify({
+            ...createSnapshot(),
+            CurrentIndex: 10,
+            PositionTicks: -5,
+            RepeatMode: 'Invalid',
+            ShuffleMode: GroupShuffleMode.Shuffle,
+            SortedIndexes: [ 0, 1 ]
+        }));
+
+        expect(snapshot.CurrentIndex).toBe(0);
+        expect(snapshot.PositionTicks).toBe(0);
+        expect(snapshot.RepeatMode).toBe(RepeatMode.RepeatNone);
+        expect(snapshot.ShuffleMode).toBe(GroupShuffleMode.Sorted);
+        expect(snapshot.SortedIndexes).toEqual([]);
+    });
+});
+
+describe('restorePlayQueueItems', () => {
+    it('Should restore the queue in snapshot order', () => {
+        const restored = restorePlayQueueItems(createSnapshot(), [ ...TEST_ITEMS ].reverse());
+
+        expect(restored.items.map(item => item.Id)).toEqual([ 'a', 'b', 'c' ]);
+        expect(restored.startIndex).toBe(1);
+        expect(restored.positionTicks).toBe(500);
+        expect(restored.sortedItems).toEqual([]);
+    });
+
+    it('Should start from the next item if the current item is missing', () => {
+        const restored = restorePlayQueueItems(createSnapshot(), [ TEST_ITEMS[0], TEST_ITEMS[2] ]);
+
+        expect(restored.items.map(item => item.Id)).toEqual([ 'a', 'c' ]);
+        expect(restored.startIndex).toBe(1);
+        expect(restored.positionTicks).toBe(0);
+    });
+
+    it('Should restore duplicate items as separate copies', () => {
+        const snapshot = createSnapshot({
+            Items: [{ Id: 'a', ServerId: 'server' }, { Id: 'a', ServerId: 'server' }],
+            CurrentIndex: 0
+        });
+        const restored = restorePlayQueueItems(snapshot, [ TEST_ITEMS[0] ]);
+
+        expect(restored.items).toHaveLength(2);
+        expect(restored.items[0]).not.toBe(restored.items[1]);
+    });
+
+    it('Should restore the sorted order of a shuffled queue', () => {
+        const snapshot = createSnapshot({
+            SortedIndexes: [ 2, 0, 1 ],
+            ShuffleMode: GroupShuffleMode.Shuffle
+        });
+        const restored = restorePlayQueueItems(snapshot, TEST_ITEMS);
+
+        expect(restored.sortedItems.map(item => item.Id)).toEqual([ 'c', 'a', 'b' ]);
+        expect(restored.sortedItems[0]).toBe(restored.items[2]);
+    });
+});
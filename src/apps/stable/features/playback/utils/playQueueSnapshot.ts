@@ -0,0 +1,122 @@
+import type { BaseItemDto } from '@jellyfin/sdk/lib/generated-client/models/base-item-dto';
+import { GroupShuffleMode } from '@jellyfin/sdk/lib/generated-client/models/group-shuffle-mode';
+import { RepeatMode } from '@jellyfin/sdk/lib/generated-client/models/repeat-mode';
+
+import type { PlayQueueSnapshot } from '../types/playQueueSnapshot';
+
+export const PLAY_QUEUE_SNAPSHOT_VERSION = 1;
+
+interface PlayQueueState {
+    items: BaseItemDto[]
+    sortedItems: BaseItemDto[]
+    currentIndex: number
+    positionTicks?: number | null
+    repeatMode: RepeatMode
+    shuffleMode: GroupShuffleMode
+}
+
+interface RestoredPlayQueue {
+    items: BaseItemDto[]
+    sortedItems: BaseItemDto[]
+    startIndex: number
+    positionTicks: number
+}
+
+const isIndex = (value: unknown) => typeof value === 'number' && Number.isInteger(value) && value >= 0;
+
+/**
+ * Creates a snapshot of a play queue. Only the item ids are kept, so the snapshot stays small
+ * enough to be saved on every change.
+ */
+export function createPlayQueueSnapshot(state: PlayQueueState): PlayQueueSnapshot {
+    const sortedIndexes = state.shuffleMode === GroupShuffleMode.Shuffle ?
+        state.sortedItems
+            .map(item => state.items.indexOf(item))
+            .filter(index => index !== -1) :
+        [];
+
+    return {
+        Version: PLAY_QUEUE_SNAPSHOT_VERSION,
+        DateSaved: new Date().toISOString(),
+        Items: state.items.map(item => ({
+            Id: item.Id || '',
+            ServerId: item.ServerId || ''
+        })),
+        SortedIndexes: sortedIndexes,
+        CurrentIndex: Math.max(state.currentIndex, 0),
+        PositionTicks: state.positionTicks || 0,
+        RepeatMode: state.repeatMode,
+        ShuffleMode: sortedIndexes.length ? GroupShuffleMode.Shuffle : GroupShuffleMode.Sorted
+    };
+}
+
+/**
+ * Parses and validates a serialized play queue snapshot.
+ * @throws {Error} If the value is not a valid snapshot.
+ */
+export function parsePlayQueueSnapshot(json: string): PlayQueueSnapshot {
+    const snapshot = JSON.parse(json) as Partial<PlayQueueSnapshot> | null;
+
+    if (!snapshot || snapshot.Version !== PLAY_QUEUE_SNAPSHOT_VERSION) {
+        throw new Error('Unsupported play queue snapshot version');
+    }
+
+    if (!Array.isArray(snapshot.Items) || !snapshot.Items.length
+        || snapshot.Items.some(item => !item?.Id || !item.ServerId)
+    ) {
+        throw new Error('Play queue snapshot has no valid items');
+    }
+
+    const itemCount = snapshot.Items.length;
+    const sortedIndexes = Array.isArray(snapshot.SortedIndexes) ?
+        snapshot.SortedIndexes.filter(index => isIndex(index) && index < itemCount) :
+        [];
+    const isShuffled = snapshot.ShuffleMode === GroupShuffleMode.Shuffle && sortedIndexes.length === itemCount;
+
+    return {
+        Version: snapshot.Version,
+        DateSaved: snapshot.DateSaved || '',
+        Items: snapshot.Items.map(({ Id, ServerId }) => ({ Id, ServerId })),
+        SortedIndexes: isShuffled ? sortedIndexes : [],
+        CurrentIndex: isIndex(snapshot.CurrentIndex) && snapshot.CurrentIndex! < itemCount ? snapshot.CurrentIndex! : 0,
+        PositionTicks: isIndex(snapshot.PositionTicks) ? snapshot.PositionTicks! : 0,
+        RepeatMode: Object.values(RepeatMode).includes(snapshot.RepeatMode!) ? snapshot.RepeatMode! : RepeatMode.RepeatNone,
+        ShuffleMode: isShuffled ? GroupShuffleMode.Shuffle : GroupShuffleMode.Sorted
+    };
+}
+
+/**
+ * Rebuilds the queue of a snapshot from the items fetched from the server. Items that no longer
+ * exist are dropped, and playback starts from the next remaining item if the current one is gone.
+ */
+export function restorePlayQueueItems(snapshot: PlayQueueSnapshot, fetchedItems: BaseItemDto[]): RestoredPlayQueue {
+    const itemsById = new Map(fetchedItems.map(item => [item.Id, item]));
+
+    // Copy the items, so the same item can be queued more than once
+    const snapshotItems = snapshot.Items.map(({ Id }) => {
+        const item = itemsById.get(Id);
+        return item ? { ...item } : undefined;
+    });
+
+    const items = snapshotItems.filter((item): item is BaseItemDto => !!item);
+
+    let startIndex = 0;
+    for (let i = snapshot.CurrentIndex; i < snapshotItems.length; i++) {
+        const item = snapshotItems[i];
+        if (item) {
+            startIndex = items.indexOf(item);
+            break;
+        }
+    }
+
+    const isCurrentItemRestored = !!snapshotItems[snapshot.CurrentIndex];
+
+    return {
+        items,
+        sortedItems: snapshot.SortedIndexes
+            .map(index => snapshotItems[index])
+            .filter((item): item is BaseItemDto => !!item),
+        startIndex,
+        positionTicks: isCurrentItemRestored ? snapshot.PositionTicks : 0
+    };
+}
@@ -1,6 +1,7 @@
 import type { BaseItemDto } from '@jellyfin/sdk/lib/generated-client/models/base-item-dto';
 import type { MediaSegmentDto } from '@jellyfin/sdk/lib/generated-client/models/media-segment-dto';
 import type { MediaSourceInfo } from '@jellyfin/sdk/lib/generated-client/models/media-source-info';
+import type { LoopRange } from 'apps/stable/features/playback/types/loopRange';
 import type { ManagedPlayerStopInfo, MovedItem, PlayerError, PlayerErrorCode, PlayerStopInfo, RemovedItems } from 'apps/stable/features/playback/types/callbacks';
 import type { PlaybackManager } from 'components/playback/playbackmanager';
 import type { MediaError } from 'types/mediaError';
@@ -18,11 +19,12 @@ export interface PlaybackSubscriber {
     onPlaybackStart?(e: Event, player: PlayerPlugin, state: PlayerState): void
     onPlaybackStop?(e: Event, info: PlaybackStopInfo): void
     onPlayerChange?(e: Event, player: PlayerPlugin, target: PlayTarget, previousPlayer: PlayerPlugin): void
-    onPromptSkip?(e: Event, mediaSegment: MediaSegmentDto): void
+    onPromptSkip?(e: Event, mediaSegment: MediaSegmentDto, skipAfterCountdown?: boolean): void
     onPlayerError?(e: Event, error: PlayerError): void
     onPlayerFullscreenChange?(e: Event): void
     onPlayerItemStarted?(e: Event, item?: BaseItemDto, mediaSource?: MediaSourceInfo): void
     onPlayerItemStopped?(e: Event, info: ManagedPlayerStopInfo): void
+    onPlayerLoopRangeChange?(e: Event, loopRange: LoopRange | null): void
     onPlayerMediaStreamsChange?(e: Event): void
     onPlayerPause?(e: Event): void
     onPlayerPlaybackStart?(e: Event, state: PlayerState): void
@@ -58,6 +60,7 @@ export abstract class PlaybackSubscriber {
         [PlayerEvent.FullscreenChange]: this.onPlayerFullscreenChange?.bind(this),
         [PlayerEvent.ItemStarted]: this.onPlayerItemStarted?.bind(this),
         [PlayerEvent.ItemStopped]: this.onPlayerItemStopped?.bind(this),
+        [PlayerEvent.LoopRangeChange]: this.onPlayerLoopRangeChange?.bind(this),
         [PlayerEvent.MediaStreamsChange]: this.onPlayerMediaStreamsChange?.bind(this),
         [PlayerEvent.Pause]: this.onPlayerPause?.bind(this),
         [PlayerEvent.PlaybackStart]: this.onPlayerPlaybackStart?.bind(this),
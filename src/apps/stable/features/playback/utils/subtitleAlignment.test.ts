@@ -0,0 +1,77 @@
+import { describe, expect, it } from 'vitest';
+
+import { detectSpeech, findSubtitleOffset, getBandEnergy, type SpeechSample, type SubtitleCue } from './subtitleAlignment';
+
+const TEST_CUES: SubtitleCue[] = [
+    { start: 12, end: 15 },
+    { start: 2, end: 5 },
+    { start: 20, end: 24 },
+    { start: 30, end: 31.5 }
+];
+
+/** Creates samples every 100ms with speech during the cues shifted by a delay */
+function createSamples(cues: SubtitleCue[], delay: number, duration = 40): SpeechSample[] {
+    const samples: SpeechSample[] = [];
+    for (let i = 0; i < duration * 10; i++) {
+        const time = i / 10;
+        samples.push({
+            time,
+            isSpeech: cues.some(cue => cue.start + delay <= time && cue.end + delay > time)
+        });
+    }
+    return samples;
+}
+
+describe('getBandEnergy', () => {
+    it('Should average the bins in the frequency range', () => {
+        // 8 bins of 1000 Hz each
+        const data = [ 10, 20, 30, 40, 50, 60, 70, 80 ];
+        expect(getBandEnergy(data, 16000, [ 1000, 3000 ])).toBe(25);
+        expect(getBandEnergy(data, 16000, [ 0, 8000 ])).toBe(45);
+    });
+
+    it('Should return 0 for an empty range', () => {
+        expect(getBandEnergy([], 48000)).toBe(0);
+    });
+});
+
+describe('detectSpeech', () => {
+    it('Should not detect speech in silence', () => {
+        expect(detectSpeech([ 0, 0, 0, 0 ])).toEqual([ false, false, false, false ]);
+        expect(detectSpeech([])).toEqual([]);
+    });
+
+    it('Should detect loud regions and close short gaps', () => {
+        const energies = [ 5, 5, 100, 100, 5, 100, 5, 5, 5, 5, 5, 5, 100, 5, 5 ];
+        expect(detectSpeech(energies, 2)).toEqual([
+            false, false, true, true, true, true, false, false, false, false, false, false, true, false, false
+        ]);
+    });
+});
+
+describe('findSubtitleOffset', () => {
+    it('Should find the offset of late subtitles', () => {
+        // Subtitles are 2.5s late, so they need to be shown earlier
+        const samples = createSamples(TEST_CUES, 0);
+        const cues = TEST_CUES.map(cue => ({ start: cue.start + 2.5, end: cue.end + 2.5 }));
+        expect(findSubtitleOffset(samples, cues)?.offset).toBe(2.5);
+    });
+
+    it('Should find the offset of early subtitles', () => {
+        const samples = createSamples(TEST_CUES, 1.3);
+        const result = findSubtitleOffset(samples, TEST_CUES);
+        expect(result?.offset).toBe(-1.3);
+        expect(result?.confidence).toBeGreaterThan(0.95);
+    });
+
+    it('Should return 0 for aligned subtitles', () => {
+        expect(findSubtitleOffset(createSamples(TEST_CUES, 0), TEST_CUES)?.offset).toBe(0);
+    });
+
+    it('Should return null without a reliable match', () => {
+        const silence = createSamples([], 0);
+        expect(findSubtitleOffset(silence, TEST_CUES)).toBeNull();
+        expect(findSubtitleOffset([], TEST_CUES)).toBeNull();
+        expect(findSubtitleOffset(createSamples(TEST_CUES, 0), [])).toBeNull();
+    });
+});
@@ -0,0 +1,180 @@
+/** The frequency range that contains most of the energy of human speech */
+export const SPEECH_FREQUENCY_RANGE = [ 300, 3400 ];
+
+/** A subtitle cue with its original times in seconds */
+export interface SubtitleCue {
+    start: number
+    end: number
+}
+
+export interface SpeechSample {
+    /** Position in the media in seconds */
+    time: number
+    isSpeech: boolean
+}
+
+export interface SubtitleOffsetOptions {
+    /** The largest offset to consider in seconds */
+    maxOffset?: number
+    /** The resolution of the offset in seconds */
+    step?: number
+    /** The smallest share of subtitled samples that have to contain speech */
+    minConfidence?: number
+    /** The smallest number of subtitled samples needed for a reliable result */
+    minSamples?: number
+}
+
+export interface SubtitleOffsetResult {
+    /** The offset in seconds */
+    offset: number
+    /** The share of subtitled samples that contain speech with this offset */
+    confidence: number
+}
+
+/**
+ * Gets the average level of the frequency bins in a range of an AnalyserNode's byte frequency data.
+ */
+export function getBandEnergy(
+    frequencyData: ArrayLike<number>,
+    sampleRate: number,
+    [ minFrequency, maxFrequency ] = SPEECH_FREQUENCY_RANGE
+) {
+    // The bins cover the frequencies from 0 to half of the sample rate
+    const binWidth = sampleRate / 2 / frequencyData.length;
+    const start = Math.max(0, Math.floor(minFrequency / binWidth));
+    const end = Math.min(frequencyData.length, Math.ceil(maxFrequency / binWidth));
+
+    let sum = 0;
+    for (let i = start; i < end; i++) {
+        sum += frequencyData[i];
+    }
+
+    return end > start ? sum / (end - start) : 0;
+}
+
+const getPercentile = (sortedValues: number[], percentile: number) => (
+    sortedValues[Math.min(sortedValues.length - 1, Math.floor(sortedValues.length * percentile))]
+);
+
+/**
+ * Classifies samples of speech band energy as speech or non-speech. The threshold adapts to the
+ * level of the media, so it works for quiet and loud mixes alike.
+ */
+export function detectSpeech(energies: number[], minGap = 3): boolean[] {
+    if (!energies.length) return [];
+
+    const sorted = [ ...energies ].sort((a, b) => a - b);
+    const noiseFloor = getPercentile(sorted, 0.2);
+    const peak = getPercentile(sorted, 0.9);
+
+    // Silent or constant audio has no speech regions to align to
+    if (peak - noiseFloor < 1) return energies.map(() => false);
+
+    const threshold = noiseFloor + (peak - noiseFloor) * 0.35;
+    const speech = energies.map(energy => energy > threshold);
+
+    // Close short pauses between words, so sentences become a single region
+    let lastSpeechIndex = -1;
+    speech.forEach((isSpeech, index) => {
+        if (!isSpeech) return;
+
+        if (lastSpeechIndex !== -1 && index - lastSpeechIndex <= minGap) {
+            speech.fill(true, lastSpeechIndex + 1, index);
+        }
+        lastSpeechIndex = index;
+    });
+
+    return speech;
+}
+
+function isCueActive(cues: SubtitleCue[], time: number) {
+    let low = 0;
+    let high = cues.length - 1;
+
+    // Find the last cue that starts before the time
+    while (low <= high) {
+        const middle = (low + high) >> 1;
+        if (cues[middle].start <= time) {
+            low = middle + 1;
+        } else {
+            high = middle - 1;
+        }
+    }
+
+    return high >= 0 && cues[high].end > time;
+}
+
+interface OffsetScore {
+    offset: number
+    score: number
+    /** The number of samples with an active cue */
+    active: number
+    /** The number of samples with an active cue that contain speech */
+    speech: number
+}
+
+function getOffsetScore(samples: SpeechSample[], cues: SubtitleCue[], offset: number): OffsetScore {
+    let score = 0;
+    let active = 0;
+    let speech = 0;
+
+    // Cues are displayed at their original time minus the offset
+    for (const sample of samples) {
+        if (isCueActive(cues, sample.time + offset)) {
+            active++;
+            if (sample.isSpeech) {
+                speech++;
+                score++;
+            } else {
+                // Penalize subtitles shown during silence
+                score--;
+            }
+        }
+    }
+
+    return { offset, score, active, speech };
+}
+
+/**
+ * Finds the subtitle offset that best aligns the subtitle cues with the detected speech, by
+ * cross-correlating both over the range of possible offsets. A positive offset shows the cues
+ * earlier, matching the subtitle offset of the players.
+ * @returns The best offset or null if the speech and subtitles do not match reliably.
+ */
+export function findSubtitleOffset(
+    samples: SpeechSample[],
+    cues: SubtitleCue[],
+    {
+        maxOffset = 30,
+        step = 0.1,
+        minConfidence = 0.5,
+        minSamples = 20
+    }: SubtitleOffsetOptions = {}
+): SubtitleOffsetResult | null {
+    if (!samples.length || !cues.length) return null;
+
+    const sortedCues = [ ...cues ].sort((a, b) => a.start - b.start);
+    const steps = Math.round(maxOffset / step);
+
+    let best: OffsetScore | undefined;
+
+    for (let i = -steps; i <= steps; i++) {
+        const score = getOffsetScore(samples, sortedCues, i * step);
+
+        // Prefer the smallest offset when scores are equal
+        if (!best || score.score > best.score || (score.score === best.score && Math.abs(score.offset) < Math.abs(best.offset))) {
+            best = score;
+        }
+    }
+
+    if (!best || best.active < minSamples) return null;
+
+    const confidence = best.speech / best.active;
+    if (confidence < minConfidence) return null;
+
+    return {
+        // Avoid floating point noise from the offset steps
+        offset: Number(best.offset.toFixed(3)),
+        confidence
+    };
+}
@@ -1,7 +1,8 @@
-import React, { type FC, useEffect, useState } from 'react';
+import React, { type FC, useCallback, useEffect, useMemo, useState } from 'react';
 
 import { useUserTheme } from 'hooks/useUserTheme';
 import { getDefaultTheme } from 'scripts/settings/webSettings';
+import { getCustomThemeCss } from 'themes/customTheme';
 
 interface ThemeCssProps {
     dashboard?: boolean
@@ -14,20 +15,46 @@ const DEFAULT_THEME_URL = getThemeUrl(getDefaultTheme().id);
 const ThemeCss: FC<ThemeCssProps> = ({
     dashboard = false
 }) => {
-    const { theme, dashboardTheme } = useUserTheme();
+    const { theme, dashboardTheme, customTheme, dashboardCustomTheme } = useUserTheme();
     const [ themeUrl, setThemeUrl ] = useState(DEFAULT_THEME_URL);
+    // The previous stylesheet is kept until the next one is loaded, so the page is never unstyled
+    const [ pendingThemeUrl, setPendingThemeUrl ] = useState<string>();
+
+    const currentCustomTheme = dashboard ? dashboardCustomTheme : customTheme;
+    const customThemeCss = useMemo(() => (
+        currentCustomTheme ? getCustomThemeCss(currentCustomTheme) : null
+    ), [ currentCustomTheme ]);
 
     useEffect(() => {
         const id = dashboard ? dashboardTheme : theme;
-        if (id) setThemeUrl(getThemeUrl(id));
+        if (id) setPendingThemeUrl(getThemeUrl(id));
     }, [dashboard, dashboardTheme, theme]);
 
+    const onPendingThemeLoad = useCallback(() => {
+        if (pendingThemeUrl) setThemeUrl(pendingThemeUrl);
+        setPendingThemeUrl(undefined);
+    }, [ pendingThemeUrl ]);
+
+    const themeUrls = pendingThemeUrl && pendingThemeUrl !== themeUrl ? [ themeUrl, pendingThemeUrl ] : [ themeUrl ];
+
     return (
-        <link
-            rel='stylesheet'
-            type='text/css'
-            href={themeUrl}
-        />
+        <>
+            {themeUrls.map(url => (
+                <link
+                    key={url}
+                    rel='stylesheet'
+                    type='text/css'
+                    href={url}
+                    onLoad={url === pendingThemeUrl ? onPendingThemeLoad : undefined}
+                    onError={url === pendingThemeUrl ? onPendingThemeLoad : undefined}
+                />
+            ))}
+            {customThemeCss && (
+                <style>
+                    {customThemeCss}
+                </style>
+            )}
+        </>
     );
 };
 
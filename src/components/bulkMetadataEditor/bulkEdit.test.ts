@@ -0,0 +1,69 @@
+import { describe, expect, it } from 'vitest';
+
+import {
+    applyBulkEdits,
+    BulkEditField,
+    BulkEditMode,
+    getBulkEditChanges,
+    parseListValues
+} from './bulkEdit';
+
+const item = {
+    Id: 'item',
+    Genres: [ 'Drama' ],
+    Tags: [ 'favorite', 'hd' ],
+    Studios: [ { Name: 'HBO', Id: 'studio' } ],
+    OfficialRating: 'TV-14',
+    LockedFields: [],
+    ForcedSortName: 'Show'
+};
+
+describe('parseListValues', () => {
+    it('should split and trim the values', () => {
+        expect(parseListValues(' Action;; Comedy ;')).toEqual([ 'Action', 'Comedy' ]);
+    });
+});
+
+describe('getBulkEditChanges', () => {
+    it('should append the missing values', () => {
+        expect(getBulkEditChanges(item, [
+            { field: BulkEditField.Tags, mode: BulkEditMode.Append, values: [ 'HD', 'kids' ] }
+        ])).toEqual([
+            { field: BulkEditField.Tags, before: [ 'favorite', 'hd' ], after: [ 'favorite', 'hd', 'kids' ] }
+        ]);
+    });
+
+    it('should set and clear values', () => {
+        expect(getBulkEditChanges(item, [
+            { field: BulkEditField.Genres, mode: BulkEditMode.Set, values: [ 'Comedy', 'Comedy' ] },
+            { field: BulkEditField.OfficialRating, mode: BulkEditMode.Clear, values: [] }
+        ])).toEqual([
+            { field: BulkEditField.Genres, before: [ 'Drama' ], after: [ 'Comedy' ] },
+            { field: BulkEditField.OfficialRating, before: [ 'TV-14' ], after: [] }
+        ]);
+    });
+
+    it('should leave out the fields that do not change', () => {
+        expect(getBulkEditChanges(item, [
+            { field: BulkEditField.Studios, mode: BulkEditMode.Append, values: [ 'HBO' ] },
+            { field: BulkEditField.ForcedSortName, mode: BulkEditMode.Set, values: [ 'Show' ] },
+            { field: BulkEditField.LockedFields, mode: BulkEditMode.Clear, values: [] }
+        ])).toEqual([]);
+    });
+});
+
+describe('applyBulkEdits', () => {
+    it('should update a copy of the item', () => {
+        const updated = applyBulkEdits(item, [
+            { field: BulkEditField.Studios, mode: BulkEditMode.Append, values: [ 'BBC' ] },
+            { field: BulkEditField.LockedFields, mode: BulkEditMode.Set, values: [ 'Genres', 'Tags' ] },
+            { field: BulkEditField.ForcedSortName, mode: BulkEditMode.Clear, values: [] }
+        ]);
+
+        expect(updated.Studios).toEqual([ { Name: 'HBO' }, { Name: 'BBC' } ]);
+        expect(updated.LockedFields).toEqual([ 'Genres', 'Tags' ]);
+        expect(updated.ForcedSortName).toBe('');
+        expect(updated.Genres).toBe(item.Genres);
+        expect(item.Studios).toHaveLength(1);
+    });
+});
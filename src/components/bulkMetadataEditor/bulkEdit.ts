@@ -0,0 +1,122 @@
+import type { BaseItemDto } from '@jellyfin/sdk/lib/generated-client/models/base-item-dto';
+import type { MetadataField } from '@jellyfin/sdk/lib/generated-client/models/metadata-field';
+
+/** How an edit changes a field */
+export enum BulkEditMode {
+    /** Replaces the current value */
+    Set = 'set',
+    /** Adds the values missing from the current list */
+    Append = 'append',
+    /** Empties the field */
+    Clear = 'clear'
+}
+
+/** The fields that can be edited on several items at once */
+export enum BulkEditField {
+    Genres = 'Genres',
+    Tags = 'Tags',
+    Studios = 'Studios',
+    OfficialRating = 'OfficialRating',
+    LockedFields = 'LockedFields',
+    ForcedSortName = 'ForcedSortName'
+}
+
+/** The fields holding a list of values, which can be appended to */
+export const LIST_FIELDS = [
+    BulkEditField.Genres,
+    BulkEditField.Tags,
+    BulkEditField.Studios,
+    BulkEditField.LockedFields
+];
+
+export interface BulkEdit {
+    field: BulkEditField
+    mode: BulkEditMode
+    /** The values of the edit. Single value fields use the first one. */
+    values: string[]
+}
+
+export interface BulkEditChange {
+    field: BulkEditField
+    before: string[]
+    after: string[]
+}
+
+/** Gets the values of a field of an item, as a list of strings. */
+export function getFieldValues(item: BaseItemDto, field: BulkEditField): string[] {
+    switch (field) {
+        case BulkEditField.Studios:
+            return (item.Studios || []).map(studio => studio.Name || '');
+        case BulkEditField.OfficialRating:
+        case BulkEditField.ForcedSortName:
+            return item[field] ? [ item[field] ] : [];
+        default:
+            return [ ...(item[field] || []) ];
+    }
+}
+
+/** Splits the text of a list field, where values are separated by semicolons. */
+export function parseListValues(text: string) {
+    return text.split(';').map(value => value.trim()).filter(Boolean);
+}
+
+function getEditedValues(current: string[], edit: BulkEdit) {
+    switch (edit.mode) {
+        case BulkEditMode.Set:
+            return LIST_FIELDS.includes(edit.field) ? [ ...new Set(edit.values) ] : edit.values.slice(0, 1);
+        case BulkEditMode.Append: {
+            // Names are compared without case, like the server does when it merges them
+            const known = new Set(current.map(value => value.toLowerCase()));
+            return [ ...current, ...edit.values.filter(value => {
+                const key = value.toLowerCase();
+                if (known.has(key)) return false;
+
+                known.add(key);
+                return true;
+            }) ];
+        }
+        case BulkEditMode.Clear:
+            return [];
+    }
+}
+
+const isSameList = (a: string[], b: string[]) => a.length === b.length && a.every((value, index) => value === b[index]);
+
+/**
+ * Gets the changes edits make to an item, leaving out the fields that keep their value.
+ */
+export function getBulkEditChanges(item: BaseItemDto, edits: BulkEdit[]): BulkEditChange[] {
+    return edits
+        .map(edit => {
+            const before = getFieldValues(item, edit.field);
+            return { field: edit.field, before, after: getEditedValues(before, edit) };
+        })
+        .filter(change => !isSameList(change.before, change.after));
+}
+
+/**
+ * Applies edits to an item.
+ * @returns A copy of the item with the edits applied, to be saved with `updateItem`.
+ */
+export function applyBulkEdits(item: BaseItemDto, edits: BulkEdit[]): BaseItemDto {
+    const updatedItem = { ...item };
+
+    for (const { field, after } of getBulkEditChanges(item, edits)) {
+        switch (field) {
+            case BulkEditField.Studios:
+                updatedItem.Studios = after.map(name => ({ Name: name }));
+                break;
+            case BulkEditField.LockedFields:
+                updatedItem.LockedFields = after as MetadataField[];
+                break;
+            case BulkEditField.OfficialRating:
+            case BulkEditField.ForcedSortName:
+                updatedItem[field] = after[0] || '';
+                break;
+            default:
+                updatedItem[field] = after;
+        }
+    }
+
+    return updatedItem;
+}
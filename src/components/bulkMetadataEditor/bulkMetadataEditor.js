@@ -0,0 +1,259 @@
+/**
+ * Module for editing the metadata of several items at once.
+ * @module components/bulkMetadataEditor/bulkMetadataEditor
+ */
+
+import escapeHtml from 'escape-html';
+
+import dialogHelper from '../dialogHelper/dialogHelper';
+import globalize from '../../lib/globalize';
+import { ServerConnections } from 'lib/jellyfin-apiclient';
+import layoutManager from '../layoutManager';
+import loading from '../loading/loading';
+import toast from '../toast/toast';
+import { applyBulkEdits, BulkEditMode, getBulkEditChanges, parseListValues } from './bulkEdit.ts';
+
+import '../../elements/emby-button/emby-button';
+import '../../elements/emby-button/paper-icon-button-light';
+import '../../elements/emby-checkbox/emby-checkbox';
+import '../../elements/emby-input/emby-input';
+import '../../elements/emby-select/emby-select';
+import '../formdialog.scss';
+import '../listview/listview.scss';
+import './bulkMetadataEditor.scss';
+import 'material-design-icons-iconfont';
+import template from './bulkMetadataEditor.template.html';
+
+/** The translation keys of the field labels */
+const FIELD_LABELS = {
+    Genres: 'Genres',
+    Tags: 'Tags',
+    Studios: 'Studios',
+    OfficialRating: 'LabelParentalRating',
+    LockedFields: 'LabelLockedFields',
+    ForcedSortName: 'LabelSortName'
+};
+
+function populateRatings(select, ratings) {
+    const names = [...new Set(ratings.map(rating => rating.Name))];
+    select.innerHTML = names.map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join('');
+}
+
+function getFieldValues(field) {
+    const checkboxes = field.querySelectorAll('.chkBulkEditValue');
+    if (checkboxes.length) {
+        return Array.from(checkboxes).filter(chk => chk.checked).map(chk => chk.getAttribute('data-value'));
+    }
+
+    const select = field.querySelector('.selectBulkEditValue');
+    if (select) {
+        return select.value ? [select.value] : [];
+    }
+
+    const input = field.querySelector('.txtBulkEditValue');
+    return input.getAttribute('data-list') ? parseListValues(input.value) : [input.value.trim()].filter(Boolean);
+}
+
+function getEdits(context) {
+    return Array.from(context.querySelectorAll('.bulkEditField'))
+        .map(field => ({
+            field: field.getAttribute('data-field'),
+            mode: field.querySelector('.selectBulkEditMode').value,
+            values: getFieldValues(field)
+        }))
+        // An empty value is only allowed when clearing the field
+        .filter(edit => edit.mode && (edit.mode === BulkEditMode.Clear || edit.values.length));
+}
+
+function getValuesHtml(values) {
+    return values.length ? escapeHtml(values.join('; ')) : '—';
+}
+
+function getItemHtml(item, changes) {
+    let html = `<div class="listItem bulkEditItem" data-id="${item.Id}">`;
+    html += '<div class="listItemBody">';
+    html += `<div class="listItemBodyText">${escapeHtml(item.Name)}</div>`;
+
+    if (changes.length) {
+        for (const change of changes) {
+            html += '<div class="listItemBodyText secondary bulkEditChange">';
+            html += `<span class="bulkEditChangeField">${globalize.translate(FIELD_LABELS[change.field])}</span> `;
+            html += `<span class="bulkEditChangeBefore">${getValuesHtml(change.before)}</span>`;
+            html += ' → ';
+            html += `<span class="bulkEditChangeAfter">${getValuesHtml(change.after)}</span>`;
+            html += '</div>';
+        }
+    } else {
+        html += `<div class="listItemBodyText secondary">${globalize.translate('MessageBulkEditNoChanges')}</div>`;
+    }
+
+    html += '<div class="listItemBodyText secondary bulkEditStatus hide"></div>';
+    html += '</div>';
+    html += '</div>';
+    return html;
+}
+
+function setItemStatus(context, itemId, className, text) {
+    const status = context.querySelector(`.bulkEditItem[data-id="${itemId}"] .bulkEditStatus`);
+    status.classList.remove('hide', 'bulkEditStatus-saved', 'bulkEditStatus-error');
+    status.classList.add(className);
+    status.innerText = text;
+}
+
+/** The number of items loaded at the same time, so large selections do not flood the server */
+const LOAD_CONCURRENCY = 4;
+
+/**
+ * Loads the full items, as the server replaces every field of an item when it is updated.
+ * @param {Object} apiClient - Api client of the server.
+ * @param {Array<string>} itemIds - Ids of the items.
+ * @param {Function} onProgress - Called with the number of items loaded.
+ * @returns {Promise<Array<Object>>} Promise resolved with the items, in the order of the ids.
+ */
+function loadItems(apiClient, itemIds, onProgress) {
+    const userId = apiClient.getCurrentUserId();
+    const items = new Array(itemIds.length);
+    let nextIndex = 0;
+    let loaded = 0;
+
+    function loadNext() {
+        if (nextIndex >= itemIds.length) {
+            return Promise.resolve();
+        }
+
+        const index = nextIndex++;
+        return apiClient.getItem(userId, itemIds[index]).then(function (item) {
+            items[index] = item;
+            onProgress(++loaded);
+            return loadNext();
+        });
+    }
+
+    return Promise.all(Array.from({ length: Math.min(LOAD_CONCURRENCY, itemIds.length) }, loadNext)).then(() => items);
+}
+
+/**
+ * Shows the bulk metadata editor.
+ * @param {Object} options - Options of the editor.
+ * @param {Array<string>} options.itemIds - Ids of the items to edit.
+ * @param {string} options.serverId - Id of the server.
+ * @returns {Promise} Promise resolved once items are saved, or rejected if the dialog is closed without change.
+ */
+export function show(options) {
+    return new Promise(function (resolve, reject) {
+        const apiClient = ServerConnections.getApiClient(options.serverId);
+        const itemIds = options.itemIds;
+        let items = [];
+        let edits = [];
+        let saved = 0;
+
+        const dlg = dialogHelper.createDialog({
+            removeOnClose: true,
+            scrollY: false,
+            size: layoutManager.tv ? 'fullscreen' : 'small'
+        });
+
+        dlg.classList.add('formDialog', 'bulkMetadataEditorDialog');
+        dlg.innerHTML = globalize.translateHtml(template, 'core');
+
+        const form = dlg.querySelector('.bulkEditForm');
+        const preview = dlg.querySelector('.bulkEditPreview');
+        const summary = dlg.querySelector('.bulkEditSummary');
+        const btnApply = dlg.querySelector('.btnBulkEditApply');
+
+        dlg.querySelector('.bulkEditItemCount').innerText = globalize.translate('MessageBulkEditItemCount', itemIds.length);
+
+        form.addEventListener('change', function (e) {
+            const select = e.target.closest('.selectBulkEditMode');
+            if (!select) return;
+
+            const value = select.closest('.bulkEditField').querySelector('.bulkEditValue');
+            value.classList.toggle('hide', !select.value || select.value === BulkEditMode.Clear);
+        });
+
+        form.addEventListener('submit', function (e) {
+            e.preventDefault();
+
+            edits = getEdits(form);
+            form.classList.add('hide');
+            preview.classList.remove('hide');
+            dlg.querySelector('.bulkEditItems').innerHTML = '';
+            btnApply.disabled = true;
+
+            loading.show();
+            loadItems(apiClient, itemIds, function (loaded) {
+                summary.innerText = globalize.translate('MessageBulkEditLoading', loaded, itemIds.length);
+            }).then(function (result) {
+                items = result.map(item => ({ item, changes: getBulkEditChanges(item, edits) }));
+
+                const changedCount = items.filter(({ changes }) => changes.length).length;
+                summary.innerText = globalize.translate('MessageBulkEditPreview', changedCount, items.length);
+                dlg.querySelector('.bulkEditItems').innerHTML = items.map(({ item, changes }) => getItemHtml(item, changes)).join('');
+                btnApply.disabled = !changedCount;
+            }).catch(function (err) {
+                console.error('[BulkMetadataEditor] failed to load the items', err);
+                summary.innerText = globalize.translate('ErrorDefault');
+            }).finally(function () {
+                loading.hide();
+            });
+        });
+
+        dlg.querySelector('.btnBulkEditBack').addEventListener('click', function () {
+            preview.classList.add('hide');
+            form.classList.remove('hide');
+        });
+
+        btnApply.addEventListener('click', async function () {
+            const changedItems = items.filter(({ changes }) => changes.length);
+            let failed = 0;
+
+            btnApply.disabled = true;
+            dlg.querySelector('.btnBulkEditBack').disabled = true;
+
+            // Items are saved one at a time to report the progress and not flood the server
+            for (const [index, { item }] of changedItems.entries()) {
+                summary.innerText = globalize.translate('MessageBulkEditProgress', index + 1, changedItems.length);
+
+                try {
+                    await apiClient.updateItem(applyBulkEdits(item, edits));
+                    saved++;
+                    setItemStatus(dlg, item.Id, 'bulkEditStatus-saved', globalize.translate('MessageItemSaved'));
+                } catch (err) {
+                    console.error('[BulkMetadataEditor] failed to save the item', item.Id, err);
+                    failed++;
+                    setItemStatus(dlg, item.Id, 'bulkEditStatus-error', globalize.translate('ErrorDefault'));
+                }
+            }
+
+            summary.innerText = globalize.translate('MessageBulkEditResult', saved, failed);
+            toast(summary.innerText);
+
+            // Going back reloads the items, so the edits can be previewed again against the saved values
+            dlg.querySelector('.btnBulkEditBack').disabled = false;
+        });
+
+        dlg.querySelector('.btnCancel').addEventListener('click', function () {
+            dialogHelper.close(dlg);
+        });
+
+        dlg.addEventListener('close', function () {
+            if (saved) {
+                resolve();
+            } else {
+                reject();
+            }
+        });
+
+        apiClient.getParentalRatings().then(function (ratings) {
+            populateRatings(dlg.querySelector('.selectBulkEditValue'), ratings);
+        }).catch(function (err) {
+            console.error('[BulkMetadataEditor] failed to load the parental ratings', err);
+        });
+
+        dialogHelper.open(dlg);
+    });
+}
+
+export default {
+    show: show
+};
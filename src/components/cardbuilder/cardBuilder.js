@@ -1055,6 +1055,7 @@ function buildCard(index, item, apiClient, options) {
             });
         } else {
             indicatorsHtml += indicators.getPlayedIndicatorHtml(item);
+            indicatorsHtml += indicators.getPagesReadIndicatorHtml(item);
         }
 
         if (item.Type === BaseItemKind.CollectionFolder || item.CollectionType) {
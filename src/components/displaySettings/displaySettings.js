@@ -11,17 +11,24 @@ import globalize from '../../lib/globalize';
 import { ServerConnections } from 'lib/jellyfin-apiclient';
 import loading from '../loading/loading';
 import skinManager from '../../scripts/themeManager';
+import themeScheduler from '../../scripts/themeScheduler';
+import { exportCustomTheme, importCustomTheme } from '../../themes/customTheme.ts';
 import { PluginType } from '../../types/plugin.ts';
 import Events from '../../utils/events.ts';
+import { readFileAsText, saveFile, selectFile } from '../../utils/file.ts';
+import { ThemeSchedule } from '../../utils/themeSchedule.ts';
+import confirm from '../confirm/confirm';
+import themeEditor from '../themeEditor/themeEditor';
 import '../../elements/emby-select/emby-select';
 import '../../elements/emby-checkbox/emby-checkbox';
 import '../../elements/emby-button/emby-button';
 import '../../elements/emby-textarea/emby-textarea';
+import '../../elements/emby-input/emby-input';
 import toast from '../toast/toast';
 import template from './displaySettings.template.html';
 
-function fillThemes(select, selectedTheme) {
-    skinManager.getThemes().then(themes => {
+function fillThemes(select, selectedTheme, userSettings) {
+    return skinManager.getThemes(userSettings).then(themes => {
         select.innerHTML = themes.map(t => {
             return `<option value="${t.id}">${escapeHtml(t.name)}</option>`;
         }).join('');
@@ -29,8 +36,142 @@ function fillThemes(select, selectedTheme) {
         // get default theme
         const defaultTheme = themes.find(theme => theme.default);
 
-        // set the current theme
+        // set the current theme, unless it was a custom theme that has been deleted
         select.value = selectedTheme || defaultTheme.id;
+        if (!select.value) {
+            select.value = defaultTheme.id;
+        }
+    });
+}
+
+function getSelectedCustomTheme(context, userSettings) {
+    const id = context.querySelector('#selectTheme').value;
+    return userSettings.getCustomThemes().find(theme => theme.id === id);
+}
+
+function updateCustomThemeButtons(context, userSettings) {
+    const isCustomTheme = !!getSelectedCustomTheme(context, userSettings);
+
+    for (const button of context.querySelectorAll('.btnEditTheme, .btnDeleteTheme, .btnExportTheme')) {
+        button.classList.toggle('hide', !isCustomTheme);
+    }
+}
+
+function refreshThemes(context, userSettings, selectedTheme) {
+    const selectDashboardTheme = context.querySelector('#selectDashboardTheme');
+    const selectNightTheme = context.querySelector('#selectNightTheme');
+
+    return Promise.all([
+        fillThemes(context.querySelector('#selectTheme'), selectedTheme, userSettings),
+        fillThemes(selectDashboardTheme, selectDashboardTheme.value, userSettings),
+        fillThemes(selectNightTheme, selectNightTheme.value, userSettings)
+    ]).then(() => {
+        updateCustomThemeButtons(context, userSettings);
+    });
+}
+
+function saveCustomTheme(context, userSettings, theme) {
+    const themes = userSettings.getCustomThemes();
+    const index = themes.findIndex(({ id }) => id === theme.id);
+
+    if (index === -1) {
+        themes.push(theme);
+    } else {
+        themes[index] = theme;
+    }
+
+    userSettings.setCustomThemes(themes);
+    return refreshThemes(context, userSettings, theme.id);
+}
+
+function deleteCustomTheme(context, userSettings, theme) {
+    return confirm({
+        title: globalize.translate('DeleteTheme'),
+        text: globalize.translate('MessageConfirmDeleteTheme', theme.name),
+        confirmText: globalize.translate('Delete'),
+        primary: 'delete'
+    }).then(() => {
+        userSettings.setCustomThemes(userSettings.getCustomThemes().filter(({ id }) => id !== theme.id));
+
+        // Fall back to the default theme rather than a theme that no longer exists
+        if (userSettings.theme() === theme.id) {
+            userSettings.theme('');
+        }
+        if (userSettings.dashboardTheme() === theme.id) {
+            userSettings.dashboardTheme('');
+        }
+        if (userSettings.nightTheme() === theme.id) {
+            userSettings.nightTheme('');
+        }
+
+        return refreshThemes(context, userSettings, null);
+    });
+}
+
+function importTheme(context, userSettings) {
+    return selectFile('.json,application/json').then(file => {
+        // Nothing to import when the file picker is canceled
+        if (!file) return;
+
+        return readFileAsText(file).then(json => {
+            let theme;
+            try {
+                theme = importCustomTheme(json);
+            } catch (err) {
+                console.error('[DisplaySettings] failed to import the theme', err);
+                toast(globalize.translate('MessageThemeImportFailed'));
+                return;
+            }
+
+            return saveCustomTheme(context, userSettings, theme);
+        });
+    });
+}
+
+function updateThemeScheduleFields(context) {
+    const schedule = context.querySelector('#selectThemeSchedule').value;
+
+    context.querySelector('.themeScheduleFields').classList.toggle('hide', schedule === ThemeSchedule.Off);
+    context.querySelector('.themeScheduleTimeFields').classList.toggle('hide', schedule !== ThemeSchedule.Time);
+}
+
+function initCustomThemes(context, userSettings) {
+    context.querySelector('#selectTheme').addEventListener('change', () => {
+        updateCustomThemeButtons(context, userSettings);
+    });
+
+    context.querySelector('#selectThemeSchedule').addEventListener('change', () => {
+        updateThemeScheduleFields(context);
+    });
+
+    context.querySelector('.btnNewTheme').addEventListener('click', () => {
+        themeEditor.show().then(theme => saveCustomTheme(context, userSettings, theme)).catch(() => {
+            // The editor was closed without saving
+        });
+    });
+
+    context.querySelector('.btnEditTheme').addEventListener('click', () => {
+        const theme = getSelectedCustomTheme(context, userSettings);
+        themeEditor.show({ theme }).then(editedTheme => saveCustomTheme(context, userSettings, editedTheme)).catch(() => {
+            // The editor was closed without saving
+        });
+    });
+
+    context.querySelector('.btnDeleteTheme').addEventListener('click', () => {
+        deleteCustomTheme(context, userSettings, getSelectedCustomTheme(context, userSettings)).catch(() => {
+            // The deletion was cancelled
+        });
+    });
+
+    context.querySelector('.btnExportTheme').addEventListener('click', () => {
+        const theme = getSelectedCustomTheme(context, userSettings);
+        saveFile(exportCustomTheme(theme), `${theme.name.replace(/[^\w-]+/g, '_')}.theme.json`);
+    });
+
+    context.querySelector('.btnImportTheme').addEventListener('click', () => {
+        importTheme(context, userSettings).catch(err => {
+            console.error('[DisplaySettings] failed to read the theme file', err);
+        });
     });
 }
 
@@ -106,13 +247,23 @@ function loadForm(context, user, userSettings) {
         context.querySelector('.fldDateTimeLocale').classList.add('hide');
     }
 
-    fillThemes(context.querySelector('#selectTheme'), userSettings.theme());
-    fillThemes(context.querySelector('#selectDashboardTheme'), userSettings.dashboardTheme());
+    fillThemes(context.querySelector('#selectTheme'), userSettings.theme(), userSettings).then(() => {
+        updateCustomThemeButtons(context, userSettings);
+    });
+    fillThemes(context.querySelector('#selectDashboardTheme'), userSettings.dashboardTheme(), userSettings);
+    fillThemes(context.querySelector('#selectNightTheme'), userSettings.nightTheme(), userSettings);
+
+    context.querySelector('#selectThemeSchedule').value = userSettings.themeSchedule();
+    context.querySelector('#txtNightThemeStart').value = userSettings.nightThemeStart();
+    context.querySelector('#txtDayThemeStart').value = userSettings.dayThemeStart();
+    updateThemeScheduleFields(context);
 
     loadScreensavers(context, userSettings);
 
     context.querySelector('#txtBackdropScreensaverInterval').value = userSettings.backdropScreensaverInterval();
     context.querySelector('#txtScreensaverTime').value = userSettings.screensaverTime();
+    context.querySelector('#selectSlideshowTransition').value = userSettings.slideshowTransition();
+    context.querySelector('#txtSlideshowInterval').value = userSettings.slideshowInterval();
 
     context.querySelector('.chkDisplayMissingEpisodes').checked = user.Configuration.DisplayMissingEpisodes || false;
 
@@ -155,9 +306,15 @@ function saveUser(context, user, userSettingsInstance, apiClient) {
     userSettingsInstance.enableThemeVideos(context.querySelector('#chkThemeVideo').checked);
     userSettingsInstance.theme(context.querySelector('#selectTheme').value);
     userSettingsInstance.dashboardTheme(context.querySelector('#selectDashboardTheme').value);
+    userSettingsInstance.themeSchedule(context.querySelector('#selectThemeSchedule').value);
+    userSettingsInstance.nightTheme(context.querySelector('#selectNightTheme').value);
+    userSettingsInstance.nightThemeStart(context.querySelector('#txtNightThemeStart').value);
+    userSettingsInstance.dayThemeStart(context.querySelector('#txtDayThemeStart').value);
     userSettingsInstance.screensaver(context.querySelector('.selectScreensaver').value);
     userSettingsInstance.backdropScreensaverInterval(context.querySelector('#txtBackdropScreensaverInterval').value);
     userSettingsInstance.screensaverTime(context.querySelector('#txtScreensaverTime').value);
+    userSettingsInstance.slideshowTransition(context.querySelector('#selectSlideshowTransition').value);
+    userSettingsInstance.slideshowInterval(context.querySelector('#txtSlideshowInterval').value);
 
     userSettingsInstance.libraryPageSize(context.querySelector('#txtLibraryPageSize').value);
 
@@ -174,7 +331,7 @@ function saveUser(context, user, userSettingsInstance, apiClient) {
     userSettingsInstance.customCss(context.querySelector('#txtLocalCustomCss').value);
 
     if (user.Id === apiClient.getCurrentUserId()) {
-        skinManager.setTheme(userSettingsInstance.theme());
+        skinManager.setTheme(themeScheduler.getTheme());
     }
 
     layoutManager.setLayout(context.querySelector('.selectLayout').value);
@@ -218,6 +375,7 @@ function onSubmit(e) {
 function embed(options, self) {
     options.element.innerHTML = globalize.translateHtml(template, 'core');
     options.element.querySelector('form').addEventListener('submit', onSubmit.bind(self));
+    initCustomThemes(options.element, options.userSettings);
     if (options.enableSaveButton) {
         options.element.querySelector('.btnSave').classList.remove('hide');
     }
@@ -0,0 +1,181 @@
+import escapeHtml from 'escape-html';
+
+import dialogHelper from '../dialogHelper/dialogHelper';
+import layoutManager from '../layoutManager';
+import globalize from '../../lib/globalize';
+import { MIN_QUERY_LENGTH } from '../../utils/textSearch.ts';
+
+import 'material-design-icons-iconfont';
+import '../../elements/emby-button/paper-icon-button-light';
+import '../../elements/emby-input/emby-input';
+import '../formdialog.scss';
+import './documentSearch.scss';
+import template from './documentSearch.template.html';
+
+/** Searching stops after this many results, to keep very common words from freezing the player */
+const MAX_RESULTS = 500;
+
+/** How long to wait after the last key press before searching, in milliseconds */
+const SEARCH_DELAY = 400;
+
+function getResultHtml(result, index) {
+    const { before, match, after } = result.excerpt;
+
+    let html = `<button type="button" class="documentSearchResult" data-index="${index}">`;
+    html += `<span class="documentSearchResultLocation">${escapeHtml(result.location)}</span>`;
+    html += `${escapeHtml(before)}<span class="documentSearchResultMatch">${escapeHtml(match)}</span>${escapeHtml(after)}`;
+    html += '</button>';
+    return html;
+}
+
+/**
+ * Dialog that searches the text of a document and lists every hit with its context.
+ */
+export default class DocumentSearch {
+    /**
+     * @param {Object} options The options.
+     * @param {Function} options.search Searches the document for a query. It is called with the query,
+     * a callback that receives each batch of results, and a token whose `cancelled` flag is set when the search is outdated.
+     * Each result has a `location` label and an `excerpt` as returned by `findMatches`.
+     * @param {Function} options.onSelect Called with the selected result, after the dialog is closed.
+     */
+    constructor({ search, onSelect }) {
+        this.search = search;
+        this.onSelect = onSelect;
+        this.query = '';
+        this.results = [];
+        this.isComplete = true;
+        this.searchToken = null;
+    }
+
+    show() {
+        const dlg = dialogHelper.createDialog({
+            removeOnClose: true,
+            scrollY: false,
+            size: layoutManager.tv ? 'fullscreen' : 'small'
+        });
+
+        dlg.classList.add('formDialog', 'documentSearchDialog');
+        dlg.innerHTML = globalize.translateHtml(template, 'core');
+
+        const input = dlg.querySelector('.documentSearchInput');
+        input.value = this.query;
+
+        dlg.querySelector('.btnCancel').addEventListener('click', () => {
+            dialogHelper.close(dlg);
+        });
+
+        dlg.querySelector('.documentSearchForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            clearTimeout(this.searchTimeout);
+            this.startSearch(input.value);
+        });
+
+        input.addEventListener('input', () => {
+            clearTimeout(this.searchTimeout);
+            this.searchTimeout = setTimeout(() => this.startSearch(input.value), SEARCH_DELAY);
+        });
+
+        input.addEventListener('keydown', (e) => {
+            // Keep the player shortcuts from turning pages while typing
+            if (e.key !== 'Escape') {
+                e.stopPropagation();
+            }
+        });
+
+        dlg.querySelector('.documentSearchResults').addEventListener('click', (e) => {
+            const resultElement = e.target.closest('.documentSearchResult');
+            if (!resultElement) return;
+
+            const result = this.results[parseInt(resultElement.getAttribute('data-index'), 10)];
+            dialogHelper.close(dlg);
+            this.onSelect(result);
+        });
+
+        this.dlg = dlg;
+        this.render();
+
+        if (!layoutManager.tv) {
+            setTimeout(() => input.focus(), 0);
+        }
+
+        return dialogHelper.open(dlg).finally(() => {
+            clearTimeout(this.searchTimeout);
+            this.dlg = null;
+        });
+    }
+
+    /**
+     * Whether the dialog is shown.
+     * @returns {boolean} _true_ if the dialog is shown, _false_ otherwise.
+     */
+    isOpened() {
+        return !!this.dlg;
+    }
+
+    /**
+     * Cancels a running search.
+     */
+    cancel() {
+        if (this.searchToken) {
+            this.searchToken.cancelled = true;
+            this.searchToken = null;
+        }
+    }
+
+    startSearch(query) {
+        query = query.trim();
+        if (query === this.query && this.results.length) return;
+
+        this.cancel();
+        this.query = query;
+        this.results = [];
+
+        if (query.length < MIN_QUERY_LENGTH) {
+            this.isComplete = true;
+            this.render();
+            return;
+        }
+
+        const token = { cancelled: false };
+        this.searchToken = token;
+        this.isComplete = false;
+        this.render();
+
+        this.search(query, (results) => {
+            if (token.cancelled) return;
+
+            this.results.push(...results.slice(0, MAX_RESULTS - this.results.length));
+            if (this.results.length >= MAX_RESULTS) {
+                token.cancelled = true;
+            }
+
+            this.render();
+        }, token).catch((err) => {
+            console.error('[DocumentSearch] search failed', err);
+        }).finally(() => {
+            if (this.searchToken === token) {
+                this.searchToken = null;
+                this.isComplete = true;
+                this.render();
+            }
+        });
+    }
+
+    render() {
+        const dlg = this.dlg;
+        if (!dlg) return;
+
+        let status = '';
+        if (!this.isComplete) {
+            status = globalize.translate('Searching');
+        } else if (this.query.length >= MIN_QUERY_LENGTH) {
+            status = this.results.length ?
+                globalize.translate('SearchResultCount', this.results.length) :
+                globalize.translate('NoSearchResultsFound');
+        }
+
+        dlg.querySelector('.documentSearchStatus').innerText = status;
+        dlg.querySelector('.documentSearchResults').innerHTML = this.results.map(getResultHtml).join('');
+    }
+}
@@ -15,6 +15,15 @@ import imageLoader from '../images/imageLoader';
 import layoutManager from '../layoutManager';
 import itemShortcuts from '../shortcuts';
 import dom from '../../utils/dom';
+import { getProgressHtml } from '../indicators/indicators';
+import {
+    getNowAndNext,
+    getProgramAccent,
+    isCategoryFilterActive,
+    isCategoryVisible,
+    isProgramVisible,
+    toggleCategory
+} from './guidePrograms.ts';
 import './guide.scss';
 import './programs.scss';
 import 'material-design-icons-iconfont';
@@ -36,6 +45,42 @@ function showViewSettings(instance) {
     });
 }
 
+/** The window width below which the now and next list is shown, unless the user picked a view */
+const LIST_VIEW_MAX_WIDTH = 600;
+
+function isListView() {
+    // The view is saved on this device, as the one that fits depends on the screen size
+    const view = userSettings.get('guide-view', false);
+    if (view) {
+        return view === 'list';
+    }
+
+    return !layoutManager.tv && dom.getWindowSize().innerWidth < LIST_VIEW_MAX_WIDTH;
+}
+
+function updateViewMode(context, listView) {
+    context.classList.toggle('tvguide-list', listView);
+
+    const btnViewMode = context.querySelector('.btnGuideViewMode');
+    btnViewMode.title = globalize.translate(listView ? 'GridView' : 'ListView');
+
+    const icon = btnViewMode.querySelector('.btnGuideViewModeIcon');
+    icon.classList.toggle('view_list', !listView);
+    icon.classList.toggle('grid_view', listView);
+}
+
+function updateCategoryFilters(context, categories) {
+    const isFiltered = isCategoryFilterActive(categories);
+
+    for (const button of context.querySelectorAll('.guideCategoryFilter')) {
+        const category = button.getAttribute('data-category');
+        const isActive = category ? isFiltered && isCategoryVisible(categories, category) : !isFiltered;
+
+        button.classList.toggle('guideCategoryFilter-active', isActive);
+        button.setAttribute('aria-pressed', isActive);
+    }
+}
+
 function updateProgramCellOnScroll(cell, scrollPct) {
     let left = cell.posLeft;
     if (!left) {
@@ -144,6 +189,15 @@ function Guide(options) {
     let autoRefreshInterval;
     let programCells;
     let lastFocusDirection;
+    let guideEndDate;
+    let renderedDate;
+    let pendingFocusProgram;
+    // Set to show a program picked in the search in the grid, without changing the saved view
+    let isGridViewForced = false;
+
+    function isListViewShown() {
+        return !isGridViewForced && isListView();
+    }
 
     self.refresh = function () {
         currentDate = null;
@@ -444,12 +498,8 @@ function Guide(options) {
         const clickAction = layoutManager.tv ? 'link' : 'programdialog';
 
         const categories = self.categoryOptions.categories || [];
-        const displayMovieContent = !categories.length || categories.indexOf('movies') !== -1;
-        const displaySportsContent = !categories.length || categories.indexOf('sports') !== -1;
-        const displayNewsContent = !categories.length || categories.indexOf('news') !== -1;
-        const displayKidsContent = !categories.length || categories.indexOf('kids') !== -1;
-        const displaySeriesContent = !categories.length || categories.indexOf('series') !== -1;
-        const enableColorCodedBackgrounds = userSettings.get('guide-colorcodedbackgrounds') === 'true';
+        // programs are always color coded while filtering, to tell the categories apart
+        const enableColorCodedBackgrounds = isCategoryFilterActive(categories) || userSettings.get('guide-colorcodedbackgrounds') === 'true';
 
         let programsFound;
         const now = new Date().getTime();
@@ -493,26 +543,8 @@ function Guide(options) {
             endPercent *= 100;
 
             let cssClass = 'programCell itemAction';
-            let accentCssClass = null;
-            let displayInnerContent = true;
-
-            if (program.IsKids) {
-                displayInnerContent = displayKidsContent;
-                accentCssClass = 'kids';
-            } else if (program.IsSports) {
-                displayInnerContent = displaySportsContent;
-                accentCssClass = 'sports';
-            } else if (program.IsNews) {
-                displayInnerContent = displayNewsContent;
-                accentCssClass = 'news';
-            } else if (program.IsMovie) {
-                displayInnerContent = displayMovieContent;
-                accentCssClass = 'movie';
-            } else if (program.IsSeries) {
-                displayInnerContent = displaySeriesContent;
-            } else {
-                displayInnerContent = displayMovieContent && displayNewsContent && displaySportsContent && displayKidsContent && displaySeriesContent;
-            }
+            const accentCssClass = getProgramAccent(program);
+            const displayInnerContent = isProgramVisible(program, categories);
 
             if (displayInnerContent && enableColorCodedBackgrounds && accentCssClass) {
                 cssClass += ' programCell-' + accentCssClass;
@@ -653,6 +685,77 @@ function Guide(options) {
         updateProgramCellsOnScroll(programGrid, programCells);
     }
 
+    function getNowAndNextProgramHtml(program, label, now) {
+        if (!program) {
+            return '<div class="guideNowNextProgram guideNowNextProgram-empty"></div>';
+        }
+
+        parseDates(program);
+        items[program.Id] = program;
+
+        const startMs = program.StartDateLocal.getTime();
+        const endMs = program.EndDateLocal.getTime();
+        const accentCssClass = getProgramAccent(program);
+
+        let html = '<button type="button" class="guideNowNextProgram itemAction" data-action="programdialog" data-channelid="' + program.ChannelId + '" data-id="' + program.Id + '" data-serverid="' + program.ServerId + '" data-type="' + program.Type + '">';
+
+        html += '<div class="guideNowNextTime">' + label + ' · ' + getDisplayTime(program.StartDateLocal) + ' - ' + getDisplayTime(program.EndDateLocal) + '</div>';
+
+        html += '<div class="guideNowNextName">';
+        if (accentCssClass) {
+            html += '<span class="guideCategorySwatch programCell-' + accentCssClass + '" aria-hidden="true"></span>';
+        }
+        html += escapeHtml(program.Name);
+        html += getTimerIndicator(program);
+        html += '</div>';
+
+        if (startMs <= now && now < endMs) {
+            html += getProgressHtml(((now - startMs) / (endMs - startMs)) * 100);
+        }
+
+        html += '</button>';
+
+        return html;
+    }
+
+    function renderNowAndNext(context, channels, programs, apiClient) {
+        const categories = self.categoryOptions.categories || [];
+        const now = new Date().getTime();
+        const nowAndNext = getNowAndNext(programs.filter(program => isProgramVisible(program, categories)), now);
+
+        let html = '';
+
+        for (const channel of channels) {
+            const { current, next } = nowAndNext[channel.Id] || {};
+
+            html += '<div class="guideNowNextRow">';
+
+            html += '<button type="button" class="guideNowNextChannel itemAction" data-action="link" data-isfolder="' + channel.IsFolder + '" data-id="' + channel.Id + '" data-serverid="' + channel.ServerId + '" data-type="' + channel.Type + '">';
+
+            if (channel.ImageTags.Primary) {
+                const url = apiClient.getScaledImageUrl(channel.Id, {
+                    maxHeight: 220,
+                    tag: channel.ImageTags.Primary,
+                    type: 'Primary'
+                });
+
+                html += '<div class="guideNowNextChannelImage lazy" data-src="' + url + '"></div>';
+            }
+
+            html += '<div class="guideNowNextChannelName">' + escapeHtml([channel.ChannelNumber, channel.Name].filter(Boolean).join(' ')) + '</div>';
+            html += '</button>';
+
+            html += getNowAndNextProgramHtml(current, globalize.translate('HeaderOnNow'), now);
+            html += getNowAndNextProgramHtml(next, globalize.translate('Next'), now);
+
+            html += '</div>';
+        }
+
+        const list = context.querySelector('.guideNowNextList');
+        list.innerHTML = html;
+        imageLoader.lazyChildren(list);
+    }
+
     function getProgramSortOrder(program, channels) {
         const channelId = program.ChannelId;
         let channelIndex = -1;
@@ -674,6 +777,17 @@ function Guide(options) {
             return getProgramSortOrder(a, channels) - getProgramSortOrder(b, channels);
         });
 
+        const listView = isListViewShown();
+        updateViewMode(context, listView);
+        updateCategoryFilters(context, self.categoryOptions.categories || []);
+
+        if (listView) {
+            items = {};
+            renderedDate = null;
+            renderNowAndNext(context, channels, programs, apiClient);
+            return;
+        }
+
         const activeElement = document.activeElement;
         const itemId = activeElement?.getAttribute ? activeElement.getAttribute('data-id') : null;
         let channelRowId = null;
@@ -690,6 +804,11 @@ function Guide(options) {
         context.querySelector('.timeslotHeaders').innerHTML = getTimeslotHeadersHtml(startDate, endDate);
         items = {};
         renderPrograms(context, date, channels, programs, renderOptions);
+        renderedDate = date;
+
+        if (showPendingProgram(context)) {
+            return;
+        }
 
         if (guideOptions.focusProgramOnRender) {
             focusProgram(context, itemId, channelRowId, guideOptions.focusToTimeMs, guideOptions.startTimeOfDayMs);
@@ -698,6 +817,90 @@ function Guide(options) {
         scrollProgramGridToTimeMs(context, guideOptions.scrollToTimeMs, guideOptions.startTimeOfDayMs);
     }
 
+    function getDateTabIndex(context, date) {
+        const tabButtons = context.querySelectorAll('.guide-date-tab-button');
+        let index = 0;
+
+        tabButtons.forEach(function (tabButton, i) {
+            if (parseInt(tabButton.getAttribute('data-date'), 10) <= date.getTime()) {
+                index = i;
+            }
+        });
+
+        return index;
+    }
+
+    /**
+     * Focuses the program picked in the guide search, switching to its date first when it is not in the grid.
+     * @returns {boolean} Whether the pending program was focused or its date is loading.
+     */
+    function showPendingProgram(context) {
+        const program = pendingFocusProgram;
+        if (!program || !renderedDate) {
+            return false;
+        }
+
+        const renderedProgram = items[program.Id];
+        if (renderedProgram) {
+            pendingFocusProgram = null;
+            focusProgram(context, program.Id);
+            scrollProgramGridToTimeMs(context, renderedProgram.StartDateLocal.getTime() - renderedDate.getTime(), 0);
+            return true;
+        }
+
+        const dateTabs = context.querySelector('.guideDateTabs');
+        const tabIndex = getDateTabIndex(context, datetime.parseISO8601Date(program.StartDate, { toLocal: true }));
+        if (tabIndex !== dateTabs.selectedIndex()) {
+            dateTabs.selectedIndex(tabIndex);
+            return true;
+        }
+
+        // the program is not on the listed channels
+        pendingFocusProgram = null;
+        return false;
+    }
+
+    function showProgram(context, program) {
+        pendingFocusProgram = program;
+
+        if (isListViewShown()) {
+            isGridViewForced = true;
+            self.refresh();
+        } else {
+            showPendingProgram(context);
+        }
+    }
+
+    function showSearch(context) {
+        import('./guideSearch').then(({ default: guideSearch }) => {
+            guideSearch.show({
+                serverId: options.serverId,
+                maxStartDate: guideEndDate
+            }).then(function (program) {
+                showProgram(context, program);
+            }).catch(function () {
+                // The search was closed without picking a program
+            });
+        }).catch(function (err) {
+            console.error('[Guide] failed to load the search', err);
+        });
+    }
+
+    /**
+     * Reloads the shown date, keeping the scroll position of the grid.
+     */
+    function reloadCurrentDate(context) {
+        if (!currentDate) {
+            self.refresh();
+            return;
+        }
+
+        const scrollWidth = programGrid.scrollWidth;
+        const scrollToTimeMs = scrollWidth ? (programGrid.scrollLeft / scrollWidth) * msPerDay : 0;
+
+        changeDate(context, currentDate, scrollToTimeMs, scrollToTimeMs, 0, false);
+    }
+
     function scrollProgramGridToTimeMs(context, scrollToTimeMs, startTimeOfDayMs) {
         scrollToTimeMs -= startTimeOfDayMs;
 
@@ -876,6 +1079,7 @@ function Guide(options) {
         const apiClient = ServerConnections.getApiClient(options.serverId);
 
         apiClient.getLiveTvGuideInfo().then(function (guideInfo) {
+            guideEndDate = datetime.parseISO8601Date(guideInfo.EndDate, { toLocal: true }).getTime();
             setDateRange(page, guideInfo);
         });
     }
@@ -1144,6 +1348,26 @@ function Guide(options) {
         restartAutoRefresh();
     });
 
+    guideContext.querySelector('.guideCategoryFilters').addEventListener('click', function (e) {
+        const button = dom.parentWithClass(e.target, 'guideCategoryFilter');
+        if (button) {
+            const category = button.getAttribute('data-category');
+
+            self.categoryOptions.categories = category ? toggleCategory(self.categoryOptions.categories || [], category) : [];
+            reloadCurrentDate(guideContext);
+        }
+    });
+
+    guideContext.querySelector('.btnGuideSearch').addEventListener('click', function () {
+        showSearch(guideContext);
+    });
+
+    guideContext.querySelector('.btnGuideViewMode').addEventListener('click', function () {
+        userSettings.set('guide-view', isListViewShown() ? 'grid' : 'list', false);
+        isGridViewForced = false;
+        self.refresh();
+    });
+
     guideContext.querySelector('.guideDateTabs').addEventListener('tabchange', function (e) {
         const allTabButtons = e.target.querySelectorAll('.guide-date-tab-button');
 
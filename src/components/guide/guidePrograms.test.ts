@@ -0,0 +1,112 @@
+import { describe, expect, it } from 'vitest';
+
+import {
+    getNowAndNext,
+    getProgramAccent,
+    getProgramCategory,
+    getUpcomingPrograms,
+    isCategoryFilterActive,
+    isProgramVisible,
+    toggleCategory
+} from './guidePrograms';
+
+describe('getProgramCategory', () => {
+    it('should prefer the first matching category', () => {
+        expect(getProgramCategory({ IsKids: true, IsMovie: true })).toBe('kids');
+        expect(getProgramCategory({ IsMovie: true, IsSeries: true })).toBe('movies');
+        expect(getProgramCategory({ IsSeries: true })).toBe('series');
+        expect(getProgramCategory({})).toBeUndefined();
+    });
+});
+
+describe('getProgramAccent', () => {
+    it('should get the accent of the category', () => {
+        expect(getProgramAccent({ IsMovie: true })).toBe('movie');
+        expect(getProgramAccent({ IsSports: true })).toBe('sports');
+        expect(getProgramAccent({ IsSeries: true })).toBeUndefined();
+    });
+});
+
+describe('isCategoryFilterActive', () => {
+    it('should check if a category is hidden', () => {
+        expect(isCategoryFilterActive([])).toBe(false);
+        expect(isCategoryFilterActive([ 'movies', 'sports', 'kids', 'news', 'series', 'all' ])).toBe(false);
+        expect(isCategoryFilterActive([ 'movies', 'all' ])).toBe(true);
+    });
+});
+
+describe('isProgramVisible', () => {
+    it('should show everything without filter', () => {
+        expect(isProgramVisible({ IsNews: true }, [])).toBe(true);
+        expect(isProgramVisible({}, [])).toBe(true);
+    });
+
+    it('should only show the filtered categories', () => {
+        const categories = [ 'sports', 'all' ];
+
+        expect(isProgramVisible({ IsSports: true }, categories)).toBe(true);
+        expect(isProgramVisible({ IsNews: true }, categories)).toBe(false);
+        expect(isProgramVisible({}, categories)).toBe(false);
+    });
+});
+
+describe('toggleCategory', () => {
+    it('should filter on a single category', () => {
+        expect(toggleCategory([], 'news')).toEqual([ 'news', 'all' ]);
+    });
+
+    it('should add and remove categories', () => {
+        expect(toggleCategory([ 'news', 'all' ], 'kids')).toEqual([ 'news', 'kids', 'all' ]);
+        expect(toggleCategory([ 'news', 'kids', 'all' ], 'news')).toEqual([ 'kids', 'all' ]);
+    });
+
+    it('should clear the filter when nothing or everything is selected', () => {
+        expect(toggleCategory([ 'news', 'all' ], 'news')).toEqual([]);
+        expect(toggleCategory([ 'movies', 'sports', 'kids', 'all' ], 'news')).toEqual([]);
+    });
+});
+
+describe('getNowAndNext', () => {
+    const now = Date.parse('2024-05-01T12:15:00Z');
+    const program = (id: string, channelId: string, start: string, end: string) => ({
+        Id: id,
+        ChannelId: channelId,
+        StartDate: `2024-05-01T${start}:00Z`,
+        EndDate: `2024-05-01T${end}:00Z`
+    });
+
+    it('should get the current and next program of each channel', () => {
+        const result = getNowAndNext([
+            program('a1', 'a', '11:00', '12:00'),
+            program('a2', 'a', '12:00', '13:00'),
+            program('a3', 'a', '13:00', '14:00'),
+            program('a4', 'a', '14:00', '15:00'),
+            program('b1', 'b', '12:30', '13:00')
+        ], now);
+
+        expect(result.a.current?.Id).toBe('a2');
+        expect(result.a.next?.Id).toBe('a3');
+        expect(result.b.current).toBeUndefined();
+        expect(result.b.next?.Id).toBe('b1');
+    });
+});
+
+describe('getUpcomingPrograms', () => {
+    const now = Date.parse('2024-05-01T12:00:00Z');
+    const program = (id: string, start: string, end: string) => ({
+        Id: id,
+        StartDate: `2024-05-${start}:00Z`,
+        EndDate: `2024-05-${end}:00Z`
+    });
+
+    it('should skip the programs that ended or start after the guide', () => {
+        const result = getUpcomingPrograms([
+            program('later', '03T10:00', '03T11:00'),
+            program('ended', '01T10:00', '01T11:00'),
+            program('airing', '01T11:30', '01T12:30'),
+            program('tomorrow', '02T10:00', '02T11:00')
+        ], Date.parse('2024-05-02T23:59:00Z'), now);
+
+        expect(result.map(p => p.Id)).toEqual([ 'airing', 'tomorrow' ]);
+    });
+});
@@ -0,0 +1,120 @@
+import type { BaseItemDto } from '@jellyfin/sdk/lib/generated-client/models/base-item-dto';
+
+/** The categories programs can be filtered by */
+export const GUIDE_CATEGORIES = [ 'movies', 'sports', 'kids', 'news' ] as const;
+
+export type GuideCategory = typeof GUIDE_CATEGORIES[number] | 'series';
+
+/** The CSS class suffix used to color code the programs of each category */
+const CATEGORY_ACCENTS: Partial<Record<GuideCategory, string>> = {
+    kids: 'kids',
+    sports: 'sports',
+    news: 'news',
+    movies: 'movie'
+};
+
+export interface NowAndNext {
+    current?: BaseItemDto
+    next?: BaseItemDto
+}
+
+/**
+ * Gets the category of a program. A program flagged with several categories belongs to the first one in order of
+ * kids, sports, news, movies and series.
+ */
+export function getProgramCategory(program: BaseItemDto): GuideCategory | undefined {
+    if (program.IsKids) return 'kids';
+    if (program.IsSports) return 'sports';
+    if (program.IsNews) return 'news';
+    if (program.IsMovie) return 'movies';
+    if (program.IsSeries) return 'series';
+}
+
+/** Gets the accent used to color code a program, if its category has one. */
+export function getProgramAccent(program: BaseItemDto) {
+    const category = getProgramCategory(program);
+    return category && CATEGORY_ACCENTS[category];
+}
+
+/** Checks if a category is shown by a category filter. An empty filter shows everything. */
+export function isCategoryVisible(categories: string[], category: GuideCategory) {
+    return !categories.length || categories.includes(category);
+}
+
+/** Checks if a category filter hides any category. */
+export function isCategoryFilterActive(categories: string[]) {
+    return GUIDE_CATEGORIES.some(category => !isCategoryVisible(categories, category));
+}
+
+/** Checks if a program is shown by a category filter. Programs without category are only shown when nothing is filtered out. */
+export function isProgramVisible(program: BaseItemDto, categories: string[]) {
+    const category = getProgramCategory(program);
+
+    if (category) {
+        return isCategoryVisible(categories, category);
+    }
+
+    return !isCategoryFilterActive(categories) && isCategoryVisible(categories, 'series');
+}
+
+/**
+ * Toggles a category of a category filter. Filtering on every category, or on none, clears the filter.
+ * @returns The new category filter.
+ */
+export function toggleCategory(categories: string[], category: GuideCategory) {
+    let selected: string[] = GUIDE_CATEGORIES.filter(c => categories.length && categories.includes(c));
+
+    if (selected.includes(category)) {
+        selected = selected.filter(c => c !== category);
+    } else {
+        selected.push(category);
+    }
+
+    if (!selected.length || selected.length === GUIDE_CATEGORIES.length) {
+        return [];
+    }
+
+    // differentiate between none and all, like the guide settings
+    return [ ...selected, 'all' ];
+}
+
+const getTime = (date?: string | null) => (date ? new Date(date).getTime() : NaN);
+
+/**
+ * Gets the program airing now and the one airing next on each channel.
+ * @param programs The programs of the channels, sorted by start date.
+ * @param now The current time in ms.
+ * @returns The programs by channel id.
+ */
+export function getNowAndNext(programs: BaseItemDto[], now = Date.now()) {
+    const result: Record<string, NowAndNext> = {};
+
+    for (const program of programs) {
+        if (!program.ChannelId) continue;
+
+        const start = getTime(program.StartDate);
+        const end = getTime(program.EndDate);
+        const channel = result[program.ChannelId] || {};
+        result[program.ChannelId] = channel;
+
+        if (start <= now && now < end) {
+            channel.current = program;
+        } else if (start >= now && !channel.next) {
+            channel.next = program;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Gets the programs that have not ended yet and start before a date, sorted by start date.
+ * @param programs The programs.
+ * @param maxStartDate The latest start date in ms, usually the end of the guide data.
+ * @param now The current time in ms.
+ */
+export function getUpcomingPrograms(programs: BaseItemDto[], maxStartDate = Infinity, now = Date.now()) {
+    return programs
+        .filter(program => getTime(program.EndDate) > now && getTime(program.StartDate) <= maxStartDate)
+        .sort((a, b) => getTime(a.StartDate) - getTime(b.StartDate));
+}
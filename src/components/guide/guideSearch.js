@@ -0,0 +1,179 @@
+/**
+ * Module for searching the upcoming programs of the guide.
+ * @module components/guide/guideSearch
+ */
+
+import escapeHtml from 'escape-html';
+
+import dialogHelper from '../dialogHelper/dialogHelper';
+import layoutManager from '../layoutManager';
+import globalize from '../../lib/globalize';
+import { ServerConnections } from 'lib/jellyfin-apiclient';
+import datetime from '../../scripts/datetime';
+import { MIN_QUERY_LENGTH } from '../../utils/textSearch.ts';
+import { getUpcomingPrograms } from './guidePrograms.ts';
+
+import 'material-design-icons-iconfont';
+import '../../elements/emby-button/paper-icon-button-light';
+import '../../elements/emby-input/emby-input';
+import '../formdialog.scss';
+import './guideSearch.scss';
+import template from './guideSearch.template.html';
+
+/** How long to wait after the last key press before searching, in milliseconds */
+const SEARCH_DELAY = 400;
+
+/** The number of programs requested from the server */
+const SEARCH_LIMIT = 100;
+
+function getResultHtml(program, index) {
+    const startDate = datetime.parseISO8601Date(program.StartDate, { toLocal: true });
+    const info = [
+        datetime.toLocaleDateString(startDate, { weekday: 'short', month: 'short', day: 'numeric' }),
+        datetime.getDisplayTime(startDate),
+        program.ChannelName
+    ].filter(Boolean).join(' · ');
+
+    let html = `<button type="button" class="guideSearchResult" data-index="${index}">`;
+    html += `<span class="guideSearchResultName">${escapeHtml(program.Name)}</span>`;
+    if (program.EpisodeTitle) {
+        html += ` - ${escapeHtml(program.EpisodeTitle)}`;
+    }
+    html += `<span class="guideSearchResultInfo">${escapeHtml(info)}</span>`;
+    html += '</button>';
+    return html;
+}
+
+function searchPrograms(apiClient, query, maxStartDate) {
+    const programQuery = {
+        SearchTerm: query,
+        IncludeItemTypes: 'LiveTvProgram',
+        Recursive: true,
+        SortBy: 'StartDate',
+        Limit: SEARCH_LIMIT,
+        Fields: 'ChannelInfo',
+        EnableImages: false,
+        EnableUserData: false,
+        EnableTotalRecordCount: false,
+        // Leave out the programs that already aired, so they do not take up the limit
+        MinEndDate: new Date().toISOString()
+    };
+
+    if (maxStartDate) {
+        programQuery.MaxStartDate = new Date(maxStartDate).toISOString();
+    }
+
+    // The dates are checked again, as the programs may end while the search is running
+    return apiClient.getItems(apiClient.getCurrentUserId(), programQuery)
+        .then(result => getUpcomingPrograms(result.Items, maxStartDate));
+}
+
+function render(dlg, state) {
+    let status = '';
+    if (state.isSearching) {
+        status = globalize.translate('Searching');
+    } else if (state.query.length >= MIN_QUERY_LENGTH) {
+        status = state.results.length ?
+            globalize.translate('SearchResultCount', state.results.length) :
+            globalize.translate('NoSearchResultsFound');
+    }
+
+    dlg.querySelector('.guideSearchStatus').innerText = status;
+    dlg.querySelector('.guideSearchResults').innerHTML = state.results.map(getResultHtml).join('');
+}
+
+/**
+ * Shows the guide search.
+ * @param {Object} options - Options of the search.
+ * @param {string} options.serverId - Id of the server providing the guide.
+ * @param {number} [options.maxStartDate] - Latest start date of the listed programs in ms, usually the end of the guide data.
+ * @returns {Promise<Object>} Promise resolved with the selected program, or rejected if the dialog is closed without selection.
+ */
+export function show(options) {
+    return new Promise((resolve, reject) => {
+        const apiClient = ServerConnections.getApiClient(options.serverId);
+        const state = { query: '', results: [], isSearching: false };
+        let searchTimeout;
+
+        const dlg = dialogHelper.createDialog({
+            removeOnClose: true,
+            scrollY: false,
+            size: layoutManager.tv ? 'fullscreen' : 'small'
+        });
+
+        dlg.classList.add('formDialog', 'guideSearchDialog');
+        dlg.innerHTML = globalize.translateHtml(template, 'core');
+
+        const input = dlg.querySelector('.guideSearchInput');
+
+        const startSearch = () => {
+            const query = input.value.trim();
+            if (query === state.query) return;
+
+            state.query = query;
+            state.results = [];
+            state.isSearching = query.length >= MIN_QUERY_LENGTH;
+            render(dlg, state);
+
+            if (!state.isSearching) return;
+
+            searchPrograms(apiClient, query, options.maxStartDate).then(results => {
+                // Ignore the results of outdated queries
+                if (query !== state.query) return;
+
+                state.results = results;
+            }).catch(err => {
+                console.error('[GuideSearch] search failed', err);
+            }).finally(() => {
+                if (query === state.query) {
+                    state.isSearching = false;
+                    render(dlg, state);
+                }
+            });
+        };
+
+        dlg.querySelector('.btnCancel').addEventListener('click', () => {
+            dialogHelper.close(dlg);
+        });
+
+        dlg.querySelector('.guideSearchForm').addEventListener('submit', e => {
+            e.preventDefault();
+            clearTimeout(searchTimeout);
+            startSearch();
+        });
+
+        input.addEventListener('input', () => {
+            clearTimeout(searchTimeout);
+            searchTimeout = setTimeout(startSearch, SEARCH_DELAY);
+        });
+
+        dlg.querySelector('.guideSearchResults').addEventListener('click', e => {
+            const resultElement = e.target.closest('.guideSearchResult');
+            if (!resultElement) return;
+
+            dlg.program = state.results[parseInt(resultElement.getAttribute('data-index'), 10)];
+            dialogHelper.close(dlg);
+        });
+
+        dlg.addEventListener('close', () => {
+            clearTimeout(searchTimeout);
+
+            if (dlg.program) {
+                resolve(dlg.program);
+            } else {
+                reject();
+            }
+        });
+
+        render(dlg, state);
+        dialogHelper.open(dlg);
+
+        if (!layoutManager.tv) {
+            setTimeout(() => input.focus(), 0);
+        }
+    });
+}
+
+export default {
+    show: show
+};
@@ -0,0 +1,56 @@
+import { describe, expect, it } from 'vitest';
+
+import {
+    getCropRect,
+    getDefaultAspectRatio,
+    getOutputSize,
+    getOutputType,
+    getRotatedSize,
+    normalizeRotation,
+    parseAspectRatio
+} from './imageCrop';
+
+describe('parseAspectRatio', () => {
+    it('should parse the ratio', () => {
+        expect(parseAspectRatio(getDefaultAspectRatio('Backdrop'))).toBe(16 / 9);
+        expect(parseAspectRatio(getDefaultAspectRatio('Art'))).toBeNull();
+        expect(parseAspectRatio('0:1')).toBeNull();
+    });
+});
+
+describe('getRotatedSize', () => {
+    it('should swap the dimensions of quarter turns', () => {
+        expect(normalizeRotation(-90)).toBe(270);
+        expect(getRotatedSize({ width: 400, height: 300 }, -90)).toEqual({ width: 300, height: 400 });
+        expect(getRotatedSize({ width: 400, height: 300 }, 180)).toEqual({ width: 400, height: 300 });
+    });
+});
+
+describe('getCropRect', () => {
+    const size = { width: 1920, height: 1080 };
+    const center = { x: 960, y: 540 };
+
+    it('should fit the largest area of the aspect ratio', () => {
+        expect(getCropRect(size, 2 / 3, 1, center)).toEqual({ x: 600, y: 0, width: 720, height: 1080 });
+        expect(getCropRect(size, null, 1, center)).toEqual({ x: 0, y: 0, width: 1920, height: 1080 });
+    });
+
+    it('should keep the zoomed area in the image', () => {
+        expect(getCropRect(size, 16 / 9, 2, { x: 0, y: 1080 })).toEqual({ x: 0, y: 540, width: 960, height: 540 });
+    });
+});
+
+describe('getOutputSize', () => {
+    it('should only scale down large images', () => {
+        expect(getOutputSize({ width: 7680, height: 4320 })).toEqual({ width: 3840, height: 2160 });
+        expect(getOutputSize({ width: 680, height: 1000 })).toEqual({ width: 680, height: 1000 });
+    });
+});
+
+describe('getOutputType', () => {
+    it('should keep transparent images lossless', () => {
+        expect(getOutputType('image/png')).toBe('image/png');
+        expect(getOutputType('image/jpeg')).toBe('image/jpeg');
+        expect(getOutputType('image/bmp')).toBe('image/jpeg');
+    });
+});
@@ -0,0 +1,108 @@
+export interface Size {
+    width: number
+    height: number
+}
+
+export interface Point {
+    x: number
+    y: number
+}
+
+export interface CropRect extends Size, Point {}
+
+/** The aspect ratios offered when cropping, as `width:height` */
+export const ASPECT_RATIOS = [ '2:3', '16:9', '1:1', '1000:185', '800:310' ];
+
+/** The aspect ratios of the image types, matching the shapes of the cards displaying them */
+const IMAGE_TYPE_ASPECT_RATIOS: Record<string, string> = {
+    Primary: '2:3',
+    Backdrop: '16:9',
+    Thumb: '16:9',
+    Banner: '1000:185',
+    Logo: '800:310',
+    Disc: '1:1'
+};
+
+/** The longest side of an uploaded image, larger images are scaled down */
+export const MAX_IMAGE_DIMENSION = 3840;
+
+/** The quality of the images compressed to JPEG */
+export const JPEG_QUALITY = 0.9;
+
+/**
+ * Gets the aspect ratio to crop an image type to.
+ * @returns The aspect ratio as `width:height`, or an empty string if the image type can have any shape.
+ */
+export function getDefaultAspectRatio(imageType: string) {
+    return IMAGE_TYPE_ASPECT_RATIOS[imageType] || '';
+}
+
+/**
+ * Parses an aspect ratio written as `width:height`.
+ * @returns The ratio of the width to the height, or null if the ratio is not valid.
+ */
+export function parseAspectRatio(value: string) {
+    const [ width, height ] = value.split(':').map(Number);
+    return width > 0 && height > 0 ? width / height : null;
+}
+
+/** Gets the rotation in degrees as 0, 90, 180 or 270. */
+export function normalizeRotation(rotation: number) {
+    return ((Math.round(rotation / 90) % 4 + 4) % 4) * 90;
+}
+
+/** Gets the size of an image once rotated. */
+export function getRotatedSize(size: Size, rotation: number): Size {
+    return normalizeRotation(rotation) % 180 ?
+        { width: size.height, height: size.width } :
+        { width: size.width, height: size.height };
+}
+
+/**
+ * Gets the area of an image to keep.
+ * @param size The size of the image.
+ * @param aspectRatio The aspect ratio of the area, or null to keep the one of the image.
+ * @param zoom How much the area is zoomed in, 1 being the largest area fitting in the image.
+ * @param center The center of the area, moved as needed to keep the area in the image.
+ */
+export function getCropRect(size: Size, aspectRatio: number | null, zoom: number, center: Point): CropRect {
+    const ratio = aspectRatio || size.width / size.height;
+    const scale = Math.max(zoom, 1);
+
+    let width = size.width;
+    let height = width / ratio;
+    if (height > size.height) {
+        height = size.height;
+        width = height * ratio;
+    }
+
+    width = Math.round(width / scale);
+    height = Math.round(height / scale);
+
+    const clamp = (value: number, max: number) => Math.round(Math.min(Math.max(value, 0), max));
+
+    return {
+        x: clamp(center.x - width / 2, size.width - width),
+        y: clamp(center.y - height / 2, size.height - height),
+        width,
+        height
+    };
+}
+
+/** Gets the size of an image scaled down to fit the maximum dimension. */
+export function getOutputSize(size: Size, maxDimension = MAX_IMAGE_DIMENSION): Size {
+    const scale = Math.min(maxDimension / Math.max(size.width, size.height), 1);
+
+    return {
+        width: Math.max(Math.round(size.width * scale), 1),
+        height: Math.max(Math.round(size.height * scale), 1)
+    };
+}
+
+/**
+ * Gets the type of the uploaded image.
+ * Images that may be transparent are kept lossless, other images are compressed to JPEG.
+ */
+export function getOutputType(sourceType: string) {
+    return [ 'image/png', 'image/gif', 'image/webp', 'image/svg+xml' ].includes(sourceType) ? 'image/png' : 'image/jpeg';
+}
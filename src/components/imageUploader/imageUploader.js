@@ -11,8 +11,19 @@ import scrollHelper from '../../scripts/scrollHelper';
 import layoutManager from '../layoutManager';
 import globalize from '../../lib/globalize';
 import { ServerConnections } from 'lib/jellyfin-apiclient';
+import {
+    getCropRect,
+    getDefaultAspectRatio,
+    getOutputSize,
+    getOutputType,
+    getRotatedSize,
+    JPEG_QUALITY,
+    parseAspectRatio
+} from './imageCrop.ts';
 
 import '../../elements/emby-button/emby-button';
+import '../../elements/emby-button/paper-icon-button-light';
+import '../../elements/emby-input/emby-input';
 import '../../elements/emby-select/emby-select';
 import '../formdialog.scss';
 import './style.scss';
@@ -22,6 +33,10 @@ import template from './imageUploader.template.html';
 let currentItemId;
 let currentServerId;
 let currentFile;
+let currentImage;
+let currentImageUrl;
+let currentRotation = 0;
+let currentCrop;
 let hasChanges = false;
 
 function onFileReaderError(evt) {
@@ -39,17 +54,74 @@ function onFileReaderError(evt) {
     }
 }
 
-function setFiles(page, files) {
-    const file = files[0];
+function getCropSize() {
+    return getRotatedSize({ width: currentImage.naturalWidth, height: currentImage.naturalHeight }, currentRotation);
+}
 
-    if (!file?.type.match('image.*')) {
-        page.querySelector('#imageOutput').innerHTML = '';
-        page.querySelector('#fldUpload').classList.add('hide');
-        currentFile = null;
-        return;
+/**
+ * Draws the rotated image on the canvas of the cropper.
+ */
+function renderImage(page) {
+    const canvas = page.querySelector('.imageCropper-canvas');
+    const size = getCropSize();
+
+    canvas.width = size.width;
+    canvas.height = size.height;
+
+    const context = canvas.getContext('2d');
+    context.translate(size.width / 2, size.height / 2);
+    context.rotate(currentRotation * Math.PI / 180);
+    context.drawImage(currentImage, -currentImage.naturalWidth / 2, -currentImage.naturalHeight / 2);
+}
+
+/**
+ * Updates the area of the image to keep.
+ * @param {HTMLElement} page - The dialog.
+ * @param {Object} [center] - The center of the area, the current center is kept by default.
+ */
+function updateCrop(page, center) {
+    const size = getCropSize();
+    const aspectRatio = parseAspectRatio(page.querySelector('#selectAspectRatio').value);
+    const zoom = parseFloat(page.querySelector('#sliderImageZoom').value);
+
+    if (!center) {
+        center = currentCrop ?
+            { x: currentCrop.x + currentCrop.width / 2, y: currentCrop.y + currentCrop.height / 2 } :
+            { x: size.width / 2, y: size.height / 2 };
     }
 
+    currentCrop = getCropRect(size, aspectRatio, zoom, center);
+
+    const area = page.querySelector('.imageCropper-area');
+    area.style.left = `${currentCrop.x / size.width * 100}%`;
+    area.style.top = `${currentCrop.y / size.height * 100}%`;
+    area.style.width = `${currentCrop.width / size.width * 100}%`;
+    area.style.height = `${currentCrop.height / size.height * 100}%`;
+
+    const outputSize = getOutputSize(currentCrop);
+    page.querySelector('.imageOutputInfo').innerText = globalize.translate('LabelImageOutputSize', outputSize.width, outputSize.height);
+}
+
+function rotate(page, degrees) {
+    currentRotation = (currentRotation + degrees + 360) % 360;
+    currentCrop = null;
+
+    renderImage(page);
+    updateCrop(page);
+}
+
+function showUploadFields(page, isEditable) {
+    page.querySelector('.imageEditor-dropZone').classList.toggle('hide', isEditable);
+    page.querySelector('.imageCropper').classList.toggle('hide', !isEditable);
+    page.querySelector('.imageCropperControls').classList.toggle('hide', !isEditable);
+    page.querySelector('.imageUrlMessage').classList.toggle('hide', isEditable);
+    page.querySelector('#dropImageText').classList.add('hide');
+    page.querySelector('#fldUpload').classList.remove('hide');
+}
+
+function setImage(page, file) {
     currentFile = file;
+    currentImageUrl = null;
 
     const reader = new FileReader();
 
@@ -62,38 +134,171 @@ function setFiles(page, files) {
         console.debug('File read cancelled');
     };
 
-    // Closure to capture the file information.
-    reader.onload = (theFile => {
-        return e => {
-            // Render thumbnail.
-            const html = ['<img style="max-width:100%;max-height:100%;" src="', e.target.result, '" title="', escape(theFile.name), '"/>'].join('');
+    reader.onload = e => {
+        const image = new Image();
+
+        image.onload = () => {
+            currentImage = image;
+            currentRotation = 0;
+            currentCrop = null;
 
-            page.querySelector('#imageOutput').innerHTML = html;
-            page.querySelector('#dropImageText').classList.add('hide');
-            page.querySelector('#fldUpload').classList.remove('hide');
+            page.querySelector('#imageOutput').innerHTML = '';
+            page.querySelector('#sliderImageZoom').value = 1;
+            renderImage(page);
+            updateCrop(page);
+            showUploadFields(page, true);
+        };
+        image.onerror = () => {
+            toast(globalize.translate('MessageFileReadError'));
         };
-    })(file);
+
+        image.src = e.target.result;
+    };
 
     // Read in the image file as a data URL.
     reader.readAsDataURL(file);
 }
 
+function setFiles(page, files) {
+    const file = files[0];
+
+    if (!file?.type.match('image.*')) {
+        page.querySelector('#imageOutput').innerHTML = '';
+        page.querySelector('#fldUpload').classList.add('hide');
+        currentFile = null;
+        return;
+    }
+
+    setImage(page, file);
+}
+
+/**
+ * Uses an image the browser is not allowed to read, which the server downloads as-is.
+ */
+function setImageUrl(page, url) {
+    currentFile = null;
+    currentImage = null;
+    currentImageUrl = url;
+
+    const image = new Image();
+    image.style.maxWidth = '100%';
+    image.style.maxHeight = '100%';
+    image.src = url;
+
+    const output = page.querySelector('#imageOutput');
+    output.innerHTML = '';
+    output.appendChild(image);
+
+    showUploadFields(page, false);
+}
+
+function importImageUrl(page) {
+    const url = page.querySelector('#txtImageUrl').value.trim();
+
+    if (!/^https?:\/\//i.test(url)) {
+        toast(globalize.translate('MessageInvalidImageUrl'));
+        return;
+    }
+
+    loading.show();
+
+    fetch(url).then(response => {
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        return response.blob();
+    }).then(blob => {
+        if (!blob.type.startsWith('image/')) {
+            throw new Error('Not an image: ' + blob.type);
+        }
+
+        setImage(page, blob);
+    }).catch(err => {
+        // Most sites do not allow other sites to read their images, the server downloads them instead
+        console.warn('[ImageUploader] failed to load the image in the browser', err);
+        setImageUrl(page, url);
+    }).finally(() => {
+        loading.hide();
+    });
+}
+
+function pasteImage(page) {
+    // eslint-disable-next-line compat/compat
+    navigator.clipboard.read().then(items => {
+        for (const item of items) {
+            const type = item.types.find(t => t.startsWith('image/'));
+            if (type) {
+                return item.getType(type);
+            }
+        }
+
+        return Promise.reject(new Error('No image in the clipboard'));
+    }).then(blob => {
+        setImage(page, blob);
+    }).catch(err => {
+        console.warn('[ImageUploader] failed to paste an image', err);
+        toast(globalize.translate('MessageClipboardNoImage'));
+    });
+}
+
+/**
+ * Crops, rotates and scales down the image.
+ * @returns {Promise<Blob>} Promise resolved with the image to upload.
+ */
+function getEditedImage(page) {
+    const outputSize = getOutputSize(currentCrop);
+    const canvas = document.createElement('canvas');
+    canvas.width = outputSize.width;
+    canvas.height = outputSize.height;
+
+    canvas.getContext('2d').drawImage(
+        page.querySelector('.imageCropper-canvas'),
+        currentCrop.x, currentCrop.y, currentCrop.width, currentCrop.height,
+        0, 0, outputSize.width, outputSize.height
+    );
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => {
+            if (blob) {
+                resolve(blob);
+            } else {
+                reject(new Error('Failed to encode the image'));
+            }
+        }, getOutputType(currentFile.type), JPEG_QUALITY);
+    });
+}
+
+function uploadImage(dlg, imageType) {
+    const apiClient = ServerConnections.getApiClient(currentServerId);
+
+    if (currentImageUrl) {
+        return apiClient.downloadRemoteImage({
+            itemId: currentItemId,
+            Type: imageType,
+            ImageUrl: currentImageUrl
+        });
+    }
+
+    return getEditedImage(dlg).then(image => {
+        return apiClient.uploadItemImage(currentItemId, imageType, image);
+    });
+}
+
 // eslint-disable-next-line sonarjs/no-invariant-returns
 function onSubmit(e) {
     const file = currentFile;
 
-    if (!file) {
+    if (!file && !currentImageUrl) {
         return false;
     }
 
-    if (!file.type.startsWith('image/')) {
+    if (file && !file.type.startsWith('image/')) {
         toast(globalize.translate('MessageImageFileTypeAllowed'));
         e.preventDefault();
         return false;
     }
 
-    loading.show();
-
     const dlg = dom.parentWithClass(this, 'dialog');
 
     const imageType = dlg.querySelector('#selectImageType').value;
@@ -103,18 +308,72 @@ function onSubmit(e) {
         return false;
     }
 
-    ServerConnections.getApiClient(currentServerId).uploadItemImage(currentItemId, imageType, file).then(() => {
+    loading.show();
+
+    uploadImage(dlg, imageType).then(() => {
         dlg.querySelector('#uploadImage').value = '';
 
         loading.hide();
         hasChanges = true;
         dialogHelper.close(dlg);
+    }).catch(err => {
+        console.error('[ImageUploader] failed to upload the image', err);
+        loading.hide();
+        toast(globalize.translate('ErrorDefault'));
     });
 
     e.preventDefault();
     return false;
 }
 
+function initCropper(page) {
+    const canvas = page.querySelector('.imageCropper-canvas');
+    const area = page.querySelector('.imageCropper-area');
+    let dragStart;
+
+    area.addEventListener('pointerdown', e => {
+        area.setPointerCapture(e.pointerId);
+        dragStart = {
+            x: e.clientX,
+            y: e.clientY,
+            center: { x: currentCrop.x + currentCrop.width / 2, y: currentCrop.y + currentCrop.height / 2 }
+        };
+    });
+
+    area.addEventListener('pointermove', e => {
+        if (!dragStart) return;
+
+        // The canvas is displayed smaller than the image
+        const scale = canvas.width / canvas.clientWidth;
+        updateCrop(page, {
+            x: dragStart.center.x + (e.clientX - dragStart.x) * scale,
+            y: dragStart.center.y + (e.clientY - dragStart.y) * scale
+        });
+    });
+
+    const endDrag = () => {
+        dragStart = null;
+    };
+    area.addEventListener('pointerup', endDrag);
+    area.addEventListener('pointercancel', endDrag);
+
+    page.querySelector('#sliderImageZoom').addEventListener('input', () => {
+        updateCrop(page);
+    });
+
+    page.querySelector('#selectAspectRatio').addEventListener('change', () => {
+        updateCrop(page);
+    });
+
+    page.querySelector('.btnRotateLeft').addEventListener('click', () => {
+        rotate(page, -90);
+    });
+
+    page.querySelector('.btnRotateRight').addEventListener('click', () => {
+        rotate(page, 90);
+    });
+}
+
 function initEditor(page) {
     page.querySelector('form').addEventListener('submit', onSubmit);
 
@@ -125,6 +384,36 @@ function initEditor(page) {
     page.querySelector('.btnBrowse').addEventListener('click', () => {
         page.querySelector('#uploadImage').click();
     });
+
+    page.querySelector('.btnImportImageUrl').addEventListener('click', () => {
+        importImageUrl(page);
+    });
+
+    page.querySelector('#selectImageType').addEventListener('change', function () {
+        page.querySelector('#selectAspectRatio').value = getDefaultAspectRatio(this.value);
+
+        if (currentImage) {
+            updateCrop(page);
+        }
+    });
+
+    page.addEventListener('paste', e => {
+        if (e.clipboardData?.files.length) {
+            e.preventDefault();
+            setFiles(page, e.clipboardData.files);
+        }
+    });
+
+    // Reading images from the clipboard is not supported by every browser, pasting with the keyboard still works
+    if (navigator.clipboard?.read) {
+        const btnPasteImage = page.querySelector('.btnPasteImage');
+        btnPasteImage.classList.remove('hide');
+        btnPasteImage.addEventListener('click', () => {
+            pasteImage(page);
+        });
+    }
+
+    initCropper(page);
 }
 
 function showEditor(options, resolve) {
@@ -132,6 +421,9 @@ function showEditor(options, resolve) {
 
     currentItemId = options.itemId;
     currentServerId = options.serverId;
+    currentFile = null;
+    currentImage = null;
+    currentImageUrl = null;
 
     const dialogOptions = {
         removeOnClose: true
@@ -167,7 +459,9 @@ function showEditor(options, resolve) {
 
     initEditor(dlg);
 
-    dlg.querySelector('#selectImageType').value = options.imageType || 'Primary';
+    const imageType = options.imageType || 'Primary';
+    dlg.querySelector('#selectImageType').value = imageType;
+    dlg.querySelector('#selectAspectRatio').value = getDefaultAspectRatio(imageType);
 
     dlg.querySelector('.btnCancel').addEventListener('click', () => {
         dialogHelper.close(dlg);
@@ -1,5 +1,8 @@
 import datetime from '../../scripts/datetime';
 import itemHelper from '../itemHelper';
+import globalize from '../../lib/globalize';
+import { currentSettings as userSettings } from '../../scripts/settings/userSettings';
+import { getPagesRead } from '../../utils/readingProgress.ts';
 import '../../elements/emby-progressbar/emby-progressbar';
 import './indicators.scss';
 import 'material-design-icons-iconfont';
@@ -46,6 +49,11 @@ export function getProgressBarHtml(item, options) {
         }
     }
 
+    const pagesRead = getPagesRead(userSettings, item);
+    if (pagesRead) {
+        return getProgressHtml(100 * pagesRead.pagesRead / pagesRead.pageCount, options);
+    }
+
     if ((item.Type === 'Program' || item.Type === 'Timer' || item.Type === 'Recording') && item.StartDate && item.EndDate) {
         let startDate = 0;
         let endDate = 1;
@@ -89,6 +97,16 @@ export function getPlayedIndicatorHtml(item) {
     return '';
 }
 
+export function getPagesReadIndicatorHtml(item) {
+    const pagesRead = getPagesRead(userSettings, item);
+    if (pagesRead) {
+        const text = globalize.translate('PagesRead', pagesRead.pagesRead, pagesRead.pageCount);
+        return '<div class="countIndicator indicator pagesReadIndicator" title="' + text + '">' + pagesRead.pagesRead + '/' + pagesRead.pageCount + '</div>';
+    }
+
+    return '';
+}
+
 export function getChildCountIndicatorHtml(item, options) {
     const minCount = options?.minCount ? options.minCount : 0;
 
@@ -172,6 +190,7 @@ export default {
     getProgressBarHtml: getProgressBarHtml,
     getPlayedIndicatorHtml: getPlayedIndicatorHtml,
     getChildCountIndicatorHtml: getChildCountIndicatorHtml,
+    getPagesReadIndicatorHtml: getPagesReadIndicatorHtml,
     enableProgressIndicator: enableProgressIndicator,
     getTimerIndicator: getTimerIndicator,
     enablePlayedIndicator: enablePlayedIndicator,
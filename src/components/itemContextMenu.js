@@ -12,6 +12,7 @@ import toast from './toast/toast';
 import * as userSettings from '../scripts/settings/userSettings';
 import { BaseItemKind } from '@jellyfin/sdk/lib/generated-client/models/base-item-kind';
 import { AppFeature } from 'constants/appFeature';
+import { exportPlayQueue, importPlayQueue } from 'apps/stable/features/playback/utils/playQueuePersistence';
 
 function getDeleteLabel(type) {
     switch (type) {
@@ -71,6 +72,20 @@ export async function getCommands(options) {
                 icon: 'clear_all'
             });
         }
+        if (options.exportQueue) {
+            commands.push({
+                name: globalize.translate('ExportPlayQueue'),
+                id: 'exportQueue',
+                icon: 'file_download'
+            });
+        }
+        if (options.importQueue) {
+            commands.push({
+                name: globalize.translate('ImportPlayQueue'),
+                id: 'importQueue',
+                icon: 'file_upload'
+            });
+        }
     }
 
     if (playbackManager.canQueue(item)) {
@@ -543,6 +558,15 @@ function executeCommand(item, id, options) {
             case 'clearQueue':
                 playbackManager.clearQueue();
                 break;
+            case 'exportQueue':
+                exportPlayQueue(playbackManager);
+                getResolveFunction(resolve, id)();
+                break;
+            case 'importQueue':
+                importPlayQueue(playbackManager).catch(err => {
+                    console.error('[itemContextMenu] failed to import the play queue', err);
+                }).finally(getResolveFunction(resolve, id));
+                break;
             case 'record':
                 import('./recordingcreator/recordingcreator').then(({ default: recordingCreator }) => {
                     recordingCreator.show(itemId, serverId).then(getResolveFunction(resolve, id, true), getResolveFunction(resolve, id));
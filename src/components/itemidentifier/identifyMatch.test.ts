@@ -0,0 +1,130 @@
+import { PersonKind } from '@jellyfin/sdk/lib/generated-client/models/person-kind';
+import { describe, expect, it } from 'vitest';
+
+import {
+    getFieldChanges,
+    getMatchDetails,
+    getMatchLevel,
+    getMatchReference,
+    getMatchScore,
+    getNameSimilarity,
+    MatchFactor
+} from './identifyMatch';
+
+describe('getNameSimilarity', () => {
+    it('should ignore case, accents and punctuation', () => {
+        expect(getNameSimilarity('Amélie', 'amelie')).toBe(1);
+        expect(getNameSimilarity('Spider-Man: No Way Home', 'Spider Man No Way Home')).toBe(1);
+    });
+
+    it('should score partial matches', () => {
+        const similarity = getNameSimilarity('The Thing', 'The Thing from Another World');
+
+        expect(similarity).toBeGreaterThan(0.3);
+        expect(similarity).toBeLessThan(1);
+        expect(getNameSimilarity('Alien', 'Heat')).toBe(0);
+    });
+});
+
+describe('getMatchScore', () => {
+    const reference = { Name: 'Dune', ProductionYear: 2021, ProviderIds: { Tmdb: '438631' } };
+
+    it('should score the properties known on both sides', () => {
+        const match = getMatchScore(reference, { Name: 'Dune', ProductionYear: 1984, ProviderIds: { Tmdb: '841' } });
+
+        expect(match.factors.map(f => f.factor)).toEqual([ MatchFactor.Name, MatchFactor.Year, MatchFactor.ProviderIds ]);
+        expect(match.score).toBe(28);
+        expect(getMatchLevel(match.score)).toBe('low');
+    });
+
+    it('should trust matching ids', () => {
+        const match = getMatchScore(reference, { Name: 'Dune: Part One', ProductionYear: 2021, ProviderIds: { Tmdb: '438631', Imdb: 'tt1160419' } });
+
+        expect(getMatchLevel(match.score)).toBe('high');
+    });
+
+    it('should not score without known properties', () => {
+        expect(getMatchScore({}, { Name: 'Dune' })).toEqual({ score: 0, factors: [] });
+    });
+
+    it('should compare artists', () => {
+        const match = getMatchScore({ Artists: [ 'Daft Punk' ] }, { AlbumArtist: { Name: 'Daft Punk' }, Artists: [ { Name: 'Pharrell Williams' } ] });
+
+        expect(match.factors).toEqual([ { factor: MatchFactor.Artists, score: 0.5, weight: 20 } ]);
+    });
+
+    it('should compare the runtime to the file duration', () => {
+        const fileRunTimeTicks = 90 * 60 * 10_000_000;
+
+        expect(getMatchScore({ RunTimeTicks: fileRunTimeTicks }, { RunTimeTicks: 92 * 60 * 10_000_000 }).score).toBe(100);
+        expect(getMatchScore({ RunTimeTicks: fileRunTimeTicks }, { RunTimeTicks: 120 * 60 * 10_000_000 }).score).toBe(0);
+        expect(getMatchScore({ RunTimeTicks: fileRunTimeTicks }, {}).factors).toEqual([]);
+    });
+
+    it('should compare the cast', () => {
+        const match = getMatchScore({ Cast: [ 'Timothée Chalamet', 'Rebecca Ferguson' ] }, { Cast: [ 'Timothee Chalamet', 'Zendaya', 'Oscar Isaac' ] });
+
+        expect(match.factors).toEqual([ { factor: MatchFactor.Cast, score: 0.5, weight: 30 } ]);
+    });
+});
+
+describe('getMatchReference', () => {
+    it('should prefer the lookup to the current metadata', () => {
+        const item = { Name: 'Dune', ProductionYear: 1984, ProviderIds: { Tmdb: '841' } };
+
+        expect(getMatchReference(item, { Year: 2021, ProviderIds: { Tmdb: '', Imdb: '' } })).toMatchObject({
+            Name: 'Dune',
+            ProductionYear: 2021,
+            ProviderIds: { Tmdb: '841' }
+        });
+    });
+
+    it('should compare to the file duration and the main cast', () => {
+        const item = {
+            RunTimeTicks: 100,
+            MediaSources: [ { RunTimeTicks: 120 } ],
+            People: [ { Name: 'Kyle MacLachlan', Type: PersonKind.Actor }, { Name: 'David Lynch', Type: PersonKind.Director } ]
+        };
+
+        expect(getMatchReference(item, {})).toMatchObject({ RunTimeTicks: 120, Cast: [ 'Kyle MacLachlan' ] });
+    });
+});
+
+describe('getMatchDetails', () => {
+    const result = { Name: 'Dune', ProviderIds: { Tmdb: '438631', Imdb: '' } };
+
+    it('should get the details from the item with the same provider id', () => {
+        const items = [
+            { Name: 'Dune', RunTimeTicks: 100, ProviderIds: { Tmdb: '841' } },
+            {
+                Name: 'Dune',
+                RunTimeTicks: 200,
+                ProviderIds: { Tmdb: '438631' },
+                People: [ { Name: 'Denis Villeneuve', Type: PersonKind.Director }, { Name: 'Zendaya', Type: PersonKind.Actor } ]
+            }
+        ];
+
+        expect(getMatchDetails(result, items)).toEqual({ RunTimeTicks: 200, Cast: [ 'Zendaya' ] });
+    });
+
+    it('should not match items by name only', () => {
+        expect(getMatchDetails(result, [ { Name: 'Dune', RunTimeTicks: 100, ProviderIds: {} } ])).toBeNull();
+    });
+});
+
+describe('getFieldChanges', () => {
+    it('should list the changed fields and ids', () => {
+        const item = { Name: 'Dune', ProductionYear: 1984, PremiereDate: '1984-12-14T00:00:00Z', ProviderIds: { Tmdb: '841', Imdb: 'tt0087182' } };
+
+        expect(getFieldChanges(item, {
+            Name: 'Dune',
+            ProductionYear: 2021,
+            PremiereDate: '2021-09-15T00:00:00Z',
+            ProviderIds: { Tmdb: '438631', Imdb: 'tt0087182' }
+        })).toEqual([
+            { field: 'ProductionYear', isProviderId: false, before: '1984', after: '2021' },
+            { field: 'PremiereDate', isProviderId: false, before: '1984-12-14', after: '2021-09-15' },
+            { field: 'Tmdb', isProviderId: true, before: '841', after: '438631' }
+        ]);
+    });
+});
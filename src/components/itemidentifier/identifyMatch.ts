@@ -0,0 +1,344 @@
+import type { BaseItemDto } from '@jellyfin/sdk/lib/generated-client/models/base-item-dto';
+import type { BaseItemPerson } from '@jellyfin/sdk/lib/generated-client/models/base-item-person';
+import { PersonKind } from '@jellyfin/sdk/lib/generated-client/models/person-kind';
+import type { RemoteSearchResult } from '@jellyfin/sdk/lib/generated-client/models/remote-search-result';
+
+/**
+ * The properties compared to score a search result.
+ * The runtime and cast are not part of the remote search results, they are only scored when found by a follow-up lookup.
+ */
+export enum MatchFactor {
+    Name = 'Name',
+    Year = 'Year',
+    ProviderIds = 'ProviderIds',
+    IndexNumbers = 'IndexNumbers',
+    Artists = 'Artists',
+    Runtime = 'Runtime',
+    Cast = 'Cast'
+}
+
+/** How much each property counts in the score. Matching ids are the most reliable. */
+const FACTOR_WEIGHTS: Record<MatchFactor, number> = {
+    [MatchFactor.Name]: 40,
+    [MatchFactor.Year]: 25,
+    [MatchFactor.ProviderIds]: 80,
+    [MatchFactor.IndexNumbers]: 30,
+    [MatchFactor.Artists]: 20,
+    [MatchFactor.Runtime]: 30,
+    [MatchFactor.Cast]: 30
+};
+
+/** The number of actors compared, the smaller roles often differ between providers */
+const COMPARED_CAST_LIMIT = 10;
+
+/** The runtime difference, relative to the file duration, still scored as a full and as a partial match */
+const RUNTIME_DIFFERENCE_RATIOS = {
+    full: 0.05,
+    partial: 0.2
+};
+
+/** The minimum scores of a likely and a possible match */
+export const MATCH_LEVELS = {
+    high: 80,
+    medium: 50
+};
+
+/** What search results are compared to */
+export interface MatchReference {
+    Name?: string
+    ProductionYear?: number
+    ProviderIds?: Record<string, string>
+    IndexNumber?: number
+    ParentIndexNumber?: number
+    Artists?: string[]
+    /** The duration of the file */
+    RunTimeTicks?: number
+    Cast?: string[]
+}
+
+/** The details of a search result missing from the search, found by a follow-up lookup */
+export interface MatchDetails {
+    RunTimeTicks?: number
+    Cast?: string[]
+}
+
+export type MatchCandidate = RemoteSearchResult & MatchDetails;
+
+export interface MatchFactorScore {
+    factor: MatchFactor
+    /** How well the property matches, from 0 to 1 */
+    score: number
+    weight: number
+}
+
+export interface MatchScore {
+    /** The score from 0 to 100 */
+    score: number
+    /** The properties known on both sides, which make the score */
+    factors: MatchFactorScore[]
+}
+
+export interface FieldChange {
+    /** The changed property, or the provider of a changed id */
+    field: string
+    isProviderId: boolean
+    before: string
+    after: string
+}
+
+/** The lookup entered in the identify form */
+export interface IdentifyLookup {
+    Name?: string
+    Year?: number
+    ProviderIds?: Record<string, string>
+}
+
+/** Normalizes a name to compare it, ignoring case, accents and punctuation. */
+export function normalizeName(name: string) {
+    return name
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        // Whitespace, ASCII punctuation and the typographic dashes and quotes
+        .replace(/[\s!-/:-@[-`{-~\u2010-\u2027]+/g, ' ')
+        .trim();
+}
+
+function getBigrams(text: string) {
+    const bigrams = new Map<string, number>();
+    for (let i = 0; i < text.length - 1; i++) {
+        const bigram = text.slice(i, i + 2);
+        bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+    }
+    return bigrams;
+}
+
+/**
+ * Gets how similar two names are, with the Sørensen–Dice coefficient of their letter pairs.
+ * @returns The similarity from 0 to 1.
+ */
+export function getNameSimilarity(a: string, b: string) {
+    const first = normalizeName(a);
+    const second = normalizeName(b);
+
+    if (first === second) return 1;
+    if (first.length < 2 || second.length < 2) return 0;
+
+    const firstBigrams = getBigrams(first);
+    const secondBigrams = getBigrams(second);
+
+    let shared = 0;
+    for (const [ bigram, count ] of firstBigrams) {
+        shared += Math.min(count, secondBigrams.get(bigram) || 0);
+    }
+
+    return (2 * shared) / (first.length + second.length - 2);
+}
+
+function getProviderIdsScore(reference: Record<string, string>, result: Record<string, string | null>) {
+    const shared = Object.keys(reference).filter(key => reference[key] && result[key]);
+    if (!shared.length) return null;
+
+    return shared.some(key => reference[key].toLowerCase() === result[key]?.toLowerCase()) ? 1 : 0;
+}
+
+function getYearScore(referenceYear: number, resultYear: number) {
+    // Release years often differ by one between countries and providers
+    switch (Math.abs(referenceYear - resultYear)) {
+        case 0:
+            return 1;
+        case 1:
+            return 0.6;
+        default:
+            return 0;
+    }
+}
+
+function getArtistsScore(reference: string[], result: RemoteSearchResult[]) {
+    const referenceNames = new Set(reference.map(normalizeName));
+    const resultNames = new Set(result.map(artist => normalizeName(artist.Name || '')).filter(Boolean));
+    if (!referenceNames.size || !resultNames.size) return null;
+
+    const shared = [ ...resultNames ].filter(name => referenceNames.has(name)).length;
+    return shared / new Set([ ...referenceNames, ...resultNames ]).size;
+}
+
+function getIndexNumbersScore(reference: MatchReference, result: RemoteSearchResult) {
+    const isSameParent = reference.ParentIndexNumber == null || result.ParentIndexNumber == null
+        || reference.ParentIndexNumber === result.ParentIndexNumber;
+
+    return reference.IndexNumber === result.IndexNumber && isSameParent ? 1 : 0;
+}
+
+function getRuntimeScore(fileRunTimeTicks: number, resultRunTimeTicks: number) {
+    const ratio = Math.abs(fileRunTimeTicks - resultRunTimeTicks) / fileRunTimeTicks;
+
+    if (ratio <= RUNTIME_DIFFERENCE_RATIOS.full) return 1;
+    if (ratio >= RUNTIME_DIFFERENCE_RATIOS.partial) return 0;
+    return (RUNTIME_DIFFERENCE_RATIOS.partial - ratio) / (RUNTIME_DIFFERENCE_RATIOS.partial - RUNTIME_DIFFERENCE_RATIOS.full);
+}
+
+function getCastScore(reference: string[], result: string[]) {
+    const referenceNames = new Set(reference.map(normalizeName).filter(Boolean));
+    const resultNames = new Set(result.map(normalizeName).filter(Boolean));
+    if (!referenceNames.size || !resultNames.size) return null;
+
+    // The shorter list is compared, as providers list more or less of the cast
+    const shared = [ ...resultNames ].filter(name => referenceNames.has(name)).length;
+    return shared / Math.min(referenceNames.size, resultNames.size);
+}
+
+function getFactorScores(reference: MatchReference, result: MatchCandidate) {
+    const scores: Partial<Record<MatchFactor, number | null>> = {};
+
+    if (reference.Name && result.Name) {
+        scores[MatchFactor.Name] = getNameSimilarity(reference.Name, result.Name);
+    }
+
+    if (reference.ProductionYear && result.ProductionYear) {
+        scores[MatchFactor.Year] = getYearScore(reference.ProductionYear, result.ProductionYear);
+    }
+
+    if (reference.ProviderIds && result.ProviderIds) {
+        scores[MatchFactor.ProviderIds] = getProviderIdsScore(reference.ProviderIds, result.ProviderIds);
+    }
+
+    if (reference.IndexNumber != null && result.IndexNumber != null) {
+        scores[MatchFactor.IndexNumbers] = getIndexNumbersScore(reference, result);
+    }
+
+    if (reference.Artists) {
+        const artists = [ ...(result.AlbumArtist ? [ result.AlbumArtist ] : []), ...(result.Artists || []) ];
+        scores[MatchFactor.Artists] = getArtistsScore(reference.Artists, artists);
+    }
+
+    if (reference.RunTimeTicks && result.RunTimeTicks) {
+        scores[MatchFactor.Runtime] = getRuntimeScore(reference.RunTimeTicks, result.RunTimeTicks);
+    }
+
+    if (reference.Cast && result.Cast) {
+        scores[MatchFactor.Cast] = getCastScore(reference.Cast, result.Cast);
+    }
+
+    return scores;
+}
+
+/**
+ * Scores how likely a search result is the item, from the properties known on both sides.
+ */
+export function getMatchScore(reference: MatchReference, result: MatchCandidate): MatchScore {
+    const factors: MatchFactorScore[] = [];
+
+    for (const [ factor, score ] of Object.entries(getFactorScores(reference, result))) {
+        if (score != null) {
+            factors.push({ factor: factor as MatchFactor, score, weight: FACTOR_WEIGHTS[factor as MatchFactor] });
+        }
+    }
+
+    const totalWeight = factors.reduce((total, { weight }) => total + weight, 0);
+    const score = totalWeight ?
+        factors.reduce((total, { score: factorScore, weight }) => total + factorScore * weight, 0) / totalWeight :
+        0;
+
+    return {
+        score: Math.round(score * 100),
+        factors
+    };
+}
+
+/** Gets the level of a score, as `high`, `medium` or `low`. */
+export function getMatchLevel(score: number) {
+    if (score >= MATCH_LEVELS.high) return 'high';
+    if (score >= MATCH_LEVELS.medium) return 'medium';
+    return 'low';
+}
+
+function getNonEmptyIds(providerIds?: Record<string, string | null> | null) {
+    const ids: Record<string, string> = {};
+    for (const [ key, value ] of Object.entries(providerIds || {})) {
+        if (value) ids[key] = value;
+    }
+    return ids;
+}
+
+/** Gets the names of the main actors of an item. */
+export function getCast(people?: BaseItemPerson[] | null) {
+    return (people || [])
+        .filter(person => person.Type === PersonKind.Actor && person.Name)
+        .slice(0, COMPARED_CAST_LIMIT)
+        .map(person => person.Name as string);
+}
+
+/**
+ * Gets the details of a search result from a library item with the same provider id.
+ * @param result The search result.
+ * @param items The library items found by a follow-up lookup of the result.
+ * @returns The details, or null if no item matches the result.
+ */
+export function getMatchDetails(result: RemoteSearchResult, items: BaseItemDto[]): MatchDetails | null {
+    const resultIds = Object.entries(getNonEmptyIds(result.ProviderIds));
+
+    const match = items.find(item => {
+        const itemIds = getNonEmptyIds(item.ProviderIds);
+        return resultIds.some(([ provider, id ]) => itemIds[provider]?.toLowerCase() === id.toLowerCase());
+    });
+
+    if (!match) return null;
+
+    const cast = getCast(match.People);
+    return {
+        RunTimeTicks: match.RunTimeTicks || undefined,
+        Cast: cast.length ? cast : undefined
+    };
+}
+
+/**
+ * Gets what search results are compared to: the lookup entered by the user, completed by the current metadata of the item.
+ */
+export function getMatchReference(item: BaseItemDto | null, lookup: IdentifyLookup): MatchReference {
+    const lookupIds = getNonEmptyIds(lookup.ProviderIds);
+    const artists = item?.AlbumArtists?.length ? item.AlbumArtists : item?.ArtistItems;
+    const cast = getCast(item?.People);
+
+    return {
+        Name: lookup.Name || item?.Name || undefined,
+        ProductionYear: lookup.Year || item?.ProductionYear || undefined,
+        ProviderIds: Object.keys(lookupIds).length ? lookupIds : getNonEmptyIds(item?.ProviderIds),
+        IndexNumber: item?.IndexNumber ?? undefined,
+        ParentIndexNumber: item?.ParentIndexNumber ?? undefined,
+        Artists: artists?.map(artist => artist.Name || '').filter(Boolean),
+        RunTimeTicks: item?.MediaSources?.[0]?.RunTimeTicks || item?.RunTimeTicks || undefined,
+        Cast: cast.length ? cast : undefined
+    };
+}
+
+const toText = (value: string | number | null | undefined) => (value == null ? '' : String(value));
+
+/**
+ * Gets the fields of an item a search result will change when applied.
+ * Only the fields returned by the search are known, the provider may update more once applied.
+ */
+export function getFieldChanges(item: BaseItemDto, result: RemoteSearchResult): FieldChange[] {
+    const fields: [string, string, string][] = [
+        [ 'Name', toText(item.Name), toText(result.Name) ],
+        [ 'ProductionYear', toText(item.ProductionYear), toText(result.ProductionYear) ],
+        // Only the day is compared, the time depends on the time zone of the provider
+        [ 'PremiereDate', toText(item.PremiereDate?.slice(0, 10)), toText(result.PremiereDate?.slice(0, 10)) ],
+        [ 'IndexNumber', toText(item.IndexNumber), toText(result.IndexNumber) ],
+        [ 'ParentIndexNumber', toText(item.ParentIndexNumber), toText(result.ParentIndexNumber) ],
+        [ 'Overview', toText(item.Overview), toText(result.Overview) ]
+    ];
+
+    const changes: FieldChange[] = fields
+        .filter(([ , before, after ]) => after && before !== after)
+        .map(([ field, before, after ]) => ({ field, isProviderId: false, before, after }));
+
+    const itemIds = getNonEmptyIds(item.ProviderIds);
+    for (const [ provider, id ] of Object.entries(getNonEmptyIds(result.ProviderIds))) {
+        if (itemIds[provider] !== id) {
+            changes.push({ field: provider, isProviderId: true, before: itemIds[provider] || '', after: id });
+        }
+    }
+
+    return changes;
+}
@@ -15,6 +15,7 @@ import focusManager from '../focusManager';
 import browser from '../../scripts/browser';
 import '../../elements/emby-input/emby-input';
 import '../../elements/emby-checkbox/emby-checkbox';
+import '../../elements/emby-button/emby-button';
 import '../../elements/emby-button/paper-icon-button-light';
 import '../formdialog.scss';
 import 'material-design-icons-iconfont';
@@ -22,6 +23,8 @@ import '../cardbuilder/card.scss';
 import toast from '../toast/toast';
 import template from './itemidentifier.template.html';
 import datetime from '../../scripts/datetime';
+import { getCast, getFieldChanges, getMatchDetails, getMatchLevel, getMatchReference, getMatchScore } from './identifyMatch.ts';
+import './itemidentifier.scss';
 
 const enableFocusTransform = !browser.slow && !browser.edge;
 
@@ -32,6 +35,30 @@ let currentResolve;
 let currentReject;
 let hasChanges = false;
 let currentSearchResult;
+let currentMatchReference;
+let currentBestResult;
+let currentQueue;
+let isSkipped = false;
+let currentExternalIdInfos = [];
+
+/** The translation keys of the compared and changed fields */
+const FIELD_LABELS = {
+    Name: 'LabelName',
+    Year: 'LabelYear',
+    ProductionYear: 'LabelYear',
+    PremiereDate: 'LabelReleaseDate',
+    IndexNumber: 'LabelNumber',
+    IndexNumbers: 'LabelNumber',
+    ParentIndexNumber: 'LabelParentNumber',
+    Overview: 'LabelOverview',
+    ProviderIds: 'HeaderExternalIds',
+    Artists: 'Artists',
+    Runtime: 'Runtime',
+    Cast: 'HeaderCastAndCrew'
+};
+
+/** The number of library items fetched to find the details of a search result */
+const DETAILS_LOOKUP_LIMIT = 10;
 
 function getApiClient() {
     return ServerConnections.getApiClient(currentServerId);
@@ -75,6 +102,8 @@ function searchForIdentificationResults(page) {
         return;
     }
 
+    currentMatchReference = getMatchReference(currentItem, lookupInfo);
+
     lookupInfo = {
         SearchInfo: lookupInfo
     };
@@ -96,12 +125,47 @@ function searchForIdentificationResults(page) {
         contentType: 'application/json',
         dataType: 'json'
 
+    }).then(results => {
+        return getResultsWithDetails(apiClient, results);
     }).then(results => {
         loading.hide();
         showIdentificationSearchResults(page, results);
     });
 }
 
+/**
+ * Looks up the details missing from a search result in the library items with the same provider id.
+ * The result is returned as is when no item matches or the lookup fails.
+ */
+function getResultWithDetails(apiClient, result) {
+    if (!result.Name || !Object.values(result.ProviderIds || {}).some(Boolean)) {
+        return Promise.resolve(result);
+    }
+
+    return apiClient.getItems(apiClient.getCurrentUserId(), {
+        SearchTerm: result.Name,
+        IncludeItemTypes: currentItemType,
+        Recursive: true,
+        Fields: 'ProviderIds,People,MediaSources',
+        ExcludeItemIds: currentItem?.Id,
+        Limit: DETAILS_LOOKUP_LIMIT
+    }).then(({ Items }) => {
+        return { ...result, ...getMatchDetails(result, Items || []) };
+    }).catch(err => {
+        console.warn('[itemidentifier] failed to look up the details of a search result', err);
+        return result;
+    });
+}
+
+function getResultsWithDetails(apiClient, results) {
+    // The details are only compared to the current metadata
+    if (!currentItem) {
+        return Promise.resolve(results);
+    }
+
+    return Promise.all(results.map(result => getResultWithDetails(apiClient, result)));
+}
+
 function showIdentificationSearchResults(page, results) {
     const identificationSearchResults = page.querySelector('.identificationSearchResults');
 
@@ -110,39 +174,219 @@ function showIdentificationSearchResults(page, results) {
     page.querySelector('.identifyOptionsForm').classList.add('hide');
     page.querySelector('.dialogContentInner').classList.remove('dialog-content-centered');
 
+    const matches = results.map(result => getMatchScore(currentMatchReference, result));
+    // The best matches first, keeping the order of the providers between equal scores
+    const order = results.map((result, index) => index).sort((a, b) => matches[b].score - matches[a].score);
+
     let html = '';
-    let i;
-    let length;
-    for (i = 0, length = results.length; i < length; i++) {
-        const result = results[i];
-        html += getSearchResultHtml(result, i);
+    for (const index of order) {
+        html += getSearchResultHtml(results[index], index, matches[index]);
     }
 
     const elem = page.querySelector('.identificationSearchResultList');
     elem.innerHTML = html;
 
-    function onSearchImageClick() {
-        const index = parseInt(this.getAttribute('data-index'), 10);
+    currentBestResult = results.length ? { result: results[order[0]], match: matches[order[0]] } : null;
+
+    const comparison = page.querySelector('.identificationComparison');
+    comparison.innerHTML = currentItem ? getComparisonHtml(currentItem, results, matches, order) : '';
+    page.querySelector('.btnCompareResults').classList.toggle('hide', !currentItem || !results.length);
+    showComparison(page, false);
+
+    function onResultClick(e) {
+        const button = e.target.closest('.card, .btnSelectResult');
+        if (!button) return;
+
+        const index = parseInt(button.getAttribute('data-index'), 10);
 
         const currentResult = results[index];
 
         if (currentItem != null) {
-            showIdentifyOptions(page, currentResult);
+            showIdentifyOptions(page, currentResult, matches[index]);
         } else {
             finishFindNewDialog(page, currentResult);
         }
     }
 
-    const searchImages = elem.querySelectorAll('.card');
-    for (i = 0, length = searchImages.length; i < length; i++) {
-        searchImages[i].addEventListener('click', onSearchImageClick);
-    }
+    elem.onclick = onResultClick;
+    comparison.onclick = onResultClick;
 
     if (layoutManager.tv) {
         focusManager.autoFocus(identificationSearchResults);
     }
 }
 
+function showComparison(page, isVisible) {
+    page.querySelector('.identificationSearchResultList').classList.toggle('hide', isVisible);
+    page.querySelector('.identificationComparison').classList.toggle('hide', !isVisible);
+    page.querySelector('.btnCompareResults span').innerText = globalize.translate(isVisible ? 'HideComparison' : 'CompareResults');
+}
+
+function getMatchScoreHtml(match) {
+    const level = getMatchLevel(match.score);
+    return `<span class="identifyMatchScore identifyMatchScore-${level}">${globalize.translate('MatchScore', match.score)}</span>`;
+}
+
+function getProviderIdsHtml(providerIds) {
+    return Object.entries(providerIds || {})
+        .filter(([, id]) => id)
+        .map(([provider, id]) => `<div>${escapeHtml(provider)}: ${escapeHtml(id)}</div>`)
+        .join('');
+}
+
+function getResultRuntimeHtml(result) {
+    if (!result.RunTimeTicks) {
+        return getProviderLinksHtml(result.ProviderIds);
+    }
+
+    return escapeHtml(datetime.getDisplayRunningTime(result.RunTimeTicks));
+}
+
+function getResultCastHtml(result) {
+    if (!result.Cast) {
+        return getProviderLinksHtml(result.ProviderIds);
+    }
+
+    return result.Cast.map(name => escapeHtml(name)).join('<br/>');
+}
+
+function getRuntimeHtml(item) {
+    const lines = [];
+
+    if (item.RunTimeTicks) {
+        lines.push(escapeHtml(datetime.getDisplayRunningTime(item.RunTimeTicks)));
+    }
+
+    // The duration of the file shows which cut or edition the item is
+    const fileRunTimeTicks = item.MediaSources?.[0]?.RunTimeTicks;
+    if (fileRunTimeTicks) {
+        lines.push(`<span class="secondary">${globalize.translate('FileDuration', escapeHtml(datetime.getDisplayRunningTime(fileRunTimeTicks)))}</span>`);
+    }
+
+    return lines.join('<br/>');
+}
+
+function getCastHtml(item) {
+    return getCast(item.People)
+        .map(name => escapeHtml(name))
+        .join('<br/>');
+}
+
+/**
+ * Gets links to the pages of a search result on its providers, where the details missing from the result can be checked.
+ */
+function getProviderLinksHtml(providerIds) {
+    const links = Object.entries(providerIds || {})
+        .filter(([, id]) => id)
+        .map(([provider, id]) => {
+            const idInfo = currentExternalIdInfos.find(info => info.Key === provider && info.UrlFormatString);
+            if (!idInfo) return '';
+
+            const url = idInfo.UrlFormatString.replace('{0}', encodeURIComponent(id));
+            return `<a is="emby-linkbutton" class="button-link" href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(idInfo.Name)}</a>`;
+        })
+        .filter(Boolean);
+
+    let html = `<span class="secondary">${globalize.translate('NotInSearchResult')}</span>`;
+    if (links.length) {
+        html += `<br/>${globalize.translate('CheckOnProvider', links.join(', '))}`;
+    }
+    return html;
+}
+
+function getComparisonImageHtml(url) {
+    return url ? `<img class="identificationComparisonImage" src="${url}" alt="" />` : '';
+}
+
+function getItemImageUrl(item) {
+    if (!item.ImageTags?.Primary) {
+        return null;
+    }
+
+    return getApiClient().getScaledImageUrl(item.Id, {
+        type: 'Primary',
+        maxHeight: 240,
+        tag: item.ImageTags.Primary
+    });
+}
+
+function getComparisonCellHtml(content) {
+    return `<td>${content || '&mdash;'}</td>`;
+}
+
+/**
+ * Gets a table comparing the current metadata of the item to the search results.
+ */
+function getComparisonHtml(item, results, matches, order) {
+    const columns = order.map(index => ({ result: results[index], match: matches[index], index }));
+    const rows = [
+        ['', getComparisonImageHtml(getItemImageUrl(item)), ({ result }) => getComparisonImageHtml(result.ImageUrl)],
+        ['LabelName', escapeHtml(item.Name || ''), ({ result }) => escapeHtml(result.Name || '')],
+        ['LabelYear', escapeHtml(item.ProductionYear || ''), ({ result }) => escapeHtml(result.ProductionYear || '')],
+        ['LabelOverview', `<div class="identificationComparisonOverview">${escapeHtml(item.Overview || '')}</div>`,
+            ({ result }) => `<div class="identificationComparisonOverview">${escapeHtml(result.Overview || '')}</div>`],
+        // Search results do not include the runtime and cast, without a library item to get them from they can only be checked on the providers
+        ['Runtime', getRuntimeHtml(item), ({ result }) => getResultRuntimeHtml(result)],
+        ['HeaderCastAndCrew', getCastHtml(item), ({ result }) => getResultCastHtml(result)],
+        ['HeaderExternalIds', getProviderIdsHtml(item.ProviderIds), ({ result }) => getProviderIdsHtml(result.ProviderIds)],
+        ['HeaderMatchScore', '', ({ match }) => getMatchScoreHtml(match)]
+    ];
+
+    let html = '<table class="identificationComparisonTable"><thead><tr><th></th>';
+    html += `<th>${globalize.translate('HeaderCurrentMetadata')}</th>`;
+    for (const { result, index } of columns) {
+        html += `<th>${escapeHtml(result.SearchProviderName || '')}<br/>`;
+        html += `<button is="emby-button" type="button" class="raised raised-mini btnSelectResult" data-index="${index}"><span>${globalize.translate('Select')}</span></button>`;
+        html += '</th>';
+    }
+    html += '</tr></thead><tbody>';
+
+    for (const [label, current, getResultHtml] of rows) {
+        html += `<tr><th>${label ? globalize.translate(label) : ''}</th>`;
+        html += getComparisonCellHtml(current);
+        for (const column of columns) {
+            html += getComparisonCellHtml(getResultHtml(column));
+        }
+        html += '</tr>';
+    }
+
+    html += '</tbody></table>';
+    html += `<div class="fieldDescription">${globalize.translate('CompareRuntimeAndCastHelp')}</div>`;
+    return html;
+}
+
+function getMatchDetailsHtml(match) {
+    let html = `<div>${getMatchScoreHtml(match)}</div>`;
+
+    for (const { factor, score } of match.factors) {
+        html += `<div class="fieldDescription">${globalize.translate(FIELD_LABELS[factor])}: ${Math.round(score * 100)}%</div>`;
+    }
+
+    return html;
+}
+
+function getFieldChangesHtml(changes) {
+    if (!changes.length) {
+        return `<p class="fieldDescription">${globalize.translate('MessageNoFieldChanges')}</p>`;
+    }
+
+    let html = '';
+    for (const change of changes) {
+        const label = change.isProviderId ?
+            globalize.translate('LabelDynamicExternalId', escapeHtml(change.field)) :
+            globalize.translate(FIELD_LABELS[change.field]);
+
+        html += '<div class="identifyFieldChange">';
+        html += `<div class="identifyFieldChangeLabel">${label}</div>`;
+        html += `<div class="identifyFieldChangeBefore">${escapeHtml(change.before) || '&mdash;'}</div>`;
+        html += `<div class="identifyFieldChangeAfter">${escapeHtml(change.after)}</div>`;
+        html += '</div>';
+    }
+
+    html += `<p class="fieldDescription">${globalize.translate('FieldChangesHelp')}</p>`;
+    return html;
+}
+
 function finishFindNewDialog(dlg, identifyResult) {
     currentSearchResult = identifyResult;
     hasChanges = true;
@@ -151,7 +395,7 @@ function finishFindNewDialog(dlg, identifyResult) {
     dialogHelper.close(dlg);
 }
 
-function showIdentifyOptions(page, identifyResult) {
+function showIdentifyOptions(page, identifyResult, match) {
     const identifyOptionsForm = page.querySelector('.identifyOptionsForm');
 
     page.querySelector('.popupIdentifyForm').classList.add('hide');
@@ -176,11 +420,13 @@ function showIdentifyOptions(page, identifyResult) {
     }
 
     page.querySelector('.selectedSearchResult').innerHTML = resultHtml;
+    page.querySelector('.identifyMatchDetails').innerHTML = getMatchDetailsHtml(match);
+    page.querySelector('.identifyFieldChanges').innerHTML = getFieldChangesHtml(getFieldChanges(currentItem, identifyResult));
 
     focusManager.focus(identifyOptionsForm.querySelector('.btnSubmit'));
 }
 
-function getSearchResultHtml(result, index) {
+function getSearchResultHtml(result, index, match) {
     // TODO move card creation code to Card component
 
     let html = '';
@@ -250,6 +496,8 @@ function getSearchResultHtml(result, index) {
         html += '</div>';
     }
 
+    html += `<div class="cardText cardText-secondary cardTextCentered">${getMatchScoreHtml(match)}</div>`;
+
     html += '</div>';
     html += '</button>';
     return html;
@@ -278,6 +526,12 @@ function submitIdentficationResult(page) {
     }, () => {
         loading.hide();
 
+        // Closing would end the queue, the item can be skipped instead
+        if (currentQueue) {
+            toast(globalize.translate('ErrorDefault'));
+            return;
+        }
+
         dialogHelper.close(page);
     });
 }
@@ -286,6 +540,7 @@ function showIdentificationForm(page, item) {
     const apiClient = getApiClient();
 
     apiClient.getJSON(apiClient.getUrl(`Items/${item.Id}/ExternalIdInfos`)).then(idList => {
+        currentExternalIdInfos = idList;
         let html = '';
 
         for (let i = 0, length = idList.length; i < length; i++) {
@@ -307,22 +562,87 @@ function showIdentificationForm(page, item) {
             html += '</div>';
         }
 
-        page.querySelector('#txtLookupName').value = '';
+        // Items in a queue are searched right away with their current name and year
+        page.querySelector('#txtLookupName').value = currentQueue ? item.Name || '' : '';
 
         if (item.Type === 'Person' || item.Type === 'BoxSet') {
             page.querySelector('.fldLookupYear').classList.add('hide');
             page.querySelector('#txtLookupYear').value = '';
         } else {
             page.querySelector('.fldLookupYear').classList.remove('hide');
-            page.querySelector('#txtLookupYear').value = '';
+            page.querySelector('#txtLookupYear').value = currentQueue ? item.ProductionYear || '' : '';
         }
 
         page.querySelector('.identifyProviderIds').innerHTML = html;
 
         page.querySelector('.formDialogHeaderTitle').innerHTML = globalize.translate('Identify');
+
+        if (currentQueue) {
+            searchForIdentificationResults(page);
+        }
     });
 }
 
+function showSearchForm(page) {
+    page.querySelector('.popupIdentifyForm').classList.remove('hide');
+    page.querySelector('.identificationSearchResults').classList.add('hide');
+    page.querySelector('.identifyOptionsForm').classList.add('hide');
+    page.querySelector('.dialogContentInner').classList.add('dialog-content-centered');
+
+    focusManager.focus(page.querySelector('#txtLookupName'));
+}
+
+function skipItem(page) {
+    isSkipped = true;
+    dialogHelper.close(page);
+}
+
+function acceptBestResult(page) {
+    if (!page.querySelector('.identifyOptionsForm').classList.contains('hide')) {
+        submitIdentficationResult(page);
+    } else if (!page.querySelector('.identificationSearchResults').classList.contains('hide') && currentBestResult) {
+        showIdentifyOptions(page, currentBestResult.result, currentBestResult.match);
+    }
+}
+
+function onQueueKeyDown(e) {
+    // Letters typed in the search form are not shortcuts
+    if (e.ctrlKey || e.altKey || e.metaKey || e.target.closest('input, select, textarea')) {
+        return;
+    }
+
+    switch (e.key.toLowerCase()) {
+        case 'a':
+            acceptBestResult(this);
+            break;
+        case 's':
+            skipItem(this);
+            break;
+        case 'r':
+            showSearchForm(this);
+            break;
+        default:
+            return;
+    }
+
+    e.preventDefault();
+}
+
+function initQueue(page, item) {
+    page.querySelector('.identifyQueueBar').classList.remove('hide');
+    page.querySelector('.identifyQueuePosition').innerText = globalize.translate('IdentifyQueuePosition', currentQueue.position, currentQueue.total, item.Name);
+
+    page.querySelector('.btnSkipItem').addEventListener('click', () => {
+        skipItem(page);
+    });
+
+    page.querySelector('.btnSearchAgain').addEventListener('click', () => {
+        showSearchForm(page);
+    });
+
+    page.addEventListener('keydown', onQueueKeyDown);
+}
+
 function showEditor(itemId) {
     loading.show();
 
@@ -385,8 +705,16 @@ function showEditor(itemId) {
             dialogHelper.close(dlg);
         });
 
+        dlg.querySelector('.btnCompareResults').addEventListener('click', () => {
+            showComparison(dlg, dlg.querySelector('.identificationComparison').classList.contains('hide'));
+        });
+
         dlg.classList.add('identifyDialog');
 
+        if (currentQueue) {
+            initQueue(dlg, item);
+        }
+
         showIdentificationForm(dlg, item);
         loading.hide();
     });
@@ -394,8 +722,8 @@ function showEditor(itemId) {
 
 function onDialogClosed() {
     loading.hide();
-    if (hasChanges) {
-        currentResolve();
+    if (hasChanges || isSkipped) {
+        currentResolve(hasChanges);
     } else {
         currentReject();
     }
@@ -474,11 +802,48 @@ export function show(itemId, serverId) {
         currentReject = reject;
         currentServerId = serverId;
         hasChanges = false;
+        isSkipped = false;
 
         showEditor(itemId);
     });
 }
 
+/**
+ * Identifies items one after the other.
+ * Each item is searched with its current name and year, and can be applied, skipped or searched again.
+ * @param {Array<string>} itemIds - Ids of the items.
+ * @param {string} serverId - Id of the server.
+ * @returns {Promise<{identified: number, skipped: number}>} Promise resolved with the number of items identified and skipped, once the queue is done or closed.
+ */
+export function showQueue(itemIds, serverId) {
+    const result = { identified: 0, skipped: 0 };
+
+    const showItem = index => {
+        if (index >= itemIds.length) {
+            return result;
+        }
+
+        currentQueue = { position: index + 1, total: itemIds.length };
+
+        return show(itemIds[index], serverId).then(isIdentified => {
+            if (isIdentified) {
+                result.identified++;
+            } else {
+                result.skipped++;
+            }
+
+            return showItem(index + 1);
+        }, () => {
+            // The queue was closed
+            return result;
+        });
+    };
+
+    return Promise.resolve(showItem(0)).finally(() => {
+        currentQueue = null;
+    });
+}
+
 export function showFindNew(itemName, itemYear, itemType, serverId) {
     return new Promise((resolve) => {
         currentServerId = serverId;
@@ -490,5 +855,6 @@ export function showFindNew(itemName, itemYear, itemType, serverId) {
 
 export default {
     show: show,
-    showFindNew: showFindNew
+    showFindNew: showFindNew,
+    showQueue: showQueue
 };
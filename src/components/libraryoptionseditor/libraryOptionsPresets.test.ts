@@ -0,0 +1,58 @@
+import { describe, expect, it } from 'vitest';
+
+import {
+    addLibraryOptionsPreset,
+    createLibraryOptionsPreset,
+    exportLibraryOptionsPreset,
+    importLibraryOptionsPreset,
+    validateLibraryOptions
+} from './libraryOptionsPresets';
+
+const options = {
+    Enabled: true,
+    PreferredMetadataLanguage: 'en',
+    MetadataSavers: [ 'Nfo' ],
+    CustomTagDelimiters: [ '/', ';' ],
+    TypeOptions: [ { Type: 'Movie', MetadataFetchers: [ 'TheMovieDb' ] } ],
+    PathInfos: [ { Path: '/media/movies' } ]
+};
+
+describe('validateLibraryOptions', () => {
+    it('Should leave out the paths', () => {
+        expect(validateLibraryOptions(options)).not.toHaveProperty('PathInfos');
+        expect(validateLibraryOptions(options)).toMatchObject({ MetadataSavers: [ 'Nfo' ] });
+    });
+
+    it('Should reject invalid options', () => {
+        expect(() => validateLibraryOptions(null)).toThrow();
+        expect(() => validateLibraryOptions([])).toThrow();
+        expect(() => validateLibraryOptions({ MetadataSavers: 'Nfo' })).toThrow();
+        expect(() => validateLibraryOptions({ TypeOptions: [ { MetadataFetchers: [] } ] })).toThrow();
+    });
+});
+
+describe('addLibraryOptionsPreset', () => {
+    it('Should replace the preset with the same name', () => {
+        const movies = createLibraryOptionsPreset('Movies', 'movies', options);
+        const shows = createLibraryOptionsPreset('Shows', 'tvshows', options);
+        const updated = createLibraryOptionsPreset('movies ', 'movies', { ...options, Enabled: false });
+
+        expect(addLibraryOptionsPreset([ movies ], shows)).toEqual([ movies, shows ]);
+        expect(addLibraryOptionsPreset([ movies, shows ], updated)).toEqual([ updated, shows ]);
+    });
+});
+
+describe('importLibraryOptionsPreset', () => {
+    it('Should import exported presets', () => {
+        const preset = createLibraryOptionsPreset('Movies', 'movies', options);
+
+        expect(importLibraryOptionsPreset(exportLibraryOptionsPreset(preset))).toEqual(preset);
+    });
+
+    it('Should reject invalid presets', () => {
+        expect(() => importLibraryOptionsPreset('{"name":"Movies","options":{}}')).toThrow();
+        expect(() => importLibraryOptionsPreset('{"Version":1,"name":" ","options":{}}')).toThrow();
+        expect(() => importLibraryOptionsPreset('{"Version":1,"name":"Movies"}')).toThrow();
+        expect(() => importLibraryOptionsPreset('null')).toThrow();
+    });
+});
@@ -0,0 +1,116 @@
+import type { LibraryOptions } from '@jellyfin/sdk/lib/generated-client/models/library-options';
+
+/** The version of the exported library options preset files */
+export const LIBRARY_OPTIONS_PRESET_VERSION = 1;
+
+export interface LibraryOptionsPreset {
+    name: string
+    /** The content type of the library the preset was saved from, empty for mixed content */
+    collectionType: string
+    options: LibraryOptions
+}
+
+/** The options holding lists of plugin names, languages or delimiters */
+const STRING_LIST_OPTIONS: (keyof LibraryOptions)[] = [
+    'CustomTagDelimiters',
+    'DelimiterWhitelist',
+    'DisabledLocalMetadataReaders',
+    'DisabledLyricFetchers',
+    'DisabledMediaSegmentProviders',
+    'DisabledSubtitleFetchers',
+    'LocalMetadataReaderOrder',
+    'LyricFetcherOrder',
+    'MediaSegmentProviderOrder',
+    'MetadataSavers',
+    'SubtitleDownloadLanguages',
+    'SubtitleFetcherOrder'
+];
+
+const isObject = (value: unknown): value is Record<string, unknown> => (
+    !!value && typeof value === 'object' && !Array.isArray(value)
+);
+
+const isStringList = (value: unknown) => (
+    Array.isArray(value) && value.every(item => typeof item === 'string')
+);
+
+/**
+ * Validates library options to be saved in a preset.
+ * The paths are left out, as the folders differ from one server to another.
+ * @throws {Error} If the value is not a library options object.
+ */
+export function validateLibraryOptions(value: unknown): LibraryOptions {
+    if (!isObject(value)) {
+        throw new Error('Invalid library options');
+    }
+
+    const options = { ...value };
+    delete options.PathInfos;
+
+    for (const key of STRING_LIST_OPTIONS) {
+        if (options[key] != null && !isStringList(options[key])) {
+            throw new Error(`Invalid library option: ${key}`);
+        }
+    }
+
+    if (options.TypeOptions != null
+        && (!Array.isArray(options.TypeOptions) || !options.TypeOptions.every(typeOptions => isObject(typeOptions) && typeof typeOptions.Type === 'string'))
+    ) {
+        throw new Error('Invalid library option: TypeOptions');
+    }
+
+    return options as LibraryOptions;
+}
+
+export function createLibraryOptionsPreset(name: string, collectionType: string, options: LibraryOptions): LibraryOptionsPreset {
+    return {
+        name: name.trim(),
+        collectionType,
+        options: validateLibraryOptions(options)
+    };
+}
+
+/**
+ * Adds a preset to a list of presets, replacing the preset with the same name.
+ * @returns The new list of presets.
+ */
+export function addLibraryOptionsPreset(presets: LibraryOptionsPreset[], preset: LibraryOptionsPreset) {
+    const name = preset.name.toLowerCase();
+    const index = presets.findIndex(p => p.name.toLowerCase() === name);
+
+    if (index === -1) {
+        return [ ...presets, preset ];
+    }
+
+    return presets.map((p, i) => (i === index ? preset : p));
+}
+
+/** Serializes a preset to be saved to a file and imported on another server */
+export function exportLibraryOptionsPreset(preset: LibraryOptionsPreset) {
+    return JSON.stringify({
+        Version: LIBRARY_OPTIONS_PRESET_VERSION,
+        ...preset
+    }, null, 2);
+}
+
+/**
+ * Parses and validates an exported preset.
+ * @throws {Error} If the value is not a valid preset.
+ */
+export function importLibraryOptionsPreset(json: string): LibraryOptionsPreset {
+    const exported = JSON.parse(json) as Partial<Record<keyof LibraryOptionsPreset | 'Version', unknown>> | null;
+
+    if (!exported || exported.Version !== LIBRARY_OPTIONS_PRESET_VERSION) {
+        throw new Error('Unsupported library options preset version');
+    }
+
+    if (typeof exported.name !== 'string' || !exported.name.trim()) {
+        throw new Error('Missing library options preset name');
+    }
+
+    return createLibraryOptionsPreset(
+        exported.name,
+        typeof exported.collectionType === 'string' ? exported.collectionType : '',
+        validateLibraryOptions(exported.options)
+    );
+}
@@ -9,6 +9,13 @@ import loading from '../loading/loading';
 import dialogHelper from '../dialogHelper/dialogHelper';
 import dom from '../../utils/dom';
 import libraryoptionseditor from '../libraryoptionseditor/libraryoptionseditor';
+import {
+    addLibraryOptionsPreset,
+    createLibraryOptionsPreset,
+    exportLibraryOptionsPreset,
+    importLibraryOptionsPreset
+} from '../libraryoptionseditor/libraryOptionsPresets.ts';
+import appSettings from '../../scripts/settings/appSettings';
 import globalize from '../../lib/globalize';
 import '../../elements/emby-button/emby-button';
 import '../../elements/emby-button/paper-icon-button-light';
@@ -21,6 +28,8 @@ import '../../styles/flexstyles.scss';
 import './style.scss';
 import toast from '../toast/toast';
 import alert from '../alert';
+import confirm from '../confirm/confirm';
+import { readFileAsText, saveFile, selectFile } from '../../utils/file.ts';
 import template from './mediaLibraryCreator.template.html';
 
 function onAddLibrary(e) {
@@ -82,38 +91,181 @@ function getCollectionTypeOptionsHtml(collectionTypeOptions) {
     }).join('');
 }
 
+function onCollectionTypeChange(dlg, collectionTypeOptions) {
+    const selectCollectionType = dlg.querySelector('#selectCollectionType');
+    const value = selectCollectionType.value;
+    const promise = libraryoptionseditor.setContentType(dlg.querySelector('.libraryOptions'), value);
+
+    if (value) {
+        dlg.querySelector('.libraryOptions').classList.remove('hide');
+    } else {
+        dlg.querySelector('.libraryOptions').classList.add('hide');
+    }
+
+    if (value != 'mixed') {
+        const index = selectCollectionType.selectedIndex;
+
+        if (index != -1) {
+            const name = selectCollectionType.options[index].innerHTML
+                .replaceAll('*', '')
+                .replaceAll('&amp;', '&');
+            dlg.querySelector('#txtValue').value = name;
+        }
+    }
+
+    const folderOption = collectionTypeOptions.find(i => i.value === value);
+    dlg.querySelector('.collectionTypeFieldDescription').innerHTML = folderOption?.message || '';
+
+    return promise;
+}
+
 function initEditor(page, collectionTypeOptions) {
     const selectCollectionType = page.querySelector('#selectCollectionType');
     selectCollectionType.innerHTML = getCollectionTypeOptionsHtml(collectionTypeOptions);
     selectCollectionType.value = '';
     selectCollectionType.addEventListener('change', function () {
-        const value = this.value;
-        const dlg = dom.parentWithClass(this, 'dialog');
-        libraryoptionseditor.setContentType(dlg.querySelector('.libraryOptions'), value);
-
-        if (value) {
-            dlg.querySelector('.libraryOptions').classList.remove('hide');
-        } else {
-            dlg.querySelector('.libraryOptions').classList.add('hide');
-        }
+        onCollectionTypeChange(dom.parentWithClass(this, 'dialog'), collectionTypeOptions);
+    });
+    page.querySelector('.btnAddFolder').addEventListener('click', onAddButtonClick);
+    page.querySelector('.addLibraryForm').addEventListener('submit', onAddLibrary);
+    page.querySelector('.folderList').addEventListener('click', onRemoveClick);
+    initPresets(page, collectionTypeOptions);
+}
+
+function getSelectedPreset(dlg) {
+    const name = dlg.querySelector('#selectLibraryOptionsPreset').value;
+    return appSettings.getLibraryOptionsPresets().find(preset => preset.name === name);
+}
+
+function renderPresets(dlg, selectedName) {
+    const selectPreset = dlg.querySelector('#selectLibraryOptionsPreset');
+    selectPreset.innerHTML = `<option value="">${globalize.translate('None')}</option>`
+        + appSettings.getLibraryOptionsPresets().map(preset => {
+            return `<option value="${escapeHtml(preset.name)}">${escapeHtml(preset.name)}</option>`;
+        }).join('');
+    selectPreset.value = selectedName || '';
+
+    const hasPreset = !!getSelectedPreset(dlg);
+    dlg.querySelector('.btnDeletePreset').classList.toggle('hide', !hasPreset);
+    dlg.querySelector('.btnExportPreset').classList.toggle('hide', !hasPreset);
+}
+
+function applyPreset(dlg, collectionTypeOptions, preset) {
+    const libraryOptions = dlg.querySelector('.libraryOptions');
+    const selectCollectionType = dlg.querySelector('#selectCollectionType');
+    let promise = Promise.resolve();
+
+    // The fetchers available depend on the content type, so it is switched to the one of the preset first
+    if (preset.collectionType
+        && preset.collectionType !== selectCollectionType.value
+        && collectionTypeOptions.some(i => i.value === preset.collectionType)
+    ) {
+        selectCollectionType.value = preset.collectionType;
+        promise = onCollectionTypeChange(dlg, collectionTypeOptions);
+    }
+
+    return promise.then(() => {
+        // Options missing from presets saved by older versions keep their current value
+        libraryoptionseditor.setLibraryOptions(libraryOptions, {
+            ...libraryoptionseditor.getLibraryOptions(libraryOptions),
+            ...preset.options
+        });
+    });
+}
+
+function savePresets(dlg, presets, selectedName) {
+    appSettings.setLibraryOptionsPresets(presets);
+    renderPresets(dlg, selectedName);
+}
 
-        if (value != 'mixed') {
-            const index = this.selectedIndex;
+function saveAsPreset(dlg) {
+    return import('../prompt/prompt').then(({ default: prompt }) => {
+        return prompt({
+            title: globalize.translate('SaveAsPreset'),
+            label: globalize.translate('LabelName'),
+            value: getSelectedPreset(dlg)?.name || ''
+        });
+    }).then(name => {
+        if (!name?.trim()) return;
+
+        const preset = createLibraryOptionsPreset(
+            name,
+            dlg.querySelector('#selectCollectionType').value,
+            libraryoptionseditor.getLibraryOptions(dlg.querySelector('.libraryOptions'))
+        );
+        savePresets(dlg, addLibraryOptionsPreset(appSettings.getLibraryOptionsPresets(), preset), preset.name);
+        toast(globalize.translate('MessageLibraryOptionsPresetSaved', preset.name));
+    });
+}
+
+function deletePreset(dlg, preset) {
+    return confirm({
+        title: globalize.translate('DeletePreset'),
+        text: globalize.translate('MessageConfirmDeletePreset', preset.name),
+        confirmText: globalize.translate('Delete'),
+        primary: 'delete'
+    }).then(() => {
+        savePresets(dlg, appSettings.getLibraryOptionsPresets().filter(({ name }) => name !== preset.name));
+    });
+}
 
-            if (index != -1) {
-                const name = this.options[index].innerHTML
-                    .replaceAll('*', '')
-                    .replaceAll('&amp;', '&');
-                dlg.querySelector('#txtValue').value = name;
+function importPreset(dlg, collectionTypeOptions) {
+    return selectFile('.json,application/json').then(file => {
+        // Nothing to import when the file picker is canceled
+        if (!file) return;
+
+        return readFileAsText(file).then(json => {
+            let preset;
+            try {
+                preset = importLibraryOptionsPreset(json);
+            } catch (err) {
+                console.error('[MediaLibraryCreator] failed to import the preset', err);
+                toast(globalize.translate('MessageLibraryOptionsPresetImportFailed'));
+                return;
             }
+
+            savePresets(dlg, addLibraryOptionsPreset(appSettings.getLibraryOptionsPresets(), preset), preset.name);
+            return applyPreset(dlg, collectionTypeOptions, preset);
+        });
+    });
+}
+
+function initPresets(dlg, collectionTypeOptions) {
+    renderPresets(dlg);
+
+    dlg.querySelector('#selectLibraryOptionsPreset').addEventListener('change', () => {
+        const preset = getSelectedPreset(dlg);
+        renderPresets(dlg, preset?.name);
+
+        if (preset) {
+            applyPreset(dlg, collectionTypeOptions, preset).catch(err => {
+                console.error('[MediaLibraryCreator] failed to apply the preset', err);
+            });
         }
+    });
 
-        const folderOption = collectionTypeOptions.find(i => i.value === value);
-        dlg.querySelector('.collectionTypeFieldDescription').innerHTML = folderOption?.message || '';
+    dlg.querySelector('.btnSavePreset').addEventListener('click', () => {
+        saveAsPreset(dlg).catch(() => {
+            // The prompt was cancelled
+        });
+    });
+
+    dlg.querySelector('.btnDeletePreset').addEventListener('click', () => {
+        deletePreset(dlg, getSelectedPreset(dlg)).catch(() => {
+            // The deletion was cancelled
+        });
+    });
+
+    dlg.querySelector('.btnExportPreset').addEventListener('click', () => {
+        const preset = getSelectedPreset(dlg);
+        saveFile(exportLibraryOptionsPreset(preset), `${preset.name.replace(/[^\w-]+/g, '_')}.library.json`);
+    });
+
+    dlg.querySelector('.btnImportPreset').addEventListener('click', () => {
+        importPreset(dlg, collectionTypeOptions).catch(err => {
+            console.error('[MediaLibraryCreator] failed to read the preset file', err);
+        });
     });
-    page.querySelector('.btnAddFolder').addEventListener('click', onAddButtonClick);
-    page.querySelector('.addLibraryForm').addEventListener('submit', onAddLibrary);
-    page.querySelector('.folderList').addEventListener('click', onRemoveClick);
 }
 
 function onAddButtonClick() {
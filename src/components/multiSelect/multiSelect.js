@@ -233,6 +233,15 @@ function showMenuForSelectedItems(e) {
                 });
             }
 
+            // as with refreshing, editing rights are checked on the first item
+            if (itemHelper.canEdit(user, firstItem)) {
+                menuItems.push({
+                    name: globalize.translate('EditMetadata'),
+                    id: 'editmetadata',
+                    icon: 'edit'
+                });
+            }
+
             import('../actionSheet/actionSheet').then((actionsheet) => {
                 actionsheet.show({
                     items: menuItems,
@@ -313,6 +322,24 @@ function showMenuForSelectedItems(e) {
                                 hideSelections();
                                 dispatchNeedsRefresh();
                                 break;
+                            case 'editmetadata': {
+                                // The selection is cleared before the items are saved
+                                const elements = selectedElements;
+                                import('../bulkMetadataEditor/bulkMetadataEditor').then(({ default: bulkMetadataEditor }) => {
+                                    return bulkMetadataEditor.show({
+                                        itemIds: items,
+                                        serverId: serverId
+                                    }).then(() => {
+                                        notifyRefreshNeeded(elements);
+                                    }, () => {
+                                        // Dialog closed
+                                    });
+                                }).catch(err => {
+                                    console.error('[BulkMetadataEditor] failed to load bulk metadata editor', err);
+                                });
+                                hideSelections();
+                                break;
+                            }
                             default:
                                 break;
                         }
@@ -324,9 +351,13 @@ function showMenuForSelectedItems(e) {
 }
 
 function dispatchNeedsRefresh() {
+    notifyRefreshNeeded(selectedElements);
+}
+
+function notifyRefreshNeeded(elements) {
     const elems = [];
 
-    [].forEach.call(selectedElements, i => {
+    [].forEach.call(elements, i => {
         const container = dom.parentWithAttribute(i, 'is', 'emby-itemscontainer');
 
         if (container && !elems.includes(container)) {
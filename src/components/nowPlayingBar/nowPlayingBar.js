@@ -533,6 +533,8 @@ function updateNowPlayingInfo(state) {
                     queue: false,
                     stopPlayback: true,
                     clearQueue: true,
+                    exportQueue: true,
+                    importQueue: true,
                     positionTo: contextButton
                 };
                 apiClient.getCurrentUser().then(function (user) {
@@ -24,6 +24,8 @@ import { getItemBackdropImageUrl } from '../../utils/jellyfin-apiclient/backdrop
 import { PlayerEvent } from 'apps/stable/features/playback/constants/playerEvent';
 import { bindMediaSegmentManager } from 'apps/stable/features/playback/utils/mediaSegmentManager';
 import { bindMediaSessionSubscriber } from 'apps/stable/features/playback/utils/mediaSessionSubscriber';
+import { bindPlayQueuePersistence } from 'apps/stable/features/playback/utils/playQueuePersistence';
+import { createPlayQueueSnapshot, restorePlayQueueItems } from 'apps/stable/features/playback/utils/playQueueSnapshot';
 import { AppFeature } from 'constants/appFeature';
 import { ServerConnections } from 'lib/jellyfin-apiclient';
 import { MediaError } from 'types/mediaError';
@@ -915,14 +917,18 @@ export class PlaybackManager {
             return Promise.resolve(self._playQueueManager.getPlaylist());
         };
 
-        self.promptToSkip = function (mediaSegment, player) {
+        self.promptToSkip = function (mediaSegment, player, skipAfterCountdown) {
             player = player || self._currentPlayer;
 
             if (mediaSegment && this._skipSegment) {
-                Events.trigger(player, PlayerEvent.PromptSkip, [mediaSegment]);
+                Events.trigger(player, PlayerEvent.PromptSkip, [mediaSegment, !!skipAfterCountdown]);
             }
         };
 
+        self.skipPromptedSegment = function (mediaSegment) {
+            this._mediaSegmentManager?.skipPromptedSegment(mediaSegment);
+        };
+
         function removeCurrentPlayer(player) {
             const previousPlayer = self._currentPlayer;
 
@@ -1636,6 +1642,38 @@ export class PlaybackManager {
             }
         };
 
+        self.supportSubtitleAutoAlign = function (player) {
+            player = player || self._currentPlayer;
+            return !!player && 'getAudioAnalyser' in player && !!player.canAutoAlignSubtitles?.();
+        };
+
+        self.getAudioAnalyser = function (player) {
+            player = player || self._currentPlayer;
+            if (player.getAudioAnalyser) {
+                return player.getAudioAnalyser();
+            }
+
+            return null;
+        };
+
+        self.getSubtitleTrackEvents = function (player) {
+            player = player || self._currentPlayer;
+            if (player.getSubtitleTrackEvents) {
+                return player.getSubtitleTrackEvents();
+            }
+
+            return Promise.resolve([]);
+        };
+
+        self.revealSecondarySubtitles = function (x, y, player) {
+            player = player || self._currentPlayer;
+            if (player?.revealSecondarySubtitles) {
+                return player.revealSecondarySubtitles(x, y);
+            }
+
+            return false;
+        };
+
         self.canHandleOffsetOnCurrentSubtitle = function (player) {
             const index = self.getSubtitleStreamIndex(player);
             return index !== -1 && self.isSubtitleStreamExternal(index, player);
@@ -1662,6 +1700,49 @@ export class PlaybackManager {
             return this.seek(ticks, player);
         };
 
+        /**
+         * Repeats a range of the current item (A/B repeat) until it is cleared or the item changes.
+         * @param {import('apps/stable/features/playback/types/loopRange').LoopRange|null} loopRange - The range to repeat or null to clear it.
+         * @param {Object} [player] - The player.
+         */
+        self.setLoopRange = function (loopRange, player) {
+            player = player || self._currentPlayer;
+            if (!player?.isLocalPlayer) {
+                return;
+            }
+
+            const playerData = getPlayerData(player);
+
+            if (loopRange && loopRange.EndTicks > loopRange.StartTicks) {
+                playerData.loopRange = {
+                    StartTicks: Math.max(0, loopRange.StartTicks),
+                    EndTicks: loopRange.EndTicks
+                };
+            } else {
+                playerData.loopRange = null;
+            }
+
+            Events.trigger(player, PlayerEvent.LoopRangeChange, [playerData.loopRange]);
+        };
+
+        self.getLoopRange = function (player) {
+            player = player || self._currentPlayer;
+            if (!player) {
+                return null;
+            }
+
+            return getPlayerData(player).loopRange || null;
+        };
+
+        function clearLoopRange(player) {
+            const playerData = getPlayerData(player);
+
+            if (playerData.loopRange) {
+                playerData.loopRange = null;
+                Events.trigger(player, PlayerEvent.LoopRangeChange, [null]);
+            }
+        }
+
         // Returns true if the player can seek using native client-side seeking functions
         function canPlayerSeek(player) {
             if (!player) {
@@ -2118,6 +2199,42 @@ export class PlaybackManager {
             return playWithIntros(items, options);
         };
 
+        self.restorePlayQueue = async function (snapshot) {
+            const idsByServer = {};
+            for (const { Id, ServerId } of snapshot.Items) {
+                idsByServer[ServerId] = idsByServer[ServerId] || new Set();
+                idsByServer[ServerId].add(Id);
+            }
+
+            const results = await Promise.all(Object.keys(idsByServer).map(serverId => {
+                return getItemsForPlayback(serverId, {
+                    Ids: Array.from(idsByServer[serverId]).join(','),
+                    Limit: UNLIMITED_ITEMS
+                });
+            }));
+
+            const { items, sortedItems, startIndex, positionTicks } = restorePlayQueueItems(snapshot, results.flatMap(result => result.Items));
+
+            if (!items.length) {
+                showPlaybackInfoErrorMessage(self, `PlaybackError.${MediaError.NO_MEDIA_ERROR}`);
+                return Promise.reject();
+            }
+
+            const playOptions = getDefaultPlayOptions();
+            playOptions.startPositionTicks = positionTicks;
+
+            return playInternal(items[startIndex], playOptions, function () {
+                self._playQueueManager.setPlaylist(items);
+                self._playQueueManager.setRepeatMode(snapshot.RepeatMode);
+                if (sortedItems.length) {
+                    self._playQueueManager.restoreShuffledPlaylist(sortedItems);
+                }
+
+                setPlaylistState(items[startIndex].PlaylistItemId, startIndex);
+                loading.hide();
+            });
+        };
+
         function getPlayerData(player) {
             if (!player) {
                 throw new Error('player cannot be null');
@@ -3250,6 +3367,7 @@ export class PlaybackManager {
             }
 
             setCurrentPlayerInternal(player);
+            clearLoopRange(player);
 
             const playerData = getPlayerData(player);
 
@@ -3289,6 +3407,7 @@ export class PlaybackManager {
         function onPlaybackStartedFromSelfManagingPlayer(e, item, mediaSource) {
             const player = this;
             setCurrentPlayerInternal(player);
+            clearLoopRange(player);
 
             const playOptions = item.playOptions || getDefaultPlayOptions();
             const isFirstItem = playOptions.isFirstItem;
@@ -3536,6 +3655,12 @@ export class PlaybackManager {
         function onPlaybackTimeUpdate() {
             const player = this;
             sendProgressUpdate(player, 'timeupdate');
+
+            const playerData = getPlayerData(player);
+            const loopRange = playerData.loopRange;
+            if (loopRange && !playerData.isChangingStream && getCurrentTicks(player) >= loopRange.EndTicks) {
+                self.seek(loopRange.StartTicks, player);
+            }
         }
 
         function onPlaybackPause() {
@@ -3709,7 +3834,7 @@ export class PlaybackManager {
             });
         }
 
-        bindMediaSegmentManager(self);
+        this._mediaSegmentManager = bindMediaSegmentManager(self);
         this._skipSegment = bindSkipSegment(self);
     }
 
@@ -3729,6 +3854,26 @@ export class PlaybackManager {
         return this._playQueueManager.getNextItemInfo();
     }
 
+    getPlayQueueSnapshot(player = this._currentPlayer) {
+        if (!player || !enableLocalPlaylistManagement(player)) {
+            return null;
+        }
+
+        const items = this._playQueueManager.getPlaylist();
+        if (!items.length || !items.every(isServerItem)) {
+            return null;
+        }
+
+        return createPlayQueueSnapshot({
+            items,
+            sortedItems: this._playQueueManager.getSortedPlaylist(),
+            currentIndex: this._playQueueManager.getCurrentPlaylistIndex(),
+            positionTicks: this.isPlaying(player) ? this.getCurrentTicks(player) : 0,
+            repeatMode: this._playQueueManager.getRepeatMode(),
+            shuffleMode: this._playQueueManager.getShuffleMode()
+        });
+    }
+
     nextItem(player = this._currentPlayer) {
         if (player && !enableLocalPlaylistManagement(player)) {
             return player.nextItem();
@@ -4274,8 +4419,8 @@ export class PlaybackManager {
 }
 
 export const playbackManager = new PlaybackManager();
-bindMediaSegmentManager(playbackManager);
 bindMediaSessionSubscriber(playbackManager);
+bindPlayQueuePersistence(playbackManager);
 
 window.addEventListener('beforeunload', function () {
     try {
@@ -76,6 +76,16 @@ class PlayQueueManager {
         this._shuffleMode = 'Sorted';
     }
 
+    getSortedPlaylist() {
+        return this._sortedPlaylist.slice(0);
+    }
+
+    restoreShuffledPlaylist(sortedItems) {
+        // The playlist is already in shuffled order, only the original order needs to be kept
+        this._sortedPlaylist = sortedItems.slice(0);
+        this._shuffleMode = 'Shuffle';
+    }
+
     clearPlaylist(clearCurrentItem = false) {
         const currentPlaylistItem = this._playlist.splice(this.getCurrentPlaylistIndex(), 1)[0];
         this._playlist = [];
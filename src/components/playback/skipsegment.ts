@@ -12,6 +12,9 @@ import * as userSettings from 'scripts/settings/userSettings';
 import focusManager from 'components/focusManager';
 import layoutManager from 'components/layoutManager';
 
+/** The number of seconds the skip prompt is shown for, or counts down before the segment is skipped */
+const PROMPT_DURATION = 8;
+
 interface ShowOptions {
     animate?: boolean;
     keep?: boolean;
@@ -35,13 +38,17 @@ function onHideComplete(this: HTMLButtonElement) {
 
 class SkipSegment extends PlaybackSubscriber {
     private skipElement: HTMLButtonElement | null;
+    private dismissElement: HTMLButtonElement | null;
     private currentSegment: MediaSegmentDto | null | undefined;
-    private hideTimeout: ReturnType<typeof setTimeout> | null | undefined;
+    private skipAfterCountdown = false;
+    private promptTimeout: ReturnType<typeof setTimeout> | null | undefined;
+    private countdownInterval: ReturnType<typeof setInterval> | null | undefined;
 
     constructor(playbackManager: PlaybackManager) {
         super(playbackManager);
 
         this.skipElement = null;
+        this.dismissElement = null;
         this.onOsdChanged = this.onOsdChanged.bind(this);
     }
 
@@ -50,22 +57,33 @@ class SkipSegment extends PlaybackSubscriber {
             let buttonHtml = '';
 
             // FIXME: Move skip button to the video OSD
-            buttonHtml += '<div class="skip-button-container"><button is="emby-button" class="skip-button hide skip-button-hidden"></button></div>';
+            buttonHtml += '<div class="skip-button-container">';
+            buttonHtml += '<button is="emby-button" class="skip-button hide skip-button-hidden"></button>';
+            buttonHtml += `<button is="paper-icon-button-light" class="skip-button-dismiss hide" title="${globalize.translate('ButtonClose')}"><span class="material-icons close" aria-hidden="true"></span></button>`;
+            buttonHtml += '</div>';
 
             document.body.insertAdjacentHTML('beforeend', buttonHtml);
 
             this.skipElement = document.body.querySelector('.skip-button');
-            if (this.skipElement) {
-                this.skipElement.addEventListener('click', () => {
-                    const time = this.playbackManager.currentTime() * TICKS_PER_MILLISECOND;
-                    if (this.currentSegment?.EndTicks) {
-                        if (time < this.currentSegment.EndTicks - TICKS_PER_SECOND) {
-                            this.playbackManager.seek(this.currentSegment.EndTicks);
-                        } else {
-                            this.hideSkipButton();
-                        }
-                    }
-                });
+            this.skipElement?.addEventListener('click', () => {
+                this.skipCurrentSegment();
+            });
+
+            // Dismissing the prompt stops the countdown, so the segment is not skipped
+            this.dismissElement = document.body.querySelector('.skip-button-dismiss');
+            this.dismissElement?.addEventListener('click', () => {
+                this.hideSkipButton();
+            });
+        }
+    }
+
+    skipCurrentSegment() {
+        const time = this.playbackManager.currentTime() * TICKS_PER_MILLISECOND;
+        if (this.currentSegment?.EndTicks) {
+            if (time < this.currentSegment.EndTicks - TICKS_PER_SECOND) {
+                this.playbackManager.seek(this.currentSegment.EndTicks);
+            } else {
+                this.hideSkipButton();
             }
         }
     }
@@ -74,13 +92,32 @@ class SkipSegment extends PlaybackSubscriber {
         if (this.skipElement && this.currentSegment) {
             this.skipElement.innerHTML = globalize.translate('MediaSegmentSkipPrompt', globalize.translate(`MediaSegmentType.${this.currentSegment.Type}`));
             this.skipElement.innerHTML += '<span class="material-icons skip_next" aria-hidden="true"></span>';
+            this.skipElement.innerHTML += '<span class="skip-button-countdown"></span>';
         }
     }
 
+    setCountdown(seconds: number | null) {
+        const countdownElement = this.skipElement?.querySelector('.skip-button-countdown');
+        if (countdownElement) {
+            countdownElement.textContent = seconds ? seconds.toString() : '';
+        }
+    }
+
+    startCountdown() {
+        let seconds = PROMPT_DURATION;
+        this.setCountdown(seconds);
+        this.dismissElement?.classList.remove('hide');
+
+        this.countdownInterval = setInterval(() => {
+            seconds--;
+            this.setCountdown(seconds > 0 ? seconds : null);
+        }, 1000);
+    }
+
     showSkipButton(options: ShowOptions) {
         const elem = this.skipElement;
         if (elem) {
-            this.clearHideTimeout();
+            this.clearCountdown();
             dom.removeEventListener(elem, dom.whichTransitionEvent(), onHideComplete, {
                 once: true
             });
@@ -102,8 +139,21 @@ class SkipSegment extends PlaybackSubscriber {
             requestAnimationFrame(() => {
                 elem.classList.remove('skip-button-hidden');
 
-                if (!options.keep) {
-                    this.hideTimeout = setTimeout(this.hideSkipButton.bind(this), 8000);
+                if (options.keep) {
+                    return;
+                }
+
+                if (this.skipAfterCountdown) {
+                    this.startCountdown();
+                    this.promptTimeout = setTimeout(() => {
+                        this.clearCountdown();
+                        if (this.currentSegment) {
+                            // The segment manager skips it, so the skip can be undone
+                            this.playbackManager.skipPromptedSegment(this.currentSegment);
+                        }
+                    }, PROMPT_DURATION * 1000);
+                } else {
+                    this.promptTimeout = setTimeout(this.hideSkipButton.bind(this), PROMPT_DURATION * 1000);
                 }
             });
         }
@@ -112,6 +162,8 @@ class SkipSegment extends PlaybackSubscriber {
     hideSkipButton() {
         const elem = this.skipElement;
         if (elem) {
+            this.clearCountdown();
+
             elem.classList.remove('no-transition');
             // eslint-disable-next-line sonarjs/void-use
             void elem.offsetWidth;
@@ -126,11 +178,19 @@ class SkipSegment extends PlaybackSubscriber {
         }
     }
 
-    clearHideTimeout() {
-        if (this.hideTimeout) {
-            clearTimeout(this.hideTimeout);
-            this.hideTimeout = null;
+    clearCountdown() {
+        if (this.promptTimeout) {
+            clearTimeout(this.promptTimeout);
+            this.promptTimeout = null;
         }
+
+        if (this.countdownInterval) {
+            clearInterval(this.countdownInterval);
+            this.countdownInterval = null;
+        }
+
+        this.setCountdown(null);
+        this.dismissElement?.classList.add('hide');
     }
 
     onOsdChanged(_e: Event, isOpen: boolean) {
@@ -141,13 +201,13 @@ class SkipSegment extends PlaybackSubscriber {
                     keep: true,
                     focus: false
                 });
-            } else if (!this.hideTimeout) {
+            } else if (!this.promptTimeout) {
                 this.hideSkipButton();
             }
         }
     }
 
-    onPromptSkip(e: Event, segment: MediaSegmentDto) {
+    onPromptSkip(e: Event, segment: MediaSegmentDto, skipAfterCountdown?: boolean) {
         if (this.player && segment.EndTicks != null
             && segment.EndTicks >= this.playbackManager.currentItem(this.player).RunTimeTicks
             && this.playbackManager.getNextItem()
@@ -158,6 +218,7 @@ class SkipSegment extends PlaybackSubscriber {
         }
         if (!this.currentSegment) {
             this.currentSegment = segment;
+            this.skipAfterCountdown = !!skipAfterCountdown;
 
             this.createSkipElement();
 
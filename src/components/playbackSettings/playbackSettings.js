@@ -1,10 +1,13 @@
+import { CollectionType } from '@jellyfin/sdk/lib/generated-client/models/collection-type';
 import { MediaSegmentType } from '@jellyfin/sdk/lib/generated-client/models/media-segment-type';
+import { getUserViewsApi } from '@jellyfin/sdk/lib/utils/api/user-views-api';
 import escapeHTML from 'escape-html';
 
 import { MediaSegmentAction } from 'apps/stable/features/playback/constants/mediaSegmentAction';
-import { getId, getMediaSegmentAction } from 'apps/stable/features/playback/utils/mediaSegmentSettings';
+import { getId, getLibraryMediaSegmentAction, getMediaSegmentAction } from 'apps/stable/features/playback/utils/mediaSegmentSettings';
 import { AppFeature } from 'constants/appFeature';
 import { ServerConnections } from 'lib/jellyfin-apiclient';
+import { toApi } from 'utils/jellyfin-apiclient/compat';
 
 import appSettings from '../../scripts/settings/appSettings';
 import { appHost } from '../apphost';
@@ -33,6 +36,19 @@ function fillSkipLengths(select) {
     }).join('');
 }
 
+function fillCrossfadeDurations(select) {
+    const options = [0, 1, 2, 3, 4, 5, 6, 8, 10, 12];
+
+    select.innerHTML = options.map(option => {
+        return {
+            name: option ? globalize.translate('ValueSeconds', option) : globalize.translate('Off'),
+            value: option
+        };
+    }).map(o => {
+        return `<option value="${o.value}">${o.name}</option>`;
+    }).join('');
+}
+
 function populateLanguages(select, languages) {
     let html = '';
 
@@ -47,40 +63,98 @@ function populateLanguages(select, languages) {
     select.innerHTML = html;
 }
 
-function populateMediaSegments(container, userSettings) {
-    const selectedValues = {};
-    const actionOptions = Object.values(MediaSegmentAction)
+// Libraries that cannot contain media segments
+const EXCLUDED_SEGMENT_COLLECTION_TYPES = [
+    CollectionType.Books,
+    CollectionType.Boxsets,
+    CollectionType.Photos,
+    CollectionType.Playlists
+];
+
+function getMediaSegmentActionOptions(enableUseDefault) {
+    let html = '';
+
+    if (enableUseDefault) {
+        html += `<option value=''>${globalize.translate('MediaSegmentActionUseDefault')}</option>`;
+    }
+
+    html += Object.values(MediaSegmentAction)
         .map(action => {
             const actionLabel = globalize.translate(`MediaSegmentAction.${action}`);
             return `<option value='${action}'>${actionLabel}</option>`;
         })
         .join('');
 
-    const segmentSettings = [
-        // List the types in a logical order (and exclude "Unknown" type)
-        MediaSegmentType.Intro,
-        MediaSegmentType.Preview,
-        MediaSegmentType.Recap,
-        MediaSegmentType.Commercial,
-        MediaSegmentType.Outro
-    ].map(segmentType => {
-        const segmentTypeLabel = globalize.translate('LabelMediaSegmentsType', globalize.translate(`MediaSegmentType.${segmentType}`));
-        const id = getId(segmentType);
-        selectedValues[id] = getMediaSegmentAction(userSettings, segmentType);
-        return `<div class="selectContainer">
+    return html;
+}
+
+function populateMediaSegments(container, userSettings, libraries = []) {
+    const selectedValues = {};
+
+    const segmentSettings = [ null, ...libraries.map(library => library.Id) ].map(libraryId => {
+        const actionOptions = getMediaSegmentActionOptions(!!libraryId);
+
+        const selectsHtml = [
+            // List the types in a logical order (and exclude "Unknown" type)
+            MediaSegmentType.Intro,
+            MediaSegmentType.Preview,
+            MediaSegmentType.Recap,
+            MediaSegmentType.Commercial,
+            MediaSegmentType.Outro
+        ].map(segmentType => {
+            const segmentTypeLabel = globalize.translate('LabelMediaSegmentsType', globalize.translate(`MediaSegmentType.${segmentType}`));
+            const id = getId(segmentType, libraryId);
+            selectedValues[id] = libraryId ?
+                getLibraryMediaSegmentAction(userSettings, segmentType, libraryId) || '' :
+                getMediaSegmentAction(userSettings, segmentType);
+            return `<div class="selectContainer">
 <select is="emby-select" id="${id}" class="segmentTypeAction" label="${segmentTypeLabel}">
     ${actionOptions}
 </select>
 </div>`;
+        }).join('');
+
+        return `<div class="mediaSegmentLibraryActions${libraryId ? ' hide' : ''}" data-libraryid="${libraryId || ''}">${selectsHtml}</div>`;
     }).join('');
 
-    container.innerHTML = segmentSettings;
+    let libraryOptions = `<option value=''>${globalize.translate('AllLibraries')}</option>`;
+    libraryOptions += libraries
+        .map(library => `<option value='${library.Id}'>${escapeHTML(library.Name)}</option>`)
+        .join('');
+
+    container.innerHTML = `<div class="selectContainer${libraries.length ? '' : ' hide'}">
+<select is="emby-select" class="selectMediaSegmentLibrary" label="${globalize.translate('LabelLibrary')}">
+    ${libraryOptions}
+</select>
+<div class="fieldDescription">${globalize.translate('MediaSegmentLibraryHelp')}</div>
+</div>
+${segmentSettings}`;
 
     Object.entries(selectedValues)
         .forEach(([id, value]) => {
             const field = container.querySelector(`#${id}`);
             if (field) field.value = value;
         });
+
+    container.querySelector('.selectMediaSegmentLibrary').addEventListener('change', e => {
+        const libraryId = e.target.value;
+        container.querySelectorAll('.mediaSegmentLibraryActions').forEach(elem => {
+            elem.classList.toggle('hide', elem.getAttribute('data-libraryid') !== libraryId);
+        });
+    });
+}
+
+function loadMediaSegments(container, user, userSettings, apiClient) {
+    getUserViewsApi(toApi(apiClient))
+        .getUserViews({ userId: user.Id })
+        .then(({ data }) => (data.Items || []).filter(library => !EXCLUDED_SEGMENT_COLLECTION_TYPES.includes(library.CollectionType)))
+        .catch(err => {
+            console.error('[PlaybackSettings] failed to fetch libraries', err);
+            return [];
+        })
+        .then(libraries => {
+            populateMediaSegments(container, userSettings, libraries);
+        });
 }
 
 function fillQuality(select, isInNetwork, mediatype, maxVideoWidth) {
@@ -232,6 +306,7 @@ function loadForm(context, user, userSettings, systemInfo, apiClient) {
     context.querySelector('.chkEnableHi10p').checked = appSettings.enableHi10p();
     context.querySelector('.chkEnableCinemaMode').checked = userSettings.enableCinemaMode();
     context.querySelector('#selectAudioNormalization').value = userSettings.selectAudioNormalization();
+    context.querySelector('.chkEnableGaplessPlayback').checked = userSettings.enableGaplessPlayback();
     context.querySelector('.chkEnableNextVideoOverlay').checked = userSettings.enableNextVideoInfoOverlay();
     context.querySelector('.chkRememberAudioSelections').checked = user.Configuration.RememberAudioSelections || false;
     context.querySelector('.chkRememberSubtitleSelections').checked = user.Configuration.RememberSubtitleSelections || false;
@@ -268,8 +343,12 @@ function loadForm(context, user, userSettings, systemInfo, apiClient) {
     fillSkipLengths(selectSkipBackLength);
     selectSkipBackLength.value = userSettings.skipBackLength();
 
+    const selectCrossfadeDuration = context.querySelector('.selectCrossfadeDuration');
+    fillCrossfadeDurations(selectCrossfadeDuration);
+    selectCrossfadeDuration.value = userSettings.crossfadeDuration();
+
     const mediaSegmentContainer = context.querySelector('.mediaSegmentActionContainer');
-    populateMediaSegments(mediaSegmentContainer, userSettings);
+    loadMediaSegments(mediaSegmentContainer, user, userSettings, apiClient);
 
     loading.hide();
 }
@@ -303,6 +382,8 @@ function saveUser(context, user, userSettingsInstance, apiClient) {
     userSettingsInstance.limitSegmentLength(context.querySelector('.chkLimitSegmentLength').checked);
     userSettingsInstance.enableCinemaMode(context.querySelector('.chkEnableCinemaMode').checked);
     userSettingsInstance.selectAudioNormalization(context.querySelector('#selectAudioNormalization').value);
+    userSettingsInstance.enableGaplessPlayback(context.querySelector('.chkEnableGaplessPlayback').checked);
+    userSettingsInstance.crossfadeDuration(context.querySelector('.selectCrossfadeDuration').value);
     userSettingsInstance.enableNextVideoInfoOverlay(context.querySelector('.chkEnableNextVideoOverlay').checked);
     user.Configuration.RememberAudioSelections = context.querySelector('.chkRememberAudioSelections').checked;
     user.Configuration.RememberSubtitleSelections = context.querySelector('.chkRememberSubtitleSelections').checked;
@@ -0,0 +1,310 @@
+/**
+ * Module for finding the recordings that need more tuners than available, and resolving the conflicts.
+ * @module components/recordingcreator/conflictresolver
+ */
+
+import escapeHtml from 'escape-html';
+
+import dialogHelper from '../dialogHelper/dialogHelper';
+import globalize from '../../lib/globalize';
+import { ServerConnections } from 'lib/jellyfin-apiclient';
+import layoutManager from '../layoutManager';
+import loading from '../loading/loading';
+import toast from '../toast/toast';
+import datetime from '../../scripts/datetime';
+import {
+    getAlternateAirings,
+    getRecordingConflict,
+    getTimeline,
+    getTunerCount,
+    isActiveTimer
+} from './recordingConflicts.ts';
+
+import '../../elements/emby-button/emby-button';
+import '../../elements/emby-button/paper-icon-button-light';
+import '../formdialog.scss';
+import '../listview/listview.scss';
+import './recordingcreator.scss';
+import 'material-design-icons-iconfont';
+import template from './conflictresolver.template.html';
+
+/** The number of programs searched for other airings of a recording */
+const AIRINGS_SEARCH_LIMIT = 100;
+
+function getServerTunerCount(apiClient) {
+    // Only administrators can read the tuner configuration, conflicts are not checked for other users
+    return apiClient.getNamedConfiguration('livetv').then(function (config) {
+        return getTunerCount(config.TunerHosts || []);
+    }, function () {
+        return null;
+    });
+}
+
+/**
+ * Finds the scheduled recordings that need more tuners than available.
+ * @param {Object} apiClient - Api client of the server.
+ * @param {Function} filter - Selects the timers to check.
+ * @returns {Promise<Array<Object>>} Promise resolved with the conflicting timers, as objects with the `timer` and its `conflict`.
+ */
+export function findConflicts(apiClient, filter) {
+    return Promise.all([
+        getServerTunerCount(apiClient),
+        apiClient.getLiveTvTimers()
+    ]).then(function ([tunerCount, result]) {
+        if (!tunerCount) {
+            return [];
+        }
+
+        const timers = result.Items || [];
+
+        return timers
+            .filter(timer => isActiveTimer(timer) && filter(timer))
+            .map(timer => ({ timer, conflict: getRecordingConflict(timer, timers, tunerCount) }))
+            .filter(({ conflict }) => conflict);
+    });
+}
+
+function getTimeText(item) {
+    const startDate = datetime.parseISO8601Date(item.StartDate, { toLocal: true });
+    const endDate = datetime.parseISO8601Date(item.EndDate, { toLocal: true });
+
+    return [
+        datetime.toLocaleDateString(startDate, { weekday: 'short', month: 'short', day: 'numeric' }),
+        datetime.getDisplayTime(startDate) + ' - ' + datetime.getDisplayTime(endDate),
+        item.ChannelName
+    ].filter(Boolean).join(' · ');
+}
+
+function getTimelineHtml(timer, conflict) {
+    return getTimeline([timer, ...conflict.timers]).map(function ({ timer: rowTimer, left, width }, index) {
+        const barClass = index ? 'recordingConflictTimelineBar' : 'recordingConflictTimelineBar recordingConflictTimelineBar-current';
+
+        let html = '<div class="recordingConflictTimelineRow">';
+        html += `<div class="recordingConflictTimelineLabel" title="${escapeHtml(getTimeText(rowTimer))}">${escapeHtml(rowTimer.Name)}</div>`;
+        html += `<div class="recordingConflictTimelineTrack"><div class="${barClass}" style="left:${left}%;width:${width}%;"></div></div>`;
+        html += '</div>';
+        return html;
+    }).join('');
+}
+
+function getTimerHtml(timer) {
+    let html = '<div class="listItem">';
+    html += '<div class="listItemBody two-line">';
+    html += `<div class="listItemBodyText">${escapeHtml(timer.Name)}</div>`;
+    html += `<div class="listItemBodyText secondary">${escapeHtml(getTimeText(timer))}</div>`;
+    html += '</div>';
+    html += `<button is="emby-button" type="button" class="button-flat btnCancelTimer" data-timerid="${timer.Id}">`;
+    html += `<span>${globalize.translate('HeaderCancelRecording')}</span>`;
+    html += '</button>';
+    html += '</div>';
+    return html;
+}
+
+function getAiringHtml(program) {
+    let html = `<button is="emby-button" type="button" class="button-flat block btnRecordAiring" data-programid="${program.Id}">`;
+    html += '<span class="material-icons fiber_manual_record" aria-hidden="true"></span>';
+    html += `<span>${escapeHtml(getTimeText(program))}</span>`;
+    html += '</button>';
+    return html;
+}
+
+function render(context, timer, conflict, conflictCount) {
+    context.querySelector('.recordingConflictMessage').innerText = globalize.translate(
+        'MessageRecordingConflict', timer.Name, conflict.maxConcurrent, conflict.tunerCount);
+
+    const seriesMessage = context.querySelector('.recordingConflictSeriesMessage');
+    if (conflictCount > 1) {
+        seriesMessage.innerText = globalize.translate('MessageSeriesRecordingConflicts', conflictCount);
+        seriesMessage.classList.remove('hide');
+    } else {
+        seriesMessage.classList.add('hide');
+    }
+
+    context.querySelector('.recordingConflictTimeline').innerHTML = getTimelineHtml(timer, conflict);
+    context.querySelector('.recordingConflictTimers').innerHTML = conflict.timers.map(getTimerHtml).join('');
+}
+
+function loadAlternateAirings(context, apiClient, timer, tunerCount) {
+    const container = context.querySelector('.recordingConflictAirings');
+
+    Promise.all([
+        apiClient.getItems(apiClient.getCurrentUserId(), {
+            SearchTerm: timer.Name,
+            IncludeItemTypes: 'LiveTvProgram',
+            Recursive: true,
+            SortBy: 'StartDate',
+            Limit: AIRINGS_SEARCH_LIMIT,
+            Fields: 'ChannelInfo',
+            EnableImages: false,
+            EnableUserData: false,
+            EnableTotalRecordCount: false
+        }),
+        apiClient.getLiveTvTimers()
+    ]).then(function ([programs, timers]) {
+        const airings = getAlternateAirings(timer, programs.Items || [], timers.Items || [], tunerCount);
+
+        container.innerHTML = airings.length ?
+            airings.map(getAiringHtml).join('') :
+            globalize.translate('NoAlternateAirings');
+    }).catch(function (err) {
+        console.error('[ConflictResolver] failed to load the other airings', err);
+        container.innerHTML = globalize.translate('NoAlternateAirings');
+    });
+}
+
+function onResolveFailed(err) {
+    console.error('[ConflictResolver] failed to resolve the recording conflict', err);
+    toast(globalize.translate('ErrorDefault'));
+}
+
+function lowerPriority(apiClient, timer, conflict) {
+    const priority = Math.min(...conflict.timers.map(t => t.Priority || 0)) - 1;
+
+    // The timers of a series follow the priority of their series
+    if (timer.SeriesTimerId) {
+        return apiClient.getLiveTvSeriesTimer(timer.SeriesTimerId).then(function (seriesTimer) {
+            return apiClient.updateLiveTvSeriesTimer({ ...seriesTimer, Priority: priority });
+        });
+    }
+
+    return apiClient.getLiveTvTimer(timer.Id).then(function (item) {
+        return apiClient.updateLiveTvTimer({ ...item, Priority: priority });
+    });
+}
+
+function recordAiring(apiClient, timer, programId) {
+    return apiClient.cancelLiveTvTimer(timer.Id).then(function () {
+        return apiClient.getNewLiveTvTimerDefaults({ programId: programId });
+    }).then(function (defaults) {
+        return apiClient.createLiveTvTimer(defaults);
+    });
+}
+
+/**
+ * Shows a conflict between recordings with the ways to resolve it.
+ * @param {Object} options - Options of the dialog.
+ * @param {string} options.serverId - Id of the server.
+ * @param {Object} options.timer - The conflicting timer.
+ * @param {Object} options.conflict - The conflict as returned by `findConflicts`.
+ * @param {number} [options.conflictCount] - The number of conflicting timers of the series of the timer.
+ * @returns {Promise} Promise resolved once the conflict is resolved, or rejected if the dialog is closed without change.
+ */
+export function show(options) {
+    return new Promise(function (resolve, reject) {
+        const apiClient = ServerConnections.getApiClient(options.serverId);
+        const timer = options.timer;
+        let conflict = options.conflict;
+        let changed = false;
+
+        const dlg = dialogHelper.createDialog({
+            removeOnClose: true,
+            scrollY: false,
+            size: layoutManager.tv ? 'fullscreen' : 'small'
+        });
+
+        dlg.classList.add('formDialog', 'recordingConflictDialog');
+        dlg.innerHTML = globalize.translateHtml(template, 'core');
+
+        const resolveWith = function (promise, message) {
+            loading.show();
+
+            return promise.then(function () {
+                changed = true;
+                toast(globalize.translate(message));
+            }).finally(function () {
+                loading.hide();
+            });
+        };
+
+        dlg.querySelector('.recordingConflictTimers').addEventListener('click', function (e) {
+            const button = e.target.closest('.btnCancelTimer');
+            if (!button) return;
+
+            const timerId = button.getAttribute('data-timerid');
+            resolveWith(apiClient.cancelLiveTvTimer(timerId), 'RecordingCancelled').then(function () {
+                // Other recordings may still need more tuners than available
+                conflict = getRecordingConflict(timer, conflict.timers.filter(t => t.Id !== timerId), conflict.tunerCount);
+                if (conflict) {
+                    render(dlg, timer, conflict, options.conflictCount);
+                } else {
+                    dialogHelper.close(dlg);
+                }
+            }).catch(onResolveFailed);
+        });
+
+        dlg.querySelector('.btnLowerPriority').addEventListener('click', function () {
+            resolveWith(lowerPriority(apiClient, timer, conflict), 'RecordingPriorityLowered').then(function () {
+                dialogHelper.close(dlg);
+            }).catch(onResolveFailed);
+        });
+
+        dlg.querySelector('.recordingConflictAirings').addEventListener('click', function (e) {
+            const button = e.target.closest('.btnRecordAiring');
+            if (!button) return;
+
+            resolveWith(recordAiring(apiClient, timer, button.getAttribute('data-programid')), 'RecordingScheduled').then(function () {
+                dialogHelper.close(dlg);
+            }).catch(onResolveFailed);
+        });
+
+        dlg.querySelector('.btnCancel').addEventListener('click', function () {
+            dialogHelper.close(dlg);
+        });
+
+        dlg.querySelector('.btnKeepRecording').addEventListener('click', function () {
+            dialogHelper.close(dlg);
+        });
+
+        dlg.addEventListener('close', function () {
+            if (changed) {
+                resolve();
+            } else {
+                reject();
+            }
+        });
+
+        render(dlg, timer, conflict, options.conflictCount);
+        loadAlternateAirings(dlg, apiClient, timer, conflict.tunerCount);
+
+        dialogHelper.open(dlg);
+    });
+}
+
+/**
+ * Checks the recordings just scheduled for a program, and offers to resolve the first conflict found.
+ * @param {Object} apiClient - Api client of the server.
+ * @param {string} programId - Id of the program.
+ * @param {boolean} [isSeries] - Whether the whole series of the program was scheduled.
+ * @returns {Promise} Promise resolved once the conflict is resolved or ignored. It is never rejected.
+ */
+export function checkProgram(apiClient, programId, isSeries) {
+    return apiClient.getLiveTvProgram(programId, apiClient.getCurrentUserId()).then(function (program) {
+        const id = isSeries ? program.SeriesTimerId : program.TimerId;
+        if (!id) {
+            return [];
+        }
+
+        return findConflicts(apiClient, timer => (isSeries ? timer.SeriesTimerId : timer.Id) === id);
+    }).then(function (conflicts) {
+        if (!conflicts.length) {
+            return;
+        }
+
+        return show({
+            serverId: apiClient.serverId(),
+            timer: conflicts[0].timer,
+            conflict: conflicts[0].conflict,
+            conflictCount: conflicts.length
+        }).catch(function () {
+            // The recording is kept as scheduled
+        });
+    }).catch(function (err) {
+        console.error('[ConflictResolver] failed to check the recording conflicts', err);
+    });
+}
+
+export default {
+    findConflicts: findConflicts,
+    checkProgram: checkProgram,
+    show: show
+};
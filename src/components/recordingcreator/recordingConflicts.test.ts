@@ -0,0 +1,88 @@
+import { describe, expect, it } from 'vitest';
+
+import {
+    getAlternateAirings,
+    getRecordingConflict,
+    getTimeline,
+    getTunerCount
+} from './recordingConflicts';
+
+const timer = (id: string, start: string, end: string, extra = {}) => ({
+    Id: id,
+    Name: id,
+    StartDate: `2024-05-01T${start}:00Z`,
+    EndDate: `2024-05-01T${end}:00Z`,
+    ...extra
+});
+
+describe('getTunerCount', () => {
+    it('should add the tuners of every host', () => {
+        expect(getTunerCount([ { TunerCount: 2 }, { TunerCount: 1 } ])).toBe(3);
+    });
+
+    it('should not limit hosts without tuner count', () => {
+        expect(getTunerCount([ { TunerCount: 2 }, { TunerCount: 0 } ])).toBeNull();
+        expect(getTunerCount([])).toBeNull();
+    });
+});
+
+describe('getRecordingConflict', () => {
+    const recording = timer('new', '20:00', '21:00');
+
+    it('should allow as many recordings as tuners', () => {
+        expect(getRecordingConflict(recording, [ timer('a', '19:30', '20:30') ], 2)).toBeNull();
+    });
+
+    it('should detect recordings running at the same time', () => {
+        const conflict = getRecordingConflict(recording, [ timer('a', '19:30', '20:30'), timer('b', '20:15', '22:00') ], 2);
+
+        expect(conflict?.maxConcurrent).toBe(3);
+        expect(conflict?.timers.map(t => t.Id)).toEqual([ 'a', 'b' ]);
+    });
+
+    it('should not count recordings following each other', () => {
+        expect(getRecordingConflict(recording, [ timer('a', '19:00', '20:00'), timer('b', '21:00', '22:00') ], 1)).toBeNull();
+        expect(getRecordingConflict(recording, [ timer('a', '19:30', '20:20'), timer('b', '20:40', '21:30') ], 2)).toBeNull();
+    });
+
+    it('should include the padding', () => {
+        expect(getRecordingConflict(recording, [ timer('a', '21:00', '22:00', { PrePaddingSeconds: 300 }) ], 1)).not.toBeNull();
+    });
+
+    it('should ignore the recording itself and inactive timers', () => {
+        const timers = [ timer('new', '20:00', '21:00'), timer('a', '20:00', '21:00', { Status: 'Cancelled' }) ];
+
+        expect(getRecordingConflict(recording, timers, 1)).toBeNull();
+    });
+});
+
+describe('getTimeline', () => {
+    it('should lay out the recordings', () => {
+        const rows = getTimeline([ timer('a', '20:00', '21:00'), timer('b', '20:30', '22:00') ]);
+
+        expect(rows.map(({ left, width }) => [ left, width ])).toEqual([ [ 0, 50 ], [ 25, 75 ] ]);
+    });
+});
+
+describe('getAlternateAirings', () => {
+    const now = Date.parse('2024-05-01T12:00:00Z');
+    const recording = timer('rec', '20:00', '21:00', { ProgramId: 'p1', Name: 'Show', ProgramInfo: { EpisodeTitle: 'Pilot' } });
+    const program = (id: string, start: string, end: string, extra = {}) => ({
+        ...timer(id, start, end),
+        Name: 'Show',
+        EpisodeTitle: 'Pilot',
+        ...extra
+    });
+
+    it('should only keep the airings of the same episode without conflict', () => {
+        const airings = getAlternateAirings(recording, [
+            program('p1', '20:00', '21:00'),
+            program('p2', '22:00', '23:00'),
+            program('p3', '23:00', '23:59', { EpisodeTitle: 'Other' }),
+            program('p4', '10:00', '11:00'),
+            program('p5', '18:00', '19:00')
+        ], [ recording, timer('a', '18:00', '19:00') ], 1, now);
+
+        expect(airings.map(p => p.Id)).toEqual([ 'p2' ]);
+    });
+});
@@ -0,0 +1,148 @@
+import type { BaseItemDto } from '@jellyfin/sdk/lib/generated-client/models/base-item-dto';
+import { RecordingStatus } from '@jellyfin/sdk/lib/generated-client/models/recording-status';
+import type { TimerInfoDto } from '@jellyfin/sdk/lib/generated-client/models/timer-info-dto';
+import type { TunerHostInfo } from '@jellyfin/sdk/lib/generated-client/models/tuner-host-info';
+
+/** The statuses of timers that no longer need a tuner */
+const INACTIVE_STATUSES: RecordingStatus[] = [ RecordingStatus.Cancelled, RecordingStatus.Completed, RecordingStatus.Error ];
+
+export interface RecordingInterval {
+    start: number
+    end: number
+}
+
+export interface RecordingConflict {
+    /** The active timers overlapping the recording */
+    timers: TimerInfoDto[]
+    /** The most recordings running at once during the recording, including itself */
+    maxConcurrent: number
+    tunerCount: number
+}
+
+export interface TimelineRow {
+    timer: TimerInfoDto
+    /** The start of the recording in percent of the timeline */
+    left: number
+    /** The length of the recording in percent of the timeline */
+    width: number
+}
+
+/** Gets the time a recording needs a tuner, padding included, in ms. */
+export function getRecordingInterval(timer: TimerInfoDto): RecordingInterval {
+    return {
+        start: new Date(timer.StartDate || 0).getTime() - (timer.PrePaddingSeconds || 0) * 1000,
+        end: new Date(timer.EndDate || 0).getTime() + (timer.PostPaddingSeconds || 0) * 1000
+    };
+}
+
+/**
+ * Gets the number of tuners of the tuner hosts.
+ * @returns The number of tuners, or null if a tuner host does not limit its number of streams.
+ */
+export function getTunerCount(tunerHosts: TunerHostInfo[]) {
+    if (!tunerHosts.length) return null;
+
+    let count = 0;
+    for (const tunerHost of tunerHosts) {
+        if (!tunerHost.TunerCount) return null;
+
+        count += tunerHost.TunerCount;
+    }
+
+    return count;
+}
+
+export const isActiveTimer = (timer: TimerInfoDto) => !timer.Status || !INACTIVE_STATUSES.includes(timer.Status);
+
+/**
+ * Checks if a recording needs more tuners than available while it overlaps other recordings.
+ * @param recording The recording, which may not be scheduled yet.
+ * @param timers The scheduled timers.
+ * @param tunerCount The number of tuners.
+ * @returns The conflict, or null if there are enough tuners.
+ */
+export function getRecordingConflict(recording: TimerInfoDto, timers: TimerInfoDto[], tunerCount: number): RecordingConflict | null {
+    const interval = getRecordingInterval(recording);
+    const overlapping = timers.filter(timer => {
+        if (!isActiveTimer(timer) || (recording.Id && timer.Id === recording.Id)) return false;
+
+        const { start, end } = getRecordingInterval(timer);
+        return start < interval.end && end > interval.start;
+    });
+
+    // Sweep the starts and ends of the overlapping recordings, ends first when they happen at the same time
+    const changes = overlapping
+        .flatMap(timer => {
+            const { start, end } = getRecordingInterval(timer);
+            return [
+                { time: Math.max(start, interval.start), delta: 1 },
+                { time: Math.min(end, interval.end), delta: -1 }
+            ];
+        })
+        .sort((a, b) => a.time - b.time || a.delta - b.delta);
+
+    let concurrent = 1;
+    let maxConcurrent = 1;
+    for (const change of changes) {
+        concurrent += change.delta;
+        maxConcurrent = Math.max(maxConcurrent, concurrent);
+    }
+
+    if (maxConcurrent <= tunerCount) return null;
+
+    return {
+        timers: overlapping,
+        maxConcurrent,
+        tunerCount
+    };
+}
+
+/**
+ * Lays out recordings on a timeline spanning all of them.
+ * @returns The rows of the timeline, in the order of the timers.
+ */
+export function getTimeline(timers: TimerInfoDto[]): TimelineRow[] {
+    const intervals = timers.map(getRecordingInterval);
+    const start = Math.min(...intervals.map(interval => interval.start));
+    const end = Math.max(...intervals.map(interval => interval.end));
+    const length = Math.max(end - start, 1);
+
+    return timers.map((timer, index) => ({
+        timer,
+        left: ((intervals[index].start - start) / length) * 100,
+        width: ((intervals[index].end - intervals[index].start) / length) * 100
+    }));
+}
+
+/**
+ * Gets the other airings of the program of a recording that can be recorded without conflict.
+ * @param recording The recording.
+ * @param programs The programs found for the name of the recording.
+ * @param timers The scheduled timers.
+ * @param tunerCount The number of tuners.
+ * @param now The current time in ms.
+ */
+export function getAlternateAirings(
+    recording: TimerInfoDto,
+    programs: BaseItemDto[],
+    timers: TimerInfoDto[],
+    tunerCount: number,
+    now = Date.now()
+) {
+    const episodeTitle = recording.ProgramInfo?.EpisodeTitle;
+    // The recording is replaced by the alternate airing
+    const otherTimers = timers.filter(timer => timer.Id !== recording.Id);
+
+    return programs.filter(program => (
+        program.Id !== recording.ProgramId
+        && program.Name === recording.Name
+        && (!episodeTitle || program.EpisodeTitle === episodeTitle)
+        && new Date(program.StartDate || 0).getTime() > now
+        && !getRecordingConflict({
+            StartDate: program.StartDate ?? undefined,
+            EndDate: program.EndDate ?? undefined,
+            PrePaddingSeconds: recording.PrePaddingSeconds,
+            PostPaddingSeconds: recording.PostPaddingSeconds
+        }, otherTimers, tunerCount)
+    ));
+}
@@ -4,10 +4,12 @@ import { ServerConnections } from 'lib/jellyfin-apiclient';
 import layoutManager from '../layoutManager';
 import mediaInfo from '../mediainfo/mediainfo';
 import loading from '../loading/loading';
+import toast from '../toast/toast';
 import scrollHelper from '../../scripts/scrollHelper';
 import datetime from '../../scripts/datetime';
 import imageLoader from '../images/imageLoader';
 import RecordingFields from './recordingfields';
+import conflictResolver from './conflictresolver';
 import Events from '../../utils/events.ts';
 
 import '../../elements/emby-button/emby-button';
@@ -26,6 +28,7 @@ import PlaceholderImage from './empty.png';
 let currentDialog;
 let closeAction;
 let currentRecordingFields;
+let currentConflict;
 
 function closeDialog() {
     dialogHelper.close(currentDialog);
@@ -41,6 +44,38 @@ function init(context) {
         closeAction = null;
         closeDialog();
     });
+
+    context.querySelector('.btnResolveConflict').addEventListener('click', function () {
+        if (!currentConflict) {
+            return;
+        }
+
+        conflictResolver.show(currentConflict).then(function () {
+            currentRecordingFields.refresh();
+            renderConflict(context, currentConflict.timer.ProgramId, currentConflict.serverId);
+        }).catch(function () {
+            // The dialog was closed without changes
+        });
+    });
+}
+
+function renderConflict(context, programId, serverId) {
+    const apiClient = ServerConnections.getApiClient(serverId);
+    const warning = context.querySelector('.recordingConflictWarning');
+
+    conflictResolver.findConflicts(apiClient, timer => timer.ProgramId === programId).then(function (conflicts) {
+        if (conflicts.length) {
+            currentConflict = { serverId, ...conflicts[0] };
+            context.querySelector('.recordingConflictWarningText').innerText = globalize.translate('RecordingConflictWarning', conflicts[0].conflict.tunerCount);
+            warning.classList.remove('hide');
+        } else {
+            currentConflict = null;
+            warning.classList.add('hide');
+        }
+    }).catch(function (err) {
+        console.error('[RecordingCreator] failed to check the recording conflicts', err);
+        toast(globalize.translate('ErrorDefault'));
+    });
 }
 
 function getImageUrl(item, apiClient, imageHeight) {
@@ -117,6 +152,7 @@ function reload(context, programId, serverId, refreshRecordingStateOnly) {
         const program = responses[1];
 
         renderRecording(context, defaults, program, apiClient, refreshRecordingStateOnly);
+        renderConflict(context, programId, serverId);
     });
 }
 
@@ -136,6 +172,7 @@ function executeCloseAction(action, programId, serverId) {
 function showEditor(itemId, serverId) {
     return new Promise(function (resolve, reject) {
         closeAction = null;
+        currentConflict = null;
 
         loading.show();
 
@@ -4,6 +4,7 @@ import loading from '../loading/loading';
 import toast from '../toast/toast';
 import confirm from '../confirm/confirm';
 import dialog from '../dialog/dialog';
+import conflictResolver from './conflictresolver';
 
 function changeRecordingToSeries(apiClient, timerId, programId, confirmTimerCancellation) {
     loading.show();
@@ -15,6 +16,8 @@ function changeRecordingToSeries(apiClient, timerId, programId, confirmTimerCanc
                 return apiClient.createLiveTvSeriesTimer(timerDefaults).then(function () {
                     loading.hide();
                     toast(globalize.translate('SeriesRecordingScheduled'));
+
+                    return conflictResolver.checkProgram(apiClient, programId, true);
                 });
             });
         } else {
@@ -89,6 +92,8 @@ function createRecording(apiClient, programId, isSeries) {
         return promise.then(function () {
             loading.hide();
             toast(globalize.translate('RecordingScheduled'));
+
+            return conflictResolver.checkProgram(apiClient, programId, isSeries);
         });
     });
 }
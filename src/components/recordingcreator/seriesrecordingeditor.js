@@ -1,10 +1,13 @@
+import escapeHtml from 'escape-html';
 import dialogHelper from '../dialogHelper/dialogHelper';
 import globalize from '../../lib/globalize';
 import { ServerConnections } from 'lib/jellyfin-apiclient';
 import layoutManager from '../layoutManager';
 import loading from '../loading/loading';
+import toast from '../toast/toast';
 import scrollHelper from '../../scripts/scrollHelper';
 import datetime from '../../scripts/datetime';
+import conflictResolver from './conflictresolver';
 
 import '../../styles/scrollstyles.scss';
 import '../../elements/emby-button/emby-button';
@@ -13,6 +16,7 @@ import '../../elements/emby-input/emby-input';
 import '../../elements/emby-select/emby-select';
 import '../../elements/emby-button/paper-icon-button-light';
 import '../formdialog.scss';
+import '../listview/listview.scss';
 import './recordingcreator.scss';
 import 'material-design-icons-iconfont';
 import '../../styles/flexstyles.scss';
@@ -23,6 +27,7 @@ let recordingUpdated = false;
 let recordingDeleted = false;
 let currentItemId;
 let currentServerId;
+let currentConflicts = [];
 
 function deleteTimer(apiClient, timerId) {
     return new Promise(function (resolve, reject) {
@@ -51,9 +56,37 @@ function renderTimer(context, item) {
 
     context.querySelector('.optionAroundTime').innerHTML = globalize.translate('AroundTime', datetime.getDisplayTime(datetime.parseISO8601Date(item.StartDate)));
 
+    renderConflicts(context, item.Id);
+
     loading.hide();
 }
 
+function renderConflicts(context, seriesTimerId) {
+    const apiClient = ServerConnections.getApiClient(currentServerId);
+
+    conflictResolver.findConflicts(apiClient, timer => timer.SeriesTimerId === seriesTimerId).then(function (conflicts) {
+        currentConflicts = conflicts;
+
+        context.querySelector('.seriesRecordingConflictList').innerHTML = conflicts.map(function ({ timer }, index) {
+            const startDate = datetime.parseISO8601Date(timer.StartDate, { toLocal: true });
+
+            let html = '<div class="listItem seriesRecordingConflict">';
+            html += '<div class="listItemBody two-line">';
+            html += '<div class="listItemBodyText">' + escapeHtml(timer.ProgramInfo?.EpisodeTitle || timer.Name) + '</div>';
+            html += '<div class="listItemBodyText secondary">' + datetime.toLocaleDateString(startDate, { weekday: 'short', month: 'short', day: 'numeric' }) + ' ' + datetime.getDisplayTime(startDate) + '</div>';
+            html += '</div>';
+            html += '<button is="emby-button" type="button" class="button-flat btnResolveConflict" data-index="' + index + '"><span>' + globalize.translate('ResolveConflict') + '</span></button>';
+            html += '</div>';
+            return html;
+        }).join('');
+
+        context.querySelector('.seriesRecordingConflicts').classList.toggle('hide', !conflicts.length);
+    }).catch(function (err) {
+        console.error('[SeriesRecordingEditor] failed to check the recording conflicts', err);
+        toast(globalize.translate('ErrorDefault'));
+    });
+}
+
 function closeDialog(isDeleted) {
     recordingUpdated = true;
     recordingDeleted = isDeleted;
@@ -75,7 +108,10 @@ function onSubmit(e) {
         item.SkipEpisodesInLibrary = form.querySelector('.chkSkipEpisodesInLibrary').checked;
         item.KeepUpTo = form.querySelector('.selectKeepUpTo').value;
 
-        apiClient.updateLiveTvSeriesTimer(item);
+        apiClient.updateLiveTvSeriesTimer(item).then(function () {
+            // The channels, air time and padding change the overlaps with other recordings
+            renderConflicts(currentDialog, item.Id);
+        });
     });
 
     e.preventDefault();
@@ -99,6 +135,20 @@ function init(context) {
     });
 
     context.querySelector('form').addEventListener('submit', onSubmit);
+
+    context.querySelector('.seriesRecordingConflictList').addEventListener('click', function (e) {
+        const button = e.target.closest('.btnResolveConflict');
+        if (!button) {
+            return;
+        }
+
+        const { timer, conflict } = currentConflicts[parseInt(button.getAttribute('data-index'), 10)];
+        conflictResolver.show({ serverId: currentServerId, timer, conflict }).then(function () {
+            renderConflicts(context, currentItemId);
+        }).catch(function () {
+            // The dialog was closed without changes
+        });
+    });
 }
 
 function reload(context, id) {
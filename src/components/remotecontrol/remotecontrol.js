@@ -168,6 +168,8 @@ function updateNowPlayingInfo(context, state, serverId) {
             queue: false,
             stopPlayback: true,
             clearQueue: true,
+            exportQueue: true,
+            importQueue: true,
             openAlbum: false,
             positionTo: contextButton
         };
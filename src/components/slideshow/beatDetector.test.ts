@@ -0,0 +1,50 @@
+import { describe, expect, it } from 'vitest';
+
+import { BeatDetector, getBassEnergy } from './beatDetector';
+
+describe('getBassEnergy', () => {
+    it('Should only use the lowest frequencies', () => {
+        const data = new Uint8Array(100);
+        expect(getBassEnergy(data)).toBe(0);
+
+        data.fill(255, 50);
+        expect(getBassEnergy(data)).toBe(0);
+
+        data.fill(255, 0, 10);
+        expect(getBassEnergy(data)).toBe(1);
+    });
+});
+
+describe('BeatDetector', () => {
+    const fill = (detector: BeatDetector, energy: number, count: number, start = 0) => {
+        const beats = [];
+        for (let i = 0; i < count; i++) {
+            if (detector.process(energy, (start + i) * 16)) beats.push(i);
+        }
+        return beats;
+    };
+
+    it('Should detect peaks of energy', () => {
+        const detector = new BeatDetector({ historySize: 10 });
+
+        expect(fill(detector, 0.2, 10)).toEqual([]);
+        expect(detector.process(0.5, 200)).toBe(true);
+        expect(detector.process(0.2, 216)).toBe(false);
+    });
+
+    it('Should ignore the start of a track, silence and close peaks', () => {
+        const detector = new BeatDetector({ historySize: 10, minInterval: 300 });
+
+        expect(detector.process(0.5, 0)).toBe(false);
+        fill(detector, 0, 10, 1);
+        expect(detector.process(0.005, 200)).toBe(false);
+
+        // The music starting after the silence is a beat
+        expect(fill(detector, 0.2, 10, 20)).toEqual([ 0 ]);
+        expect(detector.process(0.5, 700)).toBe(true);
+        expect(detector.process(0.5, 800)).toBe(false);
+
+        detector.reset();
+        expect(detector.process(0.5, 1200)).toBe(false);
+    });
+});
@@ -0,0 +1,71 @@
+export interface BeatDetectorOptions {
+    /** Number of energy samples the average is computed over, about one second of animation frames */
+    historySize?: number
+    /** How much louder than the average a sample must be to be a beat */
+    sensitivity?: number
+    /** Minimum time between two beats in milliseconds */
+    minInterval?: number
+}
+
+/** The bass, where most beats are, is in the lowest frequency bins */
+const BASS_BIN_RATIO = 0.1;
+
+/**
+ * Gets the energy of the bass frequencies from the byte frequency data of an AnalyserNode, between 0 and 1.
+ */
+export function getBassEnergy(frequencyData: Uint8Array) {
+    const binCount = Math.max(1, Math.floor(frequencyData.length * BASS_BIN_RATIO));
+    let sum = 0;
+
+    for (let i = 0; i < binCount && i < frequencyData.length; i++) {
+        const value = frequencyData[i] / 255;
+        sum += value * value;
+    }
+
+    return sum / binCount;
+}
+
+/**
+ * Detects beats as sudden peaks of energy compared to the recent average.
+ */
+export class BeatDetector {
+    private readonly history: number[] = [];
+    private readonly historySize: number;
+    private readonly sensitivity: number;
+    private readonly minInterval: number;
+    private lastBeat = -Infinity;
+
+    constructor({ historySize = 60, sensitivity = 1.4, minInterval = 300 }: BeatDetectorOptions = {}) {
+        this.historySize = historySize;
+        this.sensitivity = sensitivity;
+        this.minInterval = minInterval;
+    }
+
+    /**
+     * Adds an energy sample and tells whether it is a beat.
+     * @param energy The energy of the sample.
+     * @param time The time of the sample in milliseconds.
+     */
+    process(energy: number, time: number) {
+        const isFull = this.history.length >= this.historySize;
+        const average = this.history.reduce((sum, value) => sum + value, 0) / (this.history.length || 1);
+
+        this.history.push(energy);
+        if (this.history.length > this.historySize) {
+            this.history.shift();
+        }
+
+        // Silence and the first second of a track are never beats
+        if (!isFull || energy <= 0.01 || energy < average * this.sensitivity || time - this.lastBeat < this.minInterval) {
+            return false;
+        }
+
+        this.lastBeat = time;
+        return true;
+    }
+
+    reset() {
+        this.history.length = 0;
+        this.lastBeat = -Infinity;
+    }
+}
@@ -0,0 +1,52 @@
+import { describe, expect, it } from 'vitest';
+
+import { formatCoordinates, formatExposureTime, getPhotoMetadata } from './photoMetadata';
+
+describe('formatExposureTime', () => {
+    it('Should format fractions of a second', () => {
+        expect(formatExposureTime(0.004)).toBe('1/250 s');
+        expect(formatExposureTime(1 / 3)).toBe('1/3 s');
+    });
+
+    it('Should format long exposures', () => {
+        expect(formatExposureTime(2.5)).toBe('2.5 s');
+        expect(formatExposureTime(0)).toBe('');
+    });
+});
+
+describe('formatCoordinates', () => {
+    it('Should use the hemispheres', () => {
+        expect(formatCoordinates(48.8584, 2.2945)).toBe('48.8584° N, 2.2945° E');
+        expect(formatCoordinates(-33.856784, -151.215297)).toBe('33.85678° S, 151.2153° W');
+    });
+});
+
+describe('getPhotoMetadata', () => {
+    it('Should return the available metadata in order', () => {
+        expect(getPhotoMetadata({
+            CameraMake: 'Canon',
+            CameraModel: 'Canon EOS R5',
+            ExposureTime: 0.004,
+            Aperture: 2.8,
+            IsoSpeedRating: 200,
+            FocalLength: 35,
+            Width: 8192,
+            Height: 5464,
+            Latitude: 48.8584,
+            Longitude: 2.2945,
+            Altitude: 35.2
+        })).toEqual([
+            { label: 'MediaInfoCamera', value: 'Canon EOS R5' },
+            { label: 'MediaInfoExposure', value: '1/250 s · ƒ/2.8 · ISO 200 · 35 mm' },
+            { label: 'MediaInfoResolution', value: '8192×5464' },
+            { label: 'MediaInfoLocation', value: '48.8584° N, 2.2945° E (35 m)' }
+        ]);
+    });
+
+    it('Should skip missing metadata', () => {
+        expect(getPhotoMetadata({ CameraMake: 'FUJIFILM', CameraModel: 'X100V', Latitude: 0 })).toEqual([
+            { label: 'MediaInfoCamera', value: 'FUJIFILM X100V' }
+        ]);
+        expect(getPhotoMetadata({})).toEqual([]);
+    });
+});
@@ -0,0 +1,76 @@
+import type { BaseItemDto } from '@jellyfin/sdk/lib/generated-client/models/base-item-dto';
+
+export interface PhotoMetadataEntry {
+    /** The string key of the label */
+    label: string
+    value: string
+}
+
+const formatNumber = (value: number, maximumFractionDigits = 1) => value.toLocaleString(undefined, { maximumFractionDigits });
+
+/**
+ * Formats an exposure time in seconds the way cameras display it, such as 1/250 s.
+ */
+export function formatExposureTime(seconds: number) {
+    if (seconds <= 0) return '';
+
+    if (seconds < 1) {
+        return `1/${Math.round(1 / seconds)} s`;
+    }
+
+    return `${formatNumber(seconds)} s`;
+}
+
+/**
+ * Formats GPS coordinates in degrees with their hemisphere.
+ */
+export function formatCoordinates(latitude: number, longitude: number) {
+    const lat = `${formatNumber(Math.abs(latitude), 5)}° ${latitude < 0 ? 'S' : 'N'}`;
+    const lon = `${formatNumber(Math.abs(longitude), 5)}° ${longitude < 0 ? 'W' : 'E'}`;
+    return `${lat}, ${lon}`;
+}
+
+function getCamera(item: BaseItemDto) {
+    const make = item.CameraMake?.trim();
+    const model = item.CameraModel?.trim();
+
+    // Most cameras already include the make in the model
+    if (make && model?.toLowerCase().startsWith(make.toLowerCase())) {
+        return model;
+    }
+
+    return [ make, model ].filter(Boolean).join(' ');
+}
+
+function getExposure(item: BaseItemDto) {
+    const parts = [];
+
+    if (item.ExposureTime) parts.push(formatExposureTime(item.ExposureTime));
+    if (item.Aperture) parts.push(`ƒ/${formatNumber(item.Aperture)}`);
+    if (item.IsoSpeedRating) parts.push(`ISO ${item.IsoSpeedRating}`);
+    if (item.FocalLength) parts.push(`${formatNumber(item.FocalLength)} mm`);
+
+    return parts.filter(Boolean).join(' · ');
+}
+
+function getLocation(item: BaseItemDto) {
+    if (item.Latitude == null || item.Longitude == null) return '';
+
+    const coordinates = formatCoordinates(item.Latitude, item.Longitude);
+    return item.Altitude ? `${coordinates} (${formatNumber(item.Altitude, 0)} m)` : coordinates;
+}
+
+/**
+ * Gets the EXIF metadata of a photo that is worth displaying, in display order.
+ */
+export function getPhotoMetadata(item: BaseItemDto): PhotoMetadataEntry[] {
+    const entries = [
+        { label: 'MediaInfoCamera', value: getCamera(item) },
+        { label: 'MediaInfoExposure', value: getExposure(item) },
+        { label: 'MediaInfoResolution', value: item.Width && item.Height ? `${item.Width}×${item.Height}` : '' },
+        { label: 'MediaInfoLocation', value: getLocation(item) },
+        { label: 'MediaInfoSoftware', value: item.Software?.trim() ?? '' }
+    ];
+
+    return entries.filter(entry => entry.value);
+}
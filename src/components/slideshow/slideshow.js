@@ -2,7 +2,11 @@
  * Image viewer component
  * @module components/slideshow/slideshow
  */
+import { BaseItemKind } from '@jellyfin/sdk/lib/generated-client/models/base-item-kind';
+import { MediaType } from '@jellyfin/sdk/lib/generated-client/models/media-type';
 import { AppFeature } from 'constants/appFeature';
+import escapeHtml from 'escape-html';
+import actionsheet from '../actionSheet/actionSheet';
 import dialogHelper from '../dialogHelper/dialogHelper';
 import { ServerConnections } from 'lib/jellyfin-apiclient';
 import inputManager from '../../scripts/inputManager';
@@ -11,6 +15,11 @@ import focusManager from '../focusManager';
 import browser from '../../scripts/browser';
 import { appHost } from '../apphost';
 import dom from '../../utils/dom';
+import datetime from '../../scripts/datetime';
+import globalize from '../../lib/globalize';
+import * as userSettings from '../../scripts/settings/userSettings';
+import { getPhotoMetadata } from './photoMetadata.ts';
+import { SlideshowMusic } from './slideshowMusic';
 
 import './style.scss';
 import 'material-design-icons-iconfont';
@@ -29,6 +38,49 @@ const transitionEndEventName = dom.whichTransitionEvent();
  */
 const useFakeZoomImage = browser.safari;
 
+/**
+ * Swiper effects and speeds of the transitions between slides.
+ * The Ken Burns effect pans and zooms the photos during the crossfade.
+ */
+const transitions = {
+    slide: { effect: 'slide', speed: 240, name: 'SlideshowTransitionSlide' },
+    fade: { effect: 'fade', speed: 1000, name: 'SlideshowTransitionFade' },
+    kenburns: { effect: 'fade', speed: 1500, name: 'SlideshowTransitionKenBurns' }
+};
+
+/**
+ * Intervals between slides in seconds offered in the OSD.
+ */
+const intervals = [3, 5, 10, 15, 30, 60];
+
+/**
+ * Number of pan directions of the Ken Burns effect, cycled through slide after slide.
+ */
+const kenBurnsVariants = 4;
+
+/**
+ * Ways the slideshow advances to the next slide while music is playing.
+ */
+const advanceModes = {
+    interval: 'SlideshowAdvanceInterval',
+    track: 'SlideshowAdvanceTrack',
+    beat: 'SlideshowAdvanceBeat'
+};
+
+/**
+ * Ways the music chosen for the slideshow is played.
+ */
+const musicModes = {
+    play: 'Play',
+    shuffle: 'Shuffle',
+    instantmix: 'InstantMix'
+};
+
+/**
+ * Delay of the autoplay when the slides follow the tracks, only reached by unusually long tracks.
+ */
+const trackAdvanceDelay = 60 * 60 * 1000;
+
 /**
  * Retrieves an item's image URL from the API.
  * @param {object|string} item - Item used to generate the image URL.
@@ -140,6 +192,22 @@ export default function (options) {
     let hideTimeout;
     /** Last coordinates of the mouse pointer. */
     let lastMouseMoveData;
+    /** Name of the transition between slides. */
+    let currentTransition = transitions[userSettings.slideshowTransition()] ? userSettings.slideshowTransition() : 'slide';
+    /** Items with their full metadata, used by the info overlay. */
+    const photoItems = new Map();
+    /** Way the slideshow advances while music is playing. */
+    let advanceMode = advanceModes[userSettings.slideshowAdvance()] ? userSettings.slideshowAdvance() : 'interval';
+    /** Time of the last slide change, so that beats do not change slides faster than the interval. */
+    let lastSlideChange = 0;
+    /** Music playing along with the slideshow. */
+    const music = new SlideshowMusic({
+        onTrackChange: onMusicTrackChange,
+        onBeat: onMusicBeat,
+        onPause: () => swiperInstance?.autoplay?.stop(),
+        onUnpause: () => swiperInstance?.autoplay?.start(),
+        onEnded: updateAutoplayDelay
+    });
 
     /**
      * Creates the HTML markup for the dialog and the OSD.
@@ -172,6 +240,10 @@ export default function (options) {
             html += '<div class="topActionButtons">';
             if (actionButtonsOnTop) {
                 html += getIcon('play_arrow', 'btnSlideshowPause slideshowButton', true);
+                html += getIcon('tune', 'btnSlideshowSettings slideshowButton', true);
+                if (!slideshowOptions.slides) {
+                    html += getIcon('info', 'btnSlideshowInfo slideshowButton', true);
+                }
 
                 if (appHost.supports(AppFeature.FileDownload) && slideshowOptions.user?.Policy.EnableContentDownloading) {
                     html += getIcon('file_download', 'btnDownload slideshowButton', true);
@@ -191,6 +263,10 @@ export default function (options) {
                 html += '<div class="slideshowBottomBar hide">';
 
                 html += getIcon('play_arrow', 'btnSlideshowPause slideshowButton', true, true);
+                html += getIcon('tune', 'btnSlideshowSettings slideshowButton', true);
+                if (!slideshowOptions.slides) {
+                    html += getIcon('info', 'btnSlideshowInfo slideshowButton', true);
+                }
                 if (appHost.supports(AppFeature.FileDownload) && slideshowOptions?.user.Policy.EnableContentDownloading) {
                     html += getIcon('file_download', 'btnDownload slideshowButton', true);
                 }
@@ -208,6 +284,8 @@ export default function (options) {
             html += '<div class="slideshowImage"></div><h1 class="slideshowImageText"></h1>';
         }
 
+        html += '<div class="slideshowInfo hide"></div>';
+
         dialog.innerHTML = html;
 
         if (slideshowOptions.interactive && !layoutManager.tv) {
@@ -223,6 +301,16 @@ export default function (options) {
                 btnPause.addEventListener('click', getClickHandler(playPause));
             }
 
+            const btnSettings = dialog.querySelector('.btnSlideshowSettings');
+            if (btnSettings) {
+                btnSettings.addEventListener('click', getClickHandler(e => showSettingsMenu(e.currentTarget)));
+            }
+
+            const btnInfo = dialog.querySelector('.btnSlideshowInfo');
+            if (btnInfo) {
+                btnInfo.addEventListener('click', getClickHandler(toggleInfo));
+            }
+
             const btnDownload = dialog.querySelector('.btnDownload');
             if (btnDownload) {
                 btnDownload.addEventListener('click', getClickHandler(download));
@@ -283,6 +371,9 @@ export default function (options) {
         if (btnSlideshowPause) {
             btnSlideshowPause.classList.replace('play_arrow', 'pause');
         }
+
+        // Panning and zooming would prevent the user from zooming while paused
+        dialog.classList.toggle('slideshowKenBurns', currentTransition === 'kenburns');
     }
 
     /**
@@ -293,6 +384,8 @@ export default function (options) {
         if (btnSlideshowPause) {
             btnSlideshowPause.classList.replace('pause', 'play_arrow');
         }
+
+        dialog.classList.remove('slideshowKenBurns');
     }
 
     /**
@@ -346,6 +439,10 @@ export default function (options) {
         //eslint-disable-next-line import/no-unresolved
         import('swiper/css/bundle');
 
+        const transition = transitions[currentTransition];
+        const autoplay = getAutoplayOptions(swiperOptions.autoplay ?? !swiperOptions.interactive);
+        updateKenBurnsDuration(autoplay.delay, transition.speed);
+
         // eslint-disable-next-line import/no-unresolved
         import('swiper/bundle').then(({ Swiper }) => {
             swiperInstance = new Swiper(dialogElement.querySelector('.slideshowSwiperContainer'), {
@@ -356,7 +453,11 @@ export default function (options) {
                     minRatio: 1,
                     toggle: true
                 },
-                autoplay: swiperOptions.autoplay ?? !swiperOptions.interactive,
+                autoplay: autoplay,
+                effect: transition.effect,
+                fadeEffect: {
+                    crossFade: true
+                },
                 keyboard: {
                     enabled: true
                 },
@@ -364,7 +465,7 @@ export default function (options) {
                 slidesPerView: 1,
                 slidesPerColumn: 1,
                 initialSlide: swiperOptions.startIndex || 0,
-                speed: 240,
+                speed: transition.speed,
                 navigation: {
                     nextEl: '.btnSlideshowNext',
                     prevEl: '.btnSlideshowPrevious'
@@ -381,49 +482,434 @@ export default function (options) {
 
             swiperInstance.on('autoplayStart', onAutoplayStart);
             swiperInstance.on('autoplayStop', onAutoplayStop);
+            swiperInstance.on('slideChange', updateInfo);
+            swiperInstance.on('slideChange', () => {
+                lastSlideChange = Date.now();
+            });
 
             if (useFakeZoomImage) {
                 swiperInstance.on('zoomChange', onZoomChange);
             }
 
             if (swiperInstance.autoplay?.running) onAutoplayStart();
+            updateInfo();
         });
     }
 
+    /**
+     * Gets the autoplay options of Swiper, using the interval chosen by the user unless the caller has its own.
+     * @param {boolean|Object} autoplay - Whether the slideshow starts playing, or the autoplay options of Swiper.
+     * @returns {Object} The autoplay options.
+     */
+    function getAutoplayOptions(autoplay) {
+        if (autoplay && typeof autoplay === 'object') {
+            return { delay: 3000, ...autoplay };
+        }
+
+        return {
+            enabled: !!autoplay,
+            delay: getAutoplayDelay()
+        };
+    }
+
+    /**
+     * Gets the time each slide is displayed, which depends on how the slides follow the music.
+     * @returns {number} The delay of the autoplay in milliseconds.
+     */
+    function getAutoplayDelay() {
+        const interval = userSettings.slideshowInterval() * 1000;
+
+        if (!music.isPlaying) return interval;
+
+        if (advanceMode === 'track') return trackAdvanceDelay;
+
+        // Beats change the slides, so the autoplay only takes over during quiet parts of the music
+        if (advanceMode === 'beat' && music.canDetectBeats) return interval * 2;
+
+        return interval;
+    }
+
+    /**
+     * Applies the delay of the autoplay after the interval, the music or the way slides follow it changed.
+     */
+    function updateAutoplayDelay() {
+        if (!swiperInstance?.params.autoplay) return;
+
+        const delay = getAutoplayDelay();
+        if (delay === swiperInstance.params.autoplay.delay) return;
+
+        swiperInstance.params.autoplay.delay = delay;
+        updateKenBurnsDuration(delay, swiperInstance.params.speed);
+
+        if (swiperInstance.autoplay?.running) {
+            swiperInstance.autoplay.stop();
+            swiperInstance.autoplay.start();
+        }
+    }
+
+    /**
+     * Makes the Ken Burns effect last until the next slide has faded in.
+     * @param {number} delay - Time each slide is displayed in milliseconds.
+     * @param {number} speed - Duration of the transition in milliseconds.
+     */
+    function updateKenBurnsDuration(delay, speed) {
+        // Slides following the music stay for an unknown time, so the effect lasts for the interval
+        const duration = music.isPlaying ? userSettings.slideshowInterval() * 1000 : delay;
+        dialog.style.setProperty('--slideshow-kenburns-duration', (duration + speed * 2) + 'ms');
+    }
+
+    /**
+     * Recreates the Swiper instance at the current slide, as Swiper cannot change effects once initialized.
+     */
+    function reloadSwiper() {
+        if (!swiperInstance) return;
+
+        const startIndex = swiperInstance.activeIndex;
+        const autoplay = !!swiperInstance.autoplay?.running;
+
+        swiperInstance.destroy(true, true);
+        swiperInstance = null;
+        dialog.querySelector('.swiper-wrapper').innerHTML = '';
+        onAutoplayStop();
+
+        loadSwiper(dialog, { ...options, startIndex, autoplay });
+    }
+
+    /**
+     * Changes the transition between slides and remembers it for the next slideshows.
+     * @param {string} transition - Name of the transition.
+     */
+    function setTransition(transition) {
+        if (transition === currentTransition) return;
+
+        currentTransition = transition;
+        userSettings.slideshowTransition(transition);
+        reloadSwiper();
+    }
+
+    /**
+     * Changes the time each slide is displayed and remembers it for the next slideshows.
+     * @param {number} seconds - Interval between slides in seconds.
+     */
+    function setSlideInterval(seconds) {
+        userSettings.slideshowInterval(seconds);
+        updateAutoplayDelay();
+    }
+
+    /**
+     * Changes how the slides follow the music and remembers it for the next slideshows.
+     * @param {string} mode - Name of the advance mode.
+     */
+    function setAdvanceMode(mode) {
+        advanceMode = mode;
+        userSettings.slideshowAdvance(mode);
+        music.setBeatDetection(mode === 'beat');
+        updateAutoplayDelay();
+    }
+
+    /**
+     * Shows the next slide, starting over after the last one like the autoplay does.
+     */
+    function advanceSlide() {
+        if (swiperInstance.isEnd) {
+            swiperInstance.slideTo(0);
+        } else {
+            swiperInstance.slideNext();
+        }
+    }
+
+    /**
+     * Advances the slideshow when a new track starts, if the slides follow the tracks.
+     * @param {boolean} isFirstTrack - Whether the music just started.
+     */
+    function onMusicTrackChange(isFirstTrack) {
+        // Beats can only be detected once the audio player has started the track
+        updateAutoplayDelay();
+
+        if (!isFirstTrack && advanceMode === 'track' && swiperInstance?.autoplay?.running) {
+            advanceSlide();
+        }
+    }
+
+    /**
+     * Advances the slideshow on a beat of the music, if the slide was displayed for at least the interval.
+     */
+    function onMusicBeat() {
+        if (advanceMode !== 'beat' || !swiperInstance?.autoplay?.running) return;
+
+        if (Date.now() - lastSlideChange >= userSettings.slideshowInterval() * 1000) {
+            advanceSlide();
+        }
+    }
+
+    /**
+     * Starts the music of the slideshow.
+     * @param {Object} item - Music album or playlist.
+     * @param {string} mode - How the music is played.
+     */
+    function startMusic(item, mode) {
+        music.setBeatDetection(advanceMode === 'beat');
+        music.play(item, mode).catch(err => {
+            console.error('[Slideshow] failed to play music', err);
+            music.stop();
+        });
+        play();
+    }
+
+    /**
+     * Gets the API client of the server the photos come from.
+     * @returns {Object} The API client.
+     */
+    function getApiClient() {
+        const item = currentOptions.items?.[0];
+        return item ? ServerConnections.getApiClient(item.ServerId) : ServerConnections.currentApiClient();
+    }
+
+    /**
+     * Shows the menu to choose the transition and the interval between slides, and the music playing along.
+     * @param {HTMLElement} [positionTo] - Element the menu is displayed next to.
+     */
+    function showSettingsMenu(positionTo) {
+        const items = [{
+            name: globalize.translate('LabelSlideshowTransition'),
+            id: 'transition',
+            asideText: globalize.translate(transitions[currentTransition].name)
+        }, {
+            name: globalize.translate('LabelSlideshowInterval'),
+            id: 'interval',
+            asideText: globalize.translate('ValueSeconds', userSettings.slideshowInterval())
+        }, {
+            name: globalize.translate('LabelSlideshowMusic'),
+            id: 'music',
+            asideText: music.item?.Name || globalize.translate('None')
+        }];
+
+        if (music.isPlaying) {
+            items.push({
+                name: globalize.translate('LabelSlideshowAdvance'),
+                id: 'advance',
+                asideText: globalize.translate(advanceModes[advanceMode])
+            });
+        }
+
+        actionsheet.show({
+            items,
+            positionTo
+        }).then(id => settingsMenus[id](positionTo)).catch(() => {
+            // Menu was closed
+        });
+    }
+
+    /**
+     * Submenus of the settings menu.
+     */
+    const settingsMenus = {
+        transition: positionTo => actionsheet.show({
+            title: globalize.translate('LabelSlideshowTransition'),
+            items: Object.keys(transitions).map(transition => ({
+                name: globalize.translate(transitions[transition].name),
+                id: transition,
+                selected: transition === currentTransition
+            })),
+            positionTo
+        }).then(setTransition),
+
+        interval: positionTo => actionsheet.show({
+            title: globalize.translate('LabelSlideshowInterval'),
+            items: intervals.map(seconds => ({
+                name: globalize.translate('ValueSeconds', seconds),
+                id: String(seconds),
+                selected: seconds === userSettings.slideshowInterval()
+            })),
+            positionTo
+        }).then(seconds => setSlideInterval(parseInt(seconds, 10))),
+
+        music: showMusicMenu,
+
+        advance: positionTo => actionsheet.show({
+            title: globalize.translate('LabelSlideshowAdvance'),
+            items: Object.keys(advanceModes).map(mode => ({
+                name: globalize.translate(advanceModes[mode]),
+                id: mode,
+                selected: mode === advanceMode
+            })),
+            positionTo
+        }).then(setAdvanceMode)
+    };
+
+    /**
+     * Shows the menu to choose an audio playlist or a recently played album to play along with the slideshow.
+     * @param {HTMLElement} [positionTo] - Element the menu is displayed next to.
+     * @returns {Promise} Promise resolved once the music is chosen.
+     */
+    function showMusicMenu(positionTo) {
+        const apiClient = getApiClient();
+        const userId = apiClient.getCurrentUserId();
+
+        return Promise.all([
+            apiClient.getItems(userId, {
+                IncludeItemTypes: BaseItemKind.Playlist,
+                MediaTypes: MediaType.Audio,
+                Recursive: true,
+                SortBy: 'SortName'
+            }),
+            apiClient.getItems(userId, {
+                IncludeItemTypes: BaseItemKind.MusicAlbum,
+                Recursive: true,
+                SortBy: 'DatePlayed,SortName',
+                SortOrder: 'Descending',
+                Limit: 20
+            })
+        ]).then(([playlists, albums]) => {
+            const musicItems = [...playlists.Items, ...albums.Items];
+
+            return actionsheet.show({
+                title: globalize.translate('LabelSlideshowMusic'),
+                items: [{
+                    name: globalize.translate('None'),
+                    id: '',
+                    selected: !music.isPlaying
+                }, ...musicItems.map(item => ({
+                    name: item.Name,
+                    id: item.Id,
+                    secondaryText: item.Type === BaseItemKind.Playlist ? globalize.translate('LabelPlaylist') : item.AlbumArtist,
+                    selected: item.Id === music.item?.Id
+                }))],
+                positionTo
+            }).then(id => {
+                const item = musicItems.find(i => i.Id === id);
+                if (!item) {
+                    music.stop();
+                    updateAutoplayDelay();
+                    return;
+                }
+
+                return actionsheet.show({
+                    title: item.Name,
+                    items: Object.keys(musicModes).map(mode => ({
+                        name: globalize.translate(musicModes[mode]),
+                        id: mode
+                    })),
+                    positionTo
+                }).then(mode => startMusic(item, mode));
+            });
+        });
+    }
+
+    /**
+     * Shows or hides the overlay with the metadata of the current photo.
+     */
+    function toggleInfo() {
+        const info = dialog.querySelector('.slideshowInfo');
+        info.classList.toggle('hide');
+        updateInfo();
+    }
+
+    /**
+     * Fetches an item with all the metadata of the photo, as the slideshow items usually only have the fields needed for their images.
+     * @param {Object} item - Item of the slideshow.
+     * @returns {Promise<Object>} The item.
+     */
+    function getPhotoItem(item) {
+        let promise = photoItems.get(item.Id);
+        if (!promise) {
+            const apiClient = ServerConnections.getApiClient(item.ServerId);
+            promise = apiClient.getItem(apiClient.getCurrentUserId(), item.Id);
+            photoItems.set(item.Id, promise);
+        }
+
+        return promise;
+    }
+
+    /**
+     * Renders the metadata of the current photo in the info overlay, if it is visible.
+     */
+    function updateInfo() {
+        const info = dialog?.querySelector('.slideshowInfo');
+        if (!info || info.classList.contains('hide') || !swiperInstance || currentOptions.slides) return;
+
+        const item = currentOptions.items[swiperInstance.activeIndex];
+        if (!item) return;
+
+        getPhotoItem(item).then(photo => {
+            // The slide may have changed while loading
+            if (currentOptions.items[swiperInstance?.activeIndex] !== item) return;
+
+            info.innerHTML = getInfoHtml(photo);
+        }).catch(err => {
+            photoItems.delete(item.Id);
+            console.error('[slideshow] failed to load the metadata of the photo', err);
+        });
+    }
+
+    /**
+     * Renders the HTML markup of the metadata of a photo.
+     * @param {Object} item - Item with the metadata of the photo.
+     * @returns {string} The HTML markup of the metadata.
+     */
+    function getInfoHtml(item) {
+        const rows = [];
+
+        if (item.PremiereDate) {
+            try {
+                rows.push({
+                    label: 'MediaInfoDateTaken',
+                    value: datetime.toLocaleString(datetime.parseISO8601Date(item.PremiereDate))
+                });
+            } catch (err) {
+                console.error('[slideshow] failed to parse the date of the photo', err);
+            }
+        }
+
+        rows.push(...getPhotoMetadata(item));
+
+        let html = '<h2 class="slideshowInfoTitle">' + escapeHtml(item.Name || '') + '</h2>';
+        for (const row of rows) {
+            html += '<div class="slideshowInfoRow">';
+            html += '<div class="slideshowInfoLabel">' + globalize.translate(row.label) + '</div>';
+            html += '<div>' + escapeHtml(row.value) + '</div>';
+            html += '</div>';
+        }
+
+        return html;
+    }
+
     /**
      * Renders the HTML markup of a slide for an item or a slide.
      * @param {Object} item - The item used to render the slide.
      * @returns {string} The HTML markup of the slide.
      */
-    function getSwiperSlideHtml(item) {
+    function getSwiperSlideHtml(item, index) {
         if (currentOptions.slides) {
-            return getSwiperSlideHtmlFromSlide(item);
+            return getSwiperSlideHtmlFromSlide(item, index);
         } else {
-            return getSwiperSlideHtmlFromItem(item);
+            return getSwiperSlideHtmlFromItem(item, index);
         }
     }
 
     /**
      * Renders the HTML markup of a slide for an item.
      * @param {Object} item - Item used to generate the slide.
+     * @param {number} index - Index of the slide.
      * @returns {string} The HTML markup of the slide.
      */
-    function getSwiperSlideHtmlFromItem(item) {
+    function getSwiperSlideHtmlFromItem(item, index) {
         return getSwiperSlideHtmlFromSlide({
             originalImage: getImgUrl(item, currentOptions.user),
             Id: item.Id,
             ServerId: item.ServerId
-        });
+        }, index);
     }
 
     /**
      * Renders the HTML markup of a slide for a slide object.
      * @param {Object} item - Slide object used to generate the slide.
+     * @param {number} index - Index of the slide.
      * @returns {string} The HTML markup of the slide.
      */
-    function getSwiperSlideHtmlFromSlide(item) {
+    function getSwiperSlideHtmlFromSlide(item, index) {
         let html = '';
-        html += '<div class="swiper-slide" data-original="' + item.originalImage + '" data-itemid="' + item.Id + '" data-serverid="' + item.ServerId + '">';
+        html += '<div class="swiper-slide kenBurns-' + (index % kenBurnsVariants) + '" data-original="' + item.originalImage + '" data-itemid="' + item.Id + '" data-serverid="' + item.ServerId + '">';
         html += '<div class="swiper-zoom-container">';
         if (useFakeZoomImage) {
             html += `<div class="swiper-zoom-fakeimg swiper-zoom-fakeimg-hidden" style="background-image: url('${item.originalImage}')"></div>`;
@@ -527,29 +1013,33 @@ export default function (options) {
     }
 
     /**
-     * Starts the autoplay feature of the Swiper instance.
+     * Starts the autoplay feature of the Swiper instance, and resumes the music.
      */
     function play() {
         if (swiperInstance.autoplay) {
             swiperInstance.autoplay.start();
         }
+
+        music.unpause();
     }
 
     /**
-     * Pauses the autoplay feature of the Swiper instance;
+     * Pauses the autoplay feature of the Swiper instance, and the music;
      */
     function pause() {
         if (swiperInstance.autoplay) {
             swiperInstance.autoplay.stop();
         }
+
+        music.pause();
     }
 
     /**
      * Toggles the autoplay feature of the Swiper instance.
      */
     function playPause() {
-        const paused = !dialog.querySelector('.btnSlideshowPause .material-icons').classList.contains('pause');
-        if (paused) {
+        // The TV layout has no pause button to read the state from
+        if (!swiperInstance.autoplay?.running) {
             play();
         } else {
             pause();
@@ -563,6 +1053,8 @@ export default function (options) {
         // Exits fullscreen
         fullscreenExit();
 
+        music.stop();
+
         const swiper = swiperInstance;
         if (swiper) {
             swiper.destroy(true, true);
@@ -738,6 +1230,15 @@ export default function (options) {
         showOsd();
     }
 
+    /**
+     * Handlers of the playback commands of remote controls.
+     */
+    const playbackCommands = {
+        play,
+        pause,
+        playpause: playPause
+    };
+
     /**
      * Dispatches keyboard inputs to their proper handlers.
      * @param {Event} event - Keyboard input event.
@@ -747,18 +1248,24 @@ export default function (options) {
             case 'up':
             case 'down':
             case 'select':
+                showOsd();
+                break;
             case 'menu':
-            case 'info':
                 showOsd();
+                // The TV layout has no OSD buttons to reach the settings
+                if (currentOptions.interactive) {
+                    showSettingsMenu(dialog.querySelector('.btnSlideshowSettings'));
+                }
                 break;
-            case 'play':
-                play();
+            case 'info':
+                toggleInfo();
                 break;
+            case 'play':
             case 'pause':
-                pause();
-                break;
             case 'playpause':
-                playPause();
+                // Keeps the playback manager from also toggling the music, which the slideshow already does
+                if (music.isPlaying) event.preventDefault();
+                playbackCommands[event.detail.command]();
                 break;
             default:
                 break;
@@ -0,0 +1,213 @@
+/**
+ * Background music of slideshows
+ * @module components/slideshow/slideshowMusic
+ */
+import { MediaType } from '@jellyfin/sdk/lib/generated-client/models/media-type';
+import { ServerConnections } from 'lib/jellyfin-apiclient';
+import { playbackManager } from '../playback/playbackmanager';
+import Events from '../../utils/events.ts';
+import { BeatDetector, getBassEnergy } from './beatDetector.ts';
+
+/**
+ * Plays music with the audio player next to a slideshow, and reports its tracks, beats and pauses to the slideshow.
+ */
+export class SlideshowMusic {
+    /**
+     * @param {Object} callbacks - The callbacks of the slideshow.
+     * @param {Function} callbacks.onTrackChange - Called when a track starts, with whether it is the first track.
+     * @param {Function} callbacks.onBeat - Called on each beat, if beat detection is enabled.
+     * @param {Function} callbacks.onPause - Called when the music is paused, for example from a remote control.
+     * @param {Function} callbacks.onUnpause - Called when the music is resumed.
+     * @param {Function} callbacks.onEnded - Called when all the tracks have been played.
+     */
+    constructor({ onTrackChange, onBeat, onPause, onUnpause, onEnded }) {
+        this.callbacks = { onTrackChange, onBeat, onPause, onUnpause, onEnded };
+        this.item = null;
+        this.player = null;
+        this.beatDetection = false;
+        this.detector = new BeatDetector();
+
+        this.onPlaybackStart = this.onPlaybackStart.bind(this);
+        this.onPlaybackStop = this.onPlaybackStop.bind(this);
+        this.onPlayerPause = this.onPlayerPause.bind(this);
+        this.onPlayerUnpause = this.onPlayerUnpause.bind(this);
+        this.onAnimationFrame = this.onAnimationFrame.bind(this);
+    }
+
+    /**
+     * Starts playing music.
+     * @param {Object} item - Music album or playlist, or the item an instant mix is created from.
+     * @param {string} mode - 'play', 'shuffle' or 'instantmix'.
+     * @returns {Promise} Promise resolved when the playback is requested.
+     */
+    play(item, mode) {
+        this.stop();
+
+        this.item = item;
+        this.started = false;
+        Events.on(playbackManager, 'playbackstart', this.onPlaybackStart);
+        Events.on(playbackManager, 'playbackstop', this.onPlaybackStop);
+
+        // The slideshow stays in front of the now playing page
+        if (mode === 'instantmix') {
+            const apiClient = ServerConnections.getApiClient(item.ServerId);
+            return apiClient.getInstantMixFromItem(item.Id, {
+                UserId: apiClient.getCurrentUserId(),
+                Limit: 200
+            }).then(result => playbackManager.play({
+                items: result.Items,
+                fullscreen: false
+            }));
+        }
+
+        return playbackManager.play({
+            items: [item],
+            shuffle: mode === 'shuffle',
+            fullscreen: false
+        });
+    }
+
+    /**
+     * Stops the music started for the slideshow.
+     */
+    stop() {
+        Events.off(playbackManager, 'playbackstart', this.onPlaybackStart);
+        Events.off(playbackManager, 'playbackstop', this.onPlaybackStop);
+
+        const player = this.player;
+        this.unbindPlayer();
+        this.item = null;
+
+        if (player) {
+            playbackManager.stop(player);
+        }
+    }
+
+    get isPlaying() {
+        return !!this.item;
+    }
+
+    get canDetectBeats() {
+        return !!this.analyser;
+    }
+
+    paused() {
+        return !!this.player && playbackManager.paused(this.player);
+    }
+
+    pause() {
+        if (this.player && !this.paused()) {
+            playbackManager.pause(this.player);
+        }
+    }
+
+    unpause() {
+        if (this.player && this.paused()) {
+            playbackManager.unpause(this.player);
+        }
+    }
+
+    /**
+     * Enables or disables the detection of beats in the music.
+     * @param {boolean} enabled - Whether beats are detected.
+     */
+    setBeatDetection(enabled) {
+        this.beatDetection = enabled;
+
+        if (enabled) {
+            this.connectAnalyser();
+        } else {
+            this.disconnectAnalyser();
+        }
+    }
+
+    onPlaybackStart(e, player, state) {
+        if (state?.NowPlayingItem?.MediaType !== MediaType.Audio) return;
+
+        if (player !== this.player) {
+            this.unbindPlayer();
+            this.player = player;
+            Events.on(player, 'pause', this.onPlayerPause);
+            Events.on(player, 'unpause', this.onPlayerUnpause);
+        }
+
+        // Crossfading uses another audio element, so the analyser is connected again on each track
+        this.connectAnalyser();
+
+        this.callbacks.onTrackChange(!this.started);
+        this.started = true;
+    }
+
+    onPlaybackStop(e, stopInfo) {
+        if (stopInfo.player !== this.player || stopInfo.nextMediaType) return;
+
+        Events.off(playbackManager, 'playbackstart', this.onPlaybackStart);
+        Events.off(playbackManager, 'playbackstop', this.onPlaybackStop);
+        this.unbindPlayer();
+        this.item = null;
+
+        this.callbacks.onEnded();
+    }
+
+    onPlayerPause() {
+        this.callbacks.onPause();
+    }
+
+    onPlayerUnpause() {
+        this.callbacks.onUnpause();
+    }
+
+    unbindPlayer() {
+        this.disconnectAnalyser();
+
+        if (this.player) {
+            Events.off(this.player, 'pause', this.onPlayerPause);
+            Events.off(this.player, 'unpause', this.onPlayerUnpause);
+            this.player = null;
+        }
+    }
+
+    connectAnalyser() {
+        const gainNode = this.player?.getAudioGainNode?.();
+        if (!this.beatDetection || !gainNode || gainNode === this.gainNode) return;
+
+        this.disconnectAnalyser();
+
+        this.analyser = gainNode.context.createAnalyser();
+        this.analyser.fftSize = 1024;
+        this.frequencyData = new Uint8Array(this.analyser.frequencyBinCount);
+        gainNode.connect(this.analyser);
+        this.gainNode = gainNode;
+
+        this.detector.reset();
+        this.animationFrame = requestAnimationFrame(this.onAnimationFrame);
+    }
+
+    disconnectAnalyser() {
+        if (this.animationFrame) {
+            cancelAnimationFrame(this.animationFrame);
+            this.animationFrame = null;
+        }
+
+        if (this.gainNode && this.analyser) {
+            try {
+                this.gainNode.disconnect(this.analyser);
+            } catch (err) {
+                console.debug('[slideshowMusic] analyser was already disconnected', err);
+            }
+        }
+
+        this.gainNode = null;
+        this.analyser = null;
+    }
+
+    onAnimationFrame(time) {
+        this.analyser.getByteFrequencyData(this.frequencyData);
+
+        if (this.detector.process(getBassEnergy(this.frequencyData), time) && !this.paused()) {
+            this.callbacks.onBeat();
+        }
+
+        this.animationFrame = requestAnimationFrame(this.onAnimationFrame);
+    }
+}
@@ -67,6 +67,9 @@ function getTextStyles(settings, preview) {
         list.push({ name: 'color', value: textColor });
     }
 
+    const opacity = parseInt(settings.opacity, 10);
+    list.push({ name: 'opacity', value: opacity >= 0 && opacity < 100 ? `${opacity / 100}` : '' });
+
     switch (settings.font || '') {
         case 'typewriter':
             list.push({ name: 'font-family', value: '"Courier New",monospace' });
@@ -26,17 +26,73 @@ import template from './subtitlesettings.template.html';
  * @module components/subtitleSettings/subtitleSettings
  */
 
+function isSecondaryProfile(context) {
+    return context.querySelector('#selectSubtitleAppearanceProfile').value === 'secondary';
+}
+
 function getSubtitleAppearanceObject(context) {
-    return {
-        subtitleStyling: context.querySelector('#selectSubtitleStyling').value,
+    const appearanceSettings = {
         textSize: context.querySelector('#selectTextSize').value,
         textWeight: context.querySelector('#selectTextWeight').value,
         dropShadow: context.querySelector('#selectDropShadow').value,
         font: context.querySelector('#selectFont').value,
         textBackground: context.querySelector('#inputTextBackground').value,
         textColor: layoutManager.tv ? context.querySelector('#selectTextColor').value : context.querySelector('#inputTextColor').value,
+        opacity: context.querySelector('#sliderOpacity').value,
         verticalPosition: context.querySelector('#sliderVerticalPosition').value
     };
+
+    // The styling mode is shared, so it is only part of the primary profile
+    if (isSecondaryProfile(context)) {
+        appearanceSettings.stackWithPrimary = context.querySelector('#chkStackWithPrimary').checked;
+    } else {
+        appearanceSettings.subtitleStyling = context.querySelector('#selectSubtitleStyling').value;
+    }
+
+    return appearanceSettings;
+}
+
+function updateProfileFields(context) {
+    const isSecondary = isSecondaryProfile(context);
+
+    context.querySelector('.fldSubtitleStyling').classList.toggle('hide', isSecondary);
+    context.querySelector('.fldStackWithPrimary').classList.toggle('hide', !isSecondary);
+    context.querySelector('.fldVerticalPosition').classList.toggle('hide', isSecondary && context.querySelector('#chkStackWithPrimary').checked);
+}
+
+function loadAppearanceForm(context, appearanceSettings) {
+    context.querySelector('#selectTextSize').value = appearanceSettings.textSize || '';
+    context.querySelector('#selectTextWeight').value = appearanceSettings.textWeight || 'normal';
+    context.querySelector('#selectDropShadow').value = appearanceSettings.dropShadow || '';
+    context.querySelector('#inputTextBackground').value = appearanceSettings.textBackground || 'transparent';
+    context.querySelector('#selectTextColor').value = appearanceSettings.textColor || '#ffffff';
+    context.querySelector('#inputTextColor').value = appearanceSettings.textColor || '#ffffff';
+    context.querySelector('#selectFont').value = appearanceSettings.font || '';
+    context.querySelector('#sliderOpacity').value = appearanceSettings.opacity || 100;
+    context.querySelector('#sliderVerticalPosition').value = appearanceSettings.verticalPosition;
+    context.querySelector('#chkStackWithPrimary').checked = appearanceSettings.stackWithPrimary !== false;
+
+    updateProfileFields(context);
+
+    onAppearanceFieldChange({
+        target: context.querySelector('#selectTextSize')
+    });
+}
+
+function onAppearanceProfileChange(instance, e) {
+    const context = instance.options.element;
+    const profile = e.target.value;
+
+    // Keep the changes of the previous profile until the form is saved
+    instance._appearanceProfiles[instance._appearanceProfile] = getSubtitleAppearanceObject(context);
+    instance._appearanceProfile = profile;
+
+    // The secondary profile falls back to the primary appearance until it is customized
+    if (!instance._appearanceProfiles[profile]) {
+        instance._appearanceProfiles[profile] = instance.options.userSettings.getSecondarySubtitleAppearanceSettings();
+    }
+
+    loadAppearanceForm(context, instance._appearanceProfiles[profile]);
 }
 
 function loadForm(context, user, userSettings, appearanceSettings, apiClient) {
@@ -56,14 +112,11 @@ function loadForm(context, user, userSettings, appearanceSettings, apiClient) {
 
         context.querySelector('#selectSubtitleStyling').value = appearanceSettings.subtitleStyling || 'Auto';
         context.querySelector('#selectSubtitleStyling').dispatchEvent(new CustomEvent('change', {}));
-        context.querySelector('#selectTextSize').value = appearanceSettings.textSize || '';
-        context.querySelector('#selectTextWeight').value = appearanceSettings.textWeight || 'normal';
-        context.querySelector('#selectDropShadow').value = appearanceSettings.dropShadow || '';
-        context.querySelector('#inputTextBackground').value = appearanceSettings.textBackground || 'transparent';
-        context.querySelector('#selectTextColor').value = appearanceSettings.textColor || '#ffffff';
-        context.querySelector('#inputTextColor').value = appearanceSettings.textColor || '#ffffff';
-        context.querySelector('#selectFont').value = appearanceSettings.font || '';
-        context.querySelector('#sliderVerticalPosition').value = appearanceSettings.verticalPosition;
+        context.querySelector('#selectSubtitleAppearanceProfile').value = 'primary';
+        loadAppearanceForm(context, appearanceSettings);
+
+        context.querySelector('#chkSubtitleLearningMode').checked = userSettings.subtitleLearningMode();
+        context.querySelector('#chkRevealSecondarySubtitles').checked = userSettings.revealSecondarySubtitles();
 
         context.querySelector('#selectSubtitleBurnIn').value = appSettings.get('subtitleburnin') || '';
         context.querySelector('#chkSubtitleRenderPgs').checked = appSettings.get('subtitlerenderpgs') === 'true';
@@ -71,19 +124,24 @@ function loadForm(context, user, userSettings, appearanceSettings, apiClient) {
         context.querySelector('#selectSubtitleBurnIn').dispatchEvent(new CustomEvent('change', {}));
         context.querySelector('#chkAlwaysBurnInSubtitleWhenTranscoding').checked = appSettings.alwaysBurnInSubtitleWhenTranscoding();
 
-        onAppearanceFieldChange({
-            target: context.querySelector('#selectTextSize')
-        });
-
         loading.hide();
     });
 }
 
-function saveUser(context, user, userSettingsInstance, appearanceKey, apiClient) {
+function saveUser(instance, context, user, userSettingsInstance, apiClient) {
+    const appearanceKey = instance.options.appearanceKey;
+    instance._appearanceProfiles[instance._appearanceProfile] = getSubtitleAppearanceObject(context);
+
     let appearanceSettings = userSettingsInstance.getSubtitleAppearanceSettings(appearanceKey);
-    appearanceSettings = Object.assign(appearanceSettings, getSubtitleAppearanceObject(context));
+    appearanceSettings = Object.assign(appearanceSettings, instance._appearanceProfiles.primary);
 
     userSettingsInstance.setSubtitleAppearanceSettings(appearanceSettings, appearanceKey);
+    if (instance._appearanceProfiles.secondary) {
+        userSettingsInstance.setSecondarySubtitleAppearanceSettings(instance._appearanceProfiles.secondary);
+    }
+
+    userSettingsInstance.subtitleLearningMode(context.querySelector('#chkSubtitleLearningMode').checked);
+    userSettingsInstance.revealSecondarySubtitles(context.querySelector('#chkRevealSecondarySubtitles').checked);
 
     user.Configuration.SubtitleLanguagePreference = context.querySelector('#selectSubtitleLanguage').value;
     user.Configuration.SubtitleMode = context.querySelector('#selectSubtitlePlaybackMode').value;
@@ -99,7 +157,7 @@ function save(instance, context, userId, userSettings, apiClient, enableSaveConf
     appSettings.alwaysBurnInSubtitleWhenTranscoding(context.querySelector('#chkAlwaysBurnInSubtitleWhenTranscoding').checked);
 
     apiClient.getUser(userId).then(function (user) {
-        saveUser(context, user, userSettings, instance.appearanceKey, apiClient).then(function () {
+        saveUser(instance, context, user, userSettings, apiClient).then(function () {
             loading.hide();
             if (enableSaveConfirmation) {
                 toast(globalize.translate('SettingsSaved'));
@@ -204,6 +262,9 @@ function embed(options, self) {
     options.element.querySelector('#selectTextColor').addEventListener('change', onAppearanceFieldChange);
     options.element.querySelector('#inputTextColor').addEventListener('change', onAppearanceFieldChange);
     options.element.querySelector('#inputTextBackground').addEventListener('change', onAppearanceFieldChange);
+    options.element.querySelector('#sliderOpacity').addEventListener('input', onAppearanceFieldChange);
+    options.element.querySelector('#selectSubtitleAppearanceProfile').addEventListener('change', (e) => onAppearanceProfileChange(self, e));
+    options.element.querySelector('#chkStackWithPrimary').addEventListener('change', () => updateProfileFields(options.element));
 
     if (options.enableSaveButton) {
         options.element.querySelector('.btnSave').classList.remove('hide');
@@ -277,6 +338,12 @@ export class SubtitleSettings {
 
                 const appearanceSettings = userSettings.getSubtitleAppearanceSettings(self.options.appearanceKey);
 
+                self._appearanceProfile = 'primary';
+                self._appearanceProfiles = {
+                    primary: appearanceSettings,
+                    secondary: null
+                };
+
                 loadForm(context, user, userSettings, appearanceSettings, apiClient);
             });
         });
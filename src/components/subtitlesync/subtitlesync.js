@@ -1,6 +1,11 @@
 
+import { detectSpeech, findSubtitleOffset, getBandEnergy } from 'apps/stable/features/playback/utils/subtitleAlignment';
+import { MILLISECONDS_PER_SECOND, TICKS_PER_SECOND } from 'constants/time';
+import globalize from 'lib/globalize';
+
 import { playbackManager } from '../playback/playbackmanager';
 import layoutManager from '../layoutManager';
+import toast from '../toast/toast';
 import template from './subtitlesync.template.html';
 import './subtitlesync.scss';
 
@@ -9,6 +14,98 @@ let subtitleSyncSlider;
 let subtitleSyncTextField;
 let subtitleSyncCloseButton;
 let subtitleSyncContainer;
+let subtitleSyncAutoAlignButton;
+let subtitleSyncStatus;
+let autoAlignInterval;
+
+/** The seconds of playback to analyze when aligning subtitles automatically */
+const AUTO_ALIGN_DURATION = 60;
+/** The interval between audio samples in milliseconds */
+const AUTO_ALIGN_SAMPLE_INTERVAL = 100;
+
+function stopAutoAlign() {
+    if (autoAlignInterval) {
+        clearInterval(autoAlignInterval);
+        autoAlignInterval = null;
+    }
+
+    if (subtitleSyncAutoAlignButton) {
+        subtitleSyncAutoAlignButton.classList.remove('autoAligning');
+        subtitleSyncStatus.textContent = '';
+    }
+}
+
+async function alignSubtitles(times, energies) {
+    const speech = detectSpeech(energies);
+    if (!speech.some(isSpeech => isSpeech)) {
+        // Cross-origin media without CORS headers can not be analyzed and only reports silence
+        toast(globalize.translate('MessageSubtitleAutoAlignNoAudio'));
+        return;
+    }
+
+    const trackEvents = await playbackManager.getSubtitleTrackEvents(player);
+    const cues = trackEvents.map(trackEvent => ({
+        start: trackEvent.StartPositionTicks / TICKS_PER_SECOND,
+        end: trackEvent.EndPositionTicks / TICKS_PER_SECOND
+    }));
+
+    const result = findSubtitleOffset(
+        times.map((time, index) => ({ time, isSpeech: speech[index] })),
+        cues,
+        {
+            maxOffset: parseFloat(subtitleSyncSlider.max),
+            step: parseFloat(subtitleSyncSlider.step)
+        });
+
+    if (!result) {
+        toast(globalize.translate('MessageSubtitleAutoAlignFailed'));
+        return;
+    }
+
+    subtitleSyncSlider.updateOffset(result.offset);
+    toast(globalize.translate('MessageSubtitleAutoAligned', result.offset + 's'));
+}
+
+function startAutoAlign() {
+    // The subtitle track may have changed since the button was shown
+    if (!playbackManager.supportSubtitleAutoAlign(player)) {
+        toast(globalize.translate('MessageSubtitleAutoAlignTrackUnsupported'));
+        return;
+    }
+
+    const analyser = playbackManager.getAudioAnalyser(player);
+    if (!analyser) {
+        toast(globalize.translate('MessageSubtitleAutoAlignUnsupported'));
+        return;
+    }
+
+    const frequencyData = new Uint8Array(analyser.frequencyBinCount);
+    const sampleCount = AUTO_ALIGN_DURATION * MILLISECONDS_PER_SECOND / AUTO_ALIGN_SAMPLE_INTERVAL;
+    const times = [];
+    const energies = [];
+
+    subtitleSyncAutoAlignButton.classList.add('autoAligning');
+    subtitleSyncStatus.textContent = globalize.translate('AutoAligningSubtitles', 0);
+
+    autoAlignInterval = setInterval(() => {
+        // Only paused playback is skipped, seeking is fine as every sample keeps its position
+        if (playbackManager.paused(player)) return;
+
+        analyser.getByteFrequencyData(frequencyData);
+        times.push(playbackManager.currentTime(player) / MILLISECONDS_PER_SECOND);
+        energies.push(getBandEnergy(frequencyData, analyser.context.sampleRate));
+
+        subtitleSyncStatus.textContent = globalize.translate('AutoAligningSubtitles', Math.floor(times.length / sampleCount * 100));
+
+        if (times.length >= sampleCount) {
+            stopAutoAlign();
+            alignSubtitles(times, energies).catch(err => {
+                console.error('[SubtitleSync] failed to align subtitles', err);
+                toast(globalize.translate('MessageSubtitleAutoAlignFailed'));
+            });
+        }
+    }, AUTO_ALIGN_SAMPLE_INTERVAL);
+}
 
 function init(instance) {
     const parent = document.createElement('div');
@@ -19,6 +116,10 @@ function init(instance) {
     subtitleSyncTextField = parent.querySelector('.subtitleSyncTextField');
     subtitleSyncCloseButton = parent.querySelector('.subtitleSync-closeButton');
     subtitleSyncContainer = parent.querySelector('.subtitleSyncContainer');
+    subtitleSyncAutoAlignButton = parent.querySelector('.subtitleSync-autoAlignButton');
+    subtitleSyncStatus = parent.querySelector('.subtitleSyncStatus');
+
+    subtitleSyncAutoAlignButton.title = globalize.translate('AutoAlignSubtitles');
 
     if (layoutManager.tv) {
         subtitleSyncSlider.classList.add('focusable');
@@ -95,6 +196,14 @@ function init(instance) {
             + '</h1>';
     };
 
+    subtitleSyncAutoAlignButton.addEventListener('click', function () {
+        if (autoAlignInterval) {
+            stopAutoAlign();
+        } else {
+            startAutoAlign();
+        }
+    });
+
     subtitleSyncCloseButton.addEventListener('click', function () {
         playbackManager.disableShowingSubtitleOffset(player);
         SubtitleSync.prototype.toggle('forceToHide');
@@ -110,6 +219,7 @@ class SubtitleSync {
     }
 
     destroy() {
+        stopAutoAlign();
         SubtitleSync.prototype.toggle('forceToHide');
         if (player) {
             playbackManager.disableShowingSubtitleOffset(player);
@@ -139,6 +249,8 @@ class SubtitleSync {
                         subtitleSyncTextField.textContent = '0s';
                         playbackManager.setSubtitleOffset(0, player);
                     }
+                    // only text subtitles can be aligned to the audio
+                    subtitleSyncAutoAlignButton.classList.toggle('hide', !playbackManager.supportSubtitleAutoAlign(player));
                     // show subtitle sync
                     subtitleSyncContainer.classList.remove('hide');
                     return;
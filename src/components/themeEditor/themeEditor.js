@@ -0,0 +1,110 @@
+/**
+ * Module for editing the custom themes of the user, with a live preview.
+ * @module components/themeEditor/themeEditor
+ */
+
+import dialogHelper from '../dialogHelper/dialogHelper';
+import globalize from '../../lib/globalize';
+import layoutManager from '../layoutManager';
+import {
+    DEFAULT_CUSTOM_THEME_VALUES,
+    createCustomTheme,
+    getCustomThemeProperties,
+    validateCustomThemeValues
+} from '../../themes/customTheme.ts';
+import '../../elements/emby-button/emby-button';
+import '../../elements/emby-button/paper-icon-button-light';
+import '../../elements/emby-input/emby-input';
+import '../../elements/emby-select/emby-select';
+import '../../elements/emby-slider/emby-slider';
+import '../formdialog.scss';
+import './themeEditor.scss';
+import template from './themeEditor.template.html';
+
+function getValues(context) {
+    return validateCustomThemeValues({
+        base: context.querySelector('#selectThemeBase').value,
+        accentColor: context.querySelector('#inputAccentColor').value,
+        backgroundColor: context.querySelector('#inputBackgroundColor').value,
+        cardColor: context.querySelector('#inputCardColor').value,
+        textColor: context.querySelector('#inputTextColor').value,
+        backdropOpacity: context.querySelector('#sliderBackdropOpacity').value / 100,
+        cornerRadius: context.querySelector('#sliderCornerRadius').value
+    });
+}
+
+function loadTheme(context, theme) {
+    const values = { ...DEFAULT_CUSTOM_THEME_VALUES, ...theme };
+
+    context.querySelector('#txtThemeName').value = theme?.name || '';
+    context.querySelector('#selectThemeBase').value = values.base;
+    context.querySelector('#inputAccentColor').value = values.accentColor;
+    context.querySelector('#inputBackgroundColor').value = values.backgroundColor;
+    context.querySelector('#inputCardColor').value = values.cardColor;
+    context.querySelector('#inputTextColor').value = values.textColor;
+    context.querySelector('#sliderBackdropOpacity').value = Math.round(values.backdropOpacity * 100);
+    context.querySelector('#sliderCornerRadius').value = values.cornerRadius;
+}
+
+function updatePreview(context) {
+    const preview = context.querySelector('.themeEditorPreview');
+
+    Object.entries(getCustomThemeProperties(getValues(context))).forEach(([name, value]) => {
+        preview.style.setProperty(name, value);
+    });
+
+    context.querySelector('.themeEditorPreviewTitle').textContent = context.querySelector('#txtThemeName').value;
+}
+
+function submitTheme(context, theme) {
+    const name = context.querySelector('#txtThemeName').value.trim();
+    const values = getValues(context);
+
+    context.theme = theme ? { ...theme, ...values, name } : createCustomTheme(name, values);
+    dialogHelper.close(context);
+}
+
+/**
+ * Shows the theme editor.
+ * @param {Object} [options] - Options of the editor.
+ * @param {Object} [options.theme] - Custom theme to edit, or nothing to create a new theme.
+ * @returns {Promise<Object>} Promise resolved with the saved theme, or rejected if the editor is closed without saving.
+ */
+export function show(options = {}) {
+    return new Promise((resolve, reject) => {
+        const dlg = dialogHelper.createDialog({
+            removeOnClose: true,
+            size: layoutManager.tv ? 'fullscreen' : 'small'
+        });
+        dlg.classList.add('formDialog');
+        dlg.classList.add('themeEditorDialog');
+        dlg.innerHTML = globalize.translateHtml(template, 'core');
+
+        loadTheme(dlg, options.theme);
+        updatePreview(dlg);
+
+        dialogHelper.open(dlg);
+        dlg.addEventListener('close', () => {
+            if (dlg.theme) {
+                resolve(dlg.theme);
+            } else {
+                reject();
+            }
+        });
+        dlg.querySelector('.btnCancel').addEventListener('click', () => {
+            dialogHelper.close(dlg);
+        });
+        dlg.querySelector('form').addEventListener('input', () => {
+            updatePreview(dlg);
+        });
+        dlg.querySelector('form').addEventListener('submit', event => {
+            submitTheme(dlg, options.theme);
+            event.preventDefault();
+            return false;
+        });
+    });
+}
+
+export default {
+    show: show
+};
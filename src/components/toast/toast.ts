@@ -2,8 +2,16 @@ import './toast.scss';
 
 interface Toast {
     text: string
+    /** Text of an optional action button */
+    actionText?: string
+    /** Called when the action button is clicked */
+    onAction?: () => void
 }
 
+const TOAST_TIMEOUT = 3300;
+// Give the user more time to react to toasts with an action
+const ACTION_TOAST_TIMEOUT = 6000;
+
 let toastContainer: HTMLDivElement;
 
 function getToastContainer() {
@@ -22,11 +30,15 @@ function remove(elem: HTMLElement) {
     }, 300);
 }
 
-function animateRemove(elem: HTMLElement) {
+function hide(elem: HTMLElement) {
+    elem.classList.add('toastHide');
+    remove(elem);
+}
+
+function animateRemove(elem: HTMLElement, timeout: number) {
     setTimeout(function () {
-        elem.classList.add('toastHide');
-        remove(elem);
-    }, 3300);
+        hide(elem);
+    }, timeout);
 }
 
 export default function (options: string | Toast) {
@@ -38,13 +50,31 @@ export default function (options: string | Toast) {
 
     const elem = document.createElement('div');
     elem.classList.add('toast');
-    elem.textContent = options.text;
+
+    const { actionText, onAction } = options;
+    if (actionText && onAction) {
+        const text = document.createElement('span');
+        text.textContent = options.text;
+        elem.appendChild(text);
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.classList.add('toastAction');
+        button.textContent = actionText;
+        button.addEventListener('click', function () {
+            onAction();
+            hide(elem);
+        }, { once: true });
+        elem.appendChild(button);
+    } else {
+        elem.textContent = options.text;
+    }
 
     getToastContainer().appendChild(elem);
 
     setTimeout(function () {
         elem.classList.add('toastVisible');
 
-        animateRemove(elem);
+        animateRemove(elem, actionText && onAction ? ACTION_TOAST_TIMEOUT : TOAST_TIMEOUT);
     }, 300);
 }
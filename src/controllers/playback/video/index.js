@@ -1,8 +1,9 @@
 import escapeHtml from 'escape-html';
 
 import { PlayerEvent } from 'apps/stable/features/playback/constants/playerEvent';
+import { addBookmark, clearBookmarks, findBookmark, getBookmarks, removeBookmark } from 'apps/stable/features/playback/utils/bookmarks';
 import { AppFeature } from 'constants/appFeature';
-import { TICKS_PER_MINUTE, TICKS_PER_SECOND } from 'constants/time';
+import { TICKS_PER_MILLISECOND, TICKS_PER_MINUTE, TICKS_PER_SECOND } from 'constants/time';
 import { EventType } from 'types/eventType';
 
 import { playbackManager } from '../../../components/playback/playbackmanager';
@@ -198,6 +199,7 @@ export default function (view) {
             btnRewind.disabled = true;
             view.querySelector('.btnSubtitles').classList.add('hide');
             view.querySelector('.btnAudio').classList.add('hide');
+            updateBookmarkButtons(player, null);
             view.querySelector('.osdTitle').innerHTML = '';
             view.querySelector('.osdMediaInfo').innerHTML = '';
             return;
@@ -231,6 +233,23 @@ export default function (view) {
             view.querySelector('.btnPreviousChapter').classList.add('hide');
             view.querySelector('.btnNextChapter').classList.add('hide');
         }
+
+        updateBookmarkButtons(player, currentItem);
+    }
+
+    function updateBookmarkButtons(player, item) {
+        // Bookmarks and loops need a known position in a local item
+        const enableBookmarks = !!item?.Id && !!item.RunTimeTicks && !!player?.isLocalPlayer;
+
+        if (item?.Id !== bookmarksItemId) {
+            bookmarksItemId = item?.Id;
+            loopStartTicks = null;
+            currentBookmarks = enableBookmarks ? getBookmarks(userSettings.currentSettings, item.Id) : [];
+        }
+
+        view.querySelector('.btnBookmarks').classList.toggle('hide', !enableBookmarks);
+        view.querySelector('.btnLoopRange').classList.toggle('hide', !enableBookmarks);
+        updateLoopRangeButton();
     }
 
     function setTitle(item, parentName) {
@@ -572,6 +591,11 @@ export default function (view) {
         }, state);
     }
 
+    function onLoopRangeChange() {
+        loopStartTicks = null;
+        updateLoopRangeButton();
+    }
+
     function onBeginFetch() {
         view.querySelector('.osdMediaStatus').classList.remove('hide');
     }
@@ -601,6 +625,7 @@ export default function (view) {
         Events.on(player, 'mediastreamschange', onMediaStreamsChanged);
         Events.on(player, 'beginFetch', onBeginFetch);
         Events.on(player, 'endFetch', onEndFetch);
+        Events.on(player, PlayerEvent.LoopRangeChange, onLoopRangeChange);
         resetUpNextDialog();
 
         if (player.isFetching) {
@@ -624,6 +649,7 @@ export default function (view) {
             Events.off(player, 'timeupdate', onTimeUpdate);
             Events.off(player, 'fullscreenchange', onFullscreenChanged);
             Events.off(player, 'mediastreamschange', onMediaStreamsChanged);
+            Events.off(player, PlayerEvent.LoopRangeChange, onLoopRangeChange);
             currentPlayer = null;
         }
     }
@@ -1055,6 +1081,121 @@ export default function (view) {
         });
     }
 
+    function getCurrentPositionTicks(player) {
+        return playbackManager.currentTime(player) * TICKS_PER_MILLISECOND;
+    }
+
+    function showBookmarksMenu() {
+        const player = currentPlayer;
+        const itemId = currentItem?.Id;
+        if (!player || !itemId) return;
+
+        const positionTicks = getCurrentPositionTicks(player);
+        const currentBookmark = findBookmark(currentBookmarks, positionTicks);
+        const menuItems = [];
+
+        if (currentBookmark === undefined) {
+            menuItems.push({
+                name: globalize.translate('AddBookmark'),
+                id: 'add',
+                icon: 'bookmark_add'
+            });
+        } else {
+            menuItems.push({
+                name: globalize.translate('RemoveBookmark'),
+                id: 'remove',
+                icon: 'bookmark_remove'
+            });
+        }
+
+        currentBookmarks.forEach(ticks => {
+            menuItems.push({
+                name: datetime.getDisplayRunningTime(ticks),
+                id: ticks.toString(),
+                icon: 'bookmark',
+                selected: ticks === currentBookmark
+            });
+        });
+
+        if (currentBookmarks.length) {
+            menuItems.push({
+                name: globalize.translate('ClearBookmarks'),
+                id: 'clear',
+                icon: 'delete'
+            });
+        }
+
+        const positionTo = this;
+
+        import('../../../components/actionSheet/actionSheet').then(({ default: actionsheet }) => {
+            actionsheet.show({
+                items: menuItems,
+                title: globalize.translate('Bookmarks'),
+                positionTo: positionTo
+            }).then(function (id) {
+                switch (id) {
+                    case 'add':
+                        currentBookmarks = addBookmark(userSettings.currentSettings, itemId, positionTicks);
+                        break;
+                    case 'remove':
+                        currentBookmarks = removeBookmark(userSettings.currentSettings, itemId, positionTicks);
+                        break;
+                    case 'clear':
+                        currentBookmarks = clearBookmarks(userSettings.currentSettings, itemId);
+                        break;
+                    default:
+                        playbackManager.seek(parseInt(id, 10), player);
+                        break;
+                }
+            }).finally(() => {
+                resetIdle();
+            });
+
+            setTimeout(resetIdle, 0);
+        });
+    }
+
+    function updateLoopRangeButton() {
+        const button = view.querySelector('.btnLoopRange');
+        const loopRange = currentPlayer ? playbackManager.getLoopRange(currentPlayer) : null;
+
+        let title = 'SetLoopStart';
+        if (loopRange) {
+            title = 'ClearLoop';
+        } else if (loopStartTicks != null) {
+            title = 'SetLoopEnd';
+        }
+
+        button.title = globalize.translate(title);
+        button.setAttribute('aria-label', globalize.translate(title));
+        button.classList.toggle('btnLoopRange-pending', !loopRange && loopStartTicks != null);
+        button.classList.toggle('btnLoopRange-active', !!loopRange);
+    }
+
+    function onLoopRangeClick() {
+        const player = currentPlayer;
+        if (!player) return;
+
+        if (playbackManager.getLoopRange(player)) {
+            // The loop range change event resets the button
+            playbackManager.setLoopRange(null, player);
+            return;
+        }
+
+        const positionTicks = getCurrentPositionTicks(player);
+
+        if (loopStartTicks != null && positionTicks > loopStartTicks) {
+            playbackManager.setLoopRange({
+                StartTicks: loopStartTicks,
+                EndTicks: positionTicks
+            }, player);
+        } else {
+            // Start a new loop if the end would be before the start
+            loopStartTicks = positionTicks;
+            updateLoopRangeButton();
+        }
+    }
+
     function showSecondarySubtitlesMenu(actionsheet, positionTo) {
         const player = currentPlayer;
         if (!playbackManager.playerHasSecondarySubtitleSupport(player)) return;
@@ -1198,6 +1339,36 @@ export default function (view) {
         }
     }
 
+    function ensureSyncPlayChat() {
+        const SyncPlay = pluginManager.firstOfType(PluginType.SyncPlay)?.instance;
+        if (!SyncPlay?.Manager.isSyncPlayEnabled()) return Promise.resolve(null);
+
+        return import('../../../plugins/syncPlay/ui/chat/ChatOverlay').then(({ default: ChatOverlay }) => {
+            // The group may have been left while loading
+            if (!syncPlayChatOverlay && SyncPlay.Manager.isSyncPlayEnabled()) {
+                syncPlayChatOverlay = new ChatOverlay({
+                    parent: view,
+                    chatCore: SyncPlay.Manager.getChatCore()
+                });
+            }
+
+            return syncPlayChatOverlay;
+        });
+    }
+
+    function toggleSyncPlayChat() {
+        ensureSyncPlayChat().then((chatOverlay) => {
+            chatOverlay?.toggle();
+        });
+    }
+
+    function destroySyncPlayChat() {
+        if (syncPlayChatOverlay) {
+            syncPlayChatOverlay.destroy();
+            syncPlayChatOverlay = null;
+        }
+    }
+
     /**
          * Clicked element.
          * To skip 'click' handling on Firefox/Edge.
@@ -1348,6 +1519,12 @@ export default function (view) {
                     playbackManager.nextTrack(currentPlayer);
                 }
                 break;
+            case 'r':
+            case 'R':
+                if (!e.shiftKey && playbackManager.revealSecondarySubtitles(undefined, undefined, currentPlayer)) {
+                    e.preventDefault();
+                }
+                break;
             case 'NavigationLeft':
             case 'GamepadDPadLeft':
             case 'GamepadLeftThumbstickLeft':
@@ -1627,6 +1804,9 @@ export default function (view) {
     let currentUpNextDialog;
     let isEnabled;
     let currentItem;
+    let currentBookmarks = [];
+    let bookmarksItemId;
+    let loopStartTicks = null;
     let recordingButtonManager;
     let enableProgressByTimeOfDay;
     let currentVisibleMenu;
@@ -1641,6 +1821,7 @@ export default function (view) {
     let programEndDateMs = 0;
     let playbackStartTimeTicks = 0;
     let subtitleSyncOverlay;
+    let syncPlayChatOverlay;
     let trickplayResolution = null;
     const nowPlayingVolumeSlider = view.querySelector('.osdVolumeSlider');
     const nowPlayingVolumeSliderContainer = view.querySelector('.osdVolumeSliderContainer');
@@ -1792,15 +1973,21 @@ export default function (view) {
 
         destroyStats();
         destroySubtitleSync();
+        destroySyncPlayChat();
     });
     let lastPointerDown = 0;
     /* eslint-disable-next-line compat/compat */
     dom.addEventListener(view, window.PointerEvent ? 'pointerdown' : 'click', function (e) {
-        if (dom.parentWithClass(e.target, ['videoOsdBottom', 'upNextContainer'])) {
+        if (dom.parentWithClass(e.target, ['videoOsdBottom', 'upNextContainer', 'syncPlayChat'])) {
             showOsd();
             return;
         }
 
+        // A click on hidden secondary subtitles reveals them instead of toggling playback
+        if (playbackManager.revealSecondarySubtitles(e.clientX, e.clientY, currentPlayer)) {
+            return;
+        }
+
         const pointerType = e.pointerType || (layoutManager.mobile ? 'touch' : 'mouse');
         const now = new Date().getTime();
 
@@ -1931,10 +2118,31 @@ export default function (view) {
 
     nowPlayingPositionSlider.getMarkerInfo = function () {
         // use markers based on chapters
-        return currentItem?.Chapters?.map(currentChapter => ({
+        const markers = currentItem?.Chapters?.map(currentChapter => ({
             name: currentChapter.Name,
             progress: currentChapter.StartPositionTicks / currentItem.RunTimeTicks
         })) || [];
+
+        const runTimeTicks = currentItem?.RunTimeTicks;
+        if (!runTimeTicks) return markers;
+
+        currentBookmarks.forEach(ticks => {
+            markers.push({
+                progress: ticks / runTimeTicks,
+                type: 'bookmark'
+            });
+        });
+
+        const loopRange = currentPlayer ? playbackManager.getLoopRange(currentPlayer) : null;
+        const loopTicks = loopRange ? [ loopRange.StartTicks, loopRange.EndTicks ] : [ loopStartTicks ];
+        loopTicks.filter(ticks => ticks != null).forEach(ticks => {
+            markers.push({
+                progress: ticks / runTimeTicks,
+                type: 'loop'
+            });
+        });
+
+        return markers;
     };
 
     view.querySelector('.btnPreviousTrack').addEventListener('click', function () {
@@ -1959,6 +2167,9 @@ export default function (view) {
         playbackManager.fastForward(currentPlayer);
     });
     view.querySelector('.btnAudio').addEventListener('click', showAudioTrackSelection);
+    view.querySelector('.btnBookmarks').addEventListener('click', showBookmarksMenu);
+    view.querySelector('.btnSyncPlayChat').addEventListener('click', toggleSyncPlayChat);
+    view.querySelector('.btnLoopRange').addEventListener('click', onLoopRangeClick);
     view.querySelector('.btnSubtitles').addEventListener('click', showSubtitleTrackSelection);
 
     // HACK: Remove `emby-button` from the rating button to make it look like the other buttons
@@ -2045,6 +2256,22 @@ export default function (view) {
             }
         });
 
+        const onSyncPlayChatEnabled = (_event, enabled) => {
+            view.querySelector('.btnSyncPlayChat').classList.toggle('hide', !enabled);
+
+            if (enabled) {
+                ensureSyncPlayChat();
+            } else {
+                destroySyncPlayChat();
+            }
+        };
+
+        onSyncPlayChatEnabled(null, SyncPlay.Manager.isSyncPlayEnabled());
+        Events.on(SyncPlay.Manager, 'enabled', onSyncPlayChatEnabled);
+        view.addEventListener('viewdestroy', () => {
+            Events.off(SyncPlay.Manager, 'enabled', onSyncPlayChatEnabled);
+        });
+
         Events.on(SyncPlay.Manager, 'notify-osd', (_event, action) => {
             showIcon(action);
         });
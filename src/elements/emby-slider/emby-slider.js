@@ -260,8 +260,9 @@ function updateMarkers(range, currentValue) {
             range.markerInfo = newMarkerInfo;
 
             let markersHtml = '';
-            range.markerInfo.forEach(() => {
-                markersHtml += '<span class="sliderMarker" aria-hidden="true"></span>';
+            range.markerInfo.forEach(({ type }) => {
+                const typeClass = type ? ` sliderMarker-${type}` : '';
+                markersHtml += `<span class="sliderMarker${typeClass}" aria-hidden="true"></span>`;
             });
             range.markerContainerElement.innerHTML = markersHtml;
 
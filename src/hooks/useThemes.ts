@@ -1,16 +1,25 @@
 import { useMemo } from 'react';
 
+import type { Theme } from 'types/webConfig';
+
+import { useUserSettings } from './useUserSettings';
 import { useWebConfig } from './useWebConfig';
 
 export function useThemes() {
     const { themes } = useWebConfig();
+    const { customThemes } = useUserSettings();
 
     const defaultTheme = useMemo(() => {
         return themes?.find(theme => theme.default);
     }, [ themes ]);
 
+    const allThemes = useMemo<Theme[]>(() => [
+        ...(themes || []),
+        ...customThemes.map(({ id, name, backgroundColor }) => ({ id, name, color: backgroundColor }))
+    ], [ customThemes, themes ]);
+
     return {
-        themes: themes || [],
+        themes: allThemes,
         defaultTheme
     };
 }
@@ -2,13 +2,17 @@ import React, { type FC, type PropsWithChildren, createContext, useCallback, use
 
 import { FALLBACK_CULTURE } from 'lib/globalize';
 import { currentSettings as userSettings } from 'scripts/settings/userSettings';
+import themeScheduler from 'scripts/themeScheduler';
+import type { CustomTheme } from 'themes/customTheme';
 import Events, { type Event } from 'utils/events';
 
 import { useApi } from './useApi';
 
 interface UserSettings {
     customCss?: string
+    customThemes: CustomTheme[]
     disableCustomCss: boolean
+    /** The theme currently picked by the day and night schedule */
     theme?: string
     dashboardTheme?: string
     dateTimeLocale?: string
@@ -21,7 +25,12 @@ const UserSettingField = {
     CustomCss: 'customCss',
     DisableCustomCss: 'disableCustomCss',
     // Theme settings
+    CustomThemes: 'customThemes',
     Theme: 'appTheme',
+    ThemeSchedule: 'themeSchedule',
+    NightTheme: 'nightTheme',
+    DayThemeStart: 'dayThemeStart',
+    NightThemeStart: 'nightThemeStart',
     DashboardTheme: 'dashboardTheme',
     // Locale settings
     DateTimeLocale: 'datetimelocale',
@@ -29,6 +38,7 @@ const UserSettingField = {
 };
 
 const UserSettingsContext = createContext<UserSettings>({
+    customThemes: [],
     disableCustomCss: false
 });
 
@@ -36,6 +46,7 @@ export const useUserSettings = () => useContext(UserSettingsContext);
 
 export const UserSettingsProvider: FC<PropsWithChildren<unknown>> = ({ children }) => {
     const [ customCss, setCustomCss ] = useState<string>();
+    const [ customThemes, setCustomThemes ] = useState<CustomTheme[]>([]);
     const [ disableCustomCss, setDisableCustomCss ] = useState(false);
     const [ theme, setTheme ] = useState<string>();
     const [ dashboardTheme, setDashboardTheme ] = useState<string>();
@@ -46,6 +57,7 @@ export const UserSettingsProvider: FC<PropsWithChildren<unknown>> = ({ children
 
     const context = useMemo<UserSettings>(() => ({
         customCss,
+        customThemes,
         disableCustomCss,
         theme,
         dashboardTheme,
@@ -53,6 +65,7 @@ export const UserSettingsProvider: FC<PropsWithChildren<unknown>> = ({ children
         locale: language
     }), [
         customCss,
+        customThemes,
         disableCustomCss,
         theme,
         dashboardTheme,
@@ -63,8 +76,9 @@ export const UserSettingsProvider: FC<PropsWithChildren<unknown>> = ({ children
     // Update the values of the user settings
     const updateUserSettings = useCallback(() => {
         setCustomCss(userSettings.customCss());
+        setCustomThemes(userSettings.getCustomThemes());
         setDisableCustomCss(userSettings.disableCustomCss());
-        setTheme(userSettings.theme());
+        setTheme(themeScheduler.getTheme());
         setDashboardTheme(userSettings.dashboardTheme());
         setDateTimeLocale(userSettings.dateTimeLocale());
         setLanguage(userSettings.language());
@@ -79,11 +93,13 @@ export const UserSettingsProvider: FC<PropsWithChildren<unknown>> = ({ children
     // Handle user settings changes
     useEffect(() => {
         Events.on(userSettings, 'change', onUserSettingsChange);
+        Events.on(themeScheduler, 'change', updateUserSettings);
 
         return () => {
             Events.off(userSettings, 'change', onUserSettingsChange);
+            Events.off(themeScheduler, 'change', updateUserSettings);
         };
-    }, [ onUserSettingsChange ]);
+    }, [ onUserSettingsChange, updateUserSettings ]);
 
     // Update the settings if the user changes
     useEffect(() => {
@@ -1,14 +1,42 @@
+import { useMemo } from 'react';
+
+import { type CustomTheme, isCustomThemeId } from 'themes/customTheme';
+
 import { useThemes } from './useThemes';
 import { useUserSettings } from './useUserSettings';
 
 const FALLBACK_THEME_ID = 'dark';
 
+/**
+ * Resolves a theme id of the user settings. Custom themes are applied on top of their base theme, and a custom theme
+ * that no longer exists falls back to the default theme.
+ */
+const resolveTheme = (id: string | undefined, customThemes: CustomTheme[], defaultId: string) => {
+    if (!isCustomThemeId(id)) return { id: id || defaultId };
+
+    const customTheme = customThemes.find(theme => theme.id === id);
+    return {
+        id: customTheme?.base || defaultId,
+        customTheme
+    };
+};
+
 export function useUserTheme() {
-    const { theme, dashboardTheme } = useUserSettings();
+    const { theme, dashboardTheme, customThemes } = useUserSettings();
     const { defaultTheme } = useThemes();
 
+    const defaultId = defaultTheme?.id || FALLBACK_THEME_ID;
+    const userTheme = useMemo(() => (
+        resolveTheme(theme, customThemes, defaultId)
+    ), [ customThemes, defaultId, theme ]);
+    const userDashboardTheme = useMemo(() => (
+        resolveTheme(dashboardTheme, customThemes, defaultId)
+    ), [ customThemes, dashboardTheme, defaultId ]);
+
     return {
-        theme: theme || defaultTheme?.id || FALLBACK_THEME_ID,
-        dashboardTheme: dashboardTheme || defaultTheme?.id || FALLBACK_THEME_ID
+        theme: userTheme.id,
+        dashboardTheme: userDashboardTheme.id,
+        customTheme: userTheme.customTheme,
+        dashboardCustomTheme: userDashboardTheme.customTheme
     };
 }
@@ -0,0 +1,160 @@
+import escapeHTML from 'escape-html';
+import dialogHelper from '../../components/dialogHelper/dialogHelper';
+import '../../elements/emby-button/emby-button';
+import globalize from '../../lib/globalize';
+import { saveFile } from '../../utils/file.ts';
+import { HIGHLIGHT_COLORS, exportAnnotationsToJson, exportAnnotationsToMarkdown } from './annotations.ts';
+
+const formatPercentage = (percentage) => `${Math.round(percentage * 100)}%`;
+
+const getFileName = (item, extension) => `${(item.Name || item.Id).replace(/[\\/:*?"<>|]/g, '_')} - annotations.${extension}`;
+
+export default class AnnotationList {
+    constructor(bookPlayer) {
+        this.bookPlayer = bookPlayer;
+        this.rendition = bookPlayer.rendition;
+
+        this.onDialogClosed = this.onDialogClosed.bind(this);
+        this.onListClick = this.onListClick.bind(this);
+
+        this.createMediaElement();
+    }
+
+    destroy() {
+        const elem = this.elem;
+        if (elem) {
+            this.unbindEvents();
+            dialogHelper.close(elem);
+        }
+
+        this.bookPlayer.annotationListElement = null;
+    }
+
+    bindEvents() {
+        const elem = this.elem;
+
+        elem.addEventListener('close', this.onDialogClosed, { once: true });
+        elem.addEventListener('click', this.onListClick);
+        elem.querySelector('.btnBookplayerAnnotationsClose').addEventListener('click', this.onDialogClosed, { once: true });
+    }
+
+    unbindEvents() {
+        const elem = this.elem;
+
+        elem.removeEventListener('close', this.onDialogClosed);
+        elem.removeEventListener('click', this.onListClick);
+        elem.querySelector('.btnBookplayerAnnotationsClose').removeEventListener('click', this.onDialogClosed);
+    }
+
+    onDialogClosed() {
+        this.destroy();
+    }
+
+    onListClick(e) {
+        const removeButton = e.target.closest('.btnRemoveAnnotation');
+        if (removeButton) {
+            const listItem = removeButton.closest('[data-id]');
+            if (listItem.getAttribute('data-type') === 'bookmark') {
+                this.bookPlayer.removeBookmark(listItem.getAttribute('data-id'));
+            } else {
+                this.bookPlayer.removeHighlight(listItem.getAttribute('data-id'));
+            }
+
+            this.render();
+            return;
+        }
+
+        const link = e.target.closest('.annotationLink');
+        if (link) {
+            e.preventDefault();
+            this.rendition.display(link.getAttribute('data-cfi'));
+            this.destroy();
+            return;
+        }
+
+        const { item, annotations } = this.bookPlayer;
+        if (e.target.closest('.btnExportMarkdown')) {
+            saveFile(exportAnnotationsToMarkdown(item.Name || '', annotations), getFileName(item, 'md'), 'text/markdown');
+        } else if (e.target.closest('.btnExportJson')) {
+            saveFile(exportAnnotationsToJson(item, annotations), getFileName(item, 'json'));
+        }
+    }
+
+    removeButtonHtml(title) {
+        return `<button is="paper-icon-button-light" class="autoSize bookplayerButton btnRemoveAnnotation" title="${escapeHTML(title)}"><span class="material-icons bookplayerButtonIcon delete" aria-hidden="true"></span></button>`;
+    }
+
+    bookmarkItem(bookmark) {
+        const label = [bookmark.Chapter, formatPercentage(bookmark.Percentage)].filter(Boolean).join(' · ');
+
+        let itemHtml = `<li class="annotationListItem" data-type="bookmark" data-id="${escapeHTML(bookmark.Id)}">`;
+        itemHtml += `<a href="#" class="annotationLink" data-cfi="${escapeHTML(bookmark.Cfi)}">${escapeHTML(label)}</a>`;
+        itemHtml += this.removeButtonHtml(globalize.translate('RemoveBookmark'));
+        itemHtml += '</li>';
+        return itemHtml;
+    }
+
+    highlightItem(highlight) {
+        const label = [highlight.Chapter, formatPercentage(highlight.Percentage)].filter(Boolean).join(' · ');
+
+        let itemHtml = `<li class="annotationListItem" data-type="highlight" data-id="${escapeHTML(highlight.Id)}">`;
+        itemHtml += `<a href="#" class="annotationLink" data-cfi="${escapeHTML(highlight.Cfi)}">`;
+        itemHtml += `<span class="annotationText" style="border-color:${HIGHLIGHT_COLORS[highlight.Color]};">${escapeHTML(highlight.Text)}</span>`;
+        if (highlight.Note) {
+            itemHtml += `<span class="annotationNote">${escapeHTML(highlight.Note)}</span>`;
+        }
+        itemHtml += `<span class="annotationLocation">${escapeHTML(label)}</span>`;
+        itemHtml += '</a>';
+        itemHtml += this.removeButtonHtml(globalize.translate('RemoveHighlight'));
+        itemHtml += '</li>';
+        return itemHtml;
+    }
+
+    render() {
+        const { Bookmarks, Highlights } = this.bookPlayer.annotations;
+        let listHtml = '';
+
+        if (Bookmarks.length) {
+            listHtml += `<h2>${globalize.translate('Bookmarks')}</h2>`;
+            listHtml += `<ul class="annotationList">${Bookmarks.map((bookmark) => this.bookmarkItem(bookmark)).join('')}</ul>`;
+        }
+
+        if (Highlights.length) {
+            listHtml += `<h2>${globalize.translate('Highlights')}</h2>`;
+            listHtml += `<ul class="annotationList">${Highlights.map((highlight) => this.highlightItem(highlight)).join('')}</ul>`;
+        }
+
+        if (!listHtml) {
+            listHtml = `<p>${globalize.translate('MessageNoBookAnnotations')}</p>`;
+        }
+
+        this.elem.querySelector('.annotationLists').innerHTML = listHtml;
+        this.elem.querySelector('.annotationExportButtons').classList.toggle('hide', !Bookmarks.length && !Highlights.length);
+    }
+
+    createMediaElement() {
+        const elem = dialogHelper.createDialog({
+            size: 'small',
+            autoFocus: false,
+            removeOnClose: true
+        });
+
+        elem.id = 'dialogAnnotations';
+
+        let dialogHtml = '<div class="topRightActionButtons">';
+        dialogHtml += '<button is="paper-icon-button-light" class="autoSize bookplayerButton btnBookplayerAnnotationsClose hide-mouse-idle-tv" tabindex="-1"><span class="material-icons bookplayerButtonIcon close" aria-hidden="true"></span></button>';
+        dialogHtml += '</div>';
+        dialogHtml += '<div class="annotationLists"></div>';
+        dialogHtml += '<div class="annotationExportButtons">';
+        dialogHtml += `<button is="emby-button" type="button" class="raised btnExportMarkdown"><span>${globalize.translate('ExportAnnotationsMarkdown')}</span></button>`;
+        dialogHtml += `<button is="emby-button" type="button" class="raised btnExportJson"><span>${globalize.translate('ExportAnnotationsJson')}</span></button>`;
+        dialogHtml += '</div>';
+        elem.innerHTML = dialogHtml;
+
+        this.elem = elem;
+
+        this.render();
+        this.bindEvents();
+        dialogHelper.open(elem);
+    }
+}
@@ -0,0 +1,137 @@
+import { describe, expect, it } from 'vitest';
+
+import type { UserSettings } from 'scripts/settings/userSettings';
+
+import {
+    addBookmark,
+    addHighlight,
+    exportAnnotationsToJson,
+    exportAnnotationsToMarkdown,
+    getAnnotations,
+    removeBookmark,
+    removeHighlight,
+    updateHighlight
+} from './annotations';
+
+const ITEM_ANNOTATIONS_ID = 'bookannotations__item';
+
+const createUserSettings = (values: Record<string, string> = {}) => ({
+    get: (name: string) => values[name],
+    set: (name: string, value: string) => {
+        values[name] = value;
+    }
+}) as unknown as UserSettings;
+
+describe('getAnnotations', () => {
+    it('Should return empty annotations for missing or invalid values', () => {
+        const empty = { Highlights: [], Bookmarks: [] };
+
+        expect(getAnnotations(createUserSettings(), 'item')).toEqual(empty);
+        expect(getAnnotations(createUserSettings({ [ITEM_ANNOTATIONS_ID]: 'invalid' }), 'item')).toEqual(empty);
+        expect(getAnnotations(createUserSettings({ [ITEM_ANNOTATIONS_ID]: '[]' }), 'item')).toEqual(empty);
+    });
+
+    it('Should drop invalid entries and sort by position', () => {
+        const userSettings = createUserSettings({
+            [ITEM_ANNOTATIONS_ID]: JSON.stringify({
+                Highlights: [
+                    { Id: 'b', Cfi: 'cfi-b', Text: 'Second', Color: 'purple', Percentage: 0.5 },
+                    { Id: 'a', Cfi: 'cfi-a', Text: 'First', Color: 'green', Percentage: 0.1 },
+                    { Id: 'c', Text: 'No location' }
+                ],
+                Bookmarks: [ { Id: 'd', Cfi: 'cfi-d' } ]
+            })
+        });
+
+        const annotations = getAnnotations(userSettings, 'item');
+
+        expect(annotations.Highlights.map(h => [ h.Id, h.Color ])).toEqual([ [ 'a', 'green' ], [ 'b', 'yellow' ] ]);
+        expect(annotations.Bookmarks).toEqual([]);
+    });
+});
+
+describe('highlights', () => {
+    it('Should add, update and remove highlights', () => {
+        const userSettings = createUserSettings();
+
+        const highlight = addHighlight(userSettings, 'item', { Cfi: 'cfi', Text: 'Call me Ishmael.', Percentage: 0 });
+        expect(highlight).toMatchObject({ Color: 'yellow', Text: 'Call me Ishmael.' });
+
+        expect(updateHighlight(userSettings, 'item', highlight.Id, { Color: 'blue', Note: '  Opening line  ' }))
+            .toMatchObject({ Color: 'blue', Note: 'Opening line' });
+        expect(updateHighlight(userSettings, 'item', highlight.Id, { Color: 'purple' })).toMatchObject({ Color: 'blue' });
+        expect(updateHighlight(userSettings, 'item', 'missing', { Color: 'green' })).toBeUndefined();
+
+        expect(removeHighlight(userSettings, 'item', highlight.Id).Highlights).toEqual([]);
+    });
+
+    it('Should keep highlights of different items apart', () => {
+        const userSettings = createUserSettings();
+
+        addHighlight(userSettings, 'item', { Cfi: 'cfi', Text: 'Text', Percentage: 0 });
+
+        expect(getAnnotations(userSettings, 'item').Highlights).toHaveLength(1);
+        expect(getAnnotations(userSettings, 'other').Highlights).toHaveLength(0);
+    });
+});
+
+describe('bookmarks', () => {
+    it('Should not bookmark the same location twice', () => {
+        const userSettings = createUserSettings();
+
+        const bookmark = addBookmark(userSettings, 'item', { Cfi: 'cfi', Percentage: 0.2 });
+        expect(addBookmark(userSettings, 'item', { Cfi: 'cfi', Percentage: 0.2 })).toEqual(bookmark);
+        expect(getAnnotations(userSettings, 'item').Bookmarks).toHaveLength(1);
+
+        expect(removeBookmark(userSettings, 'item', bookmark.Id).Bookmarks).toEqual([]);
+    });
+});
+
+describe('export', () => {
+    const annotations = {
+        Highlights: [ {
+            Id: 'a',
+            Cfi: 'cfi-a',
+            Text: 'First line\nSecond line',
+            Note: 'A note',
+            Color: 'yellow',
+            Chapter: 'Chapter 1',
+            Percentage: 0.25,
+            Created: '2024-01-01T00:00:00.000Z'
+        } ],
+        Bookmarks: [ {
+            Id: 'b',
+            Cfi: 'cfi-b',
+            Percentage: 0.5,
+            Created: '2024-01-01T00:00:00.000Z'
+        } ]
+    };
+
+    it('Should export to Markdown', () => {
+        expect(exportAnnotationsToMarkdown('Moby Dick', annotations)).toBe([
+            '# Moby Dick',
+            '',
+            '## Highlights',
+            '',
+            '> First line',
+            '> Second line',
+            '',
+            '*Chapter 1, 25%*',
+            '',
+            'A note',
+            '',
+            '## Bookmarks',
+            '',
+            '- 50%',
+            ''
+        ].join('\n'));
+    });
+
+    it('Should export to JSON', () => {
+        expect(JSON.parse(exportAnnotationsToJson({ Id: 'item', Name: 'Moby Dick' }, annotations))).toMatchObject({
+            ItemId: 'item',
+            Name: 'Moby Dick',
+            ...annotations
+        });
+    });
+});
@@ -0,0 +1,241 @@
+import type { UserSettings } from 'scripts/settings/userSettings';
+
+const PREFIX = 'bookannotations';
+
+/** The colors a passage can be highlighted with, mapped to the fill used in the book */
+export const HIGHLIGHT_COLORS: Record<string, string> = {
+    yellow: '#ffeb3b',
+    green: '#8bc34a',
+    blue: '#4fc3f7',
+    pink: '#f48fb1'
+};
+
+export const DEFAULT_HIGHLIGHT_COLOR = 'yellow';
+
+export interface BookHighlight {
+    Id: string
+    Cfi: string
+    Text: string
+    Note?: string
+    Color: string
+    Chapter?: string
+    /** The position in the book, between 0 and 1 */
+    Percentage: number
+    Created: string
+}
+
+export interface BookBookmark {
+    Id: string
+    Cfi: string
+    Chapter?: string
+    /** The position in the book, between 0 and 1 */
+    Percentage: number
+    Created: string
+}
+
+export interface BookAnnotations {
+    Highlights: BookHighlight[]
+    Bookmarks: BookBookmark[]
+}
+
+const getId = (itemId: string) => `${PREFIX}__${itemId}`;
+
+const createId = () => `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+
+const byPercentage = (a: { Percentage: number }, b: { Percentage: number }) => a.Percentage - b.Percentage;
+
+const isHighlight = (value: Partial<BookHighlight>): value is BookHighlight => (
+    typeof value?.Id === 'string'
+    && typeof value.Cfi === 'string'
+    && typeof value.Text === 'string'
+    && typeof value.Percentage === 'number'
+);
+
+const isBookmark = (value: Partial<BookBookmark>): value is BookBookmark => (
+    typeof value?.Id === 'string'
+    && typeof value.Cfi === 'string'
+    && typeof value.Percentage === 'number'
+);
+
+function saveAnnotations(userSettings: UserSettings, itemId: string, annotations: BookAnnotations) {
+    // Annotations are stored locally, the display preferences on the server are not meant for this much data
+    const isEmpty = !annotations.Highlights.length && !annotations.Bookmarks.length;
+    userSettings.set(getId(itemId), isEmpty ? '' : JSON.stringify(annotations), false);
+    return annotations;
+}
+
+/**
+ * Gets the highlights and bookmarks of a book, sorted by their position.
+ */
+export function getAnnotations(userSettings: UserSettings, itemId: string): BookAnnotations {
+    const value = userSettings.get(getId(itemId), false);
+    const annotations: BookAnnotations = { Highlights: [], Bookmarks: [] };
+    if (!value) return annotations;
+
+    try {
+        const parsed: Partial<BookAnnotations> = JSON.parse(value);
+
+        if (Array.isArray(parsed?.Highlights)) {
+            annotations.Highlights = parsed.Highlights
+                .filter(isHighlight)
+                .map(highlight => ({
+                    ...highlight,
+                    Color: HIGHLIGHT_COLORS[highlight.Color] ? highlight.Color : DEFAULT_HIGHLIGHT_COLOR
+                }))
+                .sort(byPercentage);
+        }
+
+        if (Array.isArray(parsed?.Bookmarks)) {
+            annotations.Bookmarks = parsed.Bookmarks.filter(isBookmark).sort(byPercentage);
+        }
+    } catch (err) {
+        console.warn('[bookPlayer] failed to parse annotations for item %s', itemId, err);
+    }
+
+    return annotations;
+}
+
+/**
+ * Adds a highlight to a book and returns it.
+ */
+export function addHighlight(
+    userSettings: UserSettings,
+    itemId: string,
+    highlight: Pick<BookHighlight, 'Cfi' | 'Text' | 'Percentage'> & Partial<Pick<BookHighlight, 'Color' | 'Note' | 'Chapter'>>
+) {
+    const annotations = getAnnotations(userSettings, itemId);
+    const newHighlight: BookHighlight = {
+        Color: DEFAULT_HIGHLIGHT_COLOR,
+        ...highlight,
+        Id: createId(),
+        Created: new Date().toISOString()
+    };
+
+    annotations.Highlights = [ ...annotations.Highlights, newHighlight ].sort(byPercentage);
+    saveAnnotations(userSettings, itemId, annotations);
+
+    return newHighlight;
+}
+
+/**
+ * Changes the color or note of a highlight and returns the updated highlight.
+ */
+export function updateHighlight(
+    userSettings: UserSettings,
+    itemId: string,
+    id: string,
+    changes: Partial<Pick<BookHighlight, 'Color' | 'Note'>>
+) {
+    const annotations = getAnnotations(userSettings, itemId);
+    const highlight = annotations.Highlights.find(h => h.Id === id);
+    if (!highlight) return undefined;
+
+    if (changes.Color && HIGHLIGHT_COLORS[changes.Color]) {
+        highlight.Color = changes.Color;
+    }
+
+    if (changes.Note !== undefined) {
+        highlight.Note = changes.Note.trim() || undefined;
+    }
+
+    saveAnnotations(userSettings, itemId, annotations);
+    return highlight;
+}
+
+/**
+ * Removes a highlight from a book and returns the updated annotations.
+ */
+export function removeHighlight(userSettings: UserSettings, itemId: string, id: string) {
+    const annotations = getAnnotations(userSettings, itemId);
+    annotations.Highlights = annotations.Highlights.filter(h => h.Id !== id);
+    return saveAnnotations(userSettings, itemId, annotations);
+}
+
+/**
+ * Finds the bookmark of a location, if the location is bookmarked.
+ */
+export function findBookmark(annotations: BookAnnotations, cfi: string) {
+    return annotations.Bookmarks.find(b => b.Cfi === cfi);
+}
+
+/**
+ * Adds a bookmark to a book and returns it. Bookmarking the same location twice returns the existing bookmark.
+ */
+export function addBookmark(
+    userSettings: UserSettings,
+    itemId: string,
+    bookmark: Pick<BookBookmark, 'Cfi' | 'Percentage'> & Partial<Pick<BookBookmark, 'Chapter'>>
+) {
+    const annotations = getAnnotations(userSettings, itemId);
+    const existingBookmark = findBookmark(annotations, bookmark.Cfi);
+    if (existingBookmark) return existingBookmark;
+
+    const newBookmark: BookBookmark = {
+        ...bookmark,
+        Id: createId(),
+        Created: new Date().toISOString()
+    };
+
+    annotations.Bookmarks = [ ...annotations.Bookmarks, newBookmark ].sort(byPercentage);
+    saveAnnotations(userSettings, itemId, annotations);
+
+    return newBookmark;
+}
+
+/**
+ * Removes a bookmark from a book and returns the updated annotations.
+ */
+export function removeBookmark(userSettings: UserSettings, itemId: string, id: string) {
+    const annotations = getAnnotations(userSettings, itemId);
+    annotations.Bookmarks = annotations.Bookmarks.filter(b => b.Id !== id);
+    return saveAnnotations(userSettings, itemId, annotations);
+}
+
+const formatPercentage = (percentage: number) => `${Math.round(percentage * 100)}%`;
+
+/**
+ * Gets the annotations of a book as a Markdown document.
+ */
+export function exportAnnotationsToMarkdown(title: string, annotations: BookAnnotations) {
+    const lines = [ `# ${title}`, '' ];
+
+    if (annotations.Highlights.length) {
+        lines.push('## Highlights', '');
+
+        for (const highlight of annotations.Highlights) {
+            const location = [ highlight.Chapter, formatPercentage(highlight.Percentage) ].filter(Boolean).join(', ');
+            lines.push(...highlight.Text.trim().split('\n').map(line => `> ${line}`));
+            lines.push('', `*${location}*`);
+
+            if (highlight.Note) {
+                lines.push('', highlight.Note);
+            }
+
+            lines.push('');
+        }
+    }
+
+    if (annotations.Bookmarks.length) {
+        lines.push('## Bookmarks', '');
+
+        for (const bookmark of annotations.Bookmarks) {
+            lines.push(`- ${[ bookmark.Chapter, formatPercentage(bookmark.Percentage) ].filter(Boolean).join(', ')}`);
+        }
+
+        lines.push('');
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Gets the annotations of a book as a JSON document.
+ */
+export function exportAnnotationsToJson(item: { Id: string, Name?: string | null }, annotations: BookAnnotations) {
+    return JSON.stringify({
+        ItemId: item.Id,
+        Name: item.Name,
+        ExportedAt: new Date().toISOString(),
+        ...annotations
+    }, null, 2);
+}
@@ -5,13 +5,28 @@ import keyboardnavigation from '../../scripts/keyboardNavigation';
 import dialogHelper from '../../components/dialogHelper/dialogHelper';
 import Screenfull from 'screenfull';
 import TableOfContents from './tableOfContents';
-import { translateHtml } from '../../lib/globalize';
+import AnnotationList from './annotationList';
+import {
+    HIGHLIGHT_COLORS,
+    addBookmark,
+    addHighlight,
+    findBookmark,
+    getAnnotations,
+    removeBookmark,
+    removeHighlight,
+    updateHighlight
+} from './annotations.ts';
+import actionsheet from '../../components/actionSheet/actionSheet';
+import DocumentSearch from '../../components/documentSearch/documentSearch';
+import prompt from '../../components/prompt/prompt';
+import globalize, { translateHtml } from '../../lib/globalize';
 import { ServerConnections } from 'lib/jellyfin-apiclient';
 import browser from 'scripts/browser';
 import * as userSettings from '../../scripts/settings/userSettings';
 import TouchHelper from 'scripts/touchHelper';
 import { PluginType } from '../../types/plugin.ts';
 import Events from '../../utils/events.ts';
+import { findMatches } from '../../utils/textSearch.ts';
 
 import '../../elements/emby-button/paper-icon-button-light';
 
@@ -25,6 +40,7 @@ const THEMES = {
 };
 const THEME_ORDER = ['dark', 'sepia', 'light'];
 const FONT_SIZES = ['x-small', 'small', 'medium', 'large', 'x-large'];
+const SEARCH_HIGHLIGHT_STYLES = { 'fill': '#ff9800', 'fill-opacity': '0.4', 'stroke': '#ff9800', 'mix-blend-mode': 'multiply' };
 
 export class BookPlayer {
     constructor() {
@@ -40,6 +56,11 @@ export class BookPlayer {
         this.fontSize = 'medium';
         this.onDialogClosed = this.onDialogClosed.bind(this);
         this.openTableOfContents = this.openTableOfContents.bind(this);
+        this.openAnnotationList = this.openAnnotationList.bind(this);
+        this.openSearch = this.openSearch.bind(this);
+        this.toggleBookmark = this.toggleBookmark.bind(this);
+        this.onTextSelected = this.onTextSelected.bind(this);
+        this.onSelectionMenuClick = this.onSelectionMenuClick.bind(this);
         this.rotateTheme = this.rotateTheme.bind(this);
         this.increaseFontSize = this.increaseFontSize.bind(this);
         this.decreaseFontSize = this.decreaseFontSize.bind(this);
@@ -53,6 +74,8 @@ export class BookPlayer {
         this.progress = 0;
         this.cancellationToken = false;
         this.loaded = false;
+        this.documentSearch = null;
+        this.searchHighlightCfi = null;
 
         loading.show();
         const elem = this.createMediaElement();
@@ -68,8 +91,12 @@ export class BookPlayer {
 
         Events.trigger(this, 'stopped', [stopInfo]);
 
+        this.documentSearch?.cancel();
+        this.documentSearch = null;
+
         const elem = this.mediaElement;
         const tocElement = this.tocElement;
+        const annotationListElement = this.annotationListElement;
         const rendition = this.rendition;
 
         if (elem) {
@@ -82,6 +109,11 @@ export class BookPlayer {
             this.tocElement = null;
         }
 
+        if (annotationListElement) {
+            annotationListElement.destroy();
+            this.annotationListElement = null;
+        }
+
         if (rendition) {
             rendition.destroy();
         }
@@ -137,6 +169,10 @@ export class BookPlayer {
         const key = keyboardnavigation.getKeyName(e);
 
         if (!this.loaded) return;
+
+        // Let the search dialog handle its own keys
+        if (this.documentSearch?.isOpened()) return;
+
         switch (key) {
             case 'l':
             case 'ArrowRight':
@@ -155,6 +191,10 @@ export class BookPlayer {
                 if (this.tocElement) {
                     // Close table of contents on ESC if it is open
                     this.tocElement.destroy();
+                } else if (this.annotationListElement) {
+                    this.annotationListElement.destroy();
+                } else if (!this.mediaElement?.querySelector('.bookplayerSelectionMenu').classList.contains('hide')) {
+                    this.hideSelectionMenu();
                 } else {
                     // Otherwise stop the entire book player
                     this.stop();
@@ -179,6 +219,10 @@ export class BookPlayer {
         elem.addEventListener('close', this.onDialogClosed, { once: true });
         elem.querySelector('#btnBookplayerExit').addEventListener('click', this.onDialogClosed, { once: true });
         elem.querySelector('#btnBookplayerToc').addEventListener('click', this.openTableOfContents);
+        elem.querySelector('#btnBookplayerAnnotations').addEventListener('click', this.openAnnotationList);
+        elem.querySelector('#btnBookplayerSearch').addEventListener('click', this.openSearch);
+        elem.querySelector('#btnBookplayerBookmark').addEventListener('click', this.toggleBookmark);
+        elem.querySelector('.bookplayerSelectionMenu').addEventListener('click', this.onSelectionMenuClick);
         elem.querySelector('#btnBookplayerFullscreen').addEventListener('click', this.toggleFullscreen);
         elem.querySelector('#btnBookplayerRotateTheme').addEventListener('click', this.rotateTheme);
         elem.querySelector('#btnBookplayerIncreaseFontSize').addEventListener('click', this.increaseFontSize);
@@ -192,6 +236,7 @@ export class BookPlayer {
 
         document.addEventListener('keydown', this.onWindowKeyDown);
         this.rendition?.on('keydown', this.onWindowKeyDown);
+        this.rendition?.on('selected', this.onTextSelected);
 
         if (browser.safari) {
             const player = document.getElementById('bookPlayerContainer');
@@ -207,6 +252,10 @@ export class BookPlayer {
         elem.removeEventListener('close', this.onDialogClosed);
         elem.querySelector('#btnBookplayerExit').removeEventListener('click', this.onDialogClosed);
         elem.querySelector('#btnBookplayerToc').removeEventListener('click', this.openTableOfContents);
+        elem.querySelector('#btnBookplayerAnnotations').removeEventListener('click', this.openAnnotationList);
+        elem.querySelector('#btnBookplayerSearch').removeEventListener('click', this.openSearch);
+        elem.querySelector('#btnBookplayerBookmark').removeEventListener('click', this.toggleBookmark);
+        elem.querySelector('.bookplayerSelectionMenu').removeEventListener('click', this.onSelectionMenuClick);
         elem.querySelector('#btnBookplayerFullscreen').removeEventListener('click', this.toggleFullscreen);
         elem.querySelector('#btnBookplayerRotateTheme').removeEventListener('click', this.rotateTheme);
         elem.querySelector('#btnBookplayerIncreaseFontSize').removeEventListener('click', this.increaseFontSize);
@@ -222,6 +271,7 @@ export class BookPlayer {
 
         document.removeEventListener('keydown', this.onWindowKeyDown);
         this.rendition?.off('keydown', this.onWindowKeyDown);
+        this.rendition?.off('selected', this.onTextSelected);
 
         if (!browser.safari) {
             this.rendition?.off('rendered', (e, i) => this.addSwipeGestures(i.document.documentElement));
@@ -236,6 +286,246 @@ export class BookPlayer {
         }
     }
 
+    openAnnotationList() {
+        if (this.loaded) {
+            this.annotationListElement = new AnnotationList(this);
+        }
+    }
+
+    getChapterLabel(target) {
+        const book = this.rendition.book;
+        const section = book.spine.get(target);
+        return section ? book.navigation.get(section.href)?.label?.trim() : undefined;
+    }
+
+    openSearch() {
+        if (!this.loaded) return;
+
+        if (!this.documentSearch) {
+            this.documentSearch = new DocumentSearch({
+                search: (query, onResults, token) => this.search(query, onResults, token),
+                onSelect: (result) => this.showSearchResult(result)
+            });
+        }
+
+        this.documentSearch.show();
+    }
+
+    async search(query, onResults, token) {
+        const book = this.rendition.book;
+
+        for (const section of book.spine.spineItems) {
+            if (token.cancelled || this.cancellationToken) return;
+
+            await section.load(book.load.bind(book));
+            onResults(this.searchSection(section, query));
+            section.unload();
+        }
+    }
+
+    searchSection(section, query) {
+        const book = this.rendition.book;
+        const doc = section.document;
+        const chapter = this.getChapterLabel(section.index);
+        const results = [];
+
+        // Matches are searched per text node, like epub.js does, so they cannot span several elements
+        const walker = doc.createTreeWalker(doc.body || doc.documentElement, NodeFilter.SHOW_TEXT);
+        while (walker.nextNode()) {
+            const node = walker.currentNode;
+
+            for (const match of findMatches(node.textContent, query)) {
+                const range = doc.createRange();
+                range.setStart(node, match.index);
+                range.setEnd(node, match.index + match.length);
+
+                const cfi = section.cfiFromRange(range);
+                const percentage = `${Math.round(book.locations.percentageFromCfi(cfi) * 100)}%`;
+
+                results.push({
+                    cfi,
+                    location: [chapter, percentage].filter(Boolean).join(' · '),
+                    excerpt: match.excerpt
+                });
+            }
+        }
+
+        return results;
+    }
+
+    showSearchResult(result) {
+        if (this.searchHighlightCfi) {
+            this.rendition.annotations.remove(this.searchHighlightCfi, 'underline');
+        }
+
+        this.searchHighlightCfi = result.cfi;
+
+        // An underline is used, so the search hit does not replace a highlight of the same text
+        this.rendition.annotations.underline(result.cfi, {}, undefined, 'bookplayerSearchHighlight', SEARCH_HIGHLIGHT_STYLES);
+        this.rendition.display(result.cfi);
+    }
+
+    updateBookmarkButton() {
+        const location = this.rendition?.currentLocation();
+        const button = this.mediaElement?.querySelector('#btnBookplayerBookmark');
+        if (!location?.start || !button) return;
+
+        const isBookmarked = !!findBookmark(this.annotations, location.start.cfi);
+        const icon = button.querySelector('.material-icons');
+        icon.classList.toggle('bookmark', isBookmarked);
+        icon.classList.toggle('bookmark_border', !isBookmarked);
+        button.title = globalize.translate(isBookmarked ? 'RemoveBookmark' : 'AddBookmark');
+    }
+
+    toggleBookmark() {
+        const location = this.rendition?.currentLocation();
+        if (!this.loaded || !location?.start) return;
+
+        const cfi = location.start.cfi;
+        const bookmark = findBookmark(this.annotations, cfi);
+        if (bookmark) {
+            this.removeBookmark(bookmark.Id);
+        } else {
+            addBookmark(userSettings.currentSettings, this.item.Id, {
+                Cfi: cfi,
+                Chapter: this.getChapterLabel(cfi),
+                Percentage: this.rendition.book.locations.percentageFromCfi(cfi)
+            });
+            this.annotations = getAnnotations(userSettings.currentSettings, this.item.Id);
+            this.updateBookmarkButton();
+        }
+    }
+
+    removeBookmark(id) {
+        this.annotations = removeBookmark(userSettings.currentSettings, this.item.Id, id);
+        this.updateBookmarkButton();
+    }
+
+    drawHighlight(highlight) {
+        this.rendition.annotations.highlight(
+            highlight.Cfi,
+            { id: highlight.Id },
+            () => this.onHighlightClicked(highlight.Id),
+            'bookplayerHighlight',
+            { 'fill': HIGHLIGHT_COLORS[highlight.Color], 'fill-opacity': '0.35', 'mix-blend-mode': 'multiply' }
+        );
+    }
+
+    onTextSelected(cfiRange, contents) {
+        const text = contents.window.getSelection()?.toString().trim();
+        if (!text) return;
+
+        this.selection = { cfiRange, text, contents };
+        this.mediaElement.querySelector('.bookplayerSelectionMenu').classList.remove('hide');
+    }
+
+    hideSelectionMenu() {
+        this.selection?.contents.window.getSelection()?.removeAllRanges();
+        this.selection = null;
+        this.mediaElement?.querySelector('.bookplayerSelectionMenu').classList.add('hide');
+    }
+
+    onSelectionMenuClick(e) {
+        const selection = this.selection;
+        if (!selection) return;
+
+        const colorButton = e.target.closest('.btnHighlight');
+        if (colorButton) {
+            this.addHighlight(selection, colorButton.getAttribute('data-color'));
+            this.hideSelectionMenu();
+        } else if (e.target.closest('.btnHighlightNote')) {
+            this.hideSelectionMenu();
+            this.promptNote().then((note) => {
+                this.addHighlight(selection, undefined, note);
+            }).catch(() => {
+                // Note prompt was cancelled
+            });
+        }
+    }
+
+    addHighlight({ cfiRange, text }, color, note) {
+        const highlight = addHighlight(userSettings.currentSettings, this.item.Id, {
+            Cfi: cfiRange,
+            Text: text,
+            Color: color,
+            Note: note,
+            Chapter: this.getChapterLabel(cfiRange),
+            Percentage: this.rendition.book.locations.percentageFromCfi(cfiRange)
+        });
+
+        this.annotations = getAnnotations(userSettings.currentSettings, this.item.Id);
+        this.drawHighlight(highlight);
+    }
+
+    promptNote(value) {
+        return prompt({
+            title: globalize.translate(value ? 'EditNote' : 'AddNote'),
+            label: globalize.translate('LabelNote'),
+            value
+        });
+    }
+
+    onHighlightClicked(id) {
+        const highlight = this.annotations.Highlights.find(h => h.Id === id);
+        if (!highlight) return;
+
+        const items = [{
+            name: globalize.translate(highlight.Note ? 'EditNote' : 'AddNote'),
+            id: 'note',
+            icon: 'edit_note'
+        }];
+
+        for (const color of Object.keys(HIGHLIGHT_COLORS).filter(c => c !== highlight.Color)) {
+            items.push({
+                name: globalize.translate(`HighlightColor${color.charAt(0).toUpperCase()}${color.slice(1)}`),
+                id: `color-${color}`,
+                icon: 'palette'
+            });
+        }
+
+        items.push({
+            name: globalize.translate('RemoveHighlight'),
+            id: 'remove',
+            icon: 'delete'
+        });
+
+        actionsheet.show({
+            title: highlight.Text.length > 100 ? `${highlight.Text.slice(0, 100)}…` : highlight.Text,
+            text: highlight.Note,
+            items
+        }).then((action) => {
+            if (action === 'remove') {
+                this.removeHighlight(id);
+            } else if (action === 'note') {
+                return this.promptNote(highlight.Note).then((note) => {
+                    this.updateHighlight(id, { Note: note });
+                });
+            } else if (action?.startsWith('color-')) {
+                this.updateHighlight(id, { Color: action.slice('color-'.length) });
+            }
+        }).catch(() => {
+            // Menu or note prompt was cancelled
+        });
+    }
+
+    updateHighlight(id, changes) {
+        const highlight = updateHighlight(userSettings.currentSettings, this.item.Id, id, changes);
+        if (!highlight) return;
+
+        this.rendition.annotations.remove(highlight.Cfi, 'highlight');
+        this.drawHighlight(highlight);
+        this.annotations = getAnnotations(userSettings.currentSettings, this.item.Id);
+    }
+
+    removeHighlight(id) {
+        const highlight = this.annotations.Highlights.find(h => h.Id === id);
+        if (highlight) {
+            this.rendition.annotations.remove(highlight.Cfi, 'highlight');
+        }
+
+        this.annotations = removeHighlight(userSettings.currentSettings, this.item.Id, id);
+    }
+
     toggleFullscreen() {
         if (Screenfull.isEnabled) {
             const icon = document.querySelector('#btnBookplayerFullscreen .material-icons');
@@ -349,6 +639,10 @@ export class BookPlayer {
 
                 this.currentSrc = downloadHref;
                 this.rendition = rendition;
+                this.annotations = getAnnotations(userSettings.currentSettings, item.Id);
+                for (const highlight of this.annotations.Highlights) {
+                    this.drawHighlight(highlight);
+                }
 
                 rendition.themes.register('default', THEMES[this.theme]);
                 rendition.themes.select('default');
@@ -372,8 +666,11 @@ export class BookPlayer {
                         epubElem.style.opacity = '';
                         rendition.on('relocated', (locations) => {
                             this.progress = book.locations.percentageFromCfi(locations.start.cfi);
+                            this.hideSelectionMenu();
+                            this.updateBookmarkButton();
                             Events.trigger(this, 'pause');
                         });
+                        this.updateBookmarkButton();
 
                         loading.hide();
                         return resolve();
@@ -0,0 +1,261 @@
+import { Archive } from 'libarchive.js';
+
+import { naturalCompare } from '../../utils/string.ts';
+import { COMIC_INFO_FILE_NAME, getComicLayout, parseComicInfo } from './comicInfo.ts';
+import { isDeflateSupported, readZipEntries, readZipEntry } from './zipReader.ts';
+
+// the comic book archive supports any kind of image format as it's just a zip archive
+const IMAGE_FORMATS = ['jpg', 'jpeg', 'jpe', 'jif', 'jfif', 'jfi', 'png', 'avif', 'gif', 'bmp', 'dib', 'tiff', 'tif', 'webp'];
+
+const MIME_TYPES = {
+    avif: 'image/avif',
+    bmp: 'image/bmp',
+    dib: 'image/bmp',
+    gif: 'image/gif',
+    png: 'image/png',
+    tif: 'image/tiff',
+    tiff: 'image/tiff',
+    webp: 'image/webp'
+};
+
+// pages closer than this to the current page are decoded ahead of time
+const PRELOAD_PAGES_BEFORE = 2;
+const PRELOAD_PAGES_AFTER = 4;
+// pages farther than this from the current page are released
+const RETAIN_DISTANCE = 8;
+
+function getExtension(name) {
+    const index = name.lastIndexOf('.');
+    return index === -1 ? '' : name.slice(index + 1).toLowerCase();
+}
+
+function isPage(name) {
+    const fileName = name.slice(name.lastIndexOf('/') + 1);
+
+    // metadata files, macOS resource forks and files without a file extension should not be considered as a page
+    return !name.startsWith('__MACOSX/')
+        && !fileName.startsWith('._')
+        && IMAGE_FORMATS.includes(getExtension(fileName));
+}
+
+/**
+ * Creates a byte source that reads the archive with HTTP range requests,
+ * or from a full download if the server does not support them.
+ */
+async function createHttpByteSource(url) {
+    const res = await fetch(url, { headers: { Range: 'bytes=0-0' } });
+    const contentRange = res.status === 206 && /\/(\d+)$/.exec(res.headers.get('Content-Range') || '');
+
+    if (!contentRange) {
+        if (!res.ok) {
+            throw new Error(`Failed to download archive: ${res.status}`);
+        }
+
+        return createBlobByteSource(await res.blob());
+    }
+
+    return {
+        size: parseInt(contentRange[1], 10),
+        read: async (offset, length) => {
+            if (length <= 0) {
+                return new Uint8Array(0);
+            }
+
+            const rangeRes = await fetch(url, { headers: { Range: `bytes=${offset}-${offset + length - 1}` } });
+            if (rangeRes.status !== 206) {
+                throw new Error(`Failed to read archive range: ${rangeRes.status}`);
+            }
+
+            return new Uint8Array(await rangeRes.arrayBuffer());
+        }
+    };
+}
+
+function createBlobByteSource(blob) {
+    return {
+        blob,
+        size: blob.size,
+        read: async (offset, length) => new Uint8Array(await blob.slice(offset, offset + length).arrayBuffer())
+    };
+}
+
+/**
+ * Archive of a comic book that only decodes the pages around the current page.
+ * Zip archives are read with range requests, the other formats are downloaded and decoded by libarchive.
+ */
+export class ArchiveSource {
+    constructor(url) {
+        this.url = url;
+        this.files = [];
+        this.pages = [];
+        this.comicInfo = null;
+        this.chapters = [];
+        this.hasDoublePages = false;
+        this.urls = new Map();
+        this.pendingUrls = new Map();
+        this.released = false;
+    }
+
+    async load() {
+        const source = await createHttpByteSource(this.url);
+
+        if (isDeflateSupported()) {
+            try {
+                const entries = await readZipEntries(source);
+                this.files = entries.map(entry => ({
+                    name: entry.name,
+                    read: () => readZipEntry(source, entry).then(bytes => new Blob([bytes]))
+                }));
+            } catch (err) {
+                console.debug('[comicsPlayer] archive is not a zip archive, using libarchive', err);
+            }
+        }
+
+        if (!this.files.length) {
+            await this.loadWithLibarchive(source.blob);
+        }
+
+        const pages = this.files
+            .filter(file => isPage(file.name))
+            .sort((a, b) => naturalCompare(a.name, b.name));
+
+        this.comicInfo = await this.loadComicInfo();
+        const layout = getComicLayout(pages.length, this.comicInfo);
+
+        this.pages = layout.order.map(index => pages[index]);
+        this.chapters = layout.chapters;
+        this.hasDoublePages = layout.hasDoublePages;
+    }
+
+    /**
+     * Reads the ComicInfo.xml metadata of the archive, usually stored at its root.
+     * @returns {Promise<Object|null>} The metadata, or null if the archive has no valid metadata.
+     */
+    async loadComicInfo() {
+        const file = this.files.find(f => f.name.slice(f.name.lastIndexOf('/') + 1).toLowerCase() === COMIC_INFO_FILE_NAME);
+        if (!file) {
+            return null;
+        }
+
+        try {
+            const blob = await file.read();
+            return parseComicInfo(await blob.text());
+        } catch (err) {
+            console.warn('[comicsPlayer] failed to read %s', file.name, err);
+            return null;
+        }
+    }
+
+    /**
+     * The reading direction of the book given by its metadata.
+     * @returns {string|undefined} 'ltr', 'rtl' or undefined if unknown.
+     */
+    get readingDirection() {
+        return this.comicInfo?.readingDirection;
+    }
+
+    async loadWithLibarchive(blob) {
+        if (!blob) {
+            const res = await fetch(this.url);
+            if (!res.ok) {
+                throw new Error(`Failed to download archive: ${res.status}`);
+            }
+
+            blob = await res.blob();
+        }
+
+        this.archive = await Archive.open(blob);
+        const files = await this.archive.getFilesArray();
+
+        this.files = files.map(({ file, path }) => ({
+            name: path + file.name,
+            // files are only decoded when they are needed
+            read: () => file.extract()
+        }));
+    }
+
+    get pageCount() {
+        return this.pages.length;
+    }
+
+    /**
+     * Gets the object URL of a page that has already been decoded.
+     * @param {number} index The index of the page.
+     * @returns {string|undefined} The URL.
+     */
+    getLoadedPageUrl(index) {
+        return this.urls.get(index);
+    }
+
+    /**
+     * Decodes a page and gets its object URL.
+     * @param {number} index The index of the page.
+     * @returns {Promise<string>} The URL.
+     */
+    getPageUrl(index) {
+        const url = this.urls.get(index);
+        if (url) {
+            return Promise.resolve(url);
+        }
+
+        let promise = this.pendingUrls.get(index);
+        if (!promise) {
+            const page = this.pages[index];
+            promise = page.read().then(blob => {
+                this.pendingUrls.delete(index);
+
+                const type = MIME_TYPES[getExtension(page.name)] || 'image/jpeg';
+                const pageUrl = URL.createObjectURL(blob.type ? blob : new Blob([blob], { type }));
+
+                if (this.released) {
+                    URL.revokeObjectURL(pageUrl);
+                } else {
+                    this.urls.set(index, pageUrl);
+                }
+
+                return pageUrl;
+            }, err => {
+                this.pendingUrls.delete(index);
+                throw err;
+            });
+
+            this.pendingUrls.set(index, promise);
+        }
+
+        return promise;
+    }
+
+    /**
+     * Decodes the pages around the current page and releases the pages far away from it.
+     * @param {number} currentPage The index of the current page.
+     * @param {number} [pagesPerView] The number of pages shown at once.
+     */
+    setCurrentPage(currentPage, pagesPerView = 1) {
+        for (const [index, url] of this.urls) {
+            if (Math.abs(index - currentPage) > RETAIN_DISTANCE + pagesPerView) {
+                URL.revokeObjectURL(url);
+                this.urls.delete(index);
+            }
+        }
+
+        const first = Math.max(0, currentPage - PRELOAD_PAGES_BEFORE);
+        const last = Math.min(this.pageCount - 1, currentPage + pagesPerView - 1 + PRELOAD_PAGES_AFTER);
+        for (let index = first; index <= last; index++) {
+            this.getPageUrl(index).catch(err => {
+                console.error('[comicsPlayer] failed to decode page %d', index, err);
+            });
+        }
+    }
+
+    release() {
+        this.released = true;
+        this.files = [];
+        this.pages = [];
+        this.pendingUrls.clear();
+        for (const url of this.urls.values()) {
+            /* eslint-disable-next-line compat/compat */
+            URL.revokeObjectURL(url);
+        }
+        this.urls.clear();
+    }
+}
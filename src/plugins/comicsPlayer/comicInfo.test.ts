@@ -0,0 +1,64 @@
+import { describe, expect, it } from 'vitest';
+
+import { getComicLayout, parseComicInfo } from './comicInfo';
+
+const createComicInfo = (manga: string, pages: string) => `<?xml version="1.0" encoding="utf-8"?>
+<ComicInfo xmlns:xsd="http://www.w3.org/2001/XMLSchema" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+    <Title>The Beginning</Title>
+    <Series>Some Manga</Series>
+    <Number>1</Number>
+    <Manga>${manga}</Manga>
+    <Pages>${pages}</Pages>
+</ComicInfo>`;
+
+describe('parseComicInfo', () => {
+    it('Should parse the metadata and the pages', () => {
+        const comicInfo = parseComicInfo(createComicInfo('YesAndRightToLeft', `
+            <Page Image="0" Type="FrontCover" Bookmark="Chapter 1" />
+            <Page Image="1" DoublePage="True" />
+            <Page Image="x" />`));
+
+        expect(comicInfo).toEqual({
+            title: 'The Beginning',
+            series: 'Some Manga',
+            number: '1',
+            readingDirection: 'rtl',
+            pages: [
+                { image: 0, type: 'FrontCover', doublePage: false, bookmark: 'Chapter 1' },
+                { image: 1, type: undefined, doublePage: true, bookmark: undefined }
+            ]
+        });
+    });
+
+    it('Should only set the reading direction when it is known', () => {
+        expect(parseComicInfo(createComicInfo('No', ''))?.readingDirection).toBe('ltr');
+        expect(parseComicInfo(createComicInfo('Yes', ''))?.readingDirection).toBeUndefined();
+        expect(parseComicInfo(createComicInfo('Unknown', ''))?.readingDirection).toBeUndefined();
+    });
+
+    it('Should return null for invalid metadata', () => {
+        expect(parseComicInfo('<ComicInfo><Title>')).toBeNull();
+        expect(parseComicInfo('<Other />')).toBeNull();
+    });
+});
+
+describe('getComicLayout', () => {
+    it('Should keep the name order without metadata', () => {
+        expect(getComicLayout(3, null)).toEqual({ order: [ 0, 1, 2 ], chapters: [], hasDoublePages: false });
+    });
+
+    it('Should follow the listed page order and chapters', () => {
+        const comicInfo = parseComicInfo(createComicInfo('No', `
+            <Page Image="2" Bookmark="Cover" />
+            <Page Image="0" Type="Deleted" />
+            <Page Image="1" Bookmark="Chapter 1" DoublePage="true" />
+            <Page Image="1" />
+            <Page Image="9" />`));
+
+        expect(getComicLayout(4, comicInfo)).toEqual({
+            order: [ 2, 1, 3 ],
+            chapters: [ { name: 'Cover', index: 0 }, { name: 'Chapter 1', index: 1 } ],
+            hasDoublePages: true
+        });
+    });
+});
@@ -0,0 +1,109 @@
+/** The file name of the ComicRack metadata stored in comic book archives */
+export const COMIC_INFO_FILE_NAME = 'comicinfo.xml';
+
+export interface ComicInfoPage {
+    /** The index of the image in the archive, in name order */
+    image: number
+    type?: string
+    doublePage: boolean
+    bookmark?: string
+}
+
+export interface ComicInfo {
+    title?: string
+    series?: string
+    number?: string
+    readingDirection?: 'ltr' | 'rtl'
+    pages: ComicInfoPage[]
+}
+
+export interface ComicChapter {
+    name: string
+    /** The index of the first page of the chapter, in reading order */
+    index: number
+}
+
+export interface ComicLayout {
+    /** The indexes of the images in reading order */
+    order: number[]
+    chapters: ComicChapter[]
+    hasDoublePages: boolean
+}
+
+const getText = (doc: Document, tagName: string) => doc.querySelector(`ComicInfo > ${tagName}`)?.textContent?.trim() || undefined;
+
+function getReadingDirection(manga?: string) {
+    switch (manga?.toLowerCase()) {
+        case 'yesandrighttoleft':
+            return 'rtl';
+        case 'no':
+            return 'ltr';
+        default:
+            // "Yes" only tells that the book is a manga, some of them are translated to read from left to right
+            return undefined;
+    }
+}
+
+/**
+ * Parses the ComicInfo.xml metadata of a comic book.
+ */
+export function parseComicInfo(xml: string): ComicInfo | null {
+    const doc = new DOMParser().parseFromString(xml, 'application/xml');
+    if (doc.querySelector('parsererror') || doc.documentElement.nodeName !== 'ComicInfo') {
+        return null;
+    }
+
+    const pages: ComicInfoPage[] = [];
+    for (const page of Array.from(doc.querySelectorAll('ComicInfo > Pages > Page'))) {
+        const image = parseInt(page.getAttribute('Image') ?? '', 10);
+        if (isNaN(image) || image < 0) continue;
+
+        pages.push({
+            image,
+            type: page.getAttribute('Type') || undefined,
+            doublePage: page.getAttribute('DoublePage')?.toLowerCase() === 'true',
+            bookmark: page.getAttribute('Bookmark')?.trim() || undefined
+        });
+    }
+
+    return {
+        title: getText(doc, 'Title'),
+        series: getText(doc, 'Series'),
+        number: getText(doc, 'Number'),
+        readingDirection: getReadingDirection(getText(doc, 'Manga')),
+        pages
+    };
+}
+
+/**
+ * Gets the reading order, the chapters and the spreads of the images of a comic book.
+ * Pages listed in the metadata come first in their listed order, followed by the images the metadata does not know about.
+ */
+export function getComicLayout(imageCount: number, comicInfo: ComicInfo | null): ComicLayout {
+    const order: number[] = [];
+    const chapters: ComicChapter[] = [];
+    const listed = new Set<number>();
+    let hasDoublePages = false;
+
+    for (const page of comicInfo?.pages ?? []) {
+        if (page.image >= imageCount || listed.has(page.image)) continue;
+        listed.add(page.image);
+
+        if (page.type?.toLowerCase() === 'deleted') continue;
+
+        if (page.bookmark) {
+            chapters.push({ name: page.bookmark, index: order.length });
+        }
+
+        hasDoublePages = hasDoublePages || page.doublePage;
+        order.push(page.image);
+    }
+
+    for (let image = 0; image < imageCount; image++) {
+        if (!listed.has(image)) {
+            order.push(image);
+        }
+    }
+
+    return { order, chapters, hasDoublePages };
+}
@@ -6,13 +6,16 @@ import { appRouter } from '../../components/router/appRouter';
 import { ServerConnections } from 'lib/jellyfin-apiclient';
 import * as userSettings from '../../scripts/settings/userSettings';
 import { PluginType } from '../../types/plugin.ts';
+import { getResumePage, setReadingProgress } from '../../utils/readingProgress.ts';
+import actionsheet from '../../components/actionSheet/actionSheet';
+import globalize from '../../lib/globalize';
+import { ArchiveSource } from './archiveSource';
+import { ScrollView } from './scrollView';
 
 import './style.scss';
 
 // supported book file extensions
 const FILE_EXTENSIONS = ['.cbr', '.cbt', '.cbz', '.cb7'];
-// the comic book archive supports any kind of image format as it's just a zip archive
-const IMAGE_FORMATS = ['jpg', 'jpeg', 'jpe', 'jif', 'jfif', 'jfi', 'png', 'avif', 'gif', 'bmp', 'dib', 'tiff', 'tif', 'webp'];
 
 export class ComicsPlayer {
     constructor() {
@@ -24,6 +27,7 @@ export class ComicsPlayer {
 
         this.onDialogClosed = this.onDialogClosed.bind(this);
         this.onWindowKeyDown = this.onWindowKeyDown.bind(this);
+        this.renderSlide = this.renderSlide.bind(this);
     }
 
     play(options) {
@@ -40,6 +44,9 @@ export class ComicsPlayer {
     stop() {
         this.unbindEvents();
 
+        this.scrollView?.destroy();
+        this.scrollView = null;
+
         const stopInfo = {
             src: this.item
         };
@@ -108,6 +115,8 @@ export class ComicsPlayer {
         this.changeLanguageDirection(langDir);
 
         this.comicsPlayerSettings.langDir = langDir;
+        // the choice of the user wins over the metadata of the book
+        this.comicsPlayerSettings.manualLangDir = true;
     };
 
     changeLanguageDirection(langDir) {
@@ -139,6 +148,46 @@ export class ComicsPlayer {
         this.changeView(view);
 
         this.comicsPlayerSettings.pagesPerView = view;
+        this.comicsPlayerSettings.manualPagesPerView = true;
+    };
+
+    /**
+     * Applies the reading direction and the view suggested by the ComicInfo.xml metadata,
+     * unless the user has already chosen them for this book.
+     */
+    applyComicInfoSettings() {
+        const settings = this.comicsPlayerSettings;
+        const readingDirection = this.archiveSource.readingDirection;
+
+        if (!settings.manualLangDir && readingDirection && readingDirection !== settings.langDir) {
+            this.changeLanguageDirection(readingDirection);
+            settings.langDir = readingDirection;
+        }
+
+        // double page spreads are already two pages wide
+        if (!settings.manualPagesPerView && this.archiveSource.hasDoublePages && settings.pagesPerView !== 1) {
+            this.changeView(1);
+            settings.pagesPerView = 1;
+        }
+    }
+
+    onChaptersClick = (e) => {
+        const chapters = this.archiveSource.chapters;
+        const currentChapter = chapters.filter(chapter => chapter.index <= this.currentPage).pop();
+
+        actionsheet.show({
+            title: globalize.translate('Chapters'),
+            items: chapters.map(chapter => ({
+                name: chapter.name,
+                id: String(chapter.index),
+                selected: chapter === currentChapter
+            })),
+            positionTo: e.currentTarget
+        }).then(id => {
+            this.goToPage(parseInt(id, 10));
+        }).catch(() => {
+            // Menu was closed
+        });
     };
 
     changeView(view) {
@@ -159,6 +208,86 @@ export class ComicsPlayer {
         this.reload(currentPage);
     }
 
+    onReadingModeChanged = () => {
+        const readingMode = this.comicsPlayerSettings.readingMode === 'webtoon' ? 'paged' : 'webtoon';
+
+        this.setReadingMode(readingMode);
+
+        this.comicsPlayerSettings.readingMode = readingMode;
+    };
+
+    /**
+     * Switches between the pages of Swiper and the continuous vertical scroll of long strip comics.
+     * @param {string} readingMode 'paged' or 'webtoon'.
+     */
+    setReadingMode(readingMode) {
+        const isWebtoon = readingMode === 'webtoon';
+        const currentPage = this.currentPage;
+        const elem = this.mediaElement;
+
+        elem.querySelector('.slideshowSwiperContainer').classList.toggle('hide', isWebtoon);
+        elem.querySelector('.comicsScrollContainer').classList.toggle('hide', !isWebtoon);
+        elem.querySelector('.comicsScrollPagination').classList.toggle('hide', !isWebtoon);
+        // the reading direction and the double page view only apply to pages
+        elem.querySelector('.btnToggleLangDir').classList.toggle('hide', isWebtoon);
+        elem.querySelector('.btnToggleView').classList.toggle('hide', isWebtoon);
+
+        const btnToggleReadingMode = elem.querySelector('.btnToggleReadingMode');
+        btnToggleReadingMode.querySelector('span').classList.remove(isWebtoon ? 'view_day' : 'auto_stories');
+        btnToggleReadingMode.querySelector('span').classList.add(isWebtoon ? 'auto_stories' : 'view_day');
+        btnToggleReadingMode.title = globalize.translate(isWebtoon ? 'PagedView' : 'WebtoonView');
+
+        if (isWebtoon) {
+            this.swiperInstance.keyboard.disable();
+
+            if (!this.scrollView) {
+                this.scrollView = new ScrollView({
+                    container: elem.querySelector('.comicsScrollContainer'),
+                    archiveSource: this.archiveSource,
+                    onPageChange: index => this.onPageChanged(index, 1)
+                });
+            }
+
+            this.scrollView.scrollToPage(currentPage);
+            this.updateScrollPagination();
+        } else {
+            this.scrollView?.destroy();
+            this.scrollView = null;
+
+            this.swiperInstance.keyboard.enable();
+            this.swiperInstance.update();
+            this.swiperInstance.slideTo(currentPage, 0);
+        }
+    }
+
+    /**
+     * Shows a page in the current reading mode.
+     * @param {number} index The index of the page.
+     */
+    goToPage(index) {
+        if (this.scrollView) {
+            this.scrollView.scrollToPage(index);
+        } else {
+            this.swiperInstance?.slideTo(index);
+        }
+    }
+
+    onPageChanged(index, pagesPerView) {
+        // save current page ( a page is an image file inside the archive )
+        this.currentPage = index;
+        this.archiveSource.setCurrentPage(index, pagesPerView);
+        setReadingProgress(userSettings.currentSettings, this.item.Id, index, this.pageCount);
+        this.updateScrollPagination();
+        Events.trigger(this, 'pause');
+    }
+
+    updateScrollPagination() {
+        const pagination = this.mediaElement?.querySelector('.comicsScrollPagination');
+        if (pagination) {
+            pagination.textContent = `${this.currentPage + 1} / ${this.pageCount}`;
+        }
+    }
+
     reload(currentPage) {
         const effect = this.swiperInstance.params.effect;
 
@@ -185,6 +314,47 @@ export class ComicsPlayer {
         if (key === 'Escape') {
             e.preventDefault();
             this.stop();
+        } else if (this.scrollView && this.onScrollViewKey(key)) {
+            e.preventDefault();
+        }
+    }
+
+    /**
+     * Handles the keys of keyboards, gamepads and remote controls in the vertical scroll mode.
+     * @param {string} key The name of the key.
+     * @returns {boolean} Whether the key was handled.
+     */
+    onScrollViewKey(key) {
+        switch (key) {
+            case 'ArrowDown':
+                this.scrollView.scrollByScreen(0.25);
+                return true;
+            case 'ArrowUp':
+                this.scrollView.scrollByScreen(-0.25);
+                return true;
+            case 'PageDown':
+            case 'Space':
+                this.scrollView.scrollByScreen(0.9);
+                return true;
+            case 'PageUp':
+                this.scrollView.scrollByScreen(-0.9);
+                return true;
+            case 'ArrowRight':
+            case 'MediaTrackNext':
+                this.scrollView.scrollToPage(this.currentPage + 1);
+                return true;
+            case 'ArrowLeft':
+            case 'MediaTrackPrevious':
+                this.scrollView.scrollToPage(this.currentPage - 1);
+                return true;
+            case 'Home':
+                this.scrollView.scrollToPage(0);
+                return true;
+            case 'End':
+                this.scrollView.scrollToPage(this.pageCount - 1);
+                return true;
+            default:
+                return false;
         }
     }
 
@@ -195,6 +365,8 @@ export class ComicsPlayer {
         elem?.querySelector('.btnExit').addEventListener('click', this.onDialogClosed, { once: true });
         elem?.querySelector('.btnToggleLangDir').addEventListener('click', this.onDirChanged);
         elem?.querySelector('.btnToggleView').addEventListener('click', this.onViewChanged);
+        elem?.querySelector('.btnChapters').addEventListener('click', this.onChaptersClick);
+        elem?.querySelector('.btnToggleReadingMode').addEventListener('click', this.onReadingModeChanged);
     }
 
     bindEvents() {
@@ -210,6 +382,8 @@ export class ComicsPlayer {
         elem?.querySelector('.btnExit').removeEventListener('click', this.onDialogClosed);
         elem?.querySelector('.btnToggleLangDir').removeEventListener('click', this.onDirChanged);
         elem?.querySelector('.btnToggleView').removeEventListener('click', this.onViewChanged);
+        elem?.querySelector('.btnChapters').removeEventListener('click', this.onChaptersClick);
+        elem?.querySelector('.btnToggleReadingMode').removeEventListener('click', this.onReadingModeChanged);
     }
 
     unbindEvents() {
@@ -246,7 +420,15 @@ export class ComicsPlayer {
                                 <div class="swiper-button-prev actionButtonIcon"></div>
                                 <div class="swiper-pagination"></div>
                             </div>
+                            <div class="comicsScrollContainer hide"></div>
+                            <div class="comicsScrollPagination hide"></div>
                             <div class="actionButtons">
+                                <button is="paper-icon-button-light" class="autoSize btnChapters hide" tabindex="-1" title="${globalize.translate('Chapters')}">
+                                    <span class="material-icons actionButtonIcon toc" aria-hidden="true"></span>
+                                </button>
+                                <button is="paper-icon-button-light" class="autoSize btnToggleReadingMode" tabindex="-1" title="${globalize.translate('WebtoonView')}">
+                                    <span class="material-icons actionButtonIcon view_day" aria-hidden="true"></span>
+                                </button>
                                 <button is="paper-icon-button-light" class="autoSize btnToggleLangDir" tabindex="-1">
                                     <span class="material-icons actionButtonIcon ${dirIcon}" aria-hidden="true"></span>
                                 </button>
@@ -306,8 +488,9 @@ export class ComicsPlayer {
             .then(({ Swiper }) => {
                 loading.hide();
 
-                this.pageCount = this.archiveSource.urls.length;
-                this.currentPage = options.startPositionTicks / 10000 || 0;
+                this.pageCount = this.archiveSource.pageCount;
+                this.currentPage = Math.min(getResumePage(userSettings.currentSettings, item, options.startPositionTicks), Math.max(this.pageCount - 1, 0));
+                this.archiveSource.setCurrentPage(this.currentPage, this.comicsPlayerSettings.pagesPerView);
 
                 this.swiperInstance = new Swiper(elem.querySelector('.slideshowSwiperContainer'), {
                     direction: 'horizontal',
@@ -322,7 +505,7 @@ export class ComicsPlayer {
                     keyboard: {
                         enabled: true
                     },
-                    preloadImages: true,
+                    preloadImages: false,
                     slidesPerView: this.comicsPlayerSettings.pagesPerView,
                     slidesPerGroup: this.comicsPlayerSettings.pagesPerView,
                     slidesPerColumn: 1,
@@ -336,28 +519,46 @@ export class ComicsPlayer {
                         clickable: true,
                         type: 'fraction'
                     },
-                    // reduces memory consumption for large libraries while allowing preloading of images
+                    // pages are decoded on demand by the archive source, so rendered slides are not cached
                     virtual: {
-                        slides: this.archiveSource.urls,
-                        cache: true,
-                        renderSlide: this.getImgFromUrl,
+                        slides: this.archiveSource.pages,
+                        cache: false,
+                        renderSlide: this.renderSlide,
                         addSlidesBefore: 1,
                         addSlidesAfter: 1
                     }
                 });
 
-                // save current page ( a page is an image file inside the archive )
+                this.applyComicInfoSettings();
+                elem.querySelector('.btnChapters').classList.toggle('hide', !this.archiveSource.chapters.length);
+
                 this.swiperInstance.on('slideChange', () => {
-                    this.currentPage = this.swiperInstance.activeIndex;
-                    Events.trigger(this, 'pause');
+                    this.onPageChanged(this.swiperInstance.activeIndex, this.swiperInstance.params.slidesPerView);
                 });
+
+                if (this.comicsPlayerSettings.readingMode === 'webtoon') {
+                    this.setReadingMode('webtoon');
+                }
             });
     }
 
-    getImgFromUrl(url) {
+    renderSlide(page, index) {
+        const url = this.archiveSource.getLoadedPageUrl(index);
+
+        if (!url) {
+            this.archiveSource.getPageUrl(index).then(pageUrl => {
+                const img = this.mediaElement?.querySelector(`.swiper-slide-img[data-page="${index}"]`);
+                if (img && !img.getAttribute('src')) {
+                    img.src = pageUrl;
+                }
+            }).catch(err => {
+                console.error('[comicsPlayer] failed to decode page %d', index, err);
+            });
+        }
+
         return `<div class="swiper-slide">
                    <div class="slider-zoom-container">
-                       <img src="${url}" class="swiper-slide-img">
+                       <img ${url ? `src="${url}"` : ''} data-page="${index}" class="swiper-slide-img">
                    </div>
                </div>`;
     }
@@ -371,53 +572,4 @@ export class ComicsPlayer {
     }
 }
 
-class ArchiveSource {
-    constructor(url) {
-        this.url = url;
-        this.files = [];
-        this.urls = [];
-    }
-
-    async load() {
-        const res = await fetch(this.url);
-        if (!res.ok) {
-            return;
-        }
-
-        const blob = await res.blob();
-        this.archive = await Archive.open(blob);
-        this.raw = await this.archive.getFilesArray();
-        await this.archive.extractFiles();
-
-        let files = await this.archive.getFilesArray();
-
-        // metadata files and files without a file extension should not be considered as a page
-        files = files.filter((file) => {
-            const name = file.file.name;
-            const index = name.lastIndexOf('.');
-            return index !== -1 && IMAGE_FORMATS.includes(name.slice(index + 1));
-        });
-        files.sort((a, b) => {
-            if (a.file.name < b.file.name) {
-                return -1;
-            } else {
-                return 1;
-            }
-        });
-
-        for (const file of files) {
-            /* eslint-disable-next-line compat/compat */
-            const url = URL.createObjectURL(file.file);
-            this.urls.push(url);
-        }
-    }
-
-    release() {
-        this.files = [];
-        /* eslint-disable-next-line compat/compat */
-        this.urls.forEach(URL.revokeObjectURL);
-        this.urls = [];
-    }
-}
-
 export default ComicsPlayer;
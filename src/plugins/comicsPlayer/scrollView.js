@@ -0,0 +1,147 @@
+/**
+ * Continuous vertical reader for long strip comics such as webtoons.
+ * Pages are fit to the width of the screen and only decoded when they come close to the viewport.
+ */
+
+// pages are loaded when they are closer than this to the viewport
+const LOAD_MARGIN = '200% 0px';
+// the page at this height of the viewport is the current page
+const CURRENT_PAGE_OFFSET = 0.3;
+// aspect ratio of the pages that have not been loaded yet
+const DEFAULT_ASPECT_RATIO = '2 / 3';
+
+export class ScrollView {
+    /**
+     * @param {Object} options The options.
+     * @param {HTMLElement} options.container The element to render the pages in.
+     * @param {ArchiveSource} options.archiveSource The archive of the comic book.
+     * @param {Function} options.onPageChange Called with the index of the current page when it changes.
+     */
+    constructor({ container, archiveSource, onPageChange }) {
+        this.container = container;
+        this.archiveSource = archiveSource;
+        this.onPageChange = onPageChange;
+        this.currentPage = 0;
+
+        this.onScroll = this.onScroll.bind(this);
+        this.onIntersection = this.onIntersection.bind(this);
+
+        this.render();
+    }
+
+    render() {
+        const html = [];
+        for (let index = 0; index < this.archiveSource.pageCount; index++) {
+            html.push(`<div class="comicsScrollPage" data-page="${index}" style="aspect-ratio: ${DEFAULT_ASPECT_RATIO}">
+                           <img class="comicsScrollPageImg" alt="" draggable="false">
+                       </div>`);
+        }
+
+        this.container.innerHTML = html.join('');
+        this.pages = Array.from(this.container.querySelectorAll('.comicsScrollPage'));
+
+        this.observer = new IntersectionObserver(this.onIntersection, {
+            root: this.container,
+            rootMargin: LOAD_MARGIN
+        });
+        for (const page of this.pages) {
+            this.observer.observe(page);
+        }
+
+        this.container.addEventListener('scroll', this.onScroll, { passive: true });
+    }
+
+    onIntersection(entries) {
+        for (const entry of entries) {
+            const index = parseInt(entry.target.getAttribute('data-page'), 10);
+
+            if (entry.isIntersecting) {
+                this.loadPage(entry.target, index);
+            } else {
+                // keep the size of the page, so the scroll position does not move
+                entry.target.querySelector('.comicsScrollPageImg').removeAttribute('src');
+            }
+        }
+    }
+
+    loadPage(page, index) {
+        this.archiveSource.getPageUrl(index).then(url => {
+            const img = page.querySelector('.comicsScrollPageImg');
+            if (!this.observer || img.getAttribute('src') === url) return;
+
+            img.onload = () => {
+                page.style.aspectRatio = `${img.naturalWidth} / ${img.naturalHeight}`;
+            };
+            img.src = url;
+        }).catch(err => {
+            console.error('[comicsPlayer] failed to decode page %d', index, err);
+        });
+    }
+
+    onScroll() {
+        if (this.scrollFrame) return;
+
+        this.scrollFrame = requestAnimationFrame(() => {
+            this.scrollFrame = null;
+            this.updateCurrentPage();
+        });
+    }
+
+    updateCurrentPage() {
+        const position = this.container.scrollTop + this.container.clientHeight * CURRENT_PAGE_OFFSET;
+
+        // the pages are stacked in order, so the last page starting above the position is the current page
+        let low = 0;
+        let high = this.pages.length - 1;
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (this.pages[middle].offsetTop <= position) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+
+        if (low !== this.currentPage) {
+            this.currentPage = low;
+            this.onPageChange(low);
+        }
+    }
+
+    /**
+     * Scrolls to the top of a page.
+     * @param {number} index The index of the page.
+     */
+    scrollToPage(index) {
+        const page = this.pages[Math.max(0, Math.min(index, this.pages.length - 1))];
+        if (page) {
+            this.container.scrollTop = page.offsetTop;
+            this.updateCurrentPage();
+        }
+    }
+
+    /**
+     * Scrolls by a part of the height of the screen.
+     * @param {number} ratio The part of the screen to scroll, negative to scroll up.
+     */
+    scrollByScreen(ratio) {
+        this.container.scrollBy({
+            top: this.container.clientHeight * ratio,
+            behavior: 'smooth'
+        });
+    }
+
+    destroy() {
+        this.observer?.disconnect();
+        this.observer = null;
+
+        if (this.scrollFrame) {
+            cancelAnimationFrame(this.scrollFrame);
+            this.scrollFrame = null;
+        }
+
+        this.container.removeEventListener('scroll', this.onScroll);
+        this.container.innerHTML = '';
+        this.pages = [];
+    }
+}
@@ -0,0 +1,142 @@
+import { deflateRawSync } from 'node:zlib';
+import { describe, expect, it } from 'vitest';
+
+import { COMPRESSION_DEFLATE, COMPRESSION_STORED, readZipEntries, readZipEntry } from './zipReader';
+
+interface TestFile {
+    name: string
+    data: string
+    method?: number
+    localExtra?: number
+}
+
+const encoder = new TextEncoder();
+
+/**
+ * Builds a minimal zip archive in memory.
+ */
+function createZip(files: TestFile[], comment = '') {
+    const localParts: Uint8Array[] = [];
+    const centralParts: Uint8Array[] = [];
+    let offset = 0;
+
+    for (const { name, data, method = COMPRESSION_STORED, localExtra = 0 } of files) {
+        const nameBytes = encoder.encode(name);
+        const rawData = encoder.encode(data);
+        const storedData = method === COMPRESSION_DEFLATE ? new Uint8Array(deflateRawSync(rawData)) : rawData;
+
+        const local = new Uint8Array(30 + nameBytes.length + localExtra + storedData.length);
+        const localView = new DataView(local.buffer);
+        localView.setUint32(0, 0x04034b50, true);
+        localView.setUint16(8, method, true);
+        localView.setUint32(18, storedData.length, true);
+        localView.setUint32(22, rawData.length, true);
+        localView.setUint16(26, nameBytes.length, true);
+        localView.setUint16(28, localExtra, true);
+        local.set(nameBytes, 30);
+        local.set(storedData, 30 + nameBytes.length + localExtra);
+
+        const central = new Uint8Array(46 + nameBytes.length);
+        const centralView = new DataView(central.buffer);
+        centralView.setUint32(0, 0x02014b50, true);
+        centralView.setUint16(8, 0x0800, true);
+        centralView.setUint16(10, method, true);
+        centralView.setUint32(20, storedData.length, true);
+        centralView.setUint32(24, rawData.length, true);
+        centralView.setUint16(28, nameBytes.length, true);
+        centralView.setUint32(42, offset, true);
+        central.set(nameBytes, 46);
+
+        localParts.push(local);
+        centralParts.push(central);
+        offset += local.length;
+    }
+
+    const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+    const commentBytes = encoder.encode(comment);
+    const end = new Uint8Array(22 + commentBytes.length);
+    const endView = new DataView(end.buffer);
+    endView.setUint32(0, 0x06054b50, true);
+    endView.setUint16(8, files.length, true);
+    endView.setUint16(10, files.length, true);
+    endView.setUint32(12, centralSize, true);
+    endView.setUint32(16, offset, true);
+    endView.setUint16(20, commentBytes.length, true);
+    end.set(commentBytes, 22);
+
+    const parts = [ ...localParts, ...centralParts, end ];
+    const zip = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+    let position = 0;
+    for (const part of parts) {
+        zip.set(part, position);
+        position += part.length;
+    }
+
+    return zip;
+}
+
+const createSource = (bytes: Uint8Array) => {
+    const reads: number[][] = [];
+
+    return {
+        reads,
+        size: bytes.length,
+        read: (offset: number, length: number) => {
+            reads.push([ offset, length ]);
+            return Promise.resolve(bytes.slice(offset, offset + length));
+        }
+    };
+};
+
+const decode = (bytes: Uint8Array) => Buffer.from(bytes).toString('utf-8');
+
+describe('readZipEntries', () => {
+    it('Should list the files of the central directory', async () => {
+        const source = createSource(createZip([
+            { name: 'page1.jpg', data: 'first' },
+            { name: 'Chapter 1/page2.jpg', data: 'second', method: COMPRESSION_DEFLATE }
+        ], 'A comment at the end'));
+
+        const entries = await readZipEntries(source);
+
+        expect(entries.map(e => [ e.name, e.compressionMethod, e.uncompressedSize ])).toEqual([
+            [ 'page1.jpg', COMPRESSION_STORED, 5 ],
+            [ 'Chapter 1/page2.jpg', COMPRESSION_DEFLATE, 6 ]
+        ]);
+        // The end of the archive and the central directory only
+        expect(source.reads).toHaveLength(2);
+    });
+
+    it('Should reject files that are not zip archives', async () => {
+        await expect(readZipEntries(createSource(encoder.encode('Rar!not a zip archive')))).rejects.toThrow('Not a zip archive');
+    });
+});
+
+describe('readZipEntry', () => {
+    it('Should read stored and deflated files with a single read', async () => {
+        const source = createSource(createZip([
+            { name: 'page1.jpg', data: 'first page' },
+            { name: 'page2.jpg', data: 'second page '.repeat(20), method: COMPRESSION_DEFLATE }
+        ]));
+        const entries = await readZipEntries(source);
+        source.reads.length = 0;
+
+        expect(decode(await readZipEntry(source, entries[0]))).toBe('first page');
+        expect(decode(await readZipEntry(source, entries[1]))).toBe('second page '.repeat(20));
+        expect(source.reads).toHaveLength(2);
+    });
+
+    it('Should read the data again when the local extra field is large', async () => {
+        const source = createSource(createZip([ { name: 'page1.jpg', data: 'first page', localExtra: 200 } ]));
+        const [ entry ] = await readZipEntries(source);
+
+        expect(decode(await readZipEntry(source, entry))).toBe('first page');
+    });
+
+    it('Should reject unsupported compression methods', async () => {
+        const source = createSource(createZip([ { name: 'page1.jpg', data: 'first page', method: 14 } ]));
+        const [ entry ] = await readZipEntries(source);
+
+        await expect(readZipEntry(source, entry)).rejects.toThrow('Unsupported zip compression method 14');
+    });
+});
@@ -0,0 +1,188 @@
+/** Random access to the bytes of an archive, either already downloaded or on the server */
+export interface ByteSource {
+    size: number
+    read(offset: number, length: number): Promise<Uint8Array>
+}
+
+export interface ZipEntry {
+    name: string
+    /** The length of the encoded name, in bytes */
+    nameLength: number
+    compressionMethod: number
+    compressedSize: number
+    uncompressedSize: number
+    localHeaderOffset: number
+}
+
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+const ZIP64_END_OF_CENTRAL_DIRECTORY_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP64_END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06064b50;
+const CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+const LOCAL_FILE_HEADER_SIGNATURE = 0x04034b50;
+
+const END_OF_CENTRAL_DIRECTORY_SIZE = 22;
+const ZIP64_END_OF_CENTRAL_DIRECTORY_LOCATOR_SIZE = 20;
+const LOCAL_FILE_HEADER_SIZE = 30;
+/** The end of central directory record may be followed by a comment of up to 64 KiB */
+const MAX_COMMENT_SIZE = 0xffff;
+const ZIP64_EXTRA_FIELD_ID = 0x0001;
+const UTF8_FLAG = 0x0800;
+/** Bytes read after the name of a local header, so the header and the data of a file can usually be read at once */
+const LOCAL_EXTRA_FIELD_ALLOWANCE = 64;
+
+export const COMPRESSION_STORED = 0;
+export const COMPRESSION_DEFLATE = 8;
+
+const getView = (bytes: Uint8Array) => new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+const getUint64 = (view: DataView, offset: number) => Number(view.getBigUint64(offset, true));
+
+// eslint-disable-next-line compat/compat
+const utf8Decoder = new TextDecoder('utf-8');
+// Names without the UTF-8 flag use the IBM 437 code page, which is close enough to latin1 for page names
+// eslint-disable-next-line compat/compat
+const legacyDecoder = new TextDecoder('latin1');
+
+/**
+ * Reads the entries of the zip archive in the central directory, without reading the files themselves.
+ */
+export async function readZipEntries(source: ByteSource): Promise<ZipEntry[]> {
+    const tailLength = Math.min(source.size, END_OF_CENTRAL_DIRECTORY_SIZE + MAX_COMMENT_SIZE + ZIP64_END_OF_CENTRAL_DIRECTORY_LOCATOR_SIZE);
+    const tailOffset = source.size - tailLength;
+    const tail = await source.read(tailOffset, tailLength);
+    const tailView = getView(tail);
+
+    let eocd = -1;
+    for (let i = tail.length - END_OF_CENTRAL_DIRECTORY_SIZE; i >= 0; i--) {
+        if (tailView.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+            eocd = i;
+            break;
+        }
+    }
+
+    if (eocd === -1) {
+        throw new Error('Not a zip archive');
+    }
+
+    let entryCount = tailView.getUint16(eocd + 10, true);
+    let directorySize = tailView.getUint32(eocd + 12, true);
+    let directoryOffset = tailView.getUint32(eocd + 16, true);
+
+    const locator = eocd - ZIP64_END_OF_CENTRAL_DIRECTORY_LOCATOR_SIZE;
+    if (locator >= 0 && tailView.getUint32(locator, true) === ZIP64_END_OF_CENTRAL_DIRECTORY_LOCATOR_SIGNATURE) {
+        const zip64View = getView(await source.read(getUint64(tailView, locator + 8), 56));
+        if (zip64View.getUint32(0, true) !== ZIP64_END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+            throw new Error('Invalid zip64 end of central directory');
+        }
+
+        entryCount = getUint64(zip64View, 32);
+        directorySize = getUint64(zip64View, 40);
+        directoryOffset = getUint64(zip64View, 48);
+    }
+
+    const directory = await source.read(directoryOffset, directorySize);
+    const view = getView(directory);
+    const entries: ZipEntry[] = [];
+
+    let offset = 0;
+    for (let i = 0; i < entryCount; i++) {
+        if (view.getUint32(offset, true) !== CENTRAL_DIRECTORY_SIGNATURE) {
+            throw new Error('Invalid zip central directory');
+        }
+
+        const flags = view.getUint16(offset + 8, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const nameBytes = directory.subarray(offset + 46, offset + 46 + nameLength);
+
+        const entry: ZipEntry = {
+            name: ((flags & UTF8_FLAG) ? utf8Decoder : legacyDecoder).decode(nameBytes),
+            nameLength,
+            compressionMethod: view.getUint16(offset + 10, true),
+            compressedSize: view.getUint32(offset + 20, true),
+            uncompressedSize: view.getUint32(offset + 24, true),
+            localHeaderOffset: view.getUint32(offset + 42, true)
+        };
+
+        readZip64ExtraField(view, offset + 46 + nameLength, extraLength, entry);
+        entries.push(entry);
+
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+}
+
+/**
+ * Replaces the sizes and offset that do not fit in 32 bits with the values of the zip64 extra field.
+ */
+function readZip64ExtraField(view: DataView, start: number, length: number, entry: ZipEntry) {
+    let offset = start;
+    while (offset + 4 <= start + length) {
+        const id = view.getUint16(offset, true);
+        const size = view.getUint16(offset + 2, true);
+
+        if (id === ZIP64_EXTRA_FIELD_ID) {
+            // The field only contains the values that overflowed, in this order
+            let fieldOffset = offset + 4;
+            for (const key of [ 'uncompressedSize', 'compressedSize', 'localHeaderOffset' ] as const) {
+                if (entry[key] === 0xffffffff) {
+                    entry[key] = getUint64(view, fieldOffset);
+                    fieldOffset += 8;
+                }
+            }
+            return;
+        }
+
+        offset += 4 + size;
+    }
+}
+
+async function inflate(data: Uint8Array) {
+    // eslint-disable-next-line compat/compat
+    const stream = new Response(data).body?.pipeThrough(new DecompressionStream('deflate-raw'));
+    // eslint-disable-next-line compat/compat
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Whether the browser can decompress the deflate method used by almost all zip archives.
+ */
+export function isDeflateSupported() {
+    try {
+        // eslint-disable-next-line compat/compat
+        new DecompressionStream('deflate-raw');
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Reads and decompresses a single file of the zip archive.
+ */
+export async function readZipEntry(source: ByteSource, entry: ZipEntry): Promise<Uint8Array> {
+    const expectedLength = LOCAL_FILE_HEADER_SIZE + entry.nameLength + LOCAL_EXTRA_FIELD_ALLOWANCE + entry.compressedSize;
+    const bytes = await source.read(entry.localHeaderOffset, Math.min(expectedLength, source.size - entry.localHeaderOffset));
+    const header = getView(bytes);
+    if (header.getUint32(0, true) !== LOCAL_FILE_HEADER_SIGNATURE) {
+        throw new Error(`Invalid zip local file header for ${entry.name}`);
+    }
+
+    // The extra field of the local header may differ from the central directory
+    const dataStart = LOCAL_FILE_HEADER_SIZE + header.getUint16(26, true) + header.getUint16(28, true);
+    const dataEnd = dataStart + entry.compressedSize;
+    const data = dataEnd <= bytes.length ?
+        bytes.subarray(dataStart, dataEnd) :
+        await source.read(entry.localHeaderOffset + dataStart, entry.compressedSize);
+
+    switch (entry.compressionMethod) {
+        case COMPRESSION_STORED:
+            return data;
+        case COMPRESSION_DEFLATE:
+            return inflate(data);
+        default:
+            throw new Error(`Unsupported zip compression method ${entry.compressionMethod} for ${entry.name}`);
+    }
+}
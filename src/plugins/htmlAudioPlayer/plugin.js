@@ -4,16 +4,69 @@ import { MediaError } from 'types/mediaError';
 import browser from '../../scripts/browser';
 import { appHost } from '../../components/apphost';
 import * as htmlMediaHelper from '../../components/htmlMediaHelper';
+import { playbackManager } from '../../components/playback/playbackmanager';
 import profileBuilder from '../../scripts/browserDeviceProfile';
 import { getIncludeCorsCredentials } from '../../scripts/settings/webSettings';
 import { PluginType } from '../../types/plugin.ts';
 import Events from '../../utils/events.ts';
 
+// Number of seconds before the end of a track at which the next queue item starts buffering
+const PRELOAD_THRESHOLD = 15;
+
+const gainNodes = new WeakMap();
+
 function getDefaultProfile() {
     return profileBuilder({});
 }
 
+/**
+ * Gets the linear gain factor for the audio normalization mode selected by the user.
+ * @param {Object} userSettings - The user settings module.
+ * @param {Object} options - The stream info of the track.
+ * @returns {number|null} The gain factor, or null if normalization is disabled.
+ */
+function getNormalizationGain(userSettings, options) {
+    let normalizationGain;
+    if (userSettings.selectAudioNormalization() == 'TrackGain') {
+        normalizationGain = options.item.NormalizationGain
+            ?? options.mediaSource.albumNormalizationGain;
+    } else if (userSettings.selectAudioNormalization() == 'AlbumGain') {
+        normalizationGain =
+            options.mediaSource.albumNormalizationGain
+            ?? options.item.NormalizationGain;
+    } else {
+        return null;
+    }
+
+    return normalizationGain ? Math.pow(10, normalizationGain / 20) : 1;
+}
+
+function getAbsoluteGain(elem, normalizationGain) {
+    // Gain value is absolute in Safari. Add volume from the slider
+    return browser.safari ? normalizationGain * elem.volume : normalizationGain;
+}
+
+function setGain(gainNode, value) {
+    gainNode.gain.cancelScheduledValues(0);
+    gainNode.gain.value = value;
+}
+
+function rampGain(gainNode, from, to, duration) {
+    const now = gainNode.context.currentTime;
+    gainNode.gain.cancelScheduledValues(0);
+    gainNode.gain.setValueAtTime(from, now);
+    gainNode.gain.linearRampToValueAtTime(to, now + duration);
+}
+
+function isSameStream(streamInfo, options) {
+    return streamInfo.item.Id === options.item.Id
+        && streamInfo.mediaSource.Id === options.mediaSource.Id
+        && options.playMethod !== 'Transcode'
+        && !options.playerStartPositionTicks;
+}
+
 let fadeTimeout;
+let crossfadeTimeout;
 function fade(instance, elem, startingVolume) {
     instance._isFadingOut = true;
 
@@ -99,6 +152,13 @@ class HtmlAudioPlayer {
         self.priority = 1;
 
         self.play = function (options) {
+            const nextTrack = self._nextTrack;
+            if (nextTrack && isSameStream(nextTrack.options, options)) {
+                return playNextTrack(nextTrack, options);
+            }
+
+            discardNextTrack();
+
             self._started = false;
             self._timeUpdated = false;
             self._currentTime = null;
@@ -115,36 +175,10 @@ class HtmlAudioPlayer {
             let val = options.url;
             console.debug('playing url: ' + val);
             import('../../scripts/settings/userSettings').then((userSettings) => {
-                let normalizationGain;
-                if (userSettings.selectAudioNormalization() == 'TrackGain') {
-                    normalizationGain = options.item.NormalizationGain
-                        ?? options.mediaSource.albumNormalizationGain;
-                } else if (userSettings.selectAudioNormalization() == 'AlbumGain') {
-                    normalizationGain =
-                        options.mediaSource.albumNormalizationGain
-                        ?? options.item.NormalizationGain;
-                } else {
-                    console.debug('normalization disabled');
-                    return;
-                }
-
-                if (!self.gainNode) {
-                    addGainElement(elem);
-                    if (!self.gainNode) return;
-                }
+                self._enableGaplessPlayback = userSettings.enableGaplessPlayback();
+                self._crossfadeDuration = userSettings.crossfadeDuration();
 
-                if (normalizationGain) {
-                    self.normalizationGain = Math.pow(10, normalizationGain / 20);
-                    self.gainNode.gain.value = self.normalizationGain;
-                } else {
-                    self.gainNode.gain.value = 1;
-                    self.normalizationGain = 1;
-                }
-                if (browser.safari) {
-                    // Gain value is absolute in Safari. Add volume from the slider
-                    self.gainNode.gain.value *= elem.volume;
-                }
-                console.debug('gain: ' + self.normalizationGain);
+                applyNormalizationGain(elem, getNormalizationGain(userSettings, options));
             }).catch((err) => {
                 console.error('Failed to add/change gainNode', err);
             });
@@ -202,6 +236,244 @@ class HtmlAudioPlayer {
             });
         }
 
+        function applyNormalizationGain(elem, normalizationGain) {
+            self.gainNode = gainNodes.get(elem);
+            self.normalizationGain = normalizationGain ?? 1;
+
+            if (normalizationGain == null) {
+                console.debug('normalization disabled');
+                if (self.gainNode) {
+                    // The element was routed through Web Audio for a crossfade
+                    setGain(self.gainNode, getAbsoluteGain(elem, 1));
+                }
+                return;
+            }
+
+            if (!self.gainNode) {
+                self.gainNode = getGainNode(elem);
+                if (!self.gainNode) return;
+            }
+
+            setGain(self.gainNode, getAbsoluteGain(elem, self.normalizationGain));
+            console.debug('gain: ' + self.normalizationGain);
+        }
+
+        function preloadNextTrack() {
+            self._isNextTrackRequested = true;
+
+            const nextItemInfo = playbackManager.getNextItem();
+            if (nextItemInfo?.item.MediaType !== 'Audio') {
+                return;
+            }
+
+            const currentSrc = self._currentSrc;
+
+            Promise.all([
+                import('../../scripts/settings/userSettings'),
+                playbackManager.getPlaybackInfo(nextItemInfo.item),
+                getIncludeCorsCredentials()
+            ]).then(([userSettings, streamInfo, includeCorsCredentials]) => {
+                // Playback moved on while the stream info was requested
+                if (self._currentSrc !== currentSrc || self._nextTrack) {
+                    return;
+                }
+
+                // HLS streams need a hls.js instance attached, which cannot be prepared ahead of time
+                if (streamInfo.playMethod === 'Transcode' || streamInfo.url.indexOf('.m3u8') !== -1) {
+                    console.debug('next track cannot be preloaded');
+                    return;
+                }
+
+                const elem = getPreloadElement();
+                elem.autoplay = false;
+                elem.preload = 'auto';
+
+                const crossOrigin = htmlMediaHelper.getCrossOriginValue(streamInfo.mediaSource);
+                if (includeCorsCredentials) {
+                    // Safari will not send cookies without this
+                    elem.crossOrigin = 'use-credentials';
+                } else if (crossOrigin) {
+                    elem.crossOrigin = crossOrigin;
+                } else {
+                    elem.removeAttribute('crossorigin');
+                }
+
+                const nextTrack = {
+                    elem,
+                    options: streamInfo,
+                    normalizationGain: getNormalizationGain(userSettings, streamInfo),
+                    started: false
+                };
+
+                nextTrack.crossfade = self._crossfadeDuration > 0
+                    && supportsFade()
+                    && !self._hlsPlayer
+                    && !!getGainNode(self._mediaElement)
+                    && !!getGainNode(elem);
+
+                const gainNode = gainNodes.get(elem);
+                if (gainNode) {
+                    setGain(gainNode, nextTrack.crossfade ? 0 : getAbsoluteGain(elem, nextTrack.normalizationGain ?? 1));
+                }
+
+                self._nextTrack = nextTrack;
+
+                console.debug('preloading next track: ' + streamInfo.url);
+                return htmlMediaHelper.applySrc(elem, streamInfo.url, streamInfo);
+            }).catch((err) => {
+                console.warn('Failed to preload the next track', err);
+            });
+        }
+
+        function getPreloadElement() {
+            // The spare element may still be fading out the previous track
+            stopCrossfade();
+
+            let elem = self._preloadElement;
+
+            if (!elem) {
+                elem = document.createElement('audio');
+                elem.classList.add('mediaPlayerAudio');
+                elem.classList.add('hide');
+
+                document.body.appendChild(elem);
+
+                self._preloadElement = elem;
+            }
+
+            return elem;
+        }
+
+        function swapMediaElement(elem) {
+            const previousElem = self._mediaElement;
+
+            elem.volume = previousElem.volume;
+            elem.muted = previousElem.muted;
+
+            self._preloadElement = previousElem;
+            self._mediaElement = elem;
+            self.gainNode = gainNodes.get(elem);
+        }
+
+        // Switches to the preloaded track before the queue moves on, so there is no gap between both tracks
+        function startNextTrack(nextTrack, crossfadeDuration) {
+            const elem = self._mediaElement;
+
+            nextTrack.started = true;
+
+            unBindEvents(elem);
+            htmlMediaHelper.destroyHlsPlayer(self);
+
+            swapMediaElement(nextTrack.elem);
+
+            if (crossfadeDuration > 0) {
+                const gainNode = gainNodes.get(elem);
+                rampGain(gainNode, gainNode.gain.value, 0, crossfadeDuration);
+                rampGain(self.gainNode, 0, getAbsoluteGain(nextTrack.elem, nextTrack.normalizationGain ?? 1), crossfadeDuration);
+
+                self._fadingElement = elem;
+                crossfadeTimeout = setTimeout(stopCrossfade, crossfadeDuration * 1000);
+            } else {
+                elem.pause();
+                htmlMediaHelper.resetSrc(elem);
+            }
+
+            htmlMediaHelper.playWithPromise(nextTrack.elem, onError).catch((err) => {
+                console.error('Failed to start the next track', err);
+            });
+
+            const stopInfo = {
+                src: self._currentSrc
+            };
+
+            Events.trigger(self, 'stopped', [stopInfo]);
+
+            self._currentTime = null;
+            self._currentSrc = null;
+            self._currentPlayOptions = null;
+        }
+
+        function stopCrossfade() {
+            clearTimeout(crossfadeTimeout);
+            crossfadeTimeout = null;
+
+            const elem = self._fadingElement;
+            if (elem) {
+                self._fadingElement = null;
+                elem.pause();
+                htmlMediaHelper.resetSrc(elem);
+            }
+        }
+
+        function playNextTrack(nextTrack, options) {
+            const elem = nextTrack.elem;
+
+            self._nextTrack = null;
+            self._isNextTrackRequested = false;
+
+            if (!nextTrack.started) {
+                // The user skipped to the next track before the current one ended
+                nextTrack.started = true;
+                swapMediaElement(elem);
+            }
+
+            if (!nextTrack.crossfade) {
+                applyNormalizationGain(elem, nextTrack.normalizationGain);
+            } else {
+                self.normalizationGain = nextTrack.normalizationGain ?? 1;
+            }
+
+            bindEvents(elem);
+
+            self._started = true;
+            self._timeUpdated = false;
+            self._currentTime = null;
+            self._currentPlayOptions = options;
+            self._currentSrc = nextTrack.options.url;
+
+            return htmlMediaHelper.playWithPromise(elem, onError).then(() => {
+                Events.trigger(self, 'playing');
+            });
+        }
+
+        function discardNextTrack() {
+            const nextTrack = self._nextTrack;
+
+            self._nextTrack = null;
+            self._isNextTrackRequested = false;
+
+            if (!nextTrack) {
+                return;
+            }
+
+            if (nextTrack.started) {
+                // The preloaded element is already playing, it will be reused for the requested stream
+                const gainNode = gainNodes.get(nextTrack.elem);
+                if (gainNode) {
+                    setGain(gainNode, getAbsoluteGain(nextTrack.elem, 1));
+                }
+            } else {
+                htmlMediaHelper.resetSrc(nextTrack.elem);
+            }
+        }
+
+        function onNextTrackTimeUpdate(elem) {
+            if (!self._enableGaplessPlayback || !htmlMediaHelper.isValidDuration(elem.duration)) {
+                return;
+            }
+
+            const remaining = elem.duration - elem.currentTime;
+
+            if (!self._isNextTrackRequested && remaining <= PRELOAD_THRESHOLD + self._crossfadeDuration) {
+                preloadNextTrack();
+            }
+
+            const nextTrack = self._nextTrack;
+            if (nextTrack?.crossfade && !nextTrack.started && remaining <= self._crossfadeDuration) {
+                startNextTrack(nextTrack, Math.min(self._crossfadeDuration, remaining));
+            }
+        }
+
         function bindEvents(elem) {
             elem.addEventListener('timeupdate', onTimeUpdate);
             elem.addEventListener('ended', onEnded);
@@ -260,6 +532,9 @@ class HtmlAudioPlayer {
         self.destroy = function () {
             unBindEvents(self._mediaElement);
             htmlMediaHelper.resetSrc(self._mediaElement);
+
+            discardNextTrack();
+            stopCrossfade();
         };
 
         function createMediaElement() {
@@ -289,25 +564,60 @@ class HtmlAudioPlayer {
             return elem;
         }
 
-        function addGainElement(elem) {
+        function getGainNode(elem) {
+            let gainNode = gainNodes.get(elem);
+            if (gainNode) {
+                return gainNode;
+            }
+
             try {
-                const AudioContext = window.AudioContext || window.webkitAudioContext; /* eslint-disable-line compat/compat */
+                if (!self._audioContext) {
+                    const AudioContext = window.AudioContext || window.webkitAudioContext; /* eslint-disable-line compat/compat */
+                    self._audioContext = new AudioContext();
+                }
 
-                const audioCtx = new AudioContext();
+                const audioCtx = self._audioContext;
                 const source = audioCtx.createMediaElementSource(elem);
 
-                const gainNode = audioCtx.createGain();
+                gainNode = audioCtx.createGain();
 
                 source.connect(gainNode);
                 gainNode.connect(audioCtx.destination);
 
-                self.gainNode = gainNode;
+                gainNodes.set(elem, gainNode);
+
+                return gainNode;
             } catch (e) {
                 console.error('Web Audio API is not supported in this browser', e);
+                return null;
             }
         }
 
+        /**
+         * Gets the gain node the current track is played through, e.g. to analyse the audio.
+         * The track is routed through the Web Audio API if normalization and crossfading did not already.
+         * @returns {GainNode|null} The gain node or null if the Web Audio API is not supported.
+         */
+        self.getAudioGainNode = function () {
+            const elem = self._mediaElement;
+            if (!elem) return null;
+
+            const gainNode = getGainNode(elem);
+            if (gainNode && gainNode !== self.gainNode) {
+                self.gainNode = gainNode;
+                setGain(gainNode, getAbsoluteGain(elem, self.normalizationGain ?? 1));
+            }
+
+            return gainNode;
+        };
+
         function onEnded() {
+            const nextTrack = self._nextTrack;
+            if (nextTrack && !nextTrack.started) {
+                startNextTrack(nextTrack, 0);
+                return;
+            }
+
             htmlMediaHelper.onEndedInternal(self, this, onError);
         }
 
@@ -319,6 +629,8 @@ class HtmlAudioPlayer {
             if (!self._isFadingOut) {
                 self._currentTime = time;
                 Events.trigger(self, 'timeupdate');
+
+                onNextTrackTimeUpdate(this);
             }
         }
 
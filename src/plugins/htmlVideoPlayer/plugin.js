@@ -133,6 +133,26 @@ function getMediaStreamAudioTracks(mediaSource) {
     });
 }
 
+/**
+ * Checks if the audio of a media element can be read through the Web Audio API.
+ * @param {HTMLMediaElement} elem - The media element.
+ * @returns {boolean} Whether the media is same-origin or loaded with CORS.
+ */
+function canAnalyseMediaElement(elem) {
+    if (elem.crossOrigin) {
+        // The media would not have loaded if the server did not allow it
+        return true;
+    }
+
+    try {
+        // eslint-disable-next-line compat/compat
+        return new URL(elem.currentSrc || elem.src, window.location.href).origin === window.location.origin;
+    } catch (err) {
+        console.warn('[htmlVideoPlayer] invalid media url', err);
+        return false;
+    }
+}
+
 function getMediaStreamTextTracks(mediaSource) {
     return mediaSource.MediaStreams.filter(function (s) {
         return s.Type === 'Subtitle';
@@ -179,6 +199,9 @@ function getDefaultProfile() {
 const PRIMARY_TEXT_TRACK_INDEX = 0;
 const SECONDARY_TEXT_TRACK_INDEX = 1;
 
+/** The learning mode only pauses when the end of a subtitle was passed within this time, so seeking does not pause */
+const LEARNING_MODE_PAUSE_WINDOW_TICKS = 10000000;
+
 export class HtmlVideoPlayer {
     /**
      * @type {string}
@@ -262,6 +285,26 @@ export class HtmlVideoPlayer {
      * @type {any | null | undefined}
      */
     #currentSecondaryTrackEvents;
+    /**
+     * @type {boolean | undefined}
+     */
+    #enableLearningMode;
+    /**
+     * @type {any | null | undefined}
+     */
+    #learningModeTrackEvent;
+    /**
+     * @type {boolean | undefined}
+     */
+    #enableRevealSecondarySubtitles;
+    /**
+     * @type {any | null | undefined}
+     */
+    #secondaryTrackEvent;
+    /**
+     * @type {any | null | undefined}
+     */
+    #revealedSecondaryTrackEvent;
     /**
      * @type {string[] | undefined}
      */
@@ -270,6 +313,10 @@ export class HtmlVideoPlayer {
      * @type {HTMLVideoElement | null | undefined}
      */
     #mediaElement;
+    /**
+     * @type {AnalyserNode | null | undefined}
+     */
+    #audioAnalyser;
     /**
      * @type {number}
      */
@@ -731,6 +778,112 @@ export class HtmlVideoPlayer {
         return this.#currentTrackOffset;
     }
 
+    /**
+     * Gets the current subtitle track if its events are rendered from text, i.e. not by the ASS or PGS renderers.
+     * @returns {Object|undefined} The subtitle track.
+     */
+    #getTextSubtitleTrack() {
+        const track = getMediaStreamTextTracks(this._currentPlayOptions.mediaSource).find(t => t.Index === this.#customTrackIndex);
+        if (!track || [ 'ssa', 'ass', 'pgssub' ].includes((track.Codec || '').toLowerCase())) {
+            return undefined;
+        }
+
+        return track;
+    }
+
+    /**
+     * Checks if the current subtitle track can be aligned to the audio.
+     * @returns {boolean} Whether the track events of the current subtitle track are available.
+     */
+    canAutoAlignSubtitles() {
+        return !!this.#getTextSubtitleTrack();
+    }
+
+    /**
+     * Gets the events of the current subtitle track with their original timing.
+     * @returns {Promise<Array>} The track events.
+     */
+    async getSubtitleTrackEvents() {
+        const track = this.#getTextSubtitleTrack();
+        if (!track) {
+            return [];
+        }
+
+        // Fetch the track again, as the offset is applied to the displayed track events
+        const subtitleData = await this.fetchSubtitles(track, this._currentPlayOptions.item);
+        return subtitleData.TrackEvents || [];
+    }
+
+    /**
+     * Gets an analyser for the audio of the current media, e.g. to detect speech.
+     * The audio of the media element is routed through Web Audio from then on.
+     * @returns {AnalyserNode | null} The analyser or null if it is not supported.
+     */
+    getAudioAnalyser() {
+        const videoElement = this.#mediaElement;
+        if (!videoElement) {
+            return null;
+        }
+
+        if (!this.#audioAnalyser) {
+            // Cross-origin media without CORS is routed to Web Audio as silence, which would mute the playback
+            if (!canAnalyseMediaElement(videoElement)) {
+                console.debug('[htmlVideoPlayer] cross-origin media can not be analysed');
+                return null;
+            }
+
+            const AudioContext = window.AudioContext || window.webkitAudioContext;
+            if (!AudioContext) {
+                return null;
+            }
+
+            try {
+                const audioContext = new AudioContext();
+                const source = audioContext.createMediaElementSource(videoElement);
+                const analyser = audioContext.createAnalyser();
+                analyser.fftSize = 2048;
+                source.connect(analyser);
+                analyser.connect(audioContext.destination);
+                this.#audioAnalyser = analyser;
+            } catch (err) {
+                console.error('[htmlVideoPlayer] failed to create an audio analyser', err);
+                return null;
+            }
+        }
+
+        if (this.#audioAnalyser.context.state === 'suspended') {
+            this.#audioAnalyser.context.resume().catch(err => {
+                console.error('[htmlVideoPlayer] failed to resume the audio context', err);
+            });
+        }
+
+        return this.#audioAnalyser;
+    }
+
+    /**
+     * Reveals the secondary subtitles, if they are hidden until revealed.
+     * @param {number} [x] - The horizontal position of the click that has to be on the subtitles.
+     * @param {number} [y] - The vertical position of the click that has to be on the subtitles.
+     * @returns {boolean} Whether the subtitles were revealed.
+     */
+    revealSecondarySubtitles(x, y) {
+        const subtitlesElem = this.#videoSecondarySubtitlesElem;
+        if (!subtitlesElem?.classList.contains('videoSecondarySubtitlesInner-hidden')) {
+            return false;
+        }
+
+        if (x != null && y != null) {
+            const rect = subtitlesElem.getBoundingClientRect();
+            if (x < rect.left || x > rect.right || y < rect.top || y > rect.bottom) {
+                return false;
+            }
+        }
+
+        this.#revealedSecondaryTrackEvent = this.#secondaryTrackEvent;
+        subtitlesElem.classList.remove('videoSecondarySubtitlesInner-hidden');
+        return true;
+    }
+
     isPrimaryTrack(textTrackIndex) {
         return textTrackIndex === PRIMARY_TEXT_TRACK_INDEX;
     }
@@ -858,6 +1011,13 @@ export class HtmlVideoPlayer {
         if (videoElement) {
             this.#mediaElement = null;
 
+            if (this.#audioAnalyser) {
+                this.#audioAnalyser.context.close().catch(err => {
+                    console.error('[htmlVideoPlayer] failed to close the audio context', err);
+                });
+                this.#audioAnalyser = null;
+            }
+
             this.destroyCustomTrack(videoElement);
             videoElement.removeEventListener('timeupdate', this.onTimeUpdate);
             videoElement.removeEventListener('ended', this.onEnded);
@@ -1121,17 +1281,31 @@ export class HtmlVideoPlayer {
                 this.#videoSubtitlesElem = null;
             }
         } else if (this.isSecondaryTrack(targetTrackIndex)) {
-            if (this.#videoSecondarySubtitlesElem) {
-                tryRemoveElement(this.#videoSecondarySubtitlesElem);
-                this.#videoSecondarySubtitlesElem = null;
-            }
+            this.destroySecondarySubtitlesElement();
         } else if (this.#videoSubtitlesElem) {
             // destroy all
             const subtitlesContainer = this.#videoSubtitlesElem.parentNode;
             if (subtitlesContainer) {
                 tryRemoveElement(subtitlesContainer);
             }
+            this.destroySecondarySubtitlesElement();
             this.#videoSubtitlesElem = null;
+        }
+    }
+
+    /**
+         * @private
+         */
+    destroySecondarySubtitlesElement() {
+        const subtitlesElem = this.#videoSecondarySubtitlesElem;
+        if (subtitlesElem) {
+            // Secondary subtitles with their own position have a separate container
+            const subtitlesContainer = subtitlesElem.parentNode;
+            if (subtitlesContainer?.classList.contains('videoSecondarySubtitles')) {
+                tryRemoveElement(subtitlesContainer);
+            } else {
+                tryRemoveElement(subtitlesElem);
+            }
             this.#videoSecondarySubtitlesElem = null;
         }
     }
@@ -1163,14 +1337,20 @@ export class HtmlVideoPlayer {
         if (this.isPrimaryTrack(targetTrackIndex)) {
             this.#customTrackIndex = -1;
             this.#currentTrackEvents = null;
+            this.#learningModeTrackEvent = null;
         } else if (this.isSecondaryTrack(targetTrackIndex)) {
             this.#customSecondaryTrackIndex = -1;
             this.#currentSecondaryTrackEvents = null;
+            this.#secondaryTrackEvent = null;
+            this.#revealedSecondaryTrackEvent = null;
         } else { // destroy all
             this.#customTrackIndex = -1;
             this.#customSecondaryTrackIndex = -1;
             this.#currentTrackEvents = null;
             this.#currentSecondaryTrackEvents = null;
+            this.#learningModeTrackEvent = null;
+            this.#secondaryTrackEvent = null;
+            this.#revealedSecondaryTrackEvent = null;
         }
     }
 
@@ -1361,6 +1541,11 @@ export class HtmlVideoPlayer {
          * @private
          */
     requiresCustomSubtitlesElement(userSettings) {
+        // Native tracks cannot pause at the end of a cue or hide the secondary cues
+        if (userSettings.subtitleLearningMode() || userSettings.revealSecondarySubtitles()) {
+            return true;
+        }
+
         const subtitleAppearance = userSettings.getSubtitleAppearanceSettings();
         switch (subtitleAppearance.subtitleStyling) {
             case 'Native':
@@ -1408,6 +1593,7 @@ export class HtmlVideoPlayer {
             const [userSettings, subtitleData] = results;
             const subtitleAppearance = userSettings.getSubtitleAppearanceSettings();
             const subtitleVerticalPosition = parseInt(subtitleAppearance.verticalPosition, 10);
+            const secondarySubtitleAppearance = userSettings.getSecondarySubtitleAppearanceSettings();
 
             if (!this.#videoSubtitlesElem && !this.isSecondaryTrack(targetTextTrackIndex)) {
                 let subtitlesContainer = document.querySelector('.videoSubtitles');
@@ -1419,23 +1605,36 @@ export class HtmlVideoPlayer {
                 subtitlesElement.classList.add('videoSubtitlesInner');
                 subtitlesContainer.appendChild(subtitlesElement);
                 this.#videoSubtitlesElem = subtitlesElement;
-                this.setSubtitleAppearance(subtitlesContainer, this.#videoSubtitlesElem);
+                this.setSubtitleAppearance(subtitlesContainer, this.#videoSubtitlesElem, subtitleAppearance);
                 videoElement.parentNode.appendChild(subtitlesContainer);
                 this.#currentTrackEvents = subtitleData.TrackEvents;
+                this.#enableLearningMode = userSettings.subtitleLearningMode();
             } else if (!this.#videoSecondarySubtitlesElem && this.isSecondaryTrack(targetTextTrackIndex)) {
                 const subtitlesContainer = document.querySelector('.videoSubtitles');
                 if (!subtitlesContainer) return;
                 const secondarySubtitlesElement = document.createElement('div');
                 secondarySubtitlesElement.classList.add('videoSecondarySubtitlesInner');
-                // determine the order of the subtitles
-                if (subtitleVerticalPosition < 0) {
-                    subtitlesContainer.insertBefore(secondarySubtitlesElement, subtitlesContainer.firstChild);
+                this.#videoSecondarySubtitlesElem = secondarySubtitlesElement;
+
+                if (secondarySubtitleAppearance.stackWithPrimary) {
+                    // determine the order of the subtitles
+                    if (subtitleVerticalPosition < 0) {
+                        subtitlesContainer.insertBefore(secondarySubtitlesElement, subtitlesContainer.firstChild);
+                    } else {
+                        subtitlesContainer.appendChild(secondarySubtitlesElement);
+                    }
+                    // The shared container is positioned by the primary subtitles
+                    this.setSubtitleAppearance(null, secondarySubtitlesElement, secondarySubtitleAppearance);
                 } else {
-                    subtitlesContainer.appendChild(secondarySubtitlesElement);
+                    const secondarySubtitlesContainer = document.createElement('div');
+                    secondarySubtitlesContainer.classList.add('videoSecondarySubtitles');
+                    secondarySubtitlesContainer.appendChild(secondarySubtitlesElement);
+                    subtitlesContainer.parentNode.appendChild(secondarySubtitlesContainer);
+                    this.setSubtitleAppearance(secondarySubtitlesContainer, secondarySubtitlesElement, secondarySubtitleAppearance);
                 }
-                this.#videoSecondarySubtitlesElem = secondarySubtitlesElement;
-                this.setSubtitleAppearance(subtitlesContainer, this.#videoSecondarySubtitlesElem);
+
                 this.#currentSecondaryTrackEvents = subtitleData.TrackEvents;
+                this.#enableRevealSecondarySubtitles = userSettings.revealSecondarySubtitles();
             }
         });
     }
@@ -1443,12 +1642,12 @@ export class HtmlVideoPlayer {
     /**
          * @private
          */
-    setSubtitleAppearance(elem, innerElem) {
-        Promise.all([import('../../scripts/settings/userSettings'), import('../../components/subtitlesettings/subtitleappearancehelper')]).then(([userSettings, subtitleAppearanceHelper]) => {
+    setSubtitleAppearance(elem, innerElem, appearanceSettings) {
+        import('../../components/subtitlesettings/subtitleappearancehelper').then((subtitleAppearanceHelper) => {
             subtitleAppearanceHelper.applyStyles({
                 text: innerElem,
                 window: elem
-            }, userSettings.getSubtitleAppearanceSettings());
+            }, appearanceSettings);
         });
     }
 
@@ -1554,19 +1753,39 @@ export class HtmlVideoPlayer {
         });
     }
 
+    /**
+         * @private
+         */
+    pauseAtTrackEventEnd(trackEvent, ticks) {
+        const lastTrackEvent = this.#learningModeTrackEvent;
+        this.#learningModeTrackEvent = trackEvent;
+
+        if (!lastTrackEvent || lastTrackEvent === trackEvent) {
+            return false;
+        }
+
+        const ticksSinceEnd = ticks - lastTrackEvent.EndPositionTicks;
+        if (ticksSinceEnd < 0 || ticksSinceEnd > LEARNING_MODE_PAUSE_WINDOW_TICKS) {
+            return false;
+        }
+
+        this.pause();
+        return true;
+    }
+
     /**
          * @private
          */
     updateSubtitleText(timeMs) {
         const allTrackEvents = [this.#currentTrackEvents, this.#currentSecondaryTrackEvents];
         const subtitleTextElements = [this.#videoSubtitlesElem, this.#videoSecondarySubtitlesElem];
+        const ticks = timeMs * 10000;
 
         for (let i = 0; i < allTrackEvents.length; i++) {
             const trackEvents = allTrackEvents[i];
             const subtitleTextElement = subtitleTextElements[i];
 
             if (trackEvents && subtitleTextElement) {
-                const ticks = timeMs * 10000;
                 let selectedTrackEvent;
                 for (const trackEvent of trackEvents) {
                     if (trackEvent.StartPositionTicks <= ticks && trackEvent.EndPositionTicks >= ticks) {
@@ -1575,6 +1794,17 @@ export class HtmlVideoPlayer {
                     }
                 }
 
+                // Keep the finished subtitles on screen while paused in learning mode
+                if (this.isPrimaryTrack(i) && this.#enableLearningMode && this.pauseAtTrackEventEnd(selectedTrackEvent, ticks)) {
+                    return;
+                }
+
+                if (this.isSecondaryTrack(i)) {
+                    this.#secondaryTrackEvent = selectedTrackEvent;
+                    subtitleTextElement.classList.toggle('videoSecondarySubtitlesInner-hidden',
+                        !!this.#enableRevealSecondarySubtitles && selectedTrackEvent !== this.#revealedSecondaryTrackEvent);
+                }
+
                 if (selectedTrackEvent?.Text) {
                     subtitleTextElement.innerHTML = DOMPurify.sanitize(
                         normalizeTrackEventText(selectedTrackEvent.Text, true));
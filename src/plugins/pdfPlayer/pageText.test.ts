@@ -0,0 +1,49 @@
+import { describe, expect, it } from 'vitest';
+
+import { buildPageText, getTextRects } from './pageText';
+
+const createItem = (str: string, x: number, y: number, hasEOL = false) => ({
+    str,
+    hasEOL,
+    transform: [ 10, 0, 0, 10, x, y ],
+    width: str.length * 5,
+    height: 10
+});
+
+// A page of 100 units high, drawn at twice its size
+const viewport = {
+    convertToViewportPoint: (x: number, y: number) => [ x * 2, (100 - y) * 2 ]
+};
+
+describe('buildPageText', () => {
+    it('Should join the text items and skip marked content', () => {
+        const first = createItem('Hello ', 0, 90);
+        const second = createItem('world', 30, 90, true);
+        const third = createItem('Again', 0, 80);
+
+        const { text, spans } = buildPageText([ first, { type: 'beginMarkedContent' }, second, third ]);
+
+        expect(text).toBe('Hello world\nAgain');
+        expect(spans.map(s => [ s.start, s.end ])).toEqual([ [ 0, 6 ], [ 6, 11 ], [ 12, 17 ] ]);
+    });
+});
+
+describe('getTextRects', () => {
+    it('Should cover the matched characters of each item', () => {
+        const { spans } = buildPageText([ createItem('Hello ', 0, 90), createItem('world', 30, 90, true), createItem('Again', 0, 80) ]);
+
+        // "world\nAg"
+        const rects = getTextRects(spans, 6, 8, viewport);
+
+        expect(rects).toEqual([
+            { left: 60, top: 0, width: 50, height: 20 },
+            { left: 0, top: 20, width: 20, height: 20 }
+        ]);
+    });
+
+    it('Should return nothing outside of the text', () => {
+        const { spans } = buildPageText([ createItem('Hello', 0, 90) ]);
+
+        expect(getTextRects(spans, 10, 2, viewport)).toEqual([]);
+    });
+});
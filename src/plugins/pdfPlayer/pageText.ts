@@ -0,0 +1,85 @@
+/** A run of text in a PDF page, as returned by `getTextContent` */
+export interface PdfTextItem {
+    str: string
+    hasEOL?: boolean
+    /** The transform from the text space to the page space */
+    transform: number[]
+    width: number
+    height: number
+}
+
+export interface PdfTextSpan {
+    /** The position of the item in the page text */
+    start: number
+    end: number
+    item: PdfTextItem
+}
+
+export interface PdfPageText {
+    text: string
+    spans: PdfTextSpan[]
+}
+
+export interface PdfViewport {
+    convertToViewportPoint(x: number, y: number): number[]
+}
+
+export interface TextRect {
+    left: number
+    top: number
+    width: number
+    height: number
+}
+
+const isTextItem = (item: unknown): item is PdfTextItem => typeof (item as PdfTextItem)?.str === 'string';
+
+/**
+ * Joins the text items of a page into a searchable text, keeping track of where each item is.
+ */
+export function buildPageText(items: unknown[]): PdfPageText {
+    let text = '';
+    const spans: PdfTextSpan[] = [];
+
+    for (const item of items.filter(isTextItem)) {
+        spans.push({ start: text.length, end: text.length + item.str.length, item });
+        text += item.str;
+
+        if (item.hasEOL) {
+            text += '\n';
+        }
+    }
+
+    return { text, spans };
+}
+
+/**
+ * Gets the rectangles covering a range of the page text, in viewport coordinates.
+ * Characters are assumed to have the same width, since the text content only has the size of whole items.
+ */
+export function getTextRects(spans: PdfTextSpan[], index: number, length: number, viewport: PdfViewport): TextRect[] {
+    const rects: TextRect[] = [];
+
+    for (const { start, end, item } of spans) {
+        const rangeStart = Math.max(index, start);
+        const rangeEnd = Math.min(index + length, end);
+        if (rangeStart >= rangeEnd) continue;
+
+        const x = item.transform[4];
+        const y = item.transform[5];
+        const height = item.height || Math.hypot(item.transform[2], item.transform[3]);
+        const startX = x + item.width * (rangeStart - start) / item.str.length;
+        const endX = x + item.width * (rangeEnd - start) / item.str.length;
+
+        const [ x1, y1 ] = viewport.convertToViewportPoint(startX, y);
+        const [ x2, y2 ] = viewport.convertToViewportPoint(endX, y + height);
+
+        rects.push({
+            left: Math.min(x1, x2),
+            top: Math.min(y1, y2),
+            width: Math.abs(x2 - x1),
+            height: Math.abs(y2 - y1)
+        });
+    }
+
+    return rects;
+}
@@ -2,6 +2,12 @@ import loading from '../../components/loading/loading';
 import keyboardnavigation from '../../scripts/keyboardNavigation';
 import dialogHelper from '../../components/dialogHelper/dialogHelper';
 import dom from '../../utils/dom';
+import DocumentSearch from '../../components/documentSearch/documentSearch';
+import globalize from '../../lib/globalize';
+import { findMatches } from '../../utils/textSearch.ts';
+import { getResumePage, setReadingProgress } from '../../utils/readingProgress.ts';
+import * as userSettings from '../../scripts/settings/userSettings';
+import { buildPageText, getTextRects } from './pageText.ts';
 import { appRouter } from '../../components/router/appRouter';
 import { ServerConnections } from 'lib/jellyfin-apiclient';
 import { PluginType } from '../../types/plugin.ts';
@@ -20,6 +26,7 @@ export class PdfPlayer {
         this.onDialogClosed = this.onDialogClosed.bind(this);
         this.onWindowKeyDown = this.onWindowKeyDown.bind(this);
         this.onTouchStart = this.onTouchStart.bind(this);
+        this.openSearch = this.openSearch.bind(this);
     }
 
     play(options) {
@@ -27,6 +34,9 @@ export class PdfPlayer {
         this.loaded = false;
         this.cancellationToken = false;
         this.pages = {};
+        this.pageTexts = {};
+        this.searchHighlight = null;
+        this.documentSearch = null;
 
         loading.show();
 
@@ -43,6 +53,9 @@ export class PdfPlayer {
 
         Events.trigger(this, 'stopped', [stopInfo]);
 
+        this.documentSearch?.cancel();
+        this.documentSearch = null;
+
         const elem = this.mediaElement;
         if (elem) {
             dialogHelper.close(elem);
@@ -91,6 +104,9 @@ export class PdfPlayer {
     onWindowKeyDown(e) {
         if (!this.loaded) return;
 
+        // Let the search dialog handle its own keys
+        if (this.documentSearch?.isOpened()) return;
+
         // Skip modified keys
         if (e.ctrlKey || e.altKey || e.metaKey || e.shiftKey) return;
 
@@ -118,6 +134,8 @@ export class PdfPlayer {
 
     onTouchStart(e) {
         if (!this.loaded || !e.touches || e.touches.length === 0) return;
+        // Ignore touches on the buttons and on dialogs shown over the player
+        if (!this.mediaElement?.contains(e.target) || e.target.closest('.actionButtons')) return;
         if (e.touches[0].clientX < dom.getWindowSize().innerWidth / 2) {
             this.previous();
         } else {
@@ -134,6 +152,7 @@ export class PdfPlayer {
 
         elem.addEventListener('close', this.onDialogClosed, { once: true });
         elem.querySelector('.btnExit').addEventListener('click', this.onDialogClosed, { once: true });
+        elem.querySelector('.btnSearch').addEventListener('click', this.openSearch);
     }
 
     bindEvents() {
@@ -148,6 +167,7 @@ export class PdfPlayer {
 
         elem.removeEventListener('close', this.onDialogClosed);
         elem.querySelector('.btnExit').removeEventListener('click', this.onDialogClosed);
+        elem.querySelector('.btnSearch').removeEventListener('click', this.openSearch);
     }
 
     unbindEvents() {
@@ -178,7 +198,9 @@ export class PdfPlayer {
 
             let html = '';
             html += '<canvas id="canvas"></canvas>';
+            html += '<div class="searchHighlights"></div>';
             html += '<div class="actionButtons">';
+            html += `<button is="paper-icon-button-light" class="autoSize btnSearch" tabindex="-1" title="${globalize.translate('Search')}"><span class="material-icons actionButtonIcon search" aria-hidden="true"></span></button>`;
             html += '<button is="paper-icon-button-light" class="autoSize btnExit" tabindex="-1"><span class="material-icons actionButtonIcon close" aria-hidden="true"></span></button>';
             html += '</div>';
 
@@ -225,13 +247,9 @@ export class PdfPlayer {
                 this.book = book;
                 this.loaded = true;
 
-                const percentageTicks = options.startPositionTicks / 10000;
-                if (percentageTicks !== 0) {
-                    this.loadPage(percentageTicks + 1);
-                    this.progress = percentageTicks;
-                } else {
-                    this.loadPage(1);
-                }
+                const page = Math.min(getResumePage(userSettings.currentSettings, item, options.startPositionTicks), book.numPages - 1);
+                this.loadPage(page + 1);
+                this.progress = page;
             });
         });
     }
@@ -239,19 +257,101 @@ export class PdfPlayer {
     next() {
         if (this.progress === this.duration() - 1) return;
         this.loadPage(this.progress + 2);
-        this.progress = this.progress + 1;
-
-        Events.trigger(this, 'pause');
+        this.setProgress(this.progress + 1);
     }
 
     previous() {
         if (this.progress === 0) return;
         this.loadPage(this.progress);
-        this.progress = this.progress - 1;
+        this.setProgress(this.progress - 1);
+    }
+
+    setProgress(index) {
+        this.progress = index;
+        setReadingProgress(userSettings.currentSettings, this.item.Id, index, this.duration());
 
         Events.trigger(this, 'pause');
     }
 
+    openSearch() {
+        if (!this.loaded) return;
+
+        if (!this.documentSearch) {
+            this.documentSearch = new DocumentSearch({
+                search: (query, onResults, token) => this.search(query, onResults, token),
+                onSelect: (result) => this.showSearchResult(result)
+            });
+        }
+
+        this.documentSearch.show();
+    }
+
+    getPageText(number) {
+        if (!this.pageTexts[number]) {
+            this.pageTexts[number] = this.book.getPage(number)
+                .then(page => page.getTextContent())
+                .then(content => buildPageText(content.items));
+        }
+
+        return this.pageTexts[number];
+    }
+
+    async search(query, onResults, token) {
+        for (let number = 1; number <= this.duration(); number++) {
+            if (token.cancelled || this.cancellationToken) return;
+
+            const { text } = await this.getPageText(number);
+            onResults(findMatches(text, query).map(match => ({
+                ...match,
+                page: number,
+                location: globalize.translate('PageNumber', number)
+            })));
+        }
+    }
+
+    showSearchResult(result) {
+        this.searchHighlight = result;
+
+        const index = result.page - 1;
+        if (index !== this.progress) {
+            this.loadPage(result.page);
+            this.setProgress(index);
+        } else {
+            this.updateSearchHighlight();
+        }
+    }
+
+    updateSearchHighlight() {
+        const container = this.mediaElement?.querySelector('.searchHighlights');
+        if (!container) return;
+
+        container.innerHTML = '';
+
+        const highlight = this.searchHighlight;
+        const canvas = document.getElementById('canvas');
+        if (!highlight || !canvas?.viewport || canvas.pageNumber !== highlight.page) return;
+
+        this.getPageText(highlight.page).then(({ spans }) => {
+            // The page may have changed while the text was loading
+            if (document.getElementById('canvas') !== canvas) return;
+
+            const scaleX = canvas.clientWidth / canvas.width;
+            const scaleY = canvas.clientHeight / canvas.height;
+
+            for (const rect of getTextRects(spans, highlight.index, highlight.length, canvas.viewport)) {
+                const elem = document.createElement('div');
+                elem.classList.add('searchHighlight');
+                elem.style.left = `${canvas.offsetLeft + rect.left * scaleX}px`;
+                elem.style.top = `${canvas.offsetTop + rect.top * scaleY}px`;
+                elem.style.width = `${rect.width * scaleX}px`;
+                elem.style.height = `${rect.height * scaleY}px`;
+                container.appendChild(elem);
+            }
+        }).catch(err => {
+            console.error('[PdfPlayer] failed to highlight search result', err);
+        });
+    }
+
     replaceCanvas(canvas) {
         const old = document.getElementById('canvas');
 
@@ -274,12 +374,14 @@ export class PdfPlayer {
         for (const page of pages) {
             if (!this.pages[page]) {
                 this.pages[page] = document.createElement('canvas');
+                this.pages[page].pageNumber = parseInt(page.slice(4), 10);
                 this.renderPage(this.pages[page], parseInt(page.slice(4), 10));
             }
         }
 
         // show the requested page
         this.replaceCanvas(this.pages[prefix + number], number);
+        this.updateSearchHighlight();
 
         // delete all pages outside the cache area
         for (const page in this.pages) {
@@ -298,6 +400,7 @@ export class PdfPlayer {
 
             canvas.width = viewport.width;
             canvas.height = viewport.height;
+            canvas.viewport = viewport;
 
             if (window.innerWidth < window.innerHeight) {
                 canvas.style.width = '100%';
@@ -314,6 +417,10 @@ export class PdfPlayer {
                 viewport: viewport
             };
 
+            if (canvas === document.getElementById('canvas')) {
+                this.updateSearchHighlight();
+            }
+
             const renderTask = page.render(renderContext);
             renderTask.promise.then(() => {
                 loading.hide();
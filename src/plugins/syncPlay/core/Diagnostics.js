@@ -0,0 +1,196 @@
+/**
+ * Module that records SyncPlay diagnostics.
+ * @module components/syncPlay/core/Diagnostics
+ */
+
+import Events from '../../../utils/events.ts';
+
+/**
+ * The version of the exported diagnostics.
+ */
+export const DiagnosticsVersion = 1;
+
+/**
+ * The largest number of samples kept for each series.
+ */
+const MaxSamples = 3600;
+
+/**
+ * The shortest time between two drift samples, in milliseconds.
+ * The drift is measured on every time update, which would fill the history too quickly.
+ */
+const MinDriftSampleInterval = 500;
+
+function addSample(samples, sample) {
+    samples.push(sample);
+
+    if (samples.length > MaxSamples) {
+        samples.splice(0, samples.length - MaxSamples);
+    }
+}
+
+/**
+ * Class that records the playback drift, time sync and sync corrections of a SyncPlay session.
+ */
+class Diagnostics {
+    constructor() {
+        this.manager = null;
+        this.clear();
+    }
+
+    /**
+     * Initializes the diagnostics.
+     * @param {Manager} syncPlayManager The SyncPlay manager.
+     */
+    init(syncPlayManager) {
+        // The manager is initialized again for every new ApiClient
+        if (this.manager === syncPlayManager) {
+            return;
+        }
+
+        this.manager = syncPlayManager;
+
+        Events.on(syncPlayManager, 'enabled', (_event, enabled) => {
+            // Keep the data of the last session after leaving the group, so it can still be exported
+            if (enabled) {
+                this.clear();
+            }
+        });
+
+        Events.on(syncPlayManager, 'playback-diff', (_event, diffMillis) => {
+            this.addDrift(diffMillis);
+        });
+
+        Events.on(syncPlayManager, 'sync-correction', (_event, correction) => {
+            this.addCorrection(correction);
+        });
+
+        Events.on(syncPlayManager.getTimeSyncCore(), 'time-sync-server-update', (_event, timeOffset, ping) => {
+            this.addTimeSync(timeOffset, ping);
+        });
+    }
+
+    /**
+     * Clears the recorded data and starts a new session.
+     */
+    clear() {
+        this.startedAt = Date.now();
+        this.drift = [];
+        this.timeSync = [];
+        this.corrections = [];
+    }
+
+    /**
+     * Records the difference between the local and the group playback position.
+     * @param {number} diffMillis The difference, in milliseconds. Positive when the local playback is behind.
+     * @param {number} [time] The local time of the measurement, in milliseconds.
+     */
+    addDrift(diffMillis, time = Date.now()) {
+        const lastSample = this.drift[this.drift.length - 1];
+        if (lastSample && time - lastSample.Time < MinDriftSampleInterval) {
+            return;
+        }
+
+        addSample(this.drift, {
+            Time: time,
+            DiffMillis: diffMillis
+        });
+    }
+
+    /**
+     * Records a time sync measurement.
+     * @param {number} timeOffset The time offset to the server, in milliseconds.
+     * @param {number} ping The ping to the server, in milliseconds.
+     * @param {number} [time] The local time of the measurement, in milliseconds.
+     */
+    addTimeSync(timeOffset, ping, time = Date.now()) {
+        addSample(this.timeSync, {
+            Time: time,
+            TimeOffset: timeOffset,
+            Ping: ping
+        });
+    }
+
+    /**
+     * Records a sync correction applied to the playback.
+     * @param {Object} correction The correction, with the Method used (SpeedToSync or SkipToSync) and the DiffMillis it was based on.
+     * @param {number} [time] The local time of the correction, in milliseconds.
+     */
+    addCorrection(correction, time = Date.now()) {
+        addSample(this.corrections, {
+            Time: time,
+            ...correction
+        });
+    }
+
+    /**
+     * Gets the recorded drift samples.
+     * @returns {Array} The samples, oldest first.
+     */
+    getDrift() {
+        return this.drift;
+    }
+
+    /**
+     * Gets the recorded time sync measurements.
+     * @returns {Array} The measurements, oldest first.
+     */
+    getTimeSync() {
+        return this.timeSync;
+    }
+
+    /**
+     * Gets the recorded sync correction decisions.
+     * @returns {Array} The decisions, oldest first.
+     */
+    getCorrections() {
+        return this.corrections;
+    }
+
+    /**
+     * Gets the settings that affect the sync corrections.
+     * @returns {Object} The settings.
+     */
+    getSettings() {
+        const playbackCore = this.manager?.getPlaybackCore();
+        const timeSyncCore = this.manager?.getTimeSyncCore();
+
+        return {
+            EnableSyncCorrection: playbackCore?.enableSyncCorrection,
+            UseSpeedToSync: playbackCore?.useSpeedToSync,
+            UseSkipToSync: playbackCore?.useSkipToSync,
+            MinDelaySpeedToSync: playbackCore?.minDelaySpeedToSync,
+            MaxDelaySpeedToSync: playbackCore?.maxDelaySpeedToSync,
+            SpeedToSyncDuration: playbackCore?.speedToSyncDuration,
+            MinDelaySkipToSync: playbackCore?.minDelaySkipToSync,
+            ExtraTimeOffset: timeSyncCore?.extraTimeOffset
+        };
+    }
+
+    /**
+     * Gets the recorded session in a form that can be attached to bug reports.
+     * @returns {Object} The diagnostics.
+     */
+    export() {
+        const groupInfo = this.manager?.getGroupInfo();
+
+        return {
+            Version: DiagnosticsVersion,
+            StartedAt: new Date(this.startedAt).toISOString(),
+            ExportedAt: new Date().toISOString(),
+            UserAgent: navigator.userAgent,
+            Group: groupInfo ? {
+                GroupId: groupInfo.GroupId,
+                GroupName: groupInfo.GroupName,
+                Participants: groupInfo.Participants
+            } : null,
+            TimeSyncDevice: this.manager?.getTimeSyncCore().getActiveDeviceName(),
+            Settings: this.getSettings(),
+            Drift: this.drift,
+            TimeSync: this.timeSync,
+            Corrections: this.corrections
+        };
+    }
+}
+
+export default Diagnostics;
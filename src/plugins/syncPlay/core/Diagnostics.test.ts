@@ -0,0 +1,109 @@
+import { describe, expect, it } from 'vitest';
+
+import Events from '../../../utils/events';
+
+import Diagnostics, { DiagnosticsVersion } from './Diagnostics';
+
+const createManager = () => {
+    const timeSyncCore = {
+        extraTimeOffset: 0,
+        getActiveDeviceName: () => 'Server'
+    };
+    const playbackCore = {
+        enableSyncCorrection: true,
+        useSpeedToSync: true,
+        useSkipToSync: true,
+        minDelaySpeedToSync: 60,
+        maxDelaySpeedToSync: 3000,
+        speedToSyncDuration: 1000,
+        minDelaySkipToSync: 400
+    };
+
+    return {
+        timeSyncCore,
+        getTimeSyncCore: () => timeSyncCore,
+        getPlaybackCore: () => playbackCore,
+        getGroupInfo: () => ({ GroupId: 'group', GroupName: 'Movie night', Participants: [ 'Alice', 'Bob' ] })
+    };
+};
+
+const createDiagnostics = () => {
+    const manager = createManager();
+    const diagnostics = new Diagnostics();
+    diagnostics.init(manager);
+    return { diagnostics, manager };
+};
+
+describe('Diagnostics', () => {
+    it('Should record the events of the manager', () => {
+        const { diagnostics, manager } = createDiagnostics();
+
+        Events.trigger(manager, 'playback-diff', [ 120 ]);
+        Events.trigger(manager, 'sync-correction', [{ Method: 'SpeedToSync', DiffMillis: 120, Speed: 1.1, Duration: 1000 }]);
+        Events.trigger(manager.timeSyncCore, 'time-sync-server-update', [ 15, 40 ]);
+
+        expect(diagnostics.getDrift()).toMatchObject([{ DiffMillis: 120 }]);
+        expect(diagnostics.getCorrections()).toMatchObject([{ Method: 'SpeedToSync', Speed: 1.1 }]);
+        expect(diagnostics.getTimeSync()).toMatchObject([{ TimeOffset: 15, Ping: 40 }]);
+    });
+
+    it('Should not listen twice to the same manager', () => {
+        const { diagnostics, manager } = createDiagnostics();
+        diagnostics.init(manager);
+
+        Events.trigger(manager, 'sync-correction', [{ Method: 'SkipToSync', DiffMillis: 500 }]);
+
+        expect(diagnostics.getCorrections()).toHaveLength(1);
+    });
+
+    it('Should throttle the drift samples', () => {
+        const { diagnostics } = createDiagnostics();
+
+        diagnostics.addDrift(10, 1000);
+        diagnostics.addDrift(20, 1200);
+        diagnostics.addDrift(30, 1500);
+
+        expect(diagnostics.getDrift().map((s) => s.DiffMillis)).toEqual([ 10, 30 ]);
+    });
+
+    it('Should limit the number of samples', () => {
+        const { diagnostics } = createDiagnostics();
+
+        for (let i = 0; i < 4000; i++) {
+            diagnostics.addTimeSync(i, 10, i);
+        }
+
+        const timeSync = diagnostics.getTimeSync();
+        expect(timeSync).toHaveLength(3600);
+        expect(timeSync[0].TimeOffset).toBe(400);
+    });
+
+    it('Should start a new session when joining a group', () => {
+        const { diagnostics, manager } = createDiagnostics();
+        diagnostics.addDrift(10);
+
+        Events.trigger(manager, 'enabled', [ false ]);
+        expect(diagnostics.getDrift()).toHaveLength(1);
+
+        Events.trigger(manager, 'enabled', [ true ]);
+        expect(diagnostics.getDrift()).toHaveLength(0);
+    });
+
+    it('Should export the session', () => {
+        const { diagnostics } = createDiagnostics();
+        diagnostics.addDrift(10, 1000);
+        diagnostics.addCorrection({ Method: 'SkipToSync', DiffMillis: 500, PositionTicks: 10000 }, 2000);
+
+        const data = diagnostics.export();
+
+        expect(data).toMatchObject({
+            Version: DiagnosticsVersion,
+            Group: { GroupId: 'group', GroupName: 'Movie night', Participants: [ 'Alice', 'Bob' ] },
+            TimeSyncDevice: 'Server',
+            Settings: { MinDelaySpeedToSync: 60, MinDelaySkipToSync: 400, ExtraTimeOffset: 0 },
+            Drift: [{ Time: 1000, DiffMillis: 10 }],
+            Corrections: [{ Time: 2000, Method: 'SkipToSync', DiffMillis: 500 }]
+        });
+        expect(() => JSON.parse(JSON.stringify(data))).not.toThrow();
+    });
+});
@@ -8,6 +8,8 @@ import TimeSyncCore from './timeSync/TimeSyncCore';
 import PlaybackCore from './PlaybackCore';
 import QueueCore from './QueueCore';
 import Controller from './Controller';
+import ChatCore, { ChatMessageType } from './chat/ChatCore';
+import Diagnostics from './Diagnostics';
 import toast from '../../../components/toast/toast';
 import globalize from '../../../lib/globalize';
 import Events from '../../../utils/events.ts';
@@ -28,6 +30,8 @@ class Manager {
         this.playbackCore = new PlaybackCore();
         this.queueCore = new QueueCore();
         this.controller = new Controller();
+        this.chatCore = new ChatCore();
+        this.diagnostics = new Diagnostics();
 
         this.syncMethod = 'None'; // Used for stats.
 
@@ -58,6 +62,8 @@ class Manager {
         this.playbackCore.init(this);
         this.queueCore.init(this);
         this.controller.init(this);
+        this.chatCore.init(this);
+        this.diagnostics.init(this);
 
         Events.on(this.timeSyncCore, 'time-sync-server-update', (event, timeOffset, ping) => {
             // Report ping back to server.
@@ -113,6 +119,22 @@ class Manager {
         return this.controller;
     }
 
+    /**
+     * Gets the chat core.
+     * @returns {ChatCore} The chat core.
+     */
+    getChatCore() {
+        return this.chatCore;
+    }
+
+    /**
+     * Gets the diagnostics of the current session.
+     * @returns {Diagnostics} The diagnostics.
+     */
+    getDiagnostics() {
+        return this.diagnostics;
+    }
+
     /**
      * Gets the player wrapper used to control local playback.
      * @returns {SyncPlayGenericPlayer} The player wrapper.
@@ -200,12 +222,14 @@ class Manager {
                 } else {
                     this.groupInfo.Participants.push(cmd.Data);
                 }
+                this.chatCore.addMemberEvent(ChatMessageType.UserJoined, cmd.Data);
                 break;
             case 'UserLeft':
                 toast(globalize.translate('MessageSyncPlayUserLeft', cmd.Data));
                 if (this.groupInfo.Participants) {
                     this.groupInfo.Participants = this.groupInfo.Participants.filter((user) => user !== cmd.Data);
                 }
+                this.chatCore.addMemberEvent(ChatMessageType.UserLeft, cmd.Data);
                 break;
             case 'GroupJoined':
                 cmd.Data.LastUpdatedAt = new Date(cmd.Data.LastUpdatedAt);
@@ -389,6 +413,15 @@ class Manager {
 
         this.timeSyncCore.forceUpdate();
 
+        apiClient.getCurrentUser().then((user) => {
+            // The group may have been left in the meantime
+            if (this.groupInfo?.GroupId === groupInfo.GroupId && this.isSyncPlayEnabled()) {
+                this.chatCore.connect(groupInfo.GroupId, user.Name);
+            }
+        }).catch((error) => {
+            console.error('SyncPlay enableSyncPlay: failed to join the group chat.', error);
+        });
+
         if (showMessage) {
             toast(globalize.translate('MessageSyncPlayEnabled'));
         }
@@ -405,6 +438,7 @@ class Manager {
         this.lastPlaybackCommand = null;
         this.queuedCommand = null;
         this.playbackCore.syncEnabled = false;
+        this.chatCore.disconnect();
         Events.trigger(this, 'enabled', [false]);
         this.playerWrapper.unbindFromPlayer();
 
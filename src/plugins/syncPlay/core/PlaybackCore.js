@@ -573,6 +573,12 @@ class PlaybackCore {
                 this.syncEnabled = false;
                 this.syncAttempts++;
                 this.manager.showSyncIcon(`SpeedToSync (x${speed.toFixed(2)})`);
+                Events.trigger(this.manager, 'sync-correction', [{
+                    Method: 'SpeedToSync',
+                    DiffMillis: diffMillis,
+                    Speed: speed,
+                    Duration: speedToSyncTime
+                }]);
 
                 this.syncTimeout = setTimeout(() => {
                     playerWrapper.setPlaybackRate(1.0);
@@ -587,6 +593,11 @@ class PlaybackCore {
                 this.syncEnabled = false;
                 this.syncAttempts++;
                 this.manager.showSyncIcon(`SkipToSync (${this.syncAttempts})`);
+                Events.trigger(this.manager, 'sync-correction', [{
+                    Method: 'SkipToSync',
+                    DiffMillis: diffMillis,
+                    PositionTicks: serverPositionTicks
+                }]);
 
                 this.syncTimeout = setTimeout(() => {
                     this.syncEnabled = true;
@@ -0,0 +1,247 @@
+/**
+ * Module that manages the SyncPlay group chat.
+ * @module components/syncPlay/core/chat/ChatCore
+ */
+
+import LocalChatTransport from './LocalChatTransport';
+import Events from '../../../../utils/events.ts';
+
+/**
+ * The types of chat messages.
+ */
+export const ChatMessageType = {
+    Message: 'Message',
+    Reaction: 'Reaction',
+    UserJoined: 'UserJoined',
+    UserLeft: 'UserLeft'
+};
+
+/**
+ * The reactions that can be sent to the group.
+ */
+export const ChatReactions = ['👍', '😂', '😮', '😢', '❤️', '👏'];
+
+const MaxMessageLength = 500;
+const MaxHistoryLength = 200;
+
+/**
+ * Class that manages the SyncPlay group chat.
+ */
+class ChatCore {
+    constructor() {
+        this.manager = null;
+        this.transport = new LocalChatTransport();
+        this.groupId = null;
+        this.userName = null;
+        this.messages = [];
+    }
+
+    /**
+     * Initializes the core.
+     * @param {Manager} syncPlayManager The SyncPlay manager.
+     */
+    init(syncPlayManager) {
+        this.manager = syncPlayManager;
+    }
+
+    /**
+     * Replaces the transport used to deliver messages, e.g. with one that uses the server.
+     * @param {ChatTransport} transport The transport.
+     */
+    setTransport(transport) {
+        const { groupId, userName } = this;
+
+        this.disconnect();
+        this.transport = transport;
+
+        if (groupId) {
+            this.connect(groupId, userName);
+        }
+    }
+
+    /**
+     * Gets the transport used to deliver messages.
+     * @returns {ChatTransport} The transport.
+     */
+    getTransport() {
+        return this.transport;
+    }
+
+    /**
+     * Joins the chat of a group.
+     * @param {string} groupId The group id.
+     * @param {string} userName The name of the local user.
+     */
+    connect(groupId, userName) {
+        if (this.groupId === groupId) {
+            this.userName = userName;
+            return;
+        }
+
+        this.disconnect();
+
+        this.groupId = groupId;
+        this.userName = userName;
+        this.transport.connect(groupId, (message) => this.onTransportMessage(message));
+
+        Events.trigger(this, 'chat-reset');
+    }
+
+    /**
+     * Leaves the chat of the current group and clears its history.
+     */
+    disconnect() {
+        if (!this.groupId) {
+            return;
+        }
+
+        this.transport.disconnect();
+        this.groupId = null;
+        this.messages = [];
+
+        Events.trigger(this, 'chat-reset');
+    }
+
+    /**
+     * Whether the chat of a group is joined.
+     * @returns {boolean} _true_ if a chat is joined, _false_ otherwise.
+     */
+    isConnected() {
+        return this.groupId !== null;
+    }
+
+    /**
+     * Gets the chat timeline.
+     * @returns {Array} The messages, oldest first.
+     */
+    getMessages() {
+        return this.messages;
+    }
+
+    /**
+     * Sends a text message to the group.
+     * @param {string} text The text.
+     * @returns {Object|null} The sent message, null if nothing was sent.
+     */
+    sendMessage(text) {
+        const trimmedText = (text || '').trim().slice(0, MaxMessageLength);
+        if (!trimmedText || !this.isConnected()) {
+            return null;
+        }
+
+        return this.send(ChatMessageType.Message, trimmedText);
+    }
+
+    /**
+     * Sends a reaction to the group.
+     * @param {string} reaction One of the supported reactions.
+     * @returns {Object|null} The sent message, null if nothing was sent.
+     */
+    sendReaction(reaction) {
+        if (!ChatReactions.includes(reaction) || !this.isConnected()) {
+            return null;
+        }
+
+        return this.send(ChatMessageType.Reaction, reaction);
+    }
+
+    /**
+     * Adds a group member joining or leaving to the timeline. These come from the server, so they are not sent.
+     * @param {string} type The type, either UserJoined or UserLeft.
+     * @param {string} userName The name of the member.
+     */
+    addMemberEvent(type, userName) {
+        if (!this.isConnected()) {
+            return;
+        }
+
+        this.addMessage(this.createMessage(type, '', userName));
+    }
+
+    /**
+     * Creates a message of the current group.
+     * @param {string} type The type.
+     * @param {string} text The text.
+     * @param {string} userName The name of the author.
+     * @returns {Object} The message.
+     */
+    createMessage(type, text, userName = this.userName) {
+        return {
+            Id: `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`,
+            GroupId: this.groupId,
+            Type: type,
+            UserName: userName,
+            Text: text,
+            Date: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Sends a message and adds it to the timeline.
+     * @param {string} type The type.
+     * @param {string} text The text.
+     * @returns {Object} The message.
+     */
+    send(type, text) {
+        const message = this.createMessage(type, text);
+
+        this.transport.send(message);
+        this.addMessage(message);
+
+        return message;
+    }
+
+    /**
+     * Handles a message received from another member.
+     * @param {Object} message The message.
+     */
+    onTransportMessage(message) {
+        if (!this.isValidMessage(message)) {
+            console.debug('SyncPlay ChatCore: ignoring invalid message.', message);
+            return;
+        }
+
+        if (this.messages.some((m) => m.Id === message.Id)) {
+            return;
+        }
+
+        this.addMessage(message);
+    }
+
+    /**
+     * Checks that a received message is a text message or reaction of the current group.
+     * @param {Object} message The message.
+     * @returns {boolean} _true_ if the message is valid, _false_ otherwise.
+     */
+    isValidMessage(message) {
+        if (!message || message.GroupId !== this.groupId || typeof message.Id !== 'string' || typeof message.UserName !== 'string') {
+            return false;
+        }
+
+        switch (message.Type) {
+            case ChatMessageType.Message:
+                return typeof message.Text === 'string' && !!message.Text.trim() && message.Text.length <= MaxMessageLength;
+            case ChatMessageType.Reaction:
+                return ChatReactions.includes(message.Text);
+            default:
+                // Members joining and leaving are only reported by the server
+                return false;
+        }
+    }
+
+    /**
+     * Adds a message to the timeline.
+     * @param {Object} message The message.
+     */
+    addMessage(message) {
+        this.messages.push(message);
+
+        if (this.messages.length > MaxHistoryLength) {
+            this.messages.splice(0, this.messages.length - MaxHistoryLength);
+        }
+
+        Events.trigger(this, 'chat-message', [message]);
+    }
+}
+
+export default ChatCore;
@@ -0,0 +1,143 @@
+import { describe, expect, it } from 'vitest';
+
+import Events from '../../../../utils/events';
+
+import ChatCore, { ChatMessageType } from './ChatCore';
+
+type ChatMessage = Record<string, unknown> | null;
+
+class TestChatTransport {
+    groupId: string | null = null;
+    onMessage: ((message: ChatMessage) => void) | null = null;
+    sent: ChatMessage[] = [];
+
+    connect(groupId: string, onMessage: (message: ChatMessage) => void) {
+        this.groupId = groupId;
+        this.onMessage = onMessage;
+    }
+
+    send(message: ChatMessage) {
+        this.sent.push(message);
+    }
+
+    disconnect() {
+        this.groupId = null;
+        this.onMessage = null;
+    }
+
+    receive(message: ChatMessage) {
+        this.onMessage?.(message);
+    }
+}
+
+const createChat = () => {
+    const chatCore = new ChatCore();
+    const transport = new TestChatTransport();
+    chatCore.setTransport(transport);
+    chatCore.connect('group', 'Alice');
+    return { chatCore, transport };
+};
+
+const createRemoteMessage = (message: Record<string, unknown> = {}) => ({
+    Id: 'remote-1',
+    GroupId: 'group',
+    Type: ChatMessageType.Message,
+    UserName: 'Bob',
+    Text: 'Hello',
+    Date: '2024-01-01T00:00:00.000Z',
+    ...message
+});
+
+describe('ChatCore', () => {
+    it('Should send messages through the transport', () => {
+        const { chatCore, transport } = createChat();
+        const received: ChatMessage[] = [];
+        Events.on(chatCore, 'chat-message', (_e, message) => received.push(message));
+
+        const message = chatCore.sendMessage('  Hi there  ');
+
+        expect(message).toMatchObject({ GroupId: 'group', Type: ChatMessageType.Message, UserName: 'Alice', Text: 'Hi there' });
+        expect(transport.sent).toEqual([ message ]);
+        expect(chatCore.getMessages()).toEqual([ message ]);
+        expect(received).toEqual([ message ]);
+    });
+
+    it('Should not send empty messages or unknown reactions', () => {
+        const { chatCore, transport } = createChat();
+
+        expect(chatCore.sendMessage('   ')).toBeNull();
+        expect(chatCore.sendReaction('🦆')).toBeNull();
+        expect(chatCore.sendReaction('👍')).toMatchObject({ Type: ChatMessageType.Reaction, Text: '👍' });
+        expect(transport.sent).toHaveLength(1);
+    });
+
+    it('Should not send messages without a group', () => {
+        const chatCore = new ChatCore();
+        const transport = new TestChatTransport();
+        chatCore.setTransport(transport);
+
+        expect(chatCore.sendMessage('Hi')).toBeNull();
+        expect(transport.sent).toHaveLength(0);
+    });
+
+    it('Should add valid messages of other members', () => {
+        const { chatCore, transport } = createChat();
+
+        transport.receive(createRemoteMessage());
+        transport.receive(createRemoteMessage());
+        transport.receive(createRemoteMessage({ Id: 'remote-2', GroupId: 'other' }));
+        transport.receive(createRemoteMessage({ Id: 'remote-3', Type: ChatMessageType.UserJoined }));
+        transport.receive(createRemoteMessage({ Id: 'remote-4', Type: ChatMessageType.Reaction, Text: 'not a reaction' }));
+        transport.receive(createRemoteMessage({ Id: 'remote-5', Text: ' ' }));
+        transport.receive(null);
+
+        expect(chatCore.getMessages().map((m) => m.Id)).toEqual([ 'remote-1' ]);
+    });
+
+    it('Should add members joining and leaving to the timeline', () => {
+        const { chatCore, transport } = createChat();
+
+        chatCore.addMemberEvent(ChatMessageType.UserJoined, 'Bob');
+        chatCore.addMemberEvent(ChatMessageType.UserLeft, 'Bob');
+
+        expect(chatCore.getMessages().map((m) => [ m.Type, m.UserName ])).toEqual([
+            [ ChatMessageType.UserJoined, 'Bob' ],
+            [ ChatMessageType.UserLeft, 'Bob' ]
+        ]);
+        expect(transport.sent).toHaveLength(0);
+    });
+
+    it('Should clear the timeline when leaving the group', () => {
+        const { chatCore, transport } = createChat();
+        chatCore.sendMessage('Bye');
+
+        chatCore.disconnect();
+
+        expect(chatCore.getMessages()).toEqual([]);
+        expect(transport.groupId).toBeNull();
+    });
+
+    it('Should reconnect when the transport is replaced', () => {
+        const { chatCore, transport } = createChat();
+        const newTransport = new TestChatTransport();
+
+        chatCore.setTransport(newTransport);
+
+        expect(transport.groupId).toBeNull();
+        expect(newTransport.groupId).toBe('group');
+        expect(chatCore.sendMessage('Hi')).toMatchObject({ UserName: 'Alice' });
+        expect(newTransport.sent).toHaveLength(1);
+    });
+
+    it('Should limit the history', () => {
+        const { chatCore } = createChat();
+
+        for (let i = 0; i < 250; i++) {
+            chatCore.sendMessage(`Message ${i}`);
+        }
+
+        const messages = chatCore.getMessages();
+        expect(messages).toHaveLength(200);
+        expect(messages[0].Text).toBe('Message 50');
+    });
+});
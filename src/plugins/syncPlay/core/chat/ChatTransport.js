@@ -0,0 +1,37 @@
+/**
+ * Module that defines the transport used by the SyncPlay chat.
+ * @module components/syncPlay/core/chat/ChatTransport
+ */
+
+/**
+ * Class that delivers chat messages to the other members of a SyncPlay group.
+ */
+class ChatTransport {
+    static type = 'generic';
+
+    /**
+     * Starts delivering the messages of a group. Overriden.
+     * @param {string} groupId The group id.
+     * @param {Function} onMessage Called with every message received from another member.
+     */
+    connect() {
+        throw new Error('Override this method!');
+    }
+
+    /**
+     * Sends a message to the other members of the group. Overriden.
+     * @param {Object} message The message.
+     */
+    send() {
+        throw new Error('Override this method!');
+    }
+
+    /**
+     * Stops delivering messages. Overriden.
+     */
+    disconnect() {
+        throw new Error('Override this method!');
+    }
+}
+
+export default ChatTransport;
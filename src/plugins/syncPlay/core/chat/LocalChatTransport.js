@@ -0,0 +1,57 @@
+/**
+ * Module that delivers SyncPlay chat messages between clients on the same device.
+ * @module components/syncPlay/core/chat/LocalChatTransport
+ */
+
+import ChatTransport from './ChatTransport';
+
+/**
+ * Class that delivers chat messages between the tabs and windows of this browser. It stands in for a
+ * server transport, so the chat can be used and tested without server support.
+ */
+class LocalChatTransport extends ChatTransport {
+    static type = 'local';
+
+    constructor() {
+        super();
+        this.channel = null;
+    }
+
+    /**
+     * Starts delivering the messages of a group.
+     * @param {string} groupId The group id.
+     * @param {Function} onMessage Called with every message received from another member.
+     */
+    connect(groupId, onMessage) {
+        this.disconnect();
+
+        if (typeof BroadcastChannel === 'undefined') {
+            console.debug('SyncPlay LocalChatTransport: BroadcastChannel is not supported, messages stay local.');
+            return;
+        }
+
+        // eslint-disable-next-line compat/compat
+        this.channel = new BroadcastChannel(`syncplay-chat-${groupId}`);
+        this.channel.onmessage = (event) => onMessage(event.data);
+    }
+
+    /**
+     * Sends a message to the other members of the group.
+     * @param {Object} message The message.
+     */
+    send(message) {
+        this.channel?.postMessage(message);
+    }
+
+    /**
+     * Stops delivering messages.
+     */
+    disconnect() {
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+    }
+}
+
+export default LocalChatTransport;
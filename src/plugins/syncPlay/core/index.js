@@ -2,6 +2,8 @@ import * as Helper from './Helper';
 import ManagerClass from './Manager';
 import PlayerFactoryClass from './players/PlayerFactory';
 import GenericPlayer from './players/GenericPlayer';
+import ChatTransport from './chat/ChatTransport';
+import LocalChatTransport from './chat/LocalChatTransport';
 
 const PlayerFactory = new PlayerFactoryClass();
 const Manager = new ManagerClass(PlayerFactory);
@@ -12,5 +14,9 @@ export default {
     PlayerFactory,
     Players: {
         GenericPlayer
+    },
+    Chat: {
+        ChatTransport,
+        LocalChatTransport
     }
 };
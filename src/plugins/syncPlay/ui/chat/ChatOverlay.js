@@ -0,0 +1,244 @@
+/**
+ * Module that shows the SyncPlay group chat on top of the video.
+ * @module components/syncPlay/ui/chat/ChatOverlay
+ */
+
+import escapeHtml from 'escape-html';
+
+import { ChatMessageType, ChatReactions } from '../../core/chat/ChatCore';
+import layoutManager from '../../../../components/layoutManager';
+import globalize from '../../../../lib/globalize';
+import Events from '../../../../utils/events.ts';
+
+import '../../../../elements/emby-button/paper-icon-button-light';
+import './ChatOverlay.scss';
+
+/**
+ * How long new messages stay visible while the chat is closed, in milliseconds.
+ */
+const MessageVisibilityTime = 8000;
+
+function getMessageHtml(message) {
+    const userName = `<span class="syncPlayChat-userName">${escapeHtml(message.UserName)}</span>`;
+
+    switch (message.Type) {
+        case ChatMessageType.UserJoined:
+            return `<div class="syncPlayChat-message syncPlayChat-message-system">${escapeHtml(globalize.translate('MessageSyncPlayUserJoined', message.UserName))}</div>`;
+        case ChatMessageType.UserLeft:
+            return `<div class="syncPlayChat-message syncPlayChat-message-system">${escapeHtml(globalize.translate('MessageSyncPlayUserLeft', message.UserName))}</div>`;
+        case ChatMessageType.Reaction:
+            return `<div class="syncPlayChat-message">${userName} <span class="syncPlayChat-reaction">${escapeHtml(message.Text)}</span></div>`;
+        default:
+            return `<div class="syncPlayChat-message">${userName} ${escapeHtml(message.Text)}</div>`;
+    }
+}
+
+/**
+ * Class that shows the SyncPlay group chat on top of the video.
+ */
+class ChatOverlay {
+    /**
+     * Creates the overlay.
+     * @param {Object} options The options.
+     * @param {HTMLElement} options.parent The element to show the overlay in.
+     * @param {ChatCore} options.chatCore The chat core of the SyncPlay manager.
+     */
+    constructor({ parent, chatCore }) {
+        this.chatCore = chatCore;
+        this.opened = false;
+        this.timeouts = new Set();
+
+        this.onChatMessage = (_event, message) => this.addMessage(message, true);
+        this.onChatReset = () => this.renderMessages();
+
+        this.init(parent);
+
+        Events.on(this.chatCore, 'chat-message', this.onChatMessage);
+        Events.on(this.chatCore, 'chat-reset', this.onChatReset);
+    }
+
+    /**
+     * Creates the elements of the overlay.
+     * @param {HTMLElement} parent The element to show the overlay in.
+     */
+    init(parent) {
+        const element = document.createElement('div');
+        element.classList.add('syncPlayChat');
+
+        const reactionButtons = ChatReactions.map((reaction) => (
+            `<button type="button" is="paper-icon-button-light" class="syncPlayChat-reactionButton" data-reaction="${reaction}">${reaction}</button>`
+        )).join('');
+
+        element.innerHTML = `<div class="syncPlayChat-floatingReactions"></div>
+            <div class="syncPlayChat-messages"></div>
+            <form class="syncPlayChat-form hide">
+                <div class="syncPlayChat-reactionButtons">${reactionButtons}</div>
+                <div class="flex align-items-center">
+                    <input type="text" class="syncPlayChat-input flex-grow" maxlength="500" autocomplete="off"
+                        placeholder="${escapeHtml(globalize.translate('LabelSyncPlayChatMessage'))}"
+                        aria-label="${escapeHtml(globalize.translate('LabelSyncPlayChatMessage'))}" />
+                    <button type="submit" is="paper-icon-button-light" class="syncPlayChat-sendButton" title="${escapeHtml(globalize.translate('ButtonSend'))}">
+                        <span class="material-icons send" aria-hidden="true"></span>
+                    </button>
+                </div>
+            </form>`;
+
+        const input = element.querySelector('.syncPlayChat-input');
+
+        element.querySelector('.syncPlayChat-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+
+            if (this.chatCore.sendMessage(input.value)) {
+                input.value = '';
+            }
+        });
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.close();
+            }
+
+            // Keep the player shortcuts from handling the typed text
+            e.stopPropagation();
+        });
+
+        element.querySelector('.syncPlayChat-reactionButtons').addEventListener('click', (e) => {
+            const button = e.target.closest('.syncPlayChat-reactionButton');
+            if (button) {
+                this.chatCore.sendReaction(button.getAttribute('data-reaction'));
+            }
+        });
+
+        parent.appendChild(element);
+
+        this.element = element;
+        this.renderMessages();
+    }
+
+    /**
+     * Renders the whole timeline.
+     */
+    renderMessages() {
+        const messagesElement = this.element.querySelector('.syncPlayChat-messages');
+        messagesElement.innerHTML = this.chatCore.getMessages().map(getMessageHtml).join('');
+        messagesElement.scrollTop = messagesElement.scrollHeight;
+    }
+
+    /**
+     * Adds a new message to the timeline.
+     * @param {Object} message The message.
+     * @param {boolean} isNew Whether the message has just been sent or received.
+     */
+    addMessage(message, isNew) {
+        const messagesElement = this.element.querySelector('.syncPlayChat-messages');
+        messagesElement.insertAdjacentHTML('beforeend', getMessageHtml(message));
+
+        // Keep the timeline in sync with the history of the chat core
+        while (messagesElement.children.length > this.chatCore.getMessages().length) {
+            messagesElement.firstElementChild.remove();
+        }
+
+        if (isNew) {
+            const messageElement = messagesElement.lastElementChild;
+            messageElement.classList.add('syncPlayChat-message-recent');
+            this.runLater(() => messageElement.classList.remove('syncPlayChat-message-recent'), MessageVisibilityTime);
+
+            if (message.Type === ChatMessageType.Reaction) {
+                this.showFloatingReaction(message.Text);
+            }
+        }
+
+        messagesElement.scrollTop = messagesElement.scrollHeight;
+    }
+
+    /**
+     * Shows a reaction rising over the video.
+     * @param {string} reaction The reaction.
+     */
+    showFloatingReaction(reaction) {
+        const reactionElement = document.createElement('span');
+        reactionElement.classList.add('syncPlayChat-floatingReaction');
+        reactionElement.textContent = reaction;
+        // Spread simultaneous reactions a little
+        reactionElement.style.left = `${Math.round(Math.random() * 60)}%`;
+        reactionElement.addEventListener('animationend', () => reactionElement.remove());
+
+        this.element.querySelector('.syncPlayChat-floatingReactions').appendChild(reactionElement);
+    }
+
+    /**
+     * Runs a function after a delay, unless the overlay is destroyed before.
+     * @param {Function} fn The function.
+     * @param {number} delay The delay in milliseconds.
+     */
+    runLater(fn, delay) {
+        const timeout = setTimeout(() => {
+            this.timeouts.delete(timeout);
+            fn();
+        }, delay);
+        this.timeouts.add(timeout);
+    }
+
+    /**
+     * Whether the chat is opened.
+     * @returns {boolean} _true_ if the chat is opened, _false_ otherwise.
+     */
+    isOpened() {
+        return this.opened;
+    }
+
+    /**
+     * Opens the chat, showing the whole timeline and the message input.
+     */
+    open() {
+        this.opened = true;
+        this.element.classList.add('syncPlayChat-opened');
+        this.element.querySelector('.syncPlayChat-form').classList.remove('hide');
+
+        const messagesElement = this.element.querySelector('.syncPlayChat-messages');
+        messagesElement.scrollTop = messagesElement.scrollHeight;
+
+        if (!layoutManager.tv) {
+            this.element.querySelector('.syncPlayChat-input').focus();
+        }
+    }
+
+    /**
+     * Closes the chat, only showing new messages for a while.
+     */
+    close() {
+        this.opened = false;
+        this.element.classList.remove('syncPlayChat-opened');
+        this.element.querySelector('.syncPlayChat-form').classList.add('hide');
+        this.element.querySelector('.syncPlayChat-input').blur();
+    }
+
+    /**
+     * Toggles the chat.
+     */
+    toggle() {
+        if (this.opened) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    /**
+     * Removes the overlay.
+     */
+    destroy() {
+        Events.off(this.chatCore, 'chat-message', this.onChatMessage);
+        Events.off(this.chatCore, 'chat-reset', this.onChatReset);
+
+        for (const timeout of this.timeouts) {
+            clearTimeout(timeout);
+        }
+        this.timeouts.clear();
+
+        this.element.remove();
+        this.element = null;
+    }
+}
+
+export default ChatOverlay;
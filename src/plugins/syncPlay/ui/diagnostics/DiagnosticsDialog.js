@@ -0,0 +1,232 @@
+/**
+ * Module that displays the diagnostics of the SyncPlay session.
+ * @module components/syncPlay/ui/diagnostics/DiagnosticsDialog
+ */
+
+import dialogHelper from '../../../../components/dialogHelper/dialogHelper';
+import layoutManager from '../../../../components/layoutManager';
+import globalize from '../../../../lib/globalize';
+import { saveFile } from '../../../../utils/file.ts';
+
+import 'material-design-icons-iconfont';
+import '../../../../elements/emby-button/emby-button';
+import '../../../../elements/emby-button/paper-icon-button-light';
+import '../../../../components/formdialog.scss';
+import './DiagnosticsDialog.scss';
+
+/**
+ * The time range shown by the graphs, in milliseconds.
+ */
+const GraphTimeWindow = 10 * 60 * 1000;
+const GraphWidth = 600;
+const GraphHeight = 150;
+const RefreshInterval = 1000;
+const MaxListedCorrections = 20;
+
+function formatMillis(value) {
+    return `${value.toFixed(1)} ${globalize.translate('MillisecondsUnit')}`;
+}
+
+/**
+ * Gets the html of a time series graph.
+ * @param {Object} options The graph options.
+ * @param {Array} options.series The lines, each with the samples, the value getter and a class name.
+ * @param {Array} [options.markers] The points to highlight, each with the time, value and a class name.
+ * @param {Array} [options.thresholds] The values to draw as guide lines.
+ * @param {boolean} [options.symmetric] Whether to keep zero in the middle of the graph.
+ * @param {number} options.start The time at the left edge of the graph.
+ * @param {number} options.end The time at the right edge of the graph.
+ * @returns {string} The html.
+ */
+function getGraphHtml({ series, markers = [], thresholds = [], symmetric = false, start, end }) {
+    const values = [
+        ...series.flatMap(({ samples, getValue }) => samples.filter(s => s.Time >= start).map(getValue)),
+        ...thresholds
+    ];
+
+    if (!series.some(({ samples }) => samples.some(s => s.Time >= start))) {
+        return `<div class="fieldDescription">${globalize.translate('SyncPlayDiagnosticsNoData')}</div>`;
+    }
+
+    let max = Math.max(1, ...values.map(Math.abs)) * 1.1;
+    let min = 0;
+    if (symmetric) {
+        min = -max;
+    } else {
+        min = Math.min(0, ...values);
+        max = Math.max(1, ...values) * 1.1;
+    }
+
+    const x = (time) => ((time - start) / Math.max(1, end - start) * GraphWidth).toFixed(1);
+    const y = (value) => (GraphHeight - (value - min) / (max - min) * GraphHeight).toFixed(1);
+
+    let html = `<svg class="syncPlayDiagnostics-graph" viewBox="0 0 ${GraphWidth} ${GraphHeight}" preserveAspectRatio="none">`;
+
+    html += `<line class="syncPlayDiagnostics-axis" x1="0" x2="${GraphWidth}" y1="${y(0)}" y2="${y(0)}" />`;
+
+    for (const threshold of thresholds) {
+        html += `<line class="syncPlayDiagnostics-threshold" x1="0" x2="${GraphWidth}" y1="${y(threshold)}" y2="${y(threshold)}" />`;
+    }
+
+    for (const { samples, getValue, className } of series) {
+        const points = samples.filter(s => s.Time >= start).map(s => `${x(s.Time)},${y(getValue(s))}`).join(' ');
+        html += `<polyline class="syncPlayDiagnostics-line ${className}" points="${points}" />`;
+    }
+
+    for (const marker of markers.filter(m => m.Time >= start)) {
+        html += `<circle class="syncPlayDiagnostics-marker ${marker.className}" cx="${x(marker.Time)}" cy="${y(marker.value)}" r="4" />`;
+    }
+
+    html += '</svg>';
+
+    html += `<div class="syncPlayDiagnostics-graphRange"><span>${formatMillis(max)}</span><span>${formatMillis(min)}</span></div>`;
+
+    return html;
+}
+
+function getSummaryHtml(drift, corrections) {
+    const absDrift = drift.map(s => Math.abs(s.DiffMillis));
+    const stats = [];
+
+    if (absDrift.length) {
+        stats.push({
+            label: globalize.translate('LabelSyncPlayPlaybackDiff'),
+            value: formatMillis(drift[drift.length - 1].DiffMillis)
+        }, {
+            label: globalize.translate('LabelSyncPlayAverageDrift'),
+            value: formatMillis(absDrift.reduce((sum, value) => sum + value, 0) / absDrift.length)
+        }, {
+            label: globalize.translate('LabelSyncPlayMaxDrift'),
+            value: formatMillis(Math.max(...absDrift))
+        });
+    }
+
+    for (const method of ['SpeedToSync', 'SkipToSync']) {
+        stats.push({
+            label: method,
+            value: corrections.filter(c => c.Method === method).length
+        });
+    }
+
+    return stats.map(({ label, value }) => (
+        `<div class="syncPlayDiagnostics-stat"><span>${label}</span><span>${value}</span></div>`
+    )).join('');
+}
+
+function getCorrectionsHtml(corrections) {
+    const lastCorrections = corrections.slice(-MaxListedCorrections).reverse();
+
+    if (!lastCorrections.length) {
+        return `<div class="fieldDescription">${globalize.translate('SyncPlayDiagnosticsNoCorrections')}</div>`;
+    }
+
+    return lastCorrections.map((correction) => {
+        let details = formatMillis(correction.DiffMillis);
+        if (correction.Speed) {
+            details += ` (x${correction.Speed.toFixed(2)})`;
+        }
+
+        return `<div class="syncPlayDiagnostics-stat"><span>${new Date(correction.Time).toLocaleTimeString()} ${correction.Method}</span><span>${details}</span></div>`;
+    }).join('');
+}
+
+/**
+ * Class that displays the diagnostics of the SyncPlay session.
+ */
+class DiagnosticsDialog {
+    /**
+     * Creates the dialog.
+     * @param {Manager} syncPlayManager The SyncPlay manager.
+     */
+    constructor(syncPlayManager) {
+        this.manager = syncPlayManager;
+        this.diagnostics = syncPlayManager.getDiagnostics();
+    }
+
+    async show() {
+        const dialogOptions = {
+            removeOnClose: true,
+            scrollY: true,
+            size: layoutManager.tv ? 'fullscreen' : 'medium'
+        };
+
+        this.context = dialogHelper.createDialog(dialogOptions);
+        this.context.classList.add('formDialog');
+
+        const { default: template } = await import('./diagnostics.html');
+        this.context.innerHTML = globalize.translateHtml(template, 'core');
+
+        this.context.querySelector('.btnCancel').addEventListener('click', () => {
+            dialogHelper.close(this.context);
+        });
+
+        this.context.querySelector('.btnExport').addEventListener('click', () => {
+            this.export();
+        });
+
+        this.context.querySelector('.btnClear').addEventListener('click', () => {
+            this.diagnostics.clear();
+            this.render();
+        });
+
+        this.render();
+        this.refreshInterval = setInterval(() => this.render(), RefreshInterval);
+
+        return dialogHelper.open(this.context).finally(() => {
+            clearInterval(this.refreshInterval);
+        });
+    }
+
+    render() {
+        const { context, diagnostics } = this;
+        const drift = diagnostics.getDrift();
+        const timeSync = diagnostics.getTimeSync();
+        const corrections = diagnostics.getCorrections();
+        const settings = diagnostics.getSettings();
+
+        const end = Date.now();
+        const start = Math.max(diagnostics.startedAt, end - GraphTimeWindow);
+
+        context.querySelector('.syncPlayDiagnostics-summary').innerHTML = getSummaryHtml(drift, corrections);
+
+        context.querySelector('.syncPlayDiagnostics-drift').innerHTML = getGraphHtml({
+            series: [{ samples: drift, getValue: s => s.DiffMillis, className: 'syncPlayDiagnostics-line-drift' }],
+            markers: corrections.map(c => ({
+                Time: c.Time,
+                value: c.DiffMillis,
+                className: `syncPlayDiagnostics-marker-${c.Method}`
+            })),
+            thresholds: [
+                settings.MinDelaySpeedToSync, -settings.MinDelaySpeedToSync,
+                settings.MinDelaySkipToSync, -settings.MinDelaySkipToSync
+            ].filter(Number.isFinite),
+            symmetric: true,
+            start,
+            end
+        });
+
+        context.querySelector('.syncPlayDiagnostics-ping').innerHTML = getGraphHtml({
+            series: [{ samples: timeSync, getValue: s => s.Ping, className: 'syncPlayDiagnostics-line-ping' }],
+            start,
+            end
+        });
+
+        context.querySelector('.syncPlayDiagnostics-timeOffset').innerHTML = getGraphHtml({
+            series: [{ samples: timeSync, getValue: s => s.TimeOffset, className: 'syncPlayDiagnostics-line-timeOffset' }],
+            symmetric: true,
+            start,
+            end
+        });
+
+        context.querySelector('.syncPlayDiagnostics-corrections').innerHTML = getCorrectionsHtml(corrections);
+    }
+
+    export() {
+        const data = this.diagnostics.export();
+        const date = data.ExportedAt.replace(/[:.]/g, '-');
+
+        saveFile(JSON.stringify(data, null, 2), `syncplay-diagnostics-${date}.json`);
+    }
+}
+
+export default DiagnosticsDialog;
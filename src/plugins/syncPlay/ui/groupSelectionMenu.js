@@ -1,4 +1,5 @@
 import SyncPlaySettingsEditor from './settings/SettingsEditor';
+import SyncPlayDiagnosticsDialog from './diagnostics/DiagnosticsDialog';
 import loading from '../../../components/loading/loading';
 import toast from '../../../components/toast/toast';
 import actionsheet from '../../../components/actionSheet/actionSheet';
@@ -148,6 +149,14 @@ class GroupSelectionMenu {
             secondaryText: globalize.translate('LabelSyncPlaySettingsDescription')
         });
 
+        menuItems.push({
+            name: globalize.translate('HeaderSyncPlayDiagnostics'),
+            icon: 'insights',
+            id: 'diagnostics',
+            selected: false,
+            secondaryText: globalize.translate('LabelSyncPlayDiagnosticsDescription')
+        });
+
         menuItems.push({
             name: globalize.translate('LabelSyncPlayLeaveGroup'),
             icon: 'meeting_room',
@@ -180,6 +189,14 @@ class GroupSelectionMenu {
                             console.error('Error creating SyncPlay settings editor', error);
                         }
                     });
+            } else if (id == 'diagnostics' && this.SyncPlay) {
+                new SyncPlayDiagnosticsDialog(this.SyncPlay.Manager)
+                    .show()
+                    .catch(error => {
+                        if (error) {
+                            console.error('Error showing SyncPlay diagnostics', error);
+                        }
+                    });
             }
         }).catch((error) => {
             if (error) {
@@ -1,11 +1,14 @@
 import * as userSettings from './settings/userSettings';
 import skinManager from './themeManager';
+import themeScheduler from './themeScheduler';
 import { ServerConnections } from 'lib/jellyfin-apiclient';
 import { pageClassOn } from 'utils/dashboard';
 import Events from 'utils/events.ts';
 
+let isDashboardPage = false;
+
 // Set the default theme when loading
-skinManager.setTheme(userSettings.theme())
+skinManager.setTheme(themeScheduler.getTheme())
     /* this keeps the scrollbar always present in all pages, so we avoid clipping while switching between pages
        that need the scrollbar and pages that don't.
      */
@@ -13,13 +16,25 @@ skinManager.setTheme(userSettings.theme())
 
 // set the saved theme once a user authenticates
 Events.on(ServerConnections, 'localusersignedin', () => {
-    skinManager.setTheme(userSettings.theme());
+    themeScheduler.start();
+    skinManager.setTheme(themeScheduler.getTheme());
+});
+
+// switch between the day and night themes without reloading the page
+Events.on(themeScheduler, 'change', (_e, theme) => {
+    if (!isDashboardPage) {
+        skinManager.setTheme(theme);
+    }
 });
 
+themeScheduler.start();
+
 pageClassOn('viewbeforeshow', 'page', function () {
-    if (this.classList.contains('type-interior')) {
+    isDashboardPage = this.classList.contains('type-interior');
+
+    if (isDashboardPage) {
         skinManager.setTheme(userSettings.dashboardTheme());
     } else {
-        skinManager.setTheme(userSettings.theme());
+        skinManager.setTheme(themeScheduler.getTheme());
     }
 });
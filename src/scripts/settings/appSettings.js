@@ -260,6 +260,28 @@ class AppSettings {
         return this.get('aspectRatio') || '';
     }
 
+    /**
+     * Get the library options presets. They are saved on this device to be applied on any server.
+     * @return {import('components/libraryoptionseditor/libraryOptionsPresets').LibraryOptionsPreset[]} Library options presets.
+     */
+    getLibraryOptionsPresets() {
+        try {
+            const presets = JSON.parse(this.get('libraryOptionsPresets') || '[]');
+            return Array.isArray(presets) ? presets : [];
+        } catch (err) {
+            console.warn('[appSettings] ignoring invalid library options presets', err);
+            return [];
+        }
+    }
+
+    /**
+     * Set the library options presets.
+     * @param {import('components/libraryoptionseditor/libraryOptionsPresets').LibraryOptionsPreset[]} presets - Library options presets.
+     */
+    setLibraryOptionsPresets(presets) {
+        return this.set('libraryOptionsPresets', JSON.stringify(presets));
+    }
+
     set(name, value, userId) {
         const currentValue = this.get(name, userId);
         localStorage.setItem(this.#getKey(name, userId), value);
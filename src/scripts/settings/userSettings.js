@@ -1,5 +1,6 @@
 import Events from '../../utils/events.ts';
 import { toBoolean } from '../../utils/string.ts';
+import { DEFAULT_DAY_START, DEFAULT_NIGHT_START, ThemeSchedule } from '../../utils/themeSchedule.ts';
 import browser from '../browser';
 import appSettings from './appSettings';
 
@@ -43,7 +44,8 @@ const defaultSubtitleAppearanceSettings = {
 
 const defaultComicsPlayerSettings = {
     langDir: 'ltr',
-    pagesPerView: 1
+    pagesPerView: 1,
+    readingMode: 'paged'
 };
 
 export class UserSettings {
@@ -204,6 +206,32 @@ export class UserSettings {
         return this.get('selectAudioNormalization', false) || 'TrackGain';
     }
 
+    /**
+     * Get or set 'Gapless Playback' state.
+     * @param {boolean|undefined} [val] - Flag to enable 'Gapless Playback' or undefined.
+     * @return {boolean} 'Gapless Playback' state.
+     */
+    enableGaplessPlayback(val) {
+        if (val !== undefined) {
+            return this.set('enableGaplessPlayback', val.toString(), false);
+        }
+
+        return toBoolean(this.get('enableGaplessPlayback', false), true);
+    }
+
+    /**
+     * Get or set the duration of the crossfade between audio tracks.
+     * @param {number|undefined} [val] - Crossfade duration in seconds.
+     * @return {number} Crossfade duration in seconds, 0 for no crossfade.
+     */
+    crossfadeDuration(val) {
+        if (val !== undefined) {
+            return this.set('crossfadeDuration', val.toString(), false);
+        }
+
+        return parseInt(this.get('crossfadeDuration', false), 10) || 0;
+    }
+
     /**
      * Get or set 'Next Video Info Overlay' state.
      * @param {boolean|undefined} [val] - Flag to enable 'Next Video Info Overlay' or undefined.
@@ -321,6 +349,28 @@ export class UserSettings {
         return this.get('customCss', false);
     }
 
+    /**
+     * Get the custom themes created in the theme editor.
+     * @return {import('themes/customTheme').CustomTheme[]} Custom themes.
+     */
+    getCustomThemes() {
+        try {
+            const themes = JSON.parse(this.get('customThemes', false) || '[]');
+            return Array.isArray(themes) ? themes : [];
+        } catch (err) {
+            console.warn('[userSettings] ignoring invalid custom themes', err);
+            return [];
+        }
+    }
+
+    /**
+     * Set the custom themes created in the theme editor.
+     * @param {import('themes/customTheme').CustomTheme[]} themes - Custom themes.
+     */
+    setCustomThemes(themes) {
+        return this.set('customThemes', JSON.stringify(themes), false);
+    }
+
     /**
      * Get or set 'Details Banner' state.
      * @param {boolean|undefined} [val] - Flag to enable 'Details Banner' or undefined.
@@ -438,6 +488,58 @@ export class UserSettings {
         return this.get('appTheme', false);
     }
 
+    /**
+     * Get or set how the day and night themes are switched.
+     * @param {string|undefined} [val] - Theme schedule.
+     * @return {string} Theme schedule.
+     */
+    themeSchedule(val) {
+        if (val !== undefined) {
+            return this.set('themeSchedule', val, false);
+        }
+
+        return this.get('themeSchedule', false) || ThemeSchedule.Off;
+    }
+
+    /**
+     * Get or set the theme used at night, if a theme schedule is set.
+     * @param {string|undefined} [val] - Night theme.
+     * @return {string} Night theme.
+     */
+    nightTheme(val) {
+        if (val !== undefined) {
+            return this.set('nightTheme', val, false);
+        }
+
+        return this.get('nightTheme', false);
+    }
+
+    /**
+     * Get or set the time the day theme starts, if the themes are switched at fixed times.
+     * @param {string|undefined} [val] - Time of day in the HH:MM format.
+     * @return {string} Time of day in the HH:MM format.
+     */
+    dayThemeStart(val) {
+        if (val !== undefined) {
+            return this.set('dayThemeStart', val, false);
+        }
+
+        return this.get('dayThemeStart', false) || DEFAULT_DAY_START;
+    }
+
+    /**
+     * Get or set the time the night theme starts, if the themes are switched at fixed times.
+     * @param {string|undefined} [val] - Time of day in the HH:MM format.
+     * @return {string} Time of day in the HH:MM format.
+     */
+    nightThemeStart(val) {
+        if (val !== undefined) {
+            return this.set('nightThemeStart', val, false);
+        }
+
+        return this.get('nightThemeStart', false) || DEFAULT_NIGHT_START;
+    }
+
     /**
      * Get or set screensaver.
      * @param {string|undefined} [val] - Screensaver.
@@ -464,6 +566,45 @@ export class UserSettings {
         return parseInt(this.get('backdropScreensaverInterval', false), 10) || 5;
     }
 
+    /**
+     * Get or set the transition between photos in slideshows.
+     * @param {string|undefined} [val] - The transition: 'slide', 'fade' or 'kenburns'.
+     * @return {string} The transition.
+     */
+    slideshowTransition(val) {
+        if (val !== undefined) {
+            return this.set('slideshowTransition', val, false);
+        }
+
+        return this.get('slideshowTransition', false) || 'slide';
+    }
+
+    /**
+     * Get or set the time each photo is displayed in slideshows.
+     * @param {number|undefined} [val] - The interval between photos in seconds.
+     * @return {number} The interval between photos in seconds.
+     */
+    slideshowInterval(val) {
+        if (val !== undefined) {
+            return this.set('slideshowInterval', val.toString(), false);
+        }
+
+        return parseInt(this.get('slideshowInterval', false), 10) || 5;
+    }
+
+    /**
+     * Get or set what advances the slides of slideshows playing background music.
+     * @param {string|undefined} [val] - 'interval', 'track' or 'beat'.
+     * @return {string} What advances the slides.
+     */
+    slideshowAdvance(val) {
+        if (val !== undefined) {
+            return this.set('slideshowAdvance', val, false);
+        }
+
+        return this.get('slideshowAdvance', false) || 'interval';
+    }
+
     /**
      * Get or set the amount of time it takes to activate the screensaver in seconds. Default 3 minutes.
      * @param {number|undefined} [val] - The amount of time it takes to activate the screensaver in seconds.
@@ -618,6 +759,56 @@ export class UserSettings {
         return this.set(key, JSON.stringify(value), false);
     }
 
+    /**
+     * Get secondary subtitle appearance settings. Unset values fall back to the primary subtitle appearance.
+     * @param {string|undefined} key - Settings key.
+     * @return {Object} Secondary subtitle appearance settings.
+     */
+    getSecondarySubtitleAppearanceSettings(key) {
+        key = key || 'localplayersecondarysubtitleappearance';
+        return {
+            ...this.getSubtitleAppearanceSettings(),
+            stackWithPrimary: true,
+            ...JSON.parse(this.get(key, false) || '{}')
+        };
+    }
+
+    /**
+     * Set secondary subtitle appearance settings.
+     * @param {Object} value - Secondary subtitle appearance settings.
+     * @param {string|undefined} key - Settings key.
+     */
+    setSecondarySubtitleAppearanceSettings(value, key) {
+        key = key || 'localplayersecondarysubtitleappearance';
+        return this.set(key, JSON.stringify(value), false);
+    }
+
+    /**
+     * Get or set 'Subtitle Learning Mode' state.
+     * @param {boolean|undefined} [val] - Flag to pause playback at the end of each subtitle or undefined.
+     * @return {boolean} 'Subtitle Learning Mode' state.
+     */
+    subtitleLearningMode(val) {
+        if (val !== undefined) {
+            return this.set('subtitleLearningMode', val.toString(), false);
+        }
+
+        return toBoolean(this.get('subtitleLearningMode', false), false);
+    }
+
+    /**
+     * Get or set 'Reveal Secondary Subtitles' state.
+     * @param {boolean|undefined} [val] - Flag to hide secondary subtitles until they are revealed or undefined.
+     * @return {boolean} 'Reveal Secondary Subtitles' state.
+     */
+    revealSecondarySubtitles(val) {
+        if (val !== undefined) {
+            return this.set('revealSecondarySubtitles', val.toString(), false);
+        }
+
+        return toBoolean(this.get('revealSecondarySubtitles', false), false);
+    }
+
     /**
      * Get comics player settings.
      * @param {string} mediaSourceId - Media Source Id.
@@ -625,7 +816,7 @@ export class UserSettings {
      */
     getComicsPlayerSettings(mediaSourceId) {
         const settings = JSON.parse(this.get('comicsPlayerSettings', false) || '{}');
-        return Object.assign(defaultComicsPlayerSettings, settings[mediaSourceId]);
+        return { ...defaultComicsPlayerSettings, ...settings[mediaSourceId] };
     }
 
     /**
@@ -639,6 +830,19 @@ export class UserSettings {
         return this.set('comicsPlayerSettings', JSON.stringify(settings), false);
     }
 
+    /**
+     * Get or set the snapshot of the last play queue.
+     * @param {string|undefined} [val] - Serialized play queue snapshot.
+     * @return {string|null} Serialized play queue snapshot.
+     */
+    playQueueSnapshot(val) {
+        if (val !== undefined) {
+            return this.set('playQueueSnapshot', val, false);
+        }
+
+        return this.get('playQueueSnapshot', false);
+    }
+
     /**
      * Set filter.
      * @param {string} key - Filter key.
@@ -687,6 +891,8 @@ export const preferFmp4HlsContainer = currentSettings.preferFmp4HlsContainer.bin
 export const limitSegmentLength = currentSettings.limitSegmentLength.bind(currentSettings);
 export const enableCinemaMode = currentSettings.enableCinemaMode.bind(currentSettings);
 export const selectAudioNormalization = currentSettings.selectAudioNormalization.bind(currentSettings);
+export const enableGaplessPlayback = currentSettings.enableGaplessPlayback.bind(currentSettings);
+export const crossfadeDuration = currentSettings.crossfadeDuration.bind(currentSettings);
 export const enableNextVideoInfoOverlay = currentSettings.enableNextVideoInfoOverlay.bind(currentSettings);
 export const enableVideoRemainingTime = currentSettings.enableVideoRemainingTime.bind(currentSettings);
 export const enableThemeSongs = currentSettings.enableThemeSongs.bind(currentSettings);
@@ -703,8 +909,15 @@ export const skipForwardLength = currentSettings.skipForwardLength.bind(currentS
 export const dashboardTheme = currentSettings.dashboardTheme.bind(currentSettings);
 export const skin = currentSettings.skin.bind(currentSettings);
 export const theme = currentSettings.theme.bind(currentSettings);
+export const themeSchedule = currentSettings.themeSchedule.bind(currentSettings);
+export const nightTheme = currentSettings.nightTheme.bind(currentSettings);
+export const dayThemeStart = currentSettings.dayThemeStart.bind(currentSettings);
+export const nightThemeStart = currentSettings.nightThemeStart.bind(currentSettings);
 export const screensaver = currentSettings.screensaver.bind(currentSettings);
 export const backdropScreensaverInterval = currentSettings.backdropScreensaverInterval.bind(currentSettings);
+export const slideshowTransition = currentSettings.slideshowTransition.bind(currentSettings);
+export const slideshowInterval = currentSettings.slideshowInterval.bind(currentSettings);
+export const slideshowAdvance = currentSettings.slideshowAdvance.bind(currentSettings);
 export const screensaverTime = currentSettings.screensaverTime.bind(currentSettings);
 export const libraryPageSize = currentSettings.libraryPageSize.bind(currentSettings);
 export const maxDaysForNextUp = currentSettings.maxDaysForNextUp.bind(currentSettings);
@@ -714,12 +927,19 @@ export const loadQuerySettings = currentSettings.loadQuerySettings.bind(currentS
 export const saveQuerySettings = currentSettings.saveQuerySettings.bind(currentSettings);
 export const getSubtitleAppearanceSettings = currentSettings.getSubtitleAppearanceSettings.bind(currentSettings);
 export const setSubtitleAppearanceSettings = currentSettings.setSubtitleAppearanceSettings.bind(currentSettings);
+export const getSecondarySubtitleAppearanceSettings = currentSettings.getSecondarySubtitleAppearanceSettings.bind(currentSettings);
+export const setSecondarySubtitleAppearanceSettings = currentSettings.setSecondarySubtitleAppearanceSettings.bind(currentSettings);
+export const subtitleLearningMode = currentSettings.subtitleLearningMode.bind(currentSettings);
+export const revealSecondarySubtitles = currentSettings.revealSecondarySubtitles.bind(currentSettings);
 export const getComicsPlayerSettings = currentSettings.getComicsPlayerSettings.bind(currentSettings);
 export const setComicsPlayerSettings = currentSettings.setComicsPlayerSettings.bind(currentSettings);
+export const playQueueSnapshot = currentSettings.playQueueSnapshot.bind(currentSettings);
 export const setFilter = currentSettings.setFilter.bind(currentSettings);
 export const getFilter = currentSettings.getFilter.bind(currentSettings);
 export const customCss = currentSettings.customCss.bind(currentSettings);
 export const disableCustomCss = currentSettings.disableCustomCss.bind(currentSettings);
+export const getCustomThemes = currentSettings.getCustomThemes.bind(currentSettings);
+export const setCustomThemes = currentSettings.setCustomThemes.bind(currentSettings);
 export const getSavedView = currentSettings.getSavedView.bind(currentSettings);
 export const saveViewSetting = currentSettings.saveViewSetting.bind(currentSettings);
 export const getSortValuesLegacy = currentSettings.getSortValuesLegacy.bind(currentSettings);
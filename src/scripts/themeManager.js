@@ -1,9 +1,27 @@
+import { currentSettings } from './settings/userSettings';
 import { getDefaultTheme, getThemes as getConfiguredThemes } from './settings/webSettings';
 
+/** Time the colors fade from one theme to the next, which leaves time for the new stylesheet to load */
+const THEME_FADE_DURATION = 1000;
+
 let currentThemeId;
+let fadeTimeout;
+
+/**
+ * Gets the custom themes of a user in the format of the built-in themes.
+ * @param {Object} userSettings - Settings of the user.
+ * @returns {Array<Object>} The custom themes.
+ */
+function getCustomThemeInfos(userSettings) {
+    return userSettings.getCustomThemes().map(theme => ({
+        name: theme.name,
+        id: theme.id,
+        color: theme.backgroundColor
+    }));
+}
 
-function getThemes() {
-    return getConfiguredThemes();
+function getThemes(userSettings = currentSettings) {
+    return getConfiguredThemes().then(themes => themes.concat(getCustomThemeInfos(userSettings)));
 }
 
 function getThemeStylesheetInfo(id) {
@@ -24,6 +42,19 @@ function getThemeStylesheetInfo(id) {
     });
 }
 
+/**
+ * Makes the colors fade while the stylesheet of the theme is replaced.
+ */
+function fadeTheme() {
+    const root = document.documentElement;
+
+    root.classList.add('themeFade');
+    clearTimeout(fadeTimeout);
+    fadeTimeout = setTimeout(() => {
+        root.classList.remove('themeFade');
+    }, THEME_FADE_DURATION);
+}
+
 function setTheme(id) {
     return new Promise(function (resolve) {
         if (currentThemeId && currentThemeId === id) {
@@ -37,9 +68,15 @@ function setTheme(id) {
                 return;
             }
 
+            // The first theme is applied while the page loads, so there is nothing to fade from
+            if (currentThemeId) {
+                fadeTheme();
+            }
+
             currentThemeId = info.id;
 
             document.getElementById('themeColor').content = info.color;
+            resolve();
         });
     });
 }
@@ -0,0 +1,86 @@
+/**
+ * Switches between the day and night themes of the user, at fixed times or following the color scheme of the OS.
+ * @module scripts/themeScheduler
+ */
+
+import Events from '../utils/events.ts';
+import { ThemeSchedule, isNightTime } from '../utils/themeSchedule.ts';
+import * as userSettings from './settings/userSettings';
+
+/** Time between two checks of a fixed schedule. Checking often copes with the device sleeping or its clock changing. */
+const CHECK_INTERVAL = 60 * 1000;
+
+/** Settings changing the theme picked by the schedule */
+const SCHEDULE_SETTINGS = ['appTheme', 'themeSchedule', 'nightTheme', 'dayThemeStart', 'nightThemeStart'];
+
+const darkColorSchemeQuery = window.matchMedia?.('(prefers-color-scheme: dark)');
+
+let checkInterval;
+let currentTheme;
+
+function isNight() {
+    switch (userSettings.themeSchedule()) {
+        case ThemeSchedule.Time:
+            return isNightTime(new Date(), userSettings.dayThemeStart(), userSettings.nightThemeStart());
+        case ThemeSchedule.System:
+            return !!darkColorSchemeQuery?.matches;
+        default:
+            return false;
+    }
+}
+
+/**
+ * Gets the theme the schedule currently picks. The day theme is the main theme of the user.
+ * @returns {string} The id of the theme.
+ */
+export function getTheme() {
+    return (isNight() && userSettings.nightTheme()) || userSettings.theme();
+}
+
+function checkSchedule() {
+    const theme = getTheme();
+
+    if (theme !== currentTheme) {
+        currentTheme = theme;
+        Events.trigger(themeScheduler, 'change', [theme]);
+    }
+}
+
+function stop() {
+    if (checkInterval) {
+        clearInterval(checkInterval);
+        checkInterval = null;
+    }
+
+    darkColorSchemeQuery?.removeEventListener?.('change', checkSchedule);
+}
+
+/**
+ * Starts following the schedule of the current user. A 'change' event is triggered with the id of the theme
+ * each time the schedule picks another theme.
+ */
+export function start() {
+    stop();
+
+    const schedule = userSettings.themeSchedule();
+    if (schedule === ThemeSchedule.Time) {
+        checkInterval = setInterval(checkSchedule, CHECK_INTERVAL);
+    } else if (schedule === ThemeSchedule.System) {
+        darkColorSchemeQuery?.addEventListener?.('change', checkSchedule);
+    }
+
+    checkSchedule();
+}
+
+Events.on(userSettings.currentSettings, 'change', (_e, name) => {
+    if (SCHEDULE_SETTINGS.includes(name)) {
+        start();
+    }
+});
+
+const themeScheduler = {
+    getTheme,
+    start
+};
+
+export default themeScheduler;
@@ -0,0 +1,89 @@
+import { describe, expect, it } from 'vitest';
+
+import {
+    CUSTOM_THEME_PREFIX,
+    DEFAULT_CUSTOM_THEME_VALUES,
+    createCustomTheme,
+    exportCustomTheme,
+    getCustomThemeCss,
+    hexToRgba,
+    importCustomTheme,
+    isCustomThemeId,
+    normalizeHexColor,
+    validateCustomThemeValues
+} from './customTheme';
+
+describe('normalizeHexColor', () => {
+    it('Should expand short colors', () => {
+        expect(normalizeHexColor('#0AF')).toBe('#00aaff');
+        expect(normalizeHexColor('#00A4DC')).toBe('#00a4dc');
+    });
+
+    it('Should reject other colors', () => {
+        expect(() => normalizeHexColor('red')).toThrow();
+        expect(() => normalizeHexColor('#12345')).toThrow();
+        expect(() => normalizeHexColor(undefined)).toThrow();
+    });
+});
+
+describe('hexToRgba', () => {
+    it('Should convert the color', () => {
+        expect(hexToRgba('#00a4dc', 0.2)).toBe('rgba(0, 164, 220, 0.2)');
+        expect(hexToRgba('#fff', 1 / 3)).toBe('rgba(255, 255, 255, 0.33)');
+    });
+});
+
+describe('createCustomTheme', () => {
+    it('Should create themes with unique ids', () => {
+        const theme = createCustomTheme('Ocean', { accentColor: '#0077be' });
+        const other = createCustomTheme('Ocean');
+
+        expect(isCustomThemeId(theme.id)).toBe(true);
+        expect(theme.id.startsWith(CUSTOM_THEME_PREFIX)).toBe(true);
+        expect(theme.id).not.toBe(other.id);
+        expect(theme).toMatchObject({ ...DEFAULT_CUSTOM_THEME_VALUES, name: 'Ocean', accentColor: '#0077be' });
+        expect(isCustomThemeId('dark')).toBe(false);
+    });
+});
+
+describe('validateCustomThemeValues', () => {
+    it('Should clamp the numbers', () => {
+        expect(validateCustomThemeValues({
+            ...DEFAULT_CUSTOM_THEME_VALUES,
+            backdropOpacity: 2,
+            cornerRadius: -1
+        })).toMatchObject({ backdropOpacity: 1, cornerRadius: 0 });
+    });
+
+    it('Should reject invalid values', () => {
+        expect(() => validateCustomThemeValues({ ...DEFAULT_CUSTOM_THEME_VALUES, base: 'wmc' })).toThrow();
+        expect(() => validateCustomThemeValues({ ...DEFAULT_CUSTOM_THEME_VALUES, cornerRadius: 'round' })).toThrow();
+        expect(() => validateCustomThemeValues({ ...DEFAULT_CUSTOM_THEME_VALUES, textColor: '' })).toThrow();
+    });
+});
+
+describe('importCustomTheme', () => {
+    it('Should import exported themes with a new id', () => {
+        const theme = createCustomTheme('Sunset', { base: 'light', accentColor: '#ff7043', cornerRadius: 0.5 });
+        const imported = importCustomTheme(exportCustomTheme(theme));
+
+        expect(imported.id).not.toBe(theme.id);
+        expect({ ...imported, id: theme.id }).toEqual(theme);
+    });
+
+    it('Should reject invalid files', () => {
+        expect(() => importCustomTheme('null')).toThrow();
+        expect(() => importCustomTheme('{"Version":2,"name":"Sunset"}')).toThrow();
+        expect(() => importCustomTheme(JSON.stringify({ ...DEFAULT_CUSTOM_THEME_VALUES, Version: 1 }))).toThrow();
+    });
+});
+
+describe('getCustomThemeCss', () => {
+    it('Should define the properties and override the palette of the base theme', () => {
+        const css = getCustomThemeCss({ ...DEFAULT_CUSTOM_THEME_VALUES, base: 'light', backdropOpacity: 0.5 });
+
+        expect(css).toContain('--custom-theme-backdrop: rgba(16, 16, 16, 0.5);');
+        expect(css).toContain('--custom-theme-radius: 0.2em;');
+        expect(css).toContain('html[data-light] { --jf-palette-primary-main: #00a4dc;');
+    });
+});
@@ -0,0 +1,266 @@
+/** The version of the exported custom theme files */
+export const CUSTOM_THEME_VERSION = 1;
+
+/** The prefix of the ids of custom themes, which keeps them apart from the built-in themes */
+export const CUSTOM_THEME_PREFIX = 'custom-';
+
+/** The built-in themes a custom theme can be based on */
+export const CUSTOM_THEME_BASES = [ 'dark', 'light' ] as const;
+
+export type CustomThemeBase = typeof CUSTOM_THEME_BASES[number];
+
+export interface CustomThemeValues {
+    /** The built-in theme providing the styles that are not customized */
+    base: CustomThemeBase
+    accentColor: string
+    backgroundColor: string
+    cardColor: string
+    textColor: string
+    /** The opacity of the background over the backdrop images, between 0 and 1 */
+    backdropOpacity: number
+    /** The corner radius of cards, buttons, inputs and dialogs in em */
+    cornerRadius: number
+}
+
+export interface CustomTheme extends CustomThemeValues {
+    id: string
+    name: string
+}
+
+/** The values of a new custom theme, which match the built-in "Dark" theme */
+export const DEFAULT_CUSTOM_THEME_VALUES: CustomThemeValues = {
+    base: 'dark',
+    accentColor: '#00a4dc',
+    backgroundColor: '#101010',
+    cardColor: '#202020',
+    textColor: '#dddddd',
+    backdropOpacity: 0.86,
+    cornerRadius: 0.2
+};
+
+/** The largest corner radius in em */
+export const MAX_CORNER_RADIUS = 1.5;
+
+const HEX_COLOR_REGEX = /^#([\da-f]{3}|[\da-f]{6})$/i;
+
+const clamp = (value: number, min: number, max: number) => Math.min(Math.max(value, min), max);
+
+/** Checks if a theme id belongs to a custom theme. */
+export const isCustomThemeId = (id?: string | null) => !!id?.startsWith(CUSTOM_THEME_PREFIX);
+
+/**
+ * Normalizes a hex color to its lower case six digit form.
+ * @throws {Error} If the value is not a hex color.
+ */
+export function normalizeHexColor(value: unknown) {
+    if (typeof value !== 'string' || !HEX_COLOR_REGEX.test(value)) {
+        throw new Error(`Invalid color: ${String(value)}`);
+    }
+
+    const hex = value.slice(1).toLowerCase();
+    return '#' + (hex.length === 3 ? hex.split('').map(digit => digit + digit).join('') : hex);
+}
+
+/** Converts a hex color to an rgba() color with the given opacity. */
+export function hexToRgba(color: string, alpha: number) {
+    const hex = normalizeHexColor(color);
+    const [ r, g, b ] = [ 1, 3, 5 ].map(start => parseInt(hex.slice(start, start + 2), 16));
+
+    return `rgba(${r}, ${g}, ${b}, ${Math.round(alpha * 100) / 100})`;
+}
+
+/** Creates a custom theme with a new id. */
+export function createCustomTheme(name: string, values: Partial<CustomThemeValues> = {}): CustomTheme {
+    return {
+        ...DEFAULT_CUSTOM_THEME_VALUES,
+        ...values,
+        // eslint-disable-next-line sonarjs/pseudo-random
+        id: CUSTOM_THEME_PREFIX + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+        name
+    };
+}
+
+/**
+ * Validates the values of a custom theme, clamping the numbers to their ranges.
+ * @throws {Error} If a value is missing or invalid.
+ */
+export function validateCustomThemeValues(values: Partial<Record<keyof CustomThemeValues, unknown>>): CustomThemeValues {
+    const base = values.base ?? DEFAULT_CUSTOM_THEME_VALUES.base;
+    if (!CUSTOM_THEME_BASES.includes(base as CustomThemeBase)) {
+        throw new Error(`Invalid base theme: ${String(base)}`);
+    }
+
+    const backdropOpacity = Number(values.backdropOpacity ?? DEFAULT_CUSTOM_THEME_VALUES.backdropOpacity);
+    const cornerRadius = Number(values.cornerRadius ?? DEFAULT_CUSTOM_THEME_VALUES.cornerRadius);
+    if (!Number.isFinite(backdropOpacity) || !Number.isFinite(cornerRadius)) {
+        throw new Error('Invalid backdrop opacity or corner radius');
+    }
+
+    return {
+        base: base as CustomThemeBase,
+        accentColor: normalizeHexColor(values.accentColor),
+        backgroundColor: normalizeHexColor(values.backgroundColor),
+        cardColor: normalizeHexColor(values.cardColor),
+        textColor: normalizeHexColor(values.textColor),
+        backdropOpacity: clamp(backdropOpacity, 0, 1),
+        cornerRadius: clamp(cornerRadius, 0, MAX_CORNER_RADIUS)
+    };
+}
+
+/** Serializes a custom theme to be saved to a file. The id is left out, as it is only valid on this device. */
+export function exportCustomTheme(theme: CustomTheme) {
+    const { name, ...values } = theme;
+
+    return JSON.stringify({
+        Version: CUSTOM_THEME_VERSION,
+        name,
+        ...validateCustomThemeValues(values)
+    }, null, 2);
+}
+
+/**
+ * Parses and validates an exported custom theme, giving it a new id.
+ * @throws {Error} If the value is not a valid custom theme.
+ */
+export function importCustomTheme(json: string): CustomTheme {
+    const exported = JSON.parse(json) as Partial<Record<keyof CustomTheme | 'Version', unknown>> | null;
+
+    if (!exported || exported.Version !== CUSTOM_THEME_VERSION) {
+        throw new Error('Unsupported custom theme version');
+    }
+
+    if (typeof exported.name !== 'string' || !exported.name.trim()) {
+        throw new Error('Missing custom theme name');
+    }
+
+    return createCustomTheme(exported.name.trim(), validateCustomThemeValues(exported));
+}
+
+/**
+ * Gets the CSS custom properties of a custom theme. They are also used by the live preview of the theme editor.
+ */
+export function getCustomThemeProperties(values: CustomThemeValues): Record<string, string> {
+    return {
+        '--custom-theme-accent': values.accentColor,
+        '--custom-theme-accent-faded': hexToRgba(values.accentColor, 0.2),
+        '--custom-theme-background': values.backgroundColor,
+        '--custom-theme-backdrop': hexToRgba(values.backgroundColor, values.backdropOpacity),
+        '--custom-theme-card': values.cardColor,
+        '--custom-theme-text': values.textColor,
+        '--custom-theme-radius': `${values.cornerRadius}em`
+    };
+}
+
+/** The rules overriding the styles of the base theme */
+const CUSTOM_THEME_RULES: [ string[], string ][] = [
+    [
+        [ 'html', '.backgroundContainer', '.dialog', '.nowPlayingPlaylist', '.nowPlayingContextMenu', '.wizardStartForm' ],
+        'background-color: var(--custom-theme-background);'
+    ],
+    [
+        [ '.backgroundContainer.withBackdrop' ],
+        'background-color: var(--custom-theme-backdrop);'
+    ],
+    [
+        [ 'html', '.skinHeader' ],
+        'color: var(--custom-theme-text);'
+    ],
+    [
+        [
+            '.skinHeader-withBackground',
+            '.collapseContent',
+            '.formDialogHeader:not(.formDialogHeader-clear)',
+            '.formDialogFooter:not(.formDialogFooter-clear)',
+            '.paperList',
+            '.visualCardBox',
+            '.cardBox:not(.visualCardBox) .cardPadder',
+            '.actionSheet'
+        ],
+        'background-color: var(--custom-theme-card);'
+    ],
+    [
+        [
+            '.button-submit',
+            '.selectionCommandsPanel',
+            '.navMenuOption-selected',
+            '.emby-checkbox:checked + span + .checkboxOutline',
+            '.itemProgressBarForeground',
+            '.countIndicator',
+            '.fullSyncIndicator',
+            '.mediaSourceIndicator',
+            '.playedIndicator',
+            '.alphaPickerButton-tv:focus'
+        ],
+        'background-color: var(--custom-theme-accent) !important;'
+    ],
+    [
+        [
+            '.button-link',
+            '.button-flat:hover',
+            '.inputLabelFocused',
+            '.selectLabelFocused',
+            '.textareaLabelFocused',
+            '.upNextDialog-countdownText',
+            '.paper-icon-button-light.show-focus:focus'
+        ],
+        'color: var(--custom-theme-accent);'
+    ],
+    [
+        [
+            '.emby-input:focus',
+            '.emby-textarea:focus',
+            '.emby-select-withcolor:focus',
+            '.emby-checkbox:checked + span + .checkboxOutline',
+            '.emby-checkbox:focus:not(:checked) + span + .checkboxOutline',
+            '.itemSelectionPanel',
+            '.progressring-spiner'
+        ],
+        'border-color: var(--custom-theme-accent) !important;'
+    ],
+    [
+        [ '.paper-icon-button-light:active:not(:disabled)' ],
+        'color: var(--custom-theme-accent); background-color: var(--custom-theme-accent-faded);'
+    ],
+    [
+        [
+            '.cardContent',
+            '.cardPadder',
+            '.visualCardBox',
+            '.blurhash-canvas',
+            '.emby-button',
+            '.emby-input',
+            '.emby-select',
+            '.emby-textarea',
+            '.paperList',
+            '.dialog:not(.dialog-fullscreen)'
+        ],
+        'border-radius: var(--custom-theme-radius);'
+    ]
+];
+
+/**
+ * Gets the stylesheet applying a custom theme on top of its base theme. The MUI palette variables are also
+ * overridden, so the experimental layout and the dashboard follow the custom colors.
+ */
+export function getCustomThemeCss(values: CustomThemeValues) {
+    const properties = Object.entries(getCustomThemeProperties(values))
+        .map(([ name, value ]) => `${name}: ${value};`)
+        .join(' ');
+
+    const palette = [
+        `--jf-palette-primary-main: ${values.accentColor};`,
+        `--jf-palette-background-default: ${values.backgroundColor};`,
+        `--jf-palette-background-paper: ${values.cardColor};`,
+        `--jf-palette-text-primary: ${values.textColor};`
+    ].join(' ');
+
+    const rules = CUSTOM_THEME_RULES
+        .map(([ selectors, declarations ]) => `${selectors.join(', ')} { ${declarations} }`);
+
+    return [
+        `:root { ${properties} }`,
+        // The MUI color scheme is selected with a data attribute on the root element
+        `html[data-${values.base}] { ${palette} }`,
+        ...rules
+    ].join('\n');
+}
@@ -1,5 +1,5 @@
-import { describe, expect, it } from 'vitest';
-import { getReadableSize } from './file';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { getReadableSize, selectFile } from './file';
 
 describe('getReadableSize()', () => {
     it('should return the correct units', () => {
@@ -20,3 +20,27 @@ describe('getReadableSize()', () => {
         expect(getReadableSize(12345, 3)).toBe('12.056 KiB');
     });
 });
+
+describe('selectFile()', () => {
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('should return the picked file', async () => {
+        const file = new File(['{}'], 'theme.json', { type: 'application/json' });
+        vi.spyOn(HTMLInputElement.prototype, 'click').mockImplementation(function (this: HTMLInputElement) {
+            Object.defineProperty(this, 'files', { value: [ file ] });
+            this.dispatchEvent(new Event('change'));
+        });
+
+        await expect(selectFile('.json')).resolves.toBe(file);
+    });
+
+    it('should return null when the file picker is canceled', async () => {
+        vi.spyOn(HTMLInputElement.prototype, 'click').mockImplementation(function (this: HTMLInputElement) {
+            this.dispatchEvent(new Event('cancel'));
+        });
+
+        await expect(selectFile('.json')).resolves.toBeNull();
+    });
+});
@@ -36,3 +36,58 @@ export function getReadableSize(value: number, precision = 1) {
     return (value / Math.pow(1024, d)).toFixed(precision)
         + ' ' + (d ? 'KMGTPEZY'[--d] + 'iB' : 'Bytes');
 }
+
+/**
+ * Saves the data to a file on the user's device
+ */
+export function saveFile(data: BlobPart, fileName: string, type = 'application/json') {
+    const blob = new Blob([data], { type });
+    // eslint-disable-next-line compat/compat
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    a.click();
+    // eslint-disable-next-line compat/compat
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * The time to wait for the change event after the window gets the focus back from the file picker,
+ * in browsers without the cancel event. Files from slow or cloud storage may take longer to be picked.
+ */
+const FILE_PICKER_CLOSE_DELAY = 10000;
+
+/**
+ * Prompts the user to pick a file and returns it
+ * @returns The picked file, or null if the file picker is closed without picking one.
+ */
+export function selectFile(accept: string): Promise<File | null> {
+    return new Promise(function (resolve) {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = accept;
+
+        let isSettled = false;
+        const settle = () => {
+            if (isSettled) return;
+            isSettled = true;
+            window.removeEventListener('focus', onWindowFocus);
+
+            resolve(input.files?.[0] || null);
+        };
+
+        // Older browsers do not fire the cancel event, but the window gets the focus back when the picker closes
+        function onWindowFocus() {
+            setTimeout(settle, FILE_PICKER_CLOSE_DELAY);
+        }
+
+        input.addEventListener('change', settle);
+        if ('oncancel' in input) {
+            input.addEventListener('cancel', settle);
+        } else {
+            window.addEventListener('focus', onWindowFocus, { once: true });
+        }
+        input.click();
+    });
+}
@@ -0,0 +1,79 @@
+import type { BaseItemDto } from '@jellyfin/sdk/lib/generated-client/models/base-item-dto';
+import { MediaType } from '@jellyfin/sdk/lib/generated-client/models/media-type';
+import { describe, expect, it } from 'vitest';
+
+import type { UserSettings } from 'scripts/settings/userSettings';
+
+import { getPagesRead, getReadingProgress, getResumePage, setReadingProgress, TICKS_PER_PAGE } from './readingProgress';
+
+const ITEM_PROGRESS_ID = 'readingprogress__item';
+
+const createUserSettings = (values: Record<string, string> = {}) => ({
+    get: (name: string) => values[name],
+    set: (name: string, value: string) => {
+        values[name] = value;
+    }
+}) as unknown as UserSettings;
+
+const book: BaseItemDto = { Id: 'item', MediaType: MediaType.Book };
+
+describe('getReadingProgress', () => {
+    it('Should return null for missing or invalid values', () => {
+        expect(getReadingProgress(createUserSettings(), 'item')).toBeNull();
+        expect(getReadingProgress(createUserSettings({ [ITEM_PROGRESS_ID]: 'invalid' }), 'item')).toBeNull();
+        expect(getReadingProgress(createUserSettings({ [ITEM_PROGRESS_ID]: '{"Page":12,"PageCount":10}' }), 'item')).toBeNull();
+    });
+
+    it('Should return the saved progress', () => {
+        const userSettings = createUserSettings();
+        setReadingProgress(userSettings, 'item', 15, 10);
+
+        expect(getReadingProgress(userSettings, 'item')).toEqual({
+            Page: 9,
+            PageCount: 10,
+            LastRead: expect.any(String)
+        });
+    });
+});
+
+describe('getResumePage', () => {
+    it('Should prefer the start position', () => {
+        const userSettings = createUserSettings();
+        setReadingProgress(userSettings, 'item', 3, 10);
+
+        expect(getResumePage(userSettings, book, 5 * TICKS_PER_PAGE)).toBe(5);
+    });
+
+    it('Should start from the beginning when the server knows the position', () => {
+        const userSettings = createUserSettings();
+        setReadingProgress(userSettings, 'item', 3, 10);
+
+        expect(getResumePage(userSettings, { ...book, UserData: { PlaybackPositionTicks: 5 * TICKS_PER_PAGE } })).toBe(0);
+    });
+
+    it('Should fall back to the last page read', () => {
+        const userSettings = createUserSettings();
+        expect(getResumePage(userSettings, book)).toBe(0);
+
+        setReadingProgress(userSettings, 'item', 3, 10);
+        expect(getResumePage(userSettings, book)).toBe(3);
+
+        setReadingProgress(userSettings, 'item', 9, 10);
+        expect(getResumePage(userSettings, book)).toBe(0);
+    });
+});
+
+describe('getPagesRead', () => {
+    it('Should only return the progress of books being read', () => {
+        const userSettings = createUserSettings();
+        expect(getPagesRead(userSettings, book)).toBeNull();
+
+        setReadingProgress(userSettings, 'item', 3, 10);
+        expect(getPagesRead(userSettings, book)).toEqual({ pagesRead: 4, pageCount: 10 });
+        expect(getPagesRead(userSettings, { ...book, MediaType: MediaType.Video })).toBeNull();
+        expect(getPagesRead(userSettings, { ...book, UserData: { Played: true } })).toBeNull();
+
+        setReadingProgress(userSettings, 'item', 9, 10);
+        expect(getPagesRead(userSettings, book)).toBeNull();
+    });
+});
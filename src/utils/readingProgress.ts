@@ -0,0 +1,91 @@
+import type { BaseItemDto } from '@jellyfin/sdk/lib/generated-client/models/base-item-dto';
+import { MediaType } from '@jellyfin/sdk/lib/generated-client/models/media-type';
+import type { UserSettings } from 'scripts/settings/userSettings';
+
+const PREFIX = 'readingprogress';
+
+/** The PDF and comics players report the index of the current page as their current time in milliseconds */
+export const TICKS_PER_PAGE = 10000;
+
+export interface ReadingProgress {
+    /** The index of the last page read */
+    Page: number
+    PageCount: number
+    LastRead: string
+}
+
+const getId = (itemId: string) => `${PREFIX}__${itemId}`;
+
+/**
+ * Gets the last page read of a book in the page based readers.
+ */
+export function getReadingProgress(userSettings: UserSettings, itemId: string): ReadingProgress | null {
+    const value = userSettings.get(getId(itemId), false);
+    if (!value) return null;
+
+    try {
+        const progress: Partial<ReadingProgress> = JSON.parse(value);
+        if (typeof progress?.Page !== 'number' || typeof progress.PageCount !== 'number'
+            || progress.Page < 0 || progress.Page >= progress.PageCount) {
+            return null;
+        }
+
+        return {
+            Page: progress.Page,
+            PageCount: progress.PageCount,
+            LastRead: progress.LastRead ?? ''
+        };
+    } catch (err) {
+        console.warn('[readingProgress] failed to parse reading progress for item %s', itemId, err);
+        return null;
+    }
+}
+
+/**
+ * Saves the last page read of a book.
+ */
+export function setReadingProgress(userSettings: UserSettings, itemId: string, page: number, pageCount: number) {
+    if (!pageCount) return;
+
+    // The page count is only known by the readers, so the progress is stored locally next to the position reported to the server
+    userSettings.set(getId(itemId), JSON.stringify({
+        Page: Math.max(0, Math.min(page, pageCount - 1)),
+        PageCount: pageCount,
+        LastRead: new Date().toISOString()
+    }), false);
+}
+
+/**
+ * Gets the page to open a book at.
+ * An explicit start position wins, then the position known by the server, then the last page read on this device.
+ */
+export function getResumePage(userSettings: UserSettings, item: BaseItemDto, startPositionTicks?: number) {
+    if (startPositionTicks) {
+        return Math.floor(startPositionTicks / TICKS_PER_PAGE);
+    }
+
+    // The user chose to start from the beginning
+    if (item.UserData?.PlaybackPositionTicks || !item.Id) {
+        return 0;
+    }
+
+    const progress = getReadingProgress(userSettings, item.Id);
+    // Finished books start over
+    return progress && progress.Page < progress.PageCount - 1 ? progress.Page : 0;
+}
+
+/**
+ * Gets the progress to display on the card of a book that is being read.
+ * @returns The number of pages read and the page count, or null if the book was not started or is finished.
+ */
+export function getPagesRead(userSettings: UserSettings, item: BaseItemDto) {
+    if (item.MediaType !== MediaType.Book || !item.Id || item.UserData?.Played) return null;
+
+    const progress = getReadingProgress(userSettings, item.Id);
+    if (!progress || progress.Page === 0 || progress.Page >= progress.PageCount - 1) return null;
+
+    return {
+        pagesRead: progress.Page + 1,
+        pageCount: progress.PageCount
+    };
+}
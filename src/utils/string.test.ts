@@ -1,6 +1,6 @@
 import { describe, expect, it } from 'vitest';
 
-import { isBlank, toBoolean, toFloat } from './string';
+import { isBlank, naturalCompare, toBoolean, toFloat } from './string';
 
 describe('isBlank', () => {
     it('Should return true if the string is blank', () => {
@@ -58,3 +58,17 @@ describe('toFloat()', () => {
         expect(number).toBe(-1);
     });
 });
+
+describe('naturalCompare', () => {
+    it('Should sort numbers by value', () => {
+        const names = [ 'page10.jpg', 'Page2.jpg', 'page1.jpg', 'cover.jpg', 'page02b.jpg' ];
+        names.sort(naturalCompare);
+        expect(names).toEqual([ 'cover.jpg', 'page1.jpg', 'Page2.jpg', 'page02b.jpg', 'page10.jpg' ]);
+    });
+
+    it('Should sort numbered folders by value', () => {
+        const names = [ 'Chapter 10/01.png', 'Chapter 9/02.png', 'Chapter 9/01.png' ];
+        names.sort(naturalCompare);
+        expect(names).toEqual([ 'Chapter 9/01.png', 'Chapter 9/02.png', 'Chapter 10/01.png' ]);
+    });
+});
@@ -43,3 +43,13 @@ export function toFloat(value: string | null | undefined, defaultValue = 0) {
 
     return number;
 }
+
+const naturalCollator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+/**
+ * Compares two strings in natural order, so that numbers are sorted by value ("page2" comes before "page10").
+ * @param {string} str1 The first string.
+ * @param {string} str2 The second string.
+ * @returns {number} A negative number if the first string comes first, a positive number if it comes last, 0 otherwise.
+ */
+export const naturalCompare = (str1 = '', str2 = '') => naturalCollator.compare(str1, str2);
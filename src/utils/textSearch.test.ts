@@ -0,0 +1,39 @@
+import { describe, expect, it } from 'vitest';
+
+import { findMatches, getQueryRegExp } from './textSearch';
+
+describe('getQueryRegExp', () => {
+    it('Should escape special characters', () => {
+        expect(getQueryRegExp('1.5 (approx)')?.test('about 1.5\n(approx)')).toBe(true);
+        expect(getQueryRegExp('1.5')?.test('125')).toBe(false);
+    });
+
+    it('Should return null for an empty query', () => {
+        expect(getQueryRegExp('   ')).toBeNull();
+    });
+});
+
+describe('findMatches', () => {
+    it('Should find every occurrence ignoring case', () => {
+        const matches = findMatches('Whale, whale and WHALE.', 'whale');
+
+        expect(matches.map(m => [ m.index, m.length ])).toEqual([ [ 0, 5 ], [ 7, 5 ], [ 17, 5 ] ]);
+    });
+
+    it('Should match across line breaks', () => {
+        const matches = findMatches('Call me\nIshmael.', 'me ishmael');
+
+        expect(matches).toHaveLength(1);
+        expect(matches[0].excerpt).toEqual({ before: 'Call ', match: 'me Ishmael', after: '.' });
+    });
+
+    it('Should add context around the match', () => {
+        const [ match ] = findMatches('It was the best of times, it was the worst of times.', 'best', 10);
+
+        expect(match.excerpt).toEqual({ before: '…t was the ', match: 'best', after: ' of times,…' });
+    });
+
+    it('Should ignore short queries', () => {
+        expect(findMatches('a b c', 'a')).toEqual([]);
+    });
+});
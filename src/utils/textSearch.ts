@@ -0,0 +1,55 @@
+/** The shortest query that is searched for */
+export const MIN_QUERY_LENGTH = 2;
+
+export interface TextMatch {
+    /** The position of the match in the searched text */
+    index: number
+    /** The length of the match in the searched text */
+    length: number
+    excerpt: {
+        before: string
+        match: string
+        after: string
+    }
+}
+
+const escapeRegExp = (value: string) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const collapseWhitespace = (value: string) => value.replace(/\s+/g, ' ');
+
+/**
+ * Gets a case insensitive regular expression for a query, where any whitespace also matches line breaks.
+ */
+export function getQueryRegExp(query: string) {
+    const terms = query.trim().split(/\s+/).filter(Boolean).map(escapeRegExp);
+    if (!terms.length) return null;
+
+    return new RegExp(terms.join('\\s+'), 'giu');
+}
+
+/**
+ * Finds every occurrence of a query in a text, with some of the surrounding text for context.
+ */
+export function findMatches(text: string, query: string, contextLength = 40): TextMatch[] {
+    if (query.trim().length < MIN_QUERY_LENGTH) return [];
+
+    const regExp = getQueryRegExp(query);
+    if (!regExp) return [];
+
+    return Array.from(text.matchAll(regExp), match => {
+        const index = match.index ?? 0;
+        const length = match[0].length;
+        const start = Math.max(0, index - contextLength);
+        const end = Math.min(text.length, index + length + contextLength);
+
+        return {
+            index,
+            length,
+            excerpt: {
+                before: (start > 0 ? '…' : '') + collapseWhitespace(text.slice(start, index)).trimStart(),
+                match: collapseWhitespace(match[0]),
+                after: collapseWhitespace(text.slice(index + length, end)).trimEnd() + (end < text.length ? '…' : '')
+            }
+        };
+    });
+}
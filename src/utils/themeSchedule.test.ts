@@ -0,0 +1,42 @@
+import { describe, expect, it } from 'vitest';
+
+import { isNightTime, parseTimeOfDay } from './themeSchedule';
+
+const at = (hours: number, minutes = 0) => new Date(2024, 0, 1, hours, minutes);
+
+describe('parseTimeOfDay', () => {
+    it('Should parse valid times', () => {
+        expect(parseTimeOfDay('00:00')).toBe(0);
+        expect(parseTimeOfDay('7:30')).toBe(450);
+        expect(parseTimeOfDay('23:59')).toBe(1439);
+    });
+
+    it('Should reject invalid times', () => {
+        expect(parseTimeOfDay('24:00')).toBeNull();
+        expect(parseTimeOfDay('12:60')).toBeNull();
+        expect(parseTimeOfDay('noon')).toBeNull();
+        expect(parseTimeOfDay(null)).toBeNull();
+    });
+});
+
+describe('isNightTime', () => {
+    it('Should handle nights spanning midnight', () => {
+        expect(isNightTime(at(6, 59), '07:00', '20:00')).toBe(true);
+        expect(isNightTime(at(7), '07:00', '20:00')).toBe(false);
+        expect(isNightTime(at(19, 59), '07:00', '20:00')).toBe(false);
+        expect(isNightTime(at(20), '07:00', '20:00')).toBe(true);
+        expect(isNightTime(at(0), '07:00', '20:00')).toBe(true);
+    });
+
+    it('Should handle nights starting after midnight', () => {
+        expect(isNightTime(at(0, 30), '06:00', '01:00')).toBe(false);
+        expect(isNightTime(at(1), '06:00', '01:00')).toBe(true);
+        expect(isNightTime(at(6), '06:00', '01:00')).toBe(false);
+    });
+
+    it('Should use the defaults for invalid times', () => {
+        expect(isNightTime(at(21), null, 'later')).toBe(true);
+        expect(isNightTime(at(12), null, null)).toBe(false);
+        expect(isNightTime(at(21), '08:00', '08:00')).toBe(false);
+    });
+});
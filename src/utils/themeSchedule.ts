@@ -0,0 +1,49 @@
+/** How the day and night themes are switched */
+export enum ThemeSchedule {
+    /** Always use the day theme */
+    Off = 'off',
+    /** Use the night theme between fixed times */
+    Time = 'time',
+    /** Use the night theme when the OS prefers a dark color scheme */
+    System = 'system'
+}
+
+export const DEFAULT_DAY_START = '07:00';
+export const DEFAULT_NIGHT_START = '20:00';
+
+const TIME_OF_DAY_REGEX = /^(\d{1,2}):(\d{2})$/;
+
+/**
+ * Parses a time of day in the HH:MM format of time inputs.
+ * @returns The number of minutes since midnight, or null if the value is invalid.
+ */
+export function parseTimeOfDay(value?: string | null) {
+    const match = TIME_OF_DAY_REGEX.exec(value || '');
+    if (!match) return null;
+
+    const hours = parseInt(match[1], 10);
+    const minutes = parseInt(match[2], 10);
+    if (hours > 23 || minutes > 59) return null;
+
+    return hours * 60 + minutes;
+}
+
+/**
+ * Checks if the night theme should be used at a given time. The night can span midnight.
+ * @param date The current date.
+ * @param dayStart The time the day theme starts, in the HH:MM format.
+ * @param nightStart The time the night theme starts, in the HH:MM format.
+ */
+export function isNightTime(date: Date, dayStart?: string | null, nightStart?: string | null) {
+    const day = parseTimeOfDay(dayStart) ?? parseTimeOfDay(DEFAULT_DAY_START) as number;
+    const night = parseTimeOfDay(nightStart) ?? parseTimeOfDay(DEFAULT_NIGHT_START) as number;
+    const now = date.getHours() * 60 + date.getMinutes();
+
+    if (day === night) return false;
+
+    if (night > day) {
+        return now >= night || now < day;
+    }
+
+    return now >= night && now < day;
+}
@@ -1,8 +1,16 @@
 /// <reference types="vitest" />
 /// <reference types="vite/client" />
+import path from 'path';
 import { defineConfig } from 'vite';
 
 export default defineConfig({
+    resolve: {
+        alias: [
+            // Like webpack, resolve the components and constants from the source directory
+            { find: /^components\//, replacement: `${path.resolve(__dirname, 'src/components')}/` },
+            { find: /^constants\//, replacement: `${path.resolve(__dirname, 'src/constants')}/` }
+        ]
+    },
     test: {
         coverage: {
             include: [ 'src' ]